@@ -0,0 +1,779 @@
+// js/act_logic.js
+
+import { getCurrencies, findCurrency, validateCurrencyDefinition, getBalance, adjustBalance, emptyBalances, toCurrencyUnits, formatAmount } from './currency_registry.js';
+import { DEFAULT_EXCHANGE_CONFIG, quoteExchange, formatQuote } from './exchange_pricing.js';
+import { checkPermission, SYSTEM_ROLE } from './permissions.js';
+import { DEFAULT_VIBRATION_POLICY, checkBand, actCost } from './vibration_policy.js';
+import { DEFAULT_BREAKER_POLICY, BREAKER_STATUS, getBreaker, transitionBreaker } from './circuit_breaker.js';
+import {
+    DEFAULT_INFRASTRUCTURE_POLICY,
+    INFRA_TARGETS,
+    INFRA_LABELS,
+    INFRA_EVENT_TYPES,
+    getInfrastructure,
+    setTargetLevel,
+    applyInfraEvent,
+    energyCostMultiplier,
+    netTransferCondition
+} from './infrastructure.js';
+import {
+    DEFAULT_APPROVAL_POLICY,
+    PROPOSAL_STATUS,
+    requiresApproval,
+    checkApproval,
+    getProposals,
+    findProposal,
+    findExpiredProposals,
+    settleProposals,
+    escapeHtml
+} from './approval.js';
+import { validateSnapshot, snapshotStateDelta } from './snapshot.js';
+
+/**
+ * 作為 (ACTS) の純粋ロジック。
+ * DOM・Firestore・core_logic.js に依存せず、明示的なパラメータとシステム状態だけから作為の結果を計算する。
+ * 状態の保存やVibrationの加算は行わず、呼び出し側 (audit_acts.js / infra_acts.js) が結果を適用する。
+ * 作為パラメータの金額は主単位の数値で受け取り、残高は最小単位の整数 (money.js) で更新する。
+ * 各作為はまず context.actor のロールが作為種別を許可されているか検証する (permissions.js)。
+ * 続いて現在のVibration帯域が作為種別を許可しているか検証し、Vibrationコストは
+ * 作為コスト表に帯域の係数と電力供給 (ENERGY) の低下による係数を乗じて算出する
+ * (vibration_policy.js, context.vibrationPolicy / infrastructure.js, context.infrastructurePolicy)。
+ *
+ * すべての作為関数は次の構造の結果を返す:
+ * {
+ *   ok: boolean,              // 作為が成立したか
+ *   error: string|null,       // 不成立の理由
+ *   actType: string,          // 'TRANSFER' | 'MINT' | 'EXCHANGE' | ...
+ *   stateDelta: object|null,  // saveSystemState に渡す部分状態
+ *   vibrationCost: number,    // 作為の論理コスト
+ *   message: string|null,     // 監査ログ用メッセージ
+ *   logClass: string,         // logToConsole のクラス名
+ *   details: object           // 作為固有の計算結果 (交換レートなど)。不成立の場合は failure_kind を含むことがある
+ * }
+ */
+
+/**
+ * 不成立の分類 (details.failure_kind)。サーキットブレーカーはこれらの失敗を観測値に数えない
+ * (権限のない利用者の拒否や書き込みの競合で強制停止が発動しないように)。
+ */
+export const FAILURE_KINDS = {
+    UNAUTHORIZED: 'UNAUTHORIZED', // 権限・二者承認による拒否
+    CONFLICT: 'CONFLICT',         // 他のクライアントの更新との競合 (core_logic.js の applyActResult)
+};
+
+// ====================================================================
+// RESULT HELPERS
+// ====================================================================
+
+function success(actType, stateDelta, vibrationCost, message, logClass = 'audit-message', details = {}) {
+    return { ok: true, error: null, actType, stateDelta, vibrationCost, message, logClass, details };
+}
+
+function failure(actType, error, details = {}) {
+    return { ok: false, error, actType, stateDelta: null, vibrationCost: 0, message: null, logClass: 'error-message', details };
+}
+
+/** 権限・二者承認による拒否の結果を返します。 */
+function unauthorized(actType, error) {
+    return failure(actType, error, { failure_kind: FAILURE_KINDS.UNAUTHORIZED });
+}
+
+/** 作為のVibrationコストを返します (作為コスト表 × 現在の帯域の係数 × 電力供給の係数)。 */
+function costOf(actType, state, context) {
+    const infraPolicy = context.infrastructurePolicy || DEFAULT_INFRASTRUCTURE_POLICY;
+    return actCost(actType, state.vibration_level.value, context.vibrationPolicy || DEFAULT_VIBRATION_POLICY)
+        * energyCostMultiplier(state, infraPolicy, context.now ?? Date.now());
+}
+
+/**
+ * 作為者の権限、Vibration帯域による抑制、重大な作為の二者承認 (approval.js) を検証し、
+ * 許可されない場合は不成立の結果を返します。LILルール (system ロール) は帯域による抑制を受けない。
+ */
+function denyUnauthorized(actType, state, context, params = {}) {
+    const isSystem = context.actor && context.actor.role === SYSTEM_ROLE;
+    const denied = checkPermission(actType, context);
+    if (denied) return unauthorized(actType, denied);
+    const outOfBand = isSystem ? null : checkBand(actType, state.vibration_level.value, context.vibrationPolicy || DEFAULT_VIBRATION_POLICY);
+    if (outOfBand) return failure(actType, outOfBand);
+    const unapproved = checkApproval(actType, context, params);
+    return unapproved ? unauthorized(actType, unapproved) : null;
+}
+
+// ====================================================================
+// VALIDATION
+// ====================================================================
+
+/**
+ * 汎用的な作為前検証ロジック
+ * @param {string} actType - 'TRANSFER' | 'MINT' | 'EXCHANGE' (LILによる作為抑制の判定に使用)
+ * @param {object} context - { findBlockingRule(actType, currency) } を任意で含む。
+ * @returns {object} - 検証された値 (amountMinor は最小単位に変換した金額)、またはエラーメッセージ ({ error })
+ */
+export function validateAct(senderId, recipientId, amount, currency, state, actType = 'TRANSFER', context = {}) {
+    const isMint = actType === 'MINT';
+    if (state.isHalted) return { error: "ロゴス・コアが強制停止中です。" };
+    if (amount <= 0 || isNaN(amount)) return { error: "金額が無効です。" };
+    if (!findCurrency(state, currency)) return { error: "無効な通貨です。" };
+    const amountMinor = toCurrencyUnits(state, currency, amount);
+    if (amountMinor === null) {
+        return { error: `金額 ${amount} は ${currency} の精度 (小数 ${findCurrency(state, currency).decimals} 桁) を超えています。` };
+    }
+
+    const blockingRuleId = context.findBlockingRule ? context.findBlockingRule(actType, currency) : null;
+    if (blockingRuleId) return { error: `LILルール ${blockingRuleId} により ${currency} の ${actType} 作為は抑制されています。` };
+
+    const sender = state.accounts.find(acc => acc.id === senderId);
+    const recipient = state.accounts.find(acc => acc.id === recipientId);
+
+    if (!isMint && !sender) return { error: `送金元アカウント ${senderId} が存在しません。` };
+    if (recipientId && !recipient) return { error: `送金先/生成先アカウント ${recipientId} が存在しません。` };
+
+    if (!isMint && getBalance(sender, currency) < amountMinor) return { error: `${senderId} の ${currency} 残高が不足しています。` };
+
+    return { sender, recipient, amount, amountMinor, currency };
+}
+
+// ====================================================================
+// SYSTEM CONTROL (HALT / RESTART / CIRCUIT BREAKER)
+// ====================================================================
+
+/**
+ * 強制停止 (HALT) の結果を計算します。
+ * @param {object} params - { reason }
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - { actor, permissions, vibrationPolicy } (以下の作為も同様)
+ */
+export function forcedHalt({ reason } = {}, state, context = {}) {
+    const denied = denyUnauthorized('HALT', state, context);
+    if (denied) return denied;
+
+    if (state.isHalted) return failure('HALT', "既にロゴス・コアは強制停止中です。");
+
+    const reasonText = reason ? ` 理由: ${escapeHtml(reason)}` : '';
+    return success('HALT', { isHalted: true }, costOf('HALT', state, context),
+        `🛑 [SYSTEM ACT]: ロゴス・コアを強制停止しました。全作為は遮断されます。${reasonText}`,
+        'audit-message', { reason: reason || null });
+}
+
+/**
+ * 再起動 (RESTART) の結果を計算します。
+ * @param {object} params - (現在は未使用)
+ * @param {object} state - 現在のシステム状態。
+ */
+export function restart(params = {}, state, context = {}) {
+    const denied = denyUnauthorized('RESTART', state, context);
+    if (denied) return denied;
+
+    if (!state.isHalted) return failure('RESTART', "既にロゴス・コアは稼働中です。");
+
+    // サーキットブレーカーによる停止中の場合は、ブレーカーも OPERATIONAL に戻す
+    const breaker = getBreaker(state);
+    const breakerDelta = breaker.status === BREAKER_STATUS.OPERATIONAL ? {} : {
+        circuit_breaker: transitionBreaker(breaker, BREAKER_STATUS.OPERATIONAL, "RESTART 作為により復旧しました。",
+            context.now ?? Date.now(), context.breakerPolicy || DEFAULT_BREAKER_POLICY),
+    };
+
+    return success('RESTART', { isHalted: false, ...breakerDelta }, costOf('RESTART', state, context),
+        "✅ [SYSTEM ACT]: ロゴス・コアを再起動しました。全作為が再開されます。", 'system-message');
+}
+
+/**
+ * サーキットブレーカーの遷移 (circuit_breaker.js) の結果を計算します。
+ * HALTED への遷移は強制停止、PROBATION への遷移は作為の再開を伴う。
+ * @param {object} params - { to: 'HALTED' | 'PROBATION' | 'OPERATIONAL', cause }
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - { actor, permissions, now, breakerPolicy }
+ */
+export function breakerTransition({ to, cause } = {}, state, context = {}) {
+    const denied = denyUnauthorized('BREAKER', state, context);
+    if (denied) return denied;
+
+    const breaker = getBreaker(state);
+    if (!Object.values(BREAKER_STATUS).includes(to)) return failure('BREAKER', `未知のブレーカー状態です: ${to}`);
+    if (breaker.status === to) return failure('BREAKER', `ブレーカーは既に ${to} です。`);
+
+    const circuitBreaker = transitionBreaker(breaker, to, cause || null,
+        context.now ?? Date.now(), context.breakerPolicy || DEFAULT_BREAKER_POLICY);
+    const stateDelta = to === BREAKER_STATUS.OPERATIONAL
+        ? { circuit_breaker: circuitBreaker }
+        : { isHalted: to === BREAKER_STATUS.HALTED, circuit_breaker: circuitBreaker };
+
+    const messages = {
+        HALTED: "🛑 [CIRCUIT BREAKER]: ロゴス・コアを自動的に強制停止しました。",
+        PROBATION: "⚠️ [CIRCUIT BREAKER]: 試験運用 (PROBATION) として作為を再開しました。",
+        OPERATIONAL: "✅ [CIRCUIT BREAKER]: 試験運用を終了し、通常稼働に復帰しました。",
+    };
+    return success('BREAKER', stateDelta, costOf('BREAKER', state, context),
+        `${messages[to]} (${breaker.status} → ${to}) 原因: ${cause}`,
+        to === BREAKER_STATUS.HALTED ? 'audit-message' : 'system-message', { from: breaker.status, to, cause });
+}
+
+// ====================================================================
+// SNAPSHOT RESTORE
+// ====================================================================
+
+/**
+ * スナップショット (snapshot.js) への復元 (RESTORE) の結果を計算します。
+ * アカウント・残高・通貨・レート・Vibration・停止フラグなどをスナップショットの値に置き換える。提案は置き換えない。
+ * 復元は残高を任意の値に置き換えられるため、二者承認の対象である (approval.js)。
+ * 提案には snapshot_digest (スナップショットの内容のハッシュ) を記録し、承認時に内容が変更されていれば復元しない。
+ * 強制停止中は force を指定した場合のみ復元できる。
+ * @param {object} params - { snapshot_id, snapshot_digest, force, reason }
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - { actor, permissions, now, vibrationPolicy, approval } と、
+ *        呼び出し元が読み込んだ { snapshot, snapshotDigest } (snapshot_acts.js の restoreContext)。
+ */
+export function restoreSnapshot({ snapshot_id, snapshot_digest, force = false, reason } = {}, state, context = {}) {
+    const denied = denyUnauthorized('RESTORE', state, context);
+    if (denied) return denied;
+
+    const { snapshot } = context;
+    if (!snapshot || snapshot.id !== snapshot_id) return failure('RESTORE', `復元するスナップショット ${escapeHtml(snapshot_id)} が見つかりません。`);
+    if (snapshot_digest !== context.snapshotDigest) {
+        return failure('RESTORE', `スナップショット ${escapeHtml(snapshot_id)} の内容が提案時から変更されています。改めて提案してください。`);
+    }
+    const invalid = validateSnapshot(snapshot);
+    if (invalid) return failure('RESTORE', escapeHtml(invalid));
+    if (state.isHalted && !force) return failure('RESTORE', "ロゴス・コアが強制停止中です。復元するには force を指定してください。");
+
+    const now = context.now ?? Date.now();
+    const stateDelta = snapshotStateDelta(snapshot, state, now);
+    const restoredIds = new Set(stateDelta.accounts.map(acc => acc.id));
+    const removedAccounts = state.accounts.map(acc => acc.id).filter(id => !restoredIds.has(id));
+
+    const forcedText = state.isHalted ? ' (強制停止中の強制復元)' : '';
+    const reasonText = reason ? ` 理由: ${escapeHtml(reason)}` : '';
+    const removedText = removedAccounts.length > 0 ? `\nスナップショット以降に作成されたアカウントを削除しました: ${escapeHtml(removedAccounts.join(', '))}` : '';
+    return success('RESTORE', stateDelta, costOf('RESTORE', state, context),
+        `⏪ [AUDIT/RESTORE]: スナップショット **${escapeHtml(snapshot.name || snapshot.id)}** (${escapeHtml(snapshot.id)}, ${new Date(snapshot.created_at).toISOString()}) の状態に復元しました${forcedText}。${reasonText}${removedText}`,
+        'audit-message', { snapshot_id: snapshot.id, removed_accounts: removedAccounts, forced: state.isHalted });
+}
+
+// ====================================================================
+// ACCOUNT MANAGEMENT
+// ====================================================================
+
+/**
+ * アカウント作成の結果を計算します。
+ * @param {object} params - { id, name }
+ * @param {object} state - 現在のシステム状態。
+ */
+export function createAccount({ id, name } = {}, state, context = {}) {
+    const denied = denyUnauthorized('CREATE_ACCOUNT', state, context);
+    if (denied) return denied;
+
+    if (!id || state.accounts.some(acc => acc.id === id)) {
+        return failure('CREATE_ACCOUNT', "アカウントIDが無効か、既に存在します。");
+    }
+    if (state.isHalted) {
+        return failure('CREATE_ACCOUNT', "ロゴス・コアが強制停止中のため、アカウント作成はできません。");
+    }
+
+    const newAccount = {
+        id,
+        name: name || `監査アカウント ${id}`,
+        balances: emptyBalances(state),
+    };
+
+    return success('CREATE_ACCOUNT', { accounts: [...state.accounts, newAccount] }, costOf('CREATE_ACCOUNT', state, context),
+        `[AUDIT/CREATE]: 新しい監査対象アカウント **${escapeHtml(id)} (${escapeHtml(name || 'N/A')})** を作成しました。`,
+        'audit-message', { account: newAccount });
+}
+
+// ====================================================================
+// CURRENCY ACTS (経済作為)
+// ====================================================================
+
+/**
+ * 通貨送金 (Transfer) の結果を計算します。
+ * @param {object} params - { from, to, amount, currency }
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - validateAct に渡す追加の検証情報。
+ */
+export function transfer({ from, to, amount, currency } = {}, state, context = {}) {
+    const denied = denyUnauthorized('TRANSFER', state, context);
+    if (denied) return denied;
+
+    const validation = validateAct(from, to, amount, currency, state, 'TRANSFER', context);
+    if (validation.error) return failure('TRANSFER', validation.error);
+    const { amountMinor } = validation;
+
+    // 通信安定性 (NET) の低下: 拒否、または着金の遅延 (送金元からは即時に引き落とし、settleTransfers で着金させる)
+    const now = context.now ?? Date.now();
+    const net = netTransferCondition(state, context.infrastructurePolicy || DEFAULT_INFRASTRUCTURE_POLICY, now);
+    if (net.rejected) return failure('TRANSFER', net.rejected);
+    if (net.delay_s > 0) {
+        const seq = (state.pending_transfer_seq || 0) + 1;
+        const pending = { id: `PT-${seq}`, from, to, currency, amountMinor, created_at: now, settle_at: now + net.delay_s * 1000 };
+        return success('TRANSFER', {
+            accounts: state.accounts.map(acc => acc.id === from ? adjustBalance(acc, currency, -amountMinor) : acc),
+            pending_transfers: [...(state.pending_transfers || []), pending],
+            pending_transfer_seq: seq,
+        }, costOf('TRANSFER', state, context),
+        `[AUDIT/TRANSFER]: **${from}** から **${to}** へ ${formatAmount(state, currency, amountMinor)} ${currency} の作為が実行されました。${INFRA_LABELS.NET} の低下により、着金は約 ${net.delay_s} 秒後です (${pending.id})。`,
+        'audit-message', { pending_transfer: pending });
+    }
+
+    const newAccounts = state.accounts.map(acc => {
+        if (acc.id === from) {
+            return adjustBalance(acc, currency, -amountMinor);
+        }
+        if (acc.id === to) {
+            return adjustBalance(acc, currency, amountMinor);
+        }
+        return acc;
+    });
+
+    return success('TRANSFER', { accounts: newAccounts }, costOf('TRANSFER', state, context),
+        `[AUDIT/TRANSFER]: **${from}** から **${to}** へ ${formatAmount(state, currency, amountMinor)} ${currency} の作為が実行されました。`);
+}
+
+/**
+ * 通貨生成 (Mint) の結果を計算します。
+ * @param {object} params - { to, amount, currency }
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - validateAct に渡す追加の検証情報と、生成時刻 now (省略時は Date.now())。
+ */
+export function mint({ to, amount, currency } = {}, state, context = {}) {
+    const denied = denyUnauthorized('MINT', state, context);
+    if (denied) return denied;
+
+    // Mintではsenderはnull
+    const validation = validateAct(null, to, amount, currency, state, 'MINT', context);
+    if (validation.error) return failure('MINT', validation.error);
+    const { amountMinor } = validation;
+
+    const cap = findCurrency(state, currency).supply_cap;
+    if (cap !== null && cap !== undefined) {
+        const capMinor = toCurrencyUnits(state, currency, cap);
+        if (capMinor === null) {
+            return failure('MINT', `${currency} の供給上限 ${cap} は通貨の小数桁数で表せないため、総供給量を検証できません。通貨定義を修正してください。`);
+        }
+        const totalMinor = state.accounts.reduce((sum, acc) => sum + getBalance(acc, currency), 0)
+            + (state.pending_transfers || []).filter(t => t.currency === currency).reduce((sum, t) => sum + t.amountMinor, 0);
+        if (totalMinor + amountMinor > capMinor) {
+            return failure('MINT', `${currency} の総供給量が上限 ${cap} を超過します。`);
+        }
+    }
+
+    const newAccounts = state.accounts.map(acc => {
+        if (acc.id === to) {
+            return adjustBalance(acc, currency, amountMinor);
+        }
+        return acc;
+    });
+    // 直近の生成量はレートエンジン (rate_engine.js) がレート算出に使用する
+    const recentMints = [...(state.recent_mints || []), { timestamp: context.now ?? Date.now(), currency, amount }];
+
+    return success('MINT', { accounts: newAccounts, recent_mints: recentMints }, costOf('MINT', state, context),
+        `[AUDIT/MINT]: アカウント **${to}** へ ${formatAmount(state, currency, amountMinor)} ${currency} が新しく**生成**されました。`);
+}
+
+/**
+ * 通貨交換 (Exchange) の結果を計算します。
+ * レートには exchange_pricing.js の手数料・スプレッド・スリッページが適用され、
+ * 手数料は交換先通貨で treasury_account に徴収される。換算の端数は最近接偶数丸め (銀行型丸め) で処理する。
+ * @param {object} params - { account, amount, fromCurrency, toCurrency }
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - validateAct に渡す追加の検証情報と、交換設定 exchangeConfig。
+ */
+export function exchange({ account, amount, fromCurrency, toCurrency } = {}, state, context = {}) {
+    const denied = denyUnauthorized('EXCHANGE', state, context);
+    if (denied) return denied;
+
+    // 交換は senderId = recipientId = account として扱える
+    const validation = validateAct(account, account, amount, fromCurrency, state, 'EXCHANGE', context);
+    if (validation.error) return failure('EXCHANGE', validation.error);
+    const net = netTransferCondition(state, context.infrastructurePolicy || DEFAULT_INFRASTRUCTURE_POLICY, context.now ?? Date.now());
+    if (net.rejected) return failure('EXCHANGE', net.rejected);
+
+    // 通貨レートの計算 (ロゴス監査プロトコル独自のレートに手数料等を適用)
+    const config = context.exchangeConfig || DEFAULT_EXCHANGE_CONFIG;
+    const { quote, error } = quoteExchange({ amount, fromCurrency, toCurrency }, state, config);
+    if (error) return failure('EXCHANGE', error);
+    if (!state.accounts.some(acc => acc.id === quote.treasury)) {
+        return failure('EXCHANGE', `手数料の徴収先アカウント ${quote.treasury} が存在しません。`);
+    }
+
+    const newAccounts = state.accounts.map(acc => {
+        let updated = acc;
+        if (acc.id === account) {
+            updated = adjustBalance(adjustBalance(updated, fromCurrency, -quote.amountMinor), toCurrency, quote.netMinor);
+        }
+        if (acc.id === quote.treasury) {
+            updated = adjustBalance(updated, toCurrency, quote.feeMinor);
+        }
+        return updated;
+    });
+
+    return success('EXCHANGE', { accounts: newAccounts }, costOf('EXCHANGE', state, context),
+        `[AUDIT/EXCHANGE]: **${account}** で ${formatAmount(state, fromCurrency, quote.amountMinor)} ${fromCurrency} が ${formatAmount(state, toCurrency, quote.netMinor)} ${toCurrency} へ交換されました (${formatQuote(quote, state)})。`,
+        'audit-message', { rate: quote.effectiveRate, receivedAmount: quote.netAmount, quote });
+}
+
+/**
+ * 為替レート設定 (Set Rate) の結果を計算します。
+ * ALPHA は基軸通貨 (1.0固定) のため変更できない。
+ * 変更はレートエンジン (rate_engine.js) の補正係数 rate_corrections にも反映され、再計算後も維持される。
+ * @param {object} params - { currency, rate } または { currency, factor } (現在のレートに乗じる補正係数)
+ * @param {object} state - 現在のシステム状態。
+ */
+export function setRate({ currency, rate, factor } = {}, state, context = {}) {
+    const denied = denyUnauthorized('SET_RATE', state, context);
+    if (denied) return denied;
+
+    if (state.isHalted) return failure('SET_RATE', "ロゴス・コアが強制停止中です。");
+    if (!(currency in state.currency_rates) || currency === 'ALPHA') {
+        return failure('SET_RATE', `${currency} のレートは変更できません。`);
+    }
+
+    const oldRate = state.currency_rates[currency];
+    const newRate = rate !== undefined ? Number(rate) : oldRate * Number(factor);
+    if (!(newRate > 0) || !isFinite(newRate)) return failure('SET_RATE', "レートが無効です。");
+
+    const corrections = state.rate_corrections || {};
+    const newCorrection = (corrections[currency] ?? 1) * newRate / oldRate;
+
+    return success('SET_RATE', {
+        currency_rates: { ...state.currency_rates, [currency]: newRate },
+        rate_corrections: { ...corrections, [currency]: newCorrection },
+    }, costOf('SET_RATE', state, context),
+        `[AUDIT/RATE]: **${currency}** のロゴスレートを ${oldRate.toFixed(4)} から ${newRate.toFixed(4)} に変更しました。`,
+        'audit-message', { oldRate, newRate });
+}
+
+/**
+ * 通貨登録 (Register Currency) の結果を計算します。
+ * 通貨レジストリ (currencies) に定義を追加し、初期レートを currency_rates に設定する。
+ * 既存アカウントの残高は 0 として扱われる (balances に存在しない通貨は 0)。
+ * @param {object} params - { code, title, purpose, decimals, initial_rate, supply_cap }
+ * @param {object} state - 現在のシステム状態。
+ */
+export function registerCurrency(params = {}, state, context = {}) {
+    const denied = denyUnauthorized('REGISTER_CURRENCY', state, context);
+    if (denied) return denied;
+
+    if (state.isHalted) return failure('REGISTER_CURRENCY', "ロゴス・コアが強制停止中です。");
+
+    const { currency, error } = validateCurrencyDefinition(params, state);
+    if (error) return failure('REGISTER_CURRENCY', error);
+
+    const capText = currency.supply_cap === null ? '無制限' : currency.supply_cap;
+    return success('REGISTER_CURRENCY', {
+        currencies: [...getCurrencies(state), currency],
+        currency_rates: { ...state.currency_rates, [currency.code]: currency.initial_rate },
+    }, costOf('REGISTER_CURRENCY', state, context),
+        `[AUDIT/CURRENCY]: 新しい監査対象通貨 **${currency.code} (${escapeHtml(currency.title)})** を登録しました。初期レート ${currency.initial_rate.toFixed(4)} / 小数桁数 ${currency.decimals} / 供給上限 ${capText}。`,
+        'audit-message', { currency });
+}
+
+// ====================================================================
+// INFRASTRUCTURE ACTS
+// ====================================================================
+
+/**
+ * インフラ供給レベル調整の結果を計算します。
+ * 指定したレベルは目標として設定され、現在のレベルは目標へ徐々に追従する (infrastructure.js)。
+ * @param {object} params - { target: 'ENERGY' | 'NET', amount: 0-100 }
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - { now } (変更時刻。省略時は Date.now())、infrastructurePolicy と権限検証の情報。
+ */
+export function adjustSupply({ target, amount } = {}, state, context = {}) {
+    const denied = denyUnauthorized('ADJUST_SUPPLY', state, context);
+    if (denied) return denied;
+
+    if (!INFRA_TARGETS[target]) return failure('ADJUST_SUPPLY', `未知のインフラ種別です: ${target}`);
+    if (isNaN(amount) || amount < 0 || amount > 100) {
+        return failure('ADJUST_SUPPLY', "有効な供給量（0-100%）を入力してください。");
+    }
+
+    const policy = context.infrastructurePolicy || DEFAULT_INFRASTRUCTURE_POLICY;
+    const now = context.now ?? Date.now();
+    const infrastructure = setTargetLevel(getInfrastructure(state), target, amount, now, policy);
+    const channel = infrastructure[INFRA_TARGETS[target]];
+    const vibeCost = costOf('ADJUST_SUPPLY', state, context);
+    const outageNote = channel.outage && now < channel.outage.until ? ' 現在障害中のため、追従は障害の終了後に開始されます。' : '';
+
+    return success('ADJUST_SUPPLY', { infrastructure }, vibeCost,
+        `[INFRA ACT]: **${INFRA_LABELS[target]}** の論理的供給レベルの目標が **${amount.toFixed(1)}%** に設定されました (現在 ${channel.value.toFixed(1)}%、毎秒 ${policy.ramp_per_s}% で追従)。${outageNote}Vibration +${vibeCost.toFixed(2)}。`,
+        'system-message');
+}
+
+/**
+ * インフラの事象 (障害の発生・終了) の結果を計算します。
+ * 定期処理のランダム障害と終了 (core_logic.js) のほか、障害の再現 (スクリプト) にも使用する。
+ * @param {object} params - { target: 'ENERGY' | 'NET', type: 'OUTAGE' | 'RECOVERY', duration_s?, level?, cause? }
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - { now, infrastructurePolicy } と権限検証の情報。
+ */
+export function infraEvent({ target, type, duration_s, level, cause } = {}, state, context = {}) {
+    const denied = checkPermission('INFRA_EVENT', context);
+    if (denied) return unauthorized('INFRA_EVENT', denied);
+
+    if (!INFRA_TARGETS[target]) return failure('INFRA_EVENT', `未知のインフラ種別です: ${target}`);
+    const policy = context.infrastructurePolicy || DEFAULT_INFRASTRUCTURE_POLICY;
+    const now = context.now ?? Date.now();
+    const channel = getInfrastructure(state)[INFRA_TARGETS[target]];
+
+    if (type === INFRA_EVENT_TYPES.OUTAGE) {
+        const outageLevel = level ?? policy.outages.level;
+        if (!(duration_s > 0)) return failure('INFRA_EVENT', "障害の継続時間 (秒) を正の数で指定してください。");
+        if (isNaN(outageLevel) || outageLevel < 0 || outageLevel > 100) return failure('INFRA_EVENT', "障害中のレベル (0-100%) が無効です。");
+        const event = { target, type, duration_s, level: outageLevel, cause: cause || `${INFRA_LABELS[target]} に障害が発生しました。` };
+        return success('INFRA_EVENT', { infrastructure: applyInfraEvent(getInfrastructure(state), event, now, policy) },
+            costOf('INFRA_EVENT', state, context),
+            `[INFRA/OUTAGE]: ${event.cause} ${duration_s} 秒間、レベルは ${outageLevel.toFixed(1)}% に低下します。`,
+            'error-message', { event });
+    }
+    if (type === INFRA_EVENT_TYPES.RECOVERY) {
+        if (!channel.outage) return failure('INFRA_EVENT', `${INFRA_LABELS[target]} は障害中ではありません。`);
+        const event = { target, type, cause: cause || `${INFRA_LABELS[target]} の障害が復旧しました。` };
+        return success('INFRA_EVENT', { infrastructure: applyInfraEvent(getInfrastructure(state), event, now, policy) },
+            costOf('INFRA_EVENT', state, context),
+            `[INFRA/RECOVERY]: ${event.cause} 目標 ${channel.target.toFixed(1)}% への追従を再開します。`,
+            'system-message', { event });
+    }
+    return failure('INFRA_EVENT', `未知のインフラ事象です: ${type}`);
+}
+
+/**
+ * 着金が遅延している送金のうち、着金時刻を過ぎたものを送金先へ着金させます。
+ * @param {object} params - 使用しない。
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - { now } と権限検証の情報。
+ */
+export function settleTransfers(params = {}, state, context = {}) {
+    const denied = checkPermission('SETTLE', context);
+    if (denied) return unauthorized('SETTLE', denied);
+
+    const now = context.now ?? Date.now();
+    const pending = state.pending_transfers || [];
+    const due = pending.filter(t => t.settle_at <= now);
+    if (due.length === 0) return failure('SETTLE', "着金時刻を過ぎた送金はありません。");
+
+    const newAccounts = state.accounts.map(acc => due
+        .filter(t => t.to === acc.id)
+        .reduce((updated, t) => adjustBalance(updated, t.currency, t.amountMinor), acc));
+
+    return success('SETTLE', { accounts: newAccounts, pending_transfers: pending.filter(t => t.settle_at > now) },
+        costOf('SETTLE', state, context),
+        `[AUDIT/SETTLE]: 遅延していた送金が着金しました。\n${due.map(t => `- ${t.id}: **${t.from}** → **${t.to}** ${formatAmount(state, t.currency, t.amountMinor)} ${t.currency}`).join('\n')}`,
+        'audit-message', { transfer_ids: due.map(t => t.id) });
+}
+
+// ====================================================================
+// TRANSACTIONS (複数作為の一括適用)
+// ====================================================================
+
+/**
+ * トランザクションの leg として指定できる作為。HALT / RESTART は含められない。
+ * MINT を含むトランザクションは全体が二者承認の対象となり、承認 (context.approval) は各 leg に引き継がれる。
+ */
+const TRANSACTION_ACTS = {
+    TRANSFER: transfer,
+    MINT: mint,
+    EXCHANGE: exchange,
+    CREATE_ACCOUNT: createAccount,
+    SET_RATE: setRate,
+    REGISTER_CURRENCY: registerCurrency,
+    ADJUST_SUPPLY: adjustSupply,
+};
+
+/**
+ * 複数の作為 (leg) をまとめて検証し、すべて成立する場合にのみ合成した結果を返します (all or none)。
+ * 各 leg は直前までの leg を適用した状態に対して validateAct を含む通常の検証を受けるため、
+ * 「交換 → 交換で得た通貨の送金」のような連続した作為も記述できる。
+ * @param {object} params - { batch_id?, legs: [{ act, params }] }
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - 各作為に渡す追加の検証情報。
+ */
+export function transaction({ batch_id, legs } = {}, state, context = {}) {
+    if (!Array.isArray(legs) || legs.length === 0) return failure('TRANSACTION', "トランザクションに作為 (legs) がありません。");
+    // 含められない作為 (HALT など) は二者承認の判定より先に拒否する
+    const unsupported = legs.findIndex(leg => !TRANSACTION_ACTS[leg.act]);
+    if (unsupported >= 0) return failure('TRANSACTION', `leg ${unsupported + 1}: トランザクションに含められない作為です: ${escapeHtml(legs[unsupported].act)}`);
+
+    const denied = denyUnauthorized('TRANSACTION', state, context, { legs });
+    if (denied) return denied;
+
+    let workingState = state;
+    let stateDelta = {};
+    let vibrationCost = 0;
+    const legResults = [];
+
+    for (const [index, leg] of legs.entries()) {
+        const legResult = TRANSACTION_ACTS[leg.act](leg.params || {}, workingState, context);
+        if (!legResult.ok) return failure('TRANSACTION', `leg ${index + 1} (${leg.act}): ${legResult.error}`, legResult.details);
+
+        workingState = { ...workingState, ...legResult.stateDelta };
+        stateDelta = { ...stateDelta, ...legResult.stateDelta };
+        vibrationCost += legResult.vibrationCost;
+        legResults.push({ act: leg.act, message: legResult.message, details: legResult.details });
+    }
+
+    const label = batch_id ? ` **${batch_id}**` : '';
+    return success('TRANSACTION', stateDelta, vibrationCost,
+        `[AUDIT/TRANSACTION]:${label} ${legs.length} 件の作為を一括で実行しました。\n${legResults.map(r => `- ${r.message}`).join('\n')}`,
+        'audit-message', { batch_id: batch_id || null, legs: legResults });
+}
+
+/**
+ * 一括作為 (バッチ) のJSONを解析します。
+ * 形式:
+ * {
+ *   "batch_id": "SETTLEMENT-001",          // 任意
+ *   "description": "月次決済",              // 任意
+ *   "reason": "月次決済の補填",             // MINT を含む場合は必須 (二者承認の提案の理由)
+ *   "legs": [
+ *     { "act": "EXCHANGE", "params": { "account": "CORE_BANK_A", "amount": 10, "fromCurrency": "ALPHA", "toCurrency": "BETA" } },
+ *     { "act": "TRANSFER", "params": { "from": "CORE_BANK_A", "to": "USER_AUDIT_B", "amount": 100, "currency": "BETA" } }
+ *   ]
+ * }
+ * @param {string|object} rawJson - JSON文字列または解析済みオブジェクト。
+ * @returns {{batch: object}|{error: string}}
+ */
+export function parseBatch(rawJson) {
+    let batch;
+    try {
+        batch = typeof rawJson === 'string' ? JSON.parse(rawJson) : rawJson;
+    } catch (e) {
+        return { error: `無効なJSONです。${e.message}` };
+    }
+
+    if (!batch || !Array.isArray(batch.legs)) return { error: "バッチには legs 配列が必要です。" };
+    for (const [index, leg] of batch.legs.entries()) {
+        if (!leg || typeof leg.act !== 'string') return { error: `leg ${index + 1} に act がありません。` };
+        if (leg.params !== undefined && (typeof leg.params !== 'object' || leg.params === null)) {
+            return { error: `leg ${index + 1} の params はオブジェクトである必要があります。` };
+        }
+    }
+    return { batch };
+}
+
+// ====================================================================
+// APPROVAL WORKFLOW (重大な作為の二者承認)
+// ====================================================================
+
+/** 二者承認の対象となる作為関数。 */
+const APPROVAL_ACTS = {
+    HALT: forcedHalt,
+    MINT: mint,
+    RESTART: restart,
+    RESTORE: restoreSnapshot,
+    TRANSACTION: transaction,
+};
+
+/**
+ * 重大な作為の提案 (Propose) の結果を計算します。
+ * 提案時点で作為を試行 (dry run) し、現在の状態で成立しない作為は提案できない。
+ * @param {object} params - { actType: 'HALT'|'MINT'|'RESTART'|'RESTORE'|'TRANSACTION', params, reason }
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - { actor, permissions, now, approvalPolicy } と作為の検証情報。
+ */
+export function proposeAct({ actType, params = {}, reason } = {}, state, context = {}) {
+    const policy = context.approvalPolicy || DEFAULT_APPROVAL_POLICY;
+    if (!requiresApproval(actType, params)) return failure('PROPOSE', `${actType} は提案の対象ではありません。`);
+    const denied = checkPermission(actType, context);
+    if (denied) return unauthorized('PROPOSE', denied);
+    if (!reason || String(reason).trim().length < policy.min_reason_length) {
+        return failure('PROPOSE', `提案には ${policy.min_reason_length} 文字以上の理由が必要です。`);
+    }
+
+    const proposer = context.actor.userId;
+    const trial = APPROVAL_ACTS[actType](params, state, { ...context, approval: { proposer, dry_run: true } });
+    if (!trial.ok) return failure('PROPOSE', `${actType} は現在の状態では成立しません: ${trial.error}`);
+
+    const now = context.now ?? Date.now();
+    const seq = (state.proposal_seq || 0) + 1;
+    const proposal = {
+        id: `P${seq}`,
+        actType,
+        params,
+        reason: String(reason).trim(),
+        proposer,
+        proposed_at: now,
+        expires_at: now + policy.window_ms,
+        status: PROPOSAL_STATUS.PENDING,
+        approver: null,
+        decided_at: null,
+        decision_note: null,
+    };
+
+    return success('PROPOSE', { proposals: [...getProposals(state), proposal], proposal_seq: seq }, costOf('PROPOSE', state, context),
+        `[AUDIT/PROPOSE]: **${proposer}** が ${actType} を提案しました (提案 **${proposal.id}**、理由: ${escapeHtml(proposal.reason)})。` +
+        `別の利用者による ${Math.round(policy.window_ms / 60000)} 分以内の承認が必要です。`,
+        'system-message', { proposal });
+}
+
+/**
+ * 提案の承認 (Approve) の結果を計算します。承認された作為はこの結果に含めて実行される。
+ * 結果の actType は承認された作為 (HALT / MINT / RESTART / RESTORE / TRANSACTION) となり、details.approval に提案者と承認者が記録される。
+ * @param {object} params - { id }
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - { actor, permissions, now, approvalPolicy } と作為の検証情報。
+ */
+export function approveProposal({ id } = {}, state, context = {}) {
+    const policy = context.approvalPolicy || DEFAULT_APPROVAL_POLICY;
+    const proposal = findProposal(state, id);
+    if (!proposal || proposal.status !== PROPOSAL_STATUS.PENDING) return failure('APPROVE', `承認待ちの提案 ${id} が存在しません。`);
+
+    const denied = checkPermission(proposal.actType, context);
+    if (denied) return unauthorized('APPROVE', denied);
+    const now = context.now ?? Date.now();
+    if (now > proposal.expires_at) return failure('APPROVE', `提案 ${id} は有効期限を過ぎています。`);
+
+    const approval = { proposal_id: proposal.id, proposer: proposal.proposer, approver: context.actor.userId, reason: proposal.reason };
+    const result = APPROVAL_ACTS[proposal.actType](proposal.params, state, { ...context, approval });
+    if (!result.ok) return failure('APPROVE', `提案 ${id} (${proposal.actType}): ${result.error}`, result.details);
+
+    const proposals = settleProposals(getProposals(state), [proposal.id],
+        { status: PROPOSAL_STATUS.APPROVED, approver: approval.approver, decided_at: now }, policy);
+    return success(result.actType, { ...result.stateDelta, proposals }, result.vibrationCost,
+        `${result.message}\n[AUDIT/APPROVAL]: 提案 **${proposal.id}** (提案者 ${approval.proposer} / 承認者 ${approval.approver} / 理由: ${escapeHtml(approval.reason)})`,
+        result.logClass, { ...result.details, approval });
+}
+
+/**
+ * 提案の却下 (Reject) の結果を計算します。提案者自身による取り下げも却下として扱う。
+ * @param {object} params - { id, reason }
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - { actor, permissions, now, approvalPolicy }
+ */
+export function rejectProposal({ id, reason } = {}, state, context = {}) {
+    const proposal = findProposal(state, id);
+    if (!proposal || proposal.status !== PROPOSAL_STATUS.PENDING) return failure('REJECT', `承認待ちの提案 ${id} が存在しません。`);
+    const denied = checkPermission(proposal.actType, context);
+    if (denied) return unauthorized('REJECT', denied);
+
+    const rejecter = context.actor.userId;
+    const proposals = settleProposals(getProposals(state), [proposal.id], {
+        status: PROPOSAL_STATUS.REJECTED,
+        approver: rejecter,
+        decided_at: context.now ?? Date.now(),
+        decision_note: reason || null,
+    }, context.approvalPolicy || DEFAULT_APPROVAL_POLICY);
+
+    const reasonText = reason ? ` 理由: ${escapeHtml(reason)}` : '';
+    return success('REJECT', { proposals }, costOf('REJECT', state, context),
+        `[AUDIT/REJECT]: **${rejecter}** が提案 **${proposal.id}** (${proposal.actType}、提案者 ${proposal.proposer}) を却下しました。${reasonText}`,
+        'system-message', { proposal_id: proposal.id, proposer: proposal.proposer, rejecter });
+}
+
+/**
+ * 有効期限を過ぎた提案の失効 (Expire) の結果を計算します。失効対象がなければ不成立となる。
+ * @param {object} params - (現在は未使用)
+ * @param {object} state - 現在のシステム状態。
+ * @param {object} [context] - { now, approvalPolicy }
+ */
+export function expireProposals(params = {}, state, context = {}) {
+    const now = context.now ?? Date.now();
+    const expired = findExpiredProposals(state, now);
+    if (expired.length === 0) return failure('EXPIRE', "失効対象の提案はありません。");
+
+    const ids = expired.map(p => p.id);
+    const proposals = settleProposals(getProposals(state), ids,
+        { status: PROPOSAL_STATUS.EXPIRED, decided_at: now }, context.approvalPolicy || DEFAULT_APPROVAL_POLICY);
+    return success('EXPIRE', { proposals }, costOf('EXPIRE', state, context),
+        `[AUDIT/EXPIRE]: 承認されなかった提案 ${ids.join(', ')} が有効期限切れにより失効しました。`,
+        'system-message', { proposal_ids: ids });
+}
@@ -0,0 +1,149 @@
+// js/approval.js
+
+import { SYSTEM_ROLE, SYSTEM_ACTOR_PREFIX } from './permissions.js';
+
+/**
+ * 重大な作為 (HALT / MINT / RESTART / RESTORE、およびそれらを leg に含む TRANSACTION) の二者承認ワークフロー。
+ * DOM やバックエンドに依存しない純粋なモジュールで、act_logic.js の提案・承認・却下・失効の作為が使用する。
+ *
+ * 重大な作為は即時に実行されず、理由を添えた提案 (proposal) としてシステム状態の proposals に追加される。
+ * 提案者とは別の利用者が有効期限内に承認した場合にのみ作為が実行される。
+ * LILルールによる作為 (rule_id を持つ system ロールの作為者) も提案として作成される。ルールは1人の governor が
+ * 編集できるため、その提案者はルールセットの編集者 ("LIL:<userId>") とし、編集者自身は承認できない。
+ * 承認が不要なのは、ルールによらないシステム自身の作為 (サーキットブレーカー・定期処理・シミュレーション) のみである。
+ *
+ * 提案の構造:
+ * {
+ *   id: "P12",
+ *   actType: "MINT",
+ *   params: { to, amount, currency },
+ *   reason: string,
+ *   proposer: string,                 // 提案者の userId
+ *   proposed_at: number,
+ *   expires_at: number,
+ *   status: "PENDING" | "APPROVED" | "REJECTED" | "EXPIRED",
+ *   approver: string|null,            // 承認者 (APPROVED) または却下者 (REJECTED) の userId
+ *   decided_at: number|null,
+ *   decision_note: string|null        // 却下の理由など
+ * }
+ */
+
+/** 二者承認を必要とする作為。 */
+export const APPROVAL_REQUIRED_ACTS = ['HALT', 'MINT', 'RESTART', 'RESTORE'];
+
+/** 承認ポリシーの既定値。 */
+export const DEFAULT_APPROVAL_POLICY = {
+    window_ms: 15 * 60 * 1000, // 提案の有効期限 (15分)
+    history_limit: 20,         // 決着済みの提案を proposals に残す件数
+    min_reason_length: 4,      // 理由の最小文字数
+};
+
+export const PROPOSAL_STATUS = {
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+    EXPIRED: 'EXPIRED',
+};
+
+/** トランザクションの leg のうち、二者承認を必要とする作為種別を返します。 */
+export function criticalLegActs(legs) {
+    return (Array.isArray(legs) ? legs : []).map(leg => leg && leg.act).filter(act => APPROVAL_REQUIRED_ACTS.includes(act));
+}
+
+/**
+ * 作為種別が二者承認を必要とするか判定します。
+ * TRANSACTION は重大な作為 (MINT など) を leg に含む場合に承認が必要となり、承認は各 leg の作為にも適用される。
+ * @param {string} actType - 作為種別。
+ * @param {object} [params] - 作為のパラメータ (TRANSACTION の legs の判定に使用)。
+ */
+export function requiresApproval(actType, params = {}) {
+    if (actType === 'TRANSACTION') return criticalLegActs(params && params.legs).length > 0;
+    return APPROVAL_REQUIRED_ACTS.includes(actType);
+}
+
+/** 作為者が二者承認を免除されるか (LILルールによらない system ロールの作為者か) 判定します。 */
+export function isApprovalExempt(actor) {
+    return Boolean(actor && actor.role === SYSTEM_ROLE && !actor.rule_id);
+}
+
+/** 作為者による作為を即時実行せず、提案として作成すべきか判定します。 */
+export function requiresProposal(actType, actor, params = {}) {
+    return requiresApproval(actType, params) && !isApprovalExempt(actor);
+}
+
+/** 提案者・承認者の同一性の判定に使う利用者ID (LILルールの作為者はルールセットの編集者として扱う)。 */
+function personOf(userId) {
+    return String(userId).startsWith(SYSTEM_ACTOR_PREFIX) ? String(userId).slice(SYSTEM_ACTOR_PREFIX.length) : userId;
+}
+
+/**
+ * 作為が承認済みとして実行できるか検証します。
+ * @param {string} actType - 作為種別。
+ * @param {object} context - { actor, approval: { proposer, approver, dry_run } }
+ * @param {object} [params] - 作為のパラメータ (TRANSACTION の legs の判定に使用)。
+ * @returns {string|null} - 拒否の理由。実行できる場合は null。
+ */
+export function checkApproval(actType, { actor, approval } = {}, params = {}) {
+    if (!requiresApproval(actType, params)) return null;
+    if (isApprovalExempt(actor)) return null;
+    if (!approval) {
+        const subject = actType === 'TRANSACTION' ? `重大な作為 (${criticalLegActs(params.legs).join(', ')}) を含むトランザクション` : `${actType} は重大な作為`;
+        return `${subject}のため、提案と別の利用者による承認が必要です。`;
+    }
+    if (approval.dry_run) return null;
+    if (!approval.approver || approval.approver === approval.proposer) {
+        return "提案者自身は承認できません。別の利用者による承認が必要です。";
+    }
+    if (personOf(approval.approver) === personOf(approval.proposer)) {
+        return "LILルールによる提案は、ルールセットの編集者以外の利用者による承認が必要です。";
+    }
+    return null;
+}
+
+/** システム状態の提案一覧を返します。 */
+export function getProposals(state) {
+    return state.proposals || [];
+}
+
+/** 承認待ちの提案を返します。 */
+export function getPendingProposals(state) {
+    return getProposals(state).filter(p => p.status === PROPOSAL_STATUS.PENDING);
+}
+
+/**
+ * 提案者が入力した文字列 (理由・パラメータ) を、HTML として解釈されないようエスケープします。
+ * 提案の内容は承認者のコンソール (logToConsole は innerHTML で描画する) にも表示されるため、
+ * メッセージに埋め込む前に必ずこの関数を通す。
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/** 提案IDで提案を探します。 */
+export function findProposal(state, id) {
+    return getProposals(state).find(p => p.id === id);
+}
+
+/** 有効期限を過ぎた承認待ちの提案を返します。 */
+export function findExpiredProposals(state, now) {
+    return getPendingProposals(state).filter(p => now > p.expires_at);
+}
+
+/**
+ * 提案を決着させた新しい提案一覧を返します。決着済みの提案は history_limit 件まで保持する。
+ * @param {Array<object>} proposals - 現在の提案一覧。
+ * @param {Array<string>} ids - 決着させる提案ID。
+ * @param {object} decision - { status, approver, decided_at, decision_note }
+ * @param {object} [policy] - 承認ポリシー。
+ */
+export function settleProposals(proposals, ids, decision, policy = DEFAULT_APPROVAL_POLICY) {
+    const updated = proposals.map(p => ids.includes(p.id) ? { ...p, ...decision } : p);
+    const pending = updated.filter(p => p.status === PROPOSAL_STATUS.PENDING);
+    const settled = updated.filter(p => p.status !== PROPOSAL_STATUS.PENDING).slice(-policy.history_limit);
+    return updated.filter(p => pending.includes(p) || settled.includes(p));
+}
@@ -2,209 +2,351 @@
 
 import { 
     getCurrentState, 
-    saveSystemState, 
-    addVibration, 
-    VIBRATION_LIMIT,
-    logToConsole 
+    applyActResult,
+    isActBlockedByLIL,
+    getExchangeConfig,
+    getPermissions,
+    getVibrationPolicy,
+    getBreakerPolicy,
+    getInfrastructurePolicy,
+    getCurrentActor,
+    getClock,
+    logToConsole
 } from './core_logic.js';
-import { KNOWLEDGE } from './knowledge_base.js'; // 通貨定義などを参照
+import {
+    forcedHalt,
+    restart,
+    createAccount,
+    transfer,
+    mint,
+    exchange,
+    setRate,
+    registerCurrency,
+    transaction,
+    parseBatch,
+    proposeAct,
+    approveProposal,
+    rejectProposal
+} from './act_logic.js'; // DOMに依存しない作為の純粋ロジック
+import { findProposal, getPendingProposals, requiresProposal } from './approval.js';
+import { restoreContext } from './snapshot_acts.js';
+
+/**
+ * 各作為は act_logic.js の純粋関数に対する薄いアダプタである。
+ * 引数を省略した場合は audit_acts.html のフォームから値を取得し、
+ * LILルールやスクリプトからはパラメータを直接渡す。
+ * 戻り値は act_logic.js の作為結果 { ok, error, stateDelta, vibrationCost, ... }。
+ * 作為は成否にかかわらず core_logic.js の applyActResult を通じて監査台帳に記録される。
+ * 最後の引数 actor を省略した場合は現在の利用者のロールで権限が検証される (LILルールは system ロールを渡す)。
+ * 重大な作為 (HALT / MINT / RESTART) は利用者・LILルールからの場合は即時実行されず、二者承認の提案となる (approval.js)。
+ */
+
+/** 作為の検証に渡す追加情報 (作為者と権限設定、LILによる作為抑制、交換設定、Vibration予算ポリシー、ブレーカーポリシー、インフラポリシー、時計の現在時刻)。 */
+const actContext = (actor) => ({
+    actor,
+    now: getClock().now(),
+    permissions: getPermissions(),
+    findBlockingRule: isActBlockedByLIL,
+    exchangeConfig: getExchangeConfig(),
+    vibrationPolicy: getVibrationPolicy(),
+    breakerPolicy: getBreakerPolicy(),
+    infrastructurePolicy: getInfrastructurePolicy(),
+});
+
+// ====================================================================
+// PREVIEW (作為を適用せずに結果を計算)
+// ====================================================================
+
+/** プレビューできる作為と、その純粋ロジック。 */
+const PREVIEW_ACTS = {
+    TRANSFER: transfer,
+    MINT: mint,
+    EXCHANGE: exchange,
+};
+
+/**
+ * 作為の結果を、状態を変更せずに計算します (logos_console.html の確認ステップで使用)。
+ * 重大な作為 (MINT) は承認後に実行される結果を計算し、details.proposal で提案となることを示す。
+ * @param {string} actType - 'TRANSFER' | 'MINT' | 'EXCHANGE'
+ * @param {object} params - 作為のパラメータ (MINT の reason は無視される)。
+ * @returns {object} - act_logic.js の作為結果。
+ */
+export function previewAct(actType, params, actor = getCurrentActor()) {
+    const proposal = requiresProposal(actType, actor);
+    const context = proposal
+        ? { ...actContext(actor), approval: { proposer: actor.userId, dry_run: true } }
+        : actContext(actor);
+    const { reason, ...actParams } = params;
+    const result = PREVIEW_ACTS[actType](actParams, getCurrentState(), context);
+    return { ...result, details: { ...result.details, proposal } };
+}
 
 // ====================================================================
 // CORE ACTS: システム制御 (HALT / RESTART)
 // ====================================================================
 
+/** DOMから重大な作為の理由を取得します。 */
+function readCriticalReason(inputId) {
+    return document.getElementById(inputId)?.value.trim();
+}
+
 /** * システムを強制停止 (HALT) させます。
+ * 承認を免除されたシステムの作為者 (approval.js の isApprovalExempt) の場合は即時実行し、
+ * それ以外 (利用者・LILルール) は提案を作成する。
+ * @param {object} [params]
+ * @param {string} [params.reason] - 強制停止の論理的理由 (提案の理由としても使用される)。
  */
-export async function actForcedHalt() {
-    const state = getCurrentState();
-    if (state.isHalted) {
-        logToConsole("[AUDIT/HALT]: 既にロゴス・コアは強制停止中です。", 'error-message');
-        return;
+export async function actForcedHalt(params = { reason: readCriticalReason('critical_reason') }, actor = getCurrentActor()) {
+    if (requiresProposal('HALT', actor)) {
+        return actProposeAct('HALT', { reason: params.reason }, params.reason, actor);
     }
-    await saveSystemState({ isHalted: true });
-    logToConsole("🛑 [SYSTEM ACT]: ロゴス・コアを強制停止しました。全作為は遮断されます。", 'audit-message');
-    await addVibration(5); // 重大な作為
+    return applyActResult(forcedHalt(params, getCurrentState(), actContext(actor)), params, actor);
 }
 
 /** * システムを再起動 (RESTART) させます。
+ * 承認を免除されたシステムの作為者の場合は即時実行し、それ以外は提案を作成する。
+ * @param {object} [params] - { reason } (提案の理由)
  */
-export async function actRestart() {
-    const state = getCurrentState();
-    if (!state.isHalted) {
-        logToConsole("[AUDIT/RESTART]: 既にロゴス・コアは稼働中です。", 'system-message');
-        return;
+export async function actRestart(params = { reason: readCriticalReason('critical_reason') }, actor = getCurrentActor()) {
+    if (requiresProposal('RESTART', actor)) {
+        return actProposeAct('RESTART', {}, params.reason, actor);
     }
-    await saveSystemState({ isHalted: false });
-    logToConsole("✅ [SYSTEM ACT]: ロゴス・コアを再起動しました。全作為が再開されます。", 'system-message');
-    await addVibration(5); // 重大な作為
+    return applyActResult(restart(params, getCurrentState(), actContext(actor)), params, actor);
 }
 
 // ====================================================================
 // CORE ACTS: アカウント管理
 // ====================================================================
 
+/** DOMからアカウント作成フォームの値を取得します (audit_acts.html のフォームIDに依存)。 */
+function readCreateAccountForm() {
+    return {
+        id: document.getElementById('new_account_id')?.value.trim(),
+        name: document.getElementById('new_account_name')?.value.trim(),
+    };
+}
+
 /** * 新しい監査対象アカウントを作成します。
+ * @param {object} [params] - { id, name }
  */
-export async function handleCreateAccountAct() {
-    const state = getCurrentState();
-    // DOMから値を取得 (audit_acts.html のフォームIDに依存)
-    const newId = document.getElementById('new_account_id')?.value.trim();
-    const newName = document.getElementById('new_account_name')?.value.trim();
-    
-    if (!newId || state.accounts.some(acc => acc.id === newId)) {
-        logToConsole("[ERROR]: アカウントIDが無効か、既に存在します。", 'error-message');
-        return;
-    }
-    
-    if (state.isHalted) {
-        logToConsole("🚨 ロゴス・コアが強制停止中のため、アカウント作成はできません。", 'error-message');
-        return;
+export async function handleCreateAccountAct(params = readCreateAccountForm(), actor = getCurrentActor()) {
+    return applyActResult(createAccount(params, getCurrentState(), actContext(actor)), params, actor);
+}
+
+// ====================================================================
+// CORE ACTS: 通貨関連 (経済作為)
+// ====================================================================
+
+/** DOMから送金フォームの値を取得します。 */
+function readTransferForm() {
+    return {
+        from: document.getElementById('transfer_sender')?.value.trim(),
+        to: document.getElementById('transfer_recipient')?.value.trim(),
+        amount: parseFloat(document.getElementById('transfer_amount')?.value),
+        currency: document.getElementById('transfer_currency')?.value,
+    };
+}
+
+/** * 1. 通貨送金作為 (Transfer Act)
+ * @param {object} [params] - { from, to, amount, currency }
+ */
+export async function actTransfer(params = readTransferForm(), actor = getCurrentActor()) {
+    return applyActResult(transfer(params, getCurrentState(), actContext(actor)), params, actor);
+}
+
+/** DOMから生成フォームの値を取得します。 */
+function readMintForm() {
+    return {
+        to: document.getElementById('mint_recipient')?.value.trim(),
+        amount: parseFloat(document.getElementById('mint_amount')?.value),
+        currency: document.getElementById('mint_currency')?.value,
+        reason: readCriticalReason('mint_reason'),
+    };
+}
+
+/** * 2. 通貨生成作為 (Mint Currency Act)
+ * 承認を免除されたシステムの作為者の場合は即時実行し、それ以外は提案を作成する。
+ * @param {object} [params] - { to, amount, currency, reason }
+ */
+export async function actMintCurrency(params = readMintForm(), actor = getCurrentActor()) {
+    const { reason, ...mintParams } = params;
+    if (requiresProposal('MINT', actor)) {
+        return actProposeAct('MINT', mintParams, reason, actor);
     }
+    return applyActResult(mint(mintParams, getCurrentState(), actContext(actor)), mintParams, actor);
+}
 
-    const newAccount = {
-        id: newId,
-        name: newName || `監査アカウント ${newId}`,
-        ALPHA: 0.00,
-        BETA: 0.00,
-        GAMMA: 0.00,
+/** DOMから交換フォームの値を取得します。 */
+function readExchangeForm() {
+    return {
+        account: document.getElementById('exchange_account_id')?.value.trim(),
+        amount: parseFloat(document.getElementById('exchange_amount')?.value),
+        fromCurrency: document.getElementById('exchange_from_currency')?.value,
+        toCurrency: document.getElementById('exchange_to_currency')?.value,
     };
+}
 
-    const newAccounts = [...state.accounts, newAccount];
-    await saveSystemState({ accounts: newAccounts });
-    logToConsole(`[AUDIT/CREATE]: 新しい監査対象アカウント **${newId} (${newName || 'N/A'})** を作成しました。`, 'audit-message');
-    await addVibration(1); // マイナーな作為
+/** * 3. 通貨交換作為 (Exchange Currency Act)
+ * @param {object} [params] - { account, amount, fromCurrency, toCurrency }
+ */
+export async function actExchangeCurrency(params = readExchangeForm(), actor = getCurrentActor()) {
+    return applyActResult(exchange(params, getCurrentState(), actContext(actor)), params, actor);
 }
 
 // ====================================================================
-// CORE ACTS: 通貨関連 (経済作為)
+// CORE ACTS: 為替レート制御
 // ====================================================================
 
-/**
- * 汎用的な作為前検証ロジック
- * @returns {object|null} - 検証された値またはエラーメッセージ
+/** * 4. 為替レート設定作為 (Set Rate Act)
+ * @param {object} params - { currency, rate } または { currency, factor }
  */
-function validateAct(senderId, recipientId, amount, currency, state, isMint = false) {
-    if (state.isHalted) return { error: "ロゴス・コアが強制停止中です。" };
-    if (state.vibration_level.value >= VIBRATION_LIMIT) return { error: "Vibrationが掌の縁を超過しました。" };
-    if (amount <= 0 || isNaN(amount)) return { error: "金額が無効です。" };
-    if (!KNOWLEDGE.DEFINITIONS.CURRENCIES.some(c => c.code === currency)) return { error: "無効な通貨です。" };
+export async function actSetRate(params, actor = getCurrentActor()) {
+    return applyActResult(setRate(params, getCurrentState(), actContext(actor)), params, actor);
+}
 
-    const sender = state.accounts.find(acc => acc.id === senderId);
-    const recipient = state.accounts.find(acc => acc.id === recipientId);
 
-    if (!isMint && !sender) return { error: `送金元アカウント ${senderId} が存在しません。` };
-    if (recipientId && !recipient) return { error: `送金先/生成先アカウント ${recipientId} が存在しません。` };
-    
-    if (!isMint && sender[currency] < amount) return { error: `${senderId} の ${currency} 残高が不足しています。` };
+/** DOMから通貨登録フォームの値を取得します。 */
+function readRegisterCurrencyForm() {
+    return {
+        code: document.getElementById('currency_code')?.value.trim(),
+        title: document.getElementById('currency_title')?.value.trim(),
+        purpose: document.getElementById('currency_purpose')?.value.trim(),
+        decimals: document.getElementById('currency_decimals')?.value,
+        initial_rate: parseFloat(document.getElementById('currency_initial_rate')?.value),
+        supply_cap: document.getElementById('currency_supply_cap')?.value,
+    };
+}
 
-    return { sender, recipient, amount, currency };
+/** * 通貨登録作為 (Register Currency Act)
+ * @param {object} [params] - { code, title, purpose, decimals, initial_rate, supply_cap }
+ */
+export async function actRegisterCurrency(params = readRegisterCurrencyForm(), actor = getCurrentActor()) {
+    return applyActResult(registerCurrency(params, getCurrentState(), actContext(actor)), params, actor);
 }
 
-/** * 1. 通貨送金作為 (Transfer Act)
+
+// ====================================================================
+// CORE ACTS: 一括作為 (Transaction / Batch)
+// ====================================================================
+
+/** * 5. 複数作為の一括実行 (Transaction Act)
+ * すべての leg が成立する場合にのみ、1回の書き込みでまとめて適用する。
+ * 重大な作為 (MINT) を leg に含むトランザクションは、reason を理由とする二者承認の提案となる。
+ * @param {object} params - { batch_id?, description?, reason?, legs: [{ act, params }] }
  */
-export async function actTransfer() {
-    // DOMから値を取得 (audit_acts.html のフォームIDに依存)
-    const senderId = document.getElementById('transfer_sender')?.value.trim();
-    const recipientId = document.getElementById('transfer_recipient')?.value.trim();
-    const amount = parseFloat(document.getElementById('transfer_amount')?.value);
-    const currency = document.getElementById('transfer_currency')?.value;
-    
-    const state = getCurrentState();
-    const validation = validateAct(senderId, recipientId, amount, currency, state);
-
-    if (validation.error) {
-        logToConsole(`[ERROR/TRANSFER]: ${validation.error}`, 'error-message');
-        return;
+export async function actTransaction(params, actor = getCurrentActor()) {
+    const { reason, ...transactionParams } = params;
+    if (requiresProposal('TRANSACTION', actor, transactionParams)) {
+        return actProposeAct('TRANSACTION', transactionParams, reason, actor);
     }
-    
-    // 作為（トランザクション）の実行
-    const newAccounts = state.accounts.map(acc => {
-        if (acc.id === senderId) {
-            return { ...acc, [currency]: acc[currency] - validation.amount };
-        }
-        if (acc.id === recipientId) {
-            return { ...acc, [currency]: (acc[currency] || 0) + validation.amount };
-        }
-        return acc;
-    });
-
-    await saveSystemState({ accounts: newAccounts });
-    logToConsole(`[AUDIT/TRANSFER]: **${senderId}** から **${recipientId}** へ ${validation.amount.toFixed(2)} ${currency} の作為が実行されました。`, 'audit-message');
-    await addVibration(2); // moderate act
+    return applyActResult(transaction(transactionParams, getCurrentState(), actContext(actor)), transactionParams, actor);
 }
 
-/** * 2. 通貨生成作為 (Mint Currency Act)
+/** DOMからバッチJSONを取得します。 */
+function readBatchForm() {
+    return document.getElementById('batch_json')?.value || '';
+}
+
+/** * 6. バッチJSONの提出 (Batch Act)
+ * @param {string} [rawJson] - act_logic.js の parseBatch が受け付ける形式のJSON。
  */
-export async function actMintCurrency() {
-    // DOMから値を取得
-    const recipientId = document.getElementById('mint_recipient')?.value.trim();
-    const amount = parseFloat(document.getElementById('mint_amount')?.value);
-    const currency = document.getElementById('mint_currency')?.value;
+export async function actSubmitBatch(rawJson = readBatchForm()) {
+    const { batch, error } = parseBatch(rawJson);
+    if (error) {
+        logToConsole(`[ERROR/BATCH]: ${error}`, 'error-message');
+        return null;
+    }
+    return actTransaction(batch);
+}
 
-    const state = getCurrentState();
-    // Mintではsenderはnull
-    const validation = validateAct(null, recipientId, amount, currency, state, true); 
+// ====================================================================
+// APPROVAL WORKFLOW (重大な作為の二者承認)
+// ====================================================================
 
-    if (validation.error) {
-        logToConsole(`[ERROR/MINT]: ${validation.error}`, 'error-message');
-        return;
-    }
-    
-    // 作為（通貨生成）の実行
-    const newAccounts = state.accounts.map(acc => {
-        if (acc.id === recipientId) {
-            return { ...acc, [currency]: (acc[currency] || 0) + validation.amount };
-        }
-        return acc;
-    });
+/** * 重大な作為 (HALT / MINT / RESTART / RESTORE、または MINT を含む TRANSACTION) を提案します。
+ * @param {string} actType - 'HALT' | 'MINT' | 'RESTART' | 'RESTORE' | 'TRANSACTION'
+ * @param {object} params - 承認後に作為へ渡すパラメータ。
+ * @param {string} reason - 提案の理由 (必須)。
+ */
+export async function actProposeAct(actType, params, reason, actor = getCurrentActor()) {
+    const proposalParams = { actType, params, reason };
+    return applyActResult(proposeAct(proposalParams, getCurrentState(), actContext(actor)), proposalParams, actor);
+}
 
-    await saveSystemState({ accounts: newAccounts });
-    logToConsole(`[AUDIT/MINT]: アカウント **${recipientId}** へ ${validation.amount.toFixed(2)} ${currency} が新しく**生成**されました。`, 'audit-message');
-    await addVibration(3); // major act (インフレリスク)
+/** * 提案を承認し、提案された作為を実行します。提案者とは別の利用者のみ承認できる。
+ * 監査台帳には提案された作為として、提案者・承認者・理由とともに記録される。
+ * @param {string} id - 提案ID。
+ */
+export async function actApproveProposal(id, actor = getCurrentActor()) {
+    const proposal = findProposal(getCurrentState(), id);
+    // RESTORE の提案はスナップショットを読み込み、提案時から内容が変わっていないかを検証する
+    const restore = proposal && proposal.actType === 'RESTORE' ? await restoreContext(proposal.params.snapshot_id) : {};
+    const ledgerParams = proposal
+        ? { ...proposal.params, proposal_id: id, proposer: proposal.proposer, approver: actor.userId, reason: proposal.reason }
+        : { proposal_id: id };
+    return applyActResult(approveProposal({ id }, getCurrentState(), { ...actContext(actor), ...restore }), ledgerParams, actor);
 }
 
-/** * 3. 通貨交換作為 (Exchange Currency Act)
+/** * 提案を却下します (提案者自身による取り下げを含む)。
+ * @param {string} id - 提案ID。
+ * @param {string} [reason] - 却下の理由。
  */
-export async function actExchangeCurrency() {
-    // DOMから値を取得
-    const accountId = document.getElementById('exchange_account_id')?.value.trim();
-    const amount = parseFloat(document.getElementById('exchange_amount')?.value);
-    const fromCurrency = document.getElementById('exchange_from_currency')?.value;
-    const toCurrency = document.getElementById('exchange_to_currency')?.value;
+export async function actRejectProposal(id, reason, actor = getCurrentActor()) {
+    const params = { id, reason };
+    return applyActResult(rejectProposal(params, getCurrentState(), actContext(actor)), params, actor);
+}
 
-    const state = getCurrentState();
-    // 交換は senderId = recipientId = accountId として扱える
-    const validation = validateAct(accountId, accountId, amount, fromCurrency, state); 
+/** 指定したタグ・クラス・テキストの要素を生成します (テキストは HTML として解釈しない)。 */
+function createTextElement(tag, className, text) {
+    const el = document.createElement(tag);
+    el.className = className;
+    el.textContent = text;
+    return el;
+}
 
-    if (validation.error) {
-        logToConsole(`[ERROR/EXCHANGE]: ${validation.error}`, 'error-message');
-        return;
-    }
+/**
+ * 承認待ちの提案一覧を描画します (audit_acts.html / logos_console.html で共有)。
+ * 提案のパラメータ・理由・提案者は提案者が自由に入力できるため、HTML として解釈させず textContent で描画する。
+ * 承認ボタンは actApproveProposal を、却下ボタンは理由を尋ねてから actRejectProposal を呼び出す。
+ * @param {object} state - 現在のシステム状態。
+ * @param {string} containerId - 描画先の要素ID。
+ */
+export function renderProposalQueue(state, containerId) {
+    const containerEl = document.getElementById(containerId);
+    if (!containerEl) return;
 
-    if (fromCurrency === toCurrency) {
-        logToConsole("[ERROR/EXCHANGE]: 交換元と交換先の通貨が同じです。", 'error-message');
+    const pending = getPendingProposals(state);
+    if (pending.length === 0) {
+        containerEl.innerHTML = '<p class="text-sm text-gray-500">承認待ちの提案はありません。</p>';
         return;
     }
-    
-    // 通貨レートの計算 (ロゴス監査プロトコル独自のレートを使用)
-    const rateFrom = state.currency_rates[fromCurrency];
-    const rateTo = state.currency_rates[toCurrency];
-    const rate = rateTo / rateFrom; // 例: ALPHA(1.0) -> BETA(10.0) の場合、rate=10.0/1.0=10
-    const receivedAmount = amount * rate;
-
-    // 作為（通貨交換）の実行
-    const newAccounts = state.accounts.map(acc => {
-        if (acc.id === accountId) {
-            return {
-                ...acc,
-                [fromCurrency]: acc[fromCurrency] - validation.amount,
-                [toCurrency]: (acc[toCurrency] || 0) + receivedAmount
-            };
-        }
-        return acc;
-    });
-
-    await saveSystemState({ accounts: newAccounts });
-    logToConsole(`[AUDIT/EXCHANGE]: **${accountId}** で ${validation.amount.toFixed(2)} ${fromCurrency} が ${receivedAmount.toFixed(2)} ${toCurrency} へ交換されました (レート ${rate.toFixed(4)})。`, 'audit-message');
-    await addVibration(1); // minor act
+
+    const now = getClock().now();
+    containerEl.replaceChildren(...pending.map(p => {
+        const remainingMin = Math.max(0, Math.ceil((p.expires_at - now) / 60000));
+        const paramsText = Object.keys(p.params).length > 0 ? JSON.stringify(p.params) : '';
+
+        const header = createTextElement('div', 'flex justify-between', '');
+        header.append(
+            createTextElement('span', 'font-bold text-orange-300', `${p.id}: ${p.actType}`),
+            createTextElement('span', 'text-xs text-gray-500', `残り ${remainingMin} 分`),
+        );
+
+        const approveBtn = createTextElement('button', 'flex-1 p-1 bg-green-700 hover:bg-green-800 rounded font-bold', '承認');
+        approveBtn.addEventListener('click', () => actApproveProposal(p.id));
+        const rejectBtn = createTextElement('button', 'flex-1 p-1 bg-red-700 hover:bg-red-800 rounded font-bold', '却下');
+        rejectBtn.addEventListener('click', () => actRejectProposal(p.id, prompt(`提案 ${p.id} を却下する理由 (任意)`) || undefined));
+        const buttons = createTextElement('div', 'flex space-x-2 mt-2', '');
+        buttons.append(approveBtn, rejectBtn);
+
+        const card = createTextElement('div', 'p-3 rounded-lg bg-gray-900 border border-gray-700 text-sm', '');
+        card.append(
+            header,
+            createTextElement('p', 'text-xs font-mono text-gray-400', paramsText),
+            createTextElement('p', 'text-gray-300', `理由: ${p.reason}`),
+            createTextElement('p', 'text-xs text-gray-500', `提案者: ${p.proposer}`),
+            buttons,
+        );
+        return card;
+    }));
 }
@@ -0,0 +1,234 @@
+// js/audit_ledger.js
+
+/**
+ * 監査台帳 (Audit Ledger) の純粋ロジック。
+ * すべての作為はここで組み立てたエントリとして永続化バックエンドに追記される (追記のみ・更新/削除なし)。
+ *
+ * エントリの構造:
+ * {
+ *   seq: number,              // 台帳内の通し番号 (追記時に付与)
+ *   timestamp: number,        // 作為の実行時刻 (ms)
+ *   actor: string,            // 作為を実行した userId
+ *   actType: string,          // 'TRANSFER' | 'MINT' | 'EXCHANGE' | 'HALT' | ...
+ *   params: object,           // 作為に渡されたパラメータ
+ *   vibrationCost: number,    // 加算されたVibration
+ *   result: { ok, error, details },
+ *   before: object|null,      // 影響を受けた状態の作為前スナップショット
+ *   after: object|null,       // 影響を受けた状態の作為後スナップショット
+ *   balance_unit: string,     // スナップショット内の残高の単位 ('minor' = 最小単位の整数。旧エントリには存在しない)
+ *   prev_hash: string,        // 直前のエントリの hash (先頭エントリは GENESIS_HASH)
+ *   hash: string              // hash を除くエントリ内容の SHA-256 (16進)
+ * }
+ *
+ * hash は直前のエントリの hash を含めて計算されるため、途中のエントリを書き換えると以降の連鎖がすべて壊れる。
+ */
+
+/** 先頭エントリの prev_hash。 */
+export const GENESIS_HASH = '0'.repeat(64);
+
+// ====================================================================
+// ENTRY CONSTRUCTION
+// ====================================================================
+
+/**
+ * stateDelta によって影響を受けた部分だけを作為前後の状態から抜き出します。
+ * accounts は変更・追加・削除されたアカウントのみ (削除されたアカウントは before にのみ現れる)、その他のキーは値全体を記録する。
+ * @param {object} beforeState - 作為前のシステム状態。
+ * @param {object} stateDelta - 作為が保存した部分状態。
+ * @returns {{before: object, after: object}}
+ */
+export function extractAffectedState(beforeState, stateDelta) {
+    const before = {};
+    const after = {};
+
+    for (const key of Object.keys(stateDelta)) {
+        if (key === 'accounts') {
+            const oldById = new Map((beforeState.accounts || []).map(acc => [acc.id, acc]));
+            const changed = stateDelta.accounts.filter(acc => JSON.stringify(oldById.get(acc.id)) !== JSON.stringify(acc));
+            const keptIds = new Set(stateDelta.accounts.map(acc => acc.id));
+            const removed = (beforeState.accounts || []).filter(acc => !keptIds.has(acc.id));
+            before.accounts = [...changed.map(acc => oldById.get(acc.id) || null).filter(Boolean), ...removed];
+            after.accounts = changed;
+        } else {
+            before[key] = beforeState[key] === undefined ? null : beforeState[key];
+            after[key] = stateDelta[key];
+        }
+    }
+    return { before, after };
+}
+
+/**
+ * 作為結果から台帳エントリを組み立てます (seq / prev_hash / hash はバックエンドへの追記時に付与される)。
+ * @param {object} args
+ * @param {object} args.result - act_logic.js の作為結果。
+ * @param {object} args.params - 作為に渡されたパラメータ。
+ * @param {string} args.actor - 作為を実行した userId。
+ * @param {number} args.timestamp - 実行時刻 (ms)。
+ * @param {object} args.beforeState - 作為前のシステム状態。
+ * @param {string} [args.balanceUnit] - 残高の単位 (currency_registry.js の BALANCE_UNIT)。
+ * @returns {object} - 台帳エントリ。
+ */
+export function buildLedgerEntry({ result, params, actor, timestamp, beforeState, balanceUnit }) {
+    const affected = result.ok ? extractAffectedState(beforeState, result.stateDelta) : { before: null, after: null };
+    return {
+        timestamp,
+        actor,
+        actType: result.actType,
+        // undefined を含むパラメータは保存・ハッシュ計算の前に取り除く
+        params: JSON.parse(JSON.stringify(params || {})),
+        vibrationCost: result.ok ? result.vibrationCost : 0,
+        result: { ok: result.ok, error: result.error, details: result.details || {} },
+        before: affected.before,
+        after: affected.after,
+        balance_unit: balanceUnit,
+    };
+}
+
+// ====================================================================
+// HASH CHAIN (改竄検知)
+// ====================================================================
+
+/**
+ * キーを辞書順に並べた正規化JSONを生成します (ハッシュ計算の入力を一意にするため)。
+ */
+export function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * 文字列の SHA-256 を16進文字列で返します。
+ * Web Crypto (ブラウザ / Node 19+) を優先し、利用できない場合は Node の crypto モジュールを使用する。
+ */
+export async function sha256Hex(text) {
+    if (globalThis.crypto && globalThis.crypto.subtle) {
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    const { createHash } = await import('node:crypto');
+    return createHash('sha256').update(text).digest('hex');
+}
+
+/** hash フィールドを除いたエントリ内容のハッシュを計算します。 */
+export async function computeEntryHash(entry) {
+    const { hash, ...content } = entry;
+    return sha256Hex(canonicalJSON(content));
+}
+
+/**
+ * 直前のエントリに連結して、エントリに seq / prev_hash / hash を付与します。
+ * (storage_adapters.js の appendLedgerEntry から呼び出される)
+ * @param {object} entry - buildLedgerEntry で組み立てたエントリ。
+ * @param {object|null} previous - 直前のエントリ (先頭の場合は null)。
+ * @returns {Promise<object>} - 封印されたエントリ。
+ */
+export async function sealLedgerEntry(entry, previous) {
+    const sealed = {
+        ...entry,
+        seq: previous ? previous.seq + 1 : 0,
+        prev_hash: previous ? previous.hash : GENESIS_HASH,
+    };
+    sealed.hash = await computeEntryHash(sealed);
+    return sealed;
+}
+
+/**
+ * 台帳のハッシュ連鎖を先頭から検証し、最初に壊れているリンクを報告します。
+ * @param {Array<object>} entries - seq 昇順の台帳エントリ。
+ * @returns {Promise<{ok: boolean, checked: number, brokenAt: number|null, reason: string|null}>}
+ */
+export async function verifyLedgerChain(entries) {
+    let previous = null;
+    for (const entry of entries) {
+        const expectedSeq = previous ? previous.seq + 1 : 0;
+        const expectedPrev = previous ? previous.hash : GENESIS_HASH;
+        const broken = (reason) => ({ ok: false, checked: expectedSeq, brokenAt: entry.seq, reason });
+
+        if (entry.seq !== expectedSeq) return broken(`seq が連続していません (期待値 ${expectedSeq})。`);
+        if (entry.prev_hash !== expectedPrev) return broken("prev_hash が直前のエントリの hash と一致しません。");
+        if (entry.hash !== await computeEntryHash(entry)) return broken("エントリ内容が hash と一致しません (改竄の可能性)。");
+
+        previous = entry;
+    }
+    return { ok: true, checked: entries.length, brokenAt: null, reason: null };
+}
+
+/**
+ * 先頭 (genesis) のアカウント状態から台帳の作為を順に再生し、アカウント残高を再構成します。
+ * 各エントリの作為前スナップショットが再生中の状態と一致しない場合、台帳外での状態変更として報告する。
+ * 作為前にのみ現れるアカウントは、その作為 (スナップショットへの復元など) で削除されたものとして取り除く。
+ * @param {Array<object>} entries - seq 昇順の台帳エントリ。
+ * @param {Array<object>} genesisAccounts - 台帳開始時点のアカウント配列。
+ * @param {function} [normalizeAccount] - 比較前にアカウントの形式を揃える関数 (account, entry) => account。
+ *        旧形式のスナップショットの変換に使用する (genesis のアカウントには entry = null が渡される)。
+ * @returns {{accounts: Array<object>, divergences: Array<{seq: number, accountId: string}>}}
+ */
+export function replayLedgerAccounts(entries, genesisAccounts, normalizeAccount = (acc) => acc) {
+    const accounts = new Map(genesisAccounts.map(acc => [acc.id, normalizeAccount(acc, null)]));
+    const divergences = [];
+
+    for (const entry of entries) {
+        if (!entry.result.ok || !entry.after || !entry.after.accounts) continue;
+
+        (entry.before.accounts || []).forEach(beforeAcc => {
+            if (canonicalJSON(accounts.get(beforeAcc.id)) !== canonicalJSON(normalizeAccount(beforeAcc, entry))) {
+                divergences.push({ seq: entry.seq, accountId: beforeAcc.id });
+            }
+        });
+        const afterIds = new Set(entry.after.accounts.map(acc => acc.id));
+        (entry.before.accounts || []).filter(acc => !afterIds.has(acc.id)).forEach(acc => accounts.delete(acc.id));
+        entry.after.accounts.forEach(acc => accounts.set(acc.id, normalizeAccount(acc, entry)));
+    }
+    return { accounts: [...accounts.values()], divergences };
+}
+
+/**
+ * 再生したアカウント残高と現在のアカウント残高を比較し、一致しないアカウントIDを返します。
+ * @param {Array<object>} replayedAccounts - replayLedgerAccounts の結果。
+ * @param {Array<object>} currentAccounts - 現在のシステム状態のアカウント。
+ * @returns {Array<string>} - 不一致のアカウントID。
+ */
+export function diffAccounts(replayedAccounts, currentAccounts) {
+    const replayed = new Map(replayedAccounts.map(acc => [acc.id, acc]));
+    const current = new Map(currentAccounts.map(acc => [acc.id, acc]));
+    const ids = new Set([...replayed.keys(), ...current.keys()]);
+    return [...ids].filter(id => canonicalJSON(replayed.get(id)) !== canonicalJSON(current.get(id)));
+}
+
+// ====================================================================
+// QUERY
+// ====================================================================
+
+/**
+ * エントリが指定アカウントに関係するかを判定します (パラメータまたは前後スナップショットに現れる場合)。
+ */
+export function entryInvolvesAccount(entry, accountId) {
+    const inSnapshot = (snapshot) => !!snapshot && (snapshot.accounts || []).some(acc => acc.id === accountId);
+    const inParams = Object.values(entry.params || {}).some(value => value === accountId);
+    return inParams || inSnapshot(entry.before) || inSnapshot(entry.after);
+}
+
+/**
+ * 台帳エントリを条件で絞り込みます。
+ * @param {Array<object>} entries - 台帳エントリ。
+ * @param {object} [filter]
+ * @param {string} [filter.accountId] - 関係するアカウントID。
+ * @param {string} [filter.actType] - 作為種別。
+ * @param {number} [filter.from] - この時刻 (ms) 以降。
+ * @param {number} [filter.to] - この時刻 (ms) 以前。
+ * @returns {Array<object>}
+ */
+export function filterLedgerEntries(entries, { accountId, actType, from, to } = {}) {
+    return entries.filter(entry =>
+        (!accountId || entryInvolvesAccount(entry, accountId)) &&
+        (!actType || entry.actType === actType) &&
+        (from === undefined || from === null || entry.timestamp >= from) &&
+        (to === undefined || to === null || entry.timestamp <= to)
+    );
+}
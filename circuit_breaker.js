@@ -0,0 +1,179 @@
+// js/circuit_breaker.js
+
+/**
+ * 自動強制停止と復旧のサーキットブレーカー。
+ * DOM やバックエンドに依存しない純粋なモジュールで、core_logic.js のタイマーが遷移を判定し、
+ * act_logic.js の breakerTransition が遷移を作為結果として計算する。
+ *
+ * 状態遷移:
+ *   OPERATIONAL --(Vibrationが閾値以上の状態が sustain_s 秒継続 / 失敗作為の集中)--> HALTED
+ *   HALTED      --(Vibrationが recover_below 未満に減衰)--> PROBATION (半開状態: 作為は再開される)
+ *   PROBATION   --(probation_s 秒間、閾値超過も失敗作為もない)--> OPERATIONAL
+ *   PROBATION   --(Vibrationが閾値以上 / 失敗作為)--> HALTED
+ *
+ * ブレーカーの状態はシステム状態の circuit_breaker に保存される:
+ * {
+ *   status: "OPERATIONAL" | "HALTED" | "PROBATION",
+ *   since: number,                 // 現在の状態に遷移した時刻
+ *   cause: string|null,            // 遷移の原因
+ *   history: [{ from, to, cause, at }]
+ * }
+ * 手動の HALT 作為による停止はブレーカーの状態を変更せず、自動復旧の対象にならない。
+ *
+ * Vibrationの閾値超過の継続時間と失敗作為の時刻は、各クライアントが観測値 (tracker) として保持する:
+ * { over_since: number|null, failures: [timestamp] }
+ * 権限・二者承認による拒否と書き込みの競合 (act_logic.js の FAILURE_KINDS) は失敗作為として数えない。
+ */
+
+export const BREAKER_STATUS = {
+    OPERATIONAL: 'OPERATIONAL',
+    HALTED: 'HALTED',
+    PROBATION: 'PROBATION',
+};
+
+/** 既定のブレーカーポリシー。system_config/circuit_breaker で上書きできる。 */
+export const DEFAULT_BREAKER_POLICY = {
+    vibration_threshold: 90, // 停止の判定に使うVibrationの閾値
+    sustain_s: 10,           // 閾値以上の状態がこの秒数継続したら停止する
+    failure_burst: 5,        // failure_window_s 秒以内にこの件数の作為が失敗したら停止する
+    failure_window_s: 30,
+    recover_below: 50,       // Vibrationがこの値未満に減衰したら PROBATION へ移行する
+    probation_s: 30,         // PROBATION がこの秒数問題なく経過したら OPERATIONAL へ戻る
+    history_limit: 20,       // circuit_breaker.history に残す遷移の件数
+};
+
+/** ブレーカーの初期状態を返します。 */
+export function initialBreakerState(now = Date.now()) {
+    return { status: BREAKER_STATUS.OPERATIONAL, since: now, cause: null, history: [] };
+}
+
+/** システム状態のブレーカーの状態を返します (未設定の場合は OPERATIONAL)。 */
+export function getBreaker(state) {
+    return state.circuit_breaker || initialBreakerState(0);
+}
+
+/**
+ * 画面表示用の状態を返します。手動の HALT による停止も HALTED として扱う。
+ * @returns {string} - 'HALTED' | 'PROBATION' | 'OPERATIONAL'
+ */
+export function displayStatus(state) {
+    if (state.isHalted) return BREAKER_STATUS.HALTED;
+    return getBreaker(state).status === BREAKER_STATUS.PROBATION ? BREAKER_STATUS.PROBATION : BREAKER_STATUS.OPERATIONAL;
+}
+
+// ====================================================================
+// OBSERVATIONS (各クライアントの観測値)
+// ====================================================================
+
+/** 空の観測値を返します。 */
+export function createTracker() {
+    return { over_since: null, failures: [] };
+}
+
+/**
+ * Vibrationの観測を反映した観測値を返します。閾値以上になった時刻を over_since に保持する。
+ * @param {object} tracker - 観測値。
+ * @param {number} value - 現在のVibration値。
+ * @param {number} now - 観測時刻。
+ * @param {object} [policy] - ブレーカーポリシー。
+ */
+export function observeVibration(tracker, value, now, policy = DEFAULT_BREAKER_POLICY) {
+    if (value < policy.vibration_threshold) return tracker.over_since === null ? tracker : { ...tracker, over_since: null };
+    return tracker.over_since === null ? { ...tracker, over_since: now } : tracker;
+}
+
+/** 失敗した作為の時刻を記録した観測値を返します (failure_window_s より古い記録は破棄する)。 */
+export function recordFailure(tracker, now, policy = DEFAULT_BREAKER_POLICY) {
+    const windowStart = now - policy.failure_window_s * 1000;
+    return { ...tracker, failures: [...tracker.failures.filter(t => t >= windowStart), now] };
+}
+
+// ====================================================================
+// EVALUATION
+// ====================================================================
+
+/**
+ * 現在の状態と観測値から、ブレーカーが遷移すべき状態を判定します。
+ * @param {object} state - システム状態。
+ * @param {object} tracker - 観測値 { over_since, failures }。
+ * @param {number} now - 判定時刻。
+ * @param {object} [policy] - ブレーカーポリシー。
+ * @returns {{to: string, cause: string}|null} - 遷移先と原因。遷移しない場合は null。
+ */
+export function evaluateBreaker(state, tracker, now, policy = DEFAULT_BREAKER_POLICY) {
+    const breaker = getBreaker(state);
+    const vibration = state.vibration_level.value;
+    const windowStart = now - policy.failure_window_s * 1000;
+    const recentFailures = tracker.failures.filter(t => t >= windowStart);
+
+    switch (breaker.status) {
+        case BREAKER_STATUS.OPERATIONAL: {
+            if (state.isHalted) return null; // 手動の HALT による停止中は判定しない
+            if (tracker.over_since !== null && now - tracker.over_since >= policy.sustain_s * 1000) {
+                return {
+                    to: BREAKER_STATUS.HALTED,
+                    cause: `Vibrationが ${policy.vibration_threshold} 以上の状態で ${policy.sustain_s} 秒継続しました (現在 ${vibration.toFixed(2)})。`,
+                };
+            }
+            if (recentFailures.length >= policy.failure_burst) {
+                return {
+                    to: BREAKER_STATUS.HALTED,
+                    cause: `${policy.failure_window_s} 秒以内に ${recentFailures.length} 件の作為が失敗しました。`,
+                };
+            }
+            return null;
+        }
+        case BREAKER_STATUS.HALTED: {
+            if (!state.isHalted) return null; // RESTART 作為による復旧は breakerTransition 以外で記録される
+            if (vibration < policy.recover_below) {
+                return {
+                    to: BREAKER_STATUS.PROBATION,
+                    cause: `Vibrationが ${policy.recover_below} 未満に減衰しました (現在 ${vibration.toFixed(2)})。試験運用を開始します。`,
+                };
+            }
+            return null;
+        }
+        case BREAKER_STATUS.PROBATION: {
+            if (vibration >= policy.vibration_threshold) {
+                return {
+                    to: BREAKER_STATUS.HALTED,
+                    cause: `試験運用中にVibrationが ${policy.vibration_threshold} 以上に上昇しました (現在 ${vibration.toFixed(2)})。`,
+                };
+            }
+            const probationFailures = recentFailures.filter(t => t >= breaker.since);
+            if (probationFailures.length > 0) {
+                return {
+                    to: BREAKER_STATUS.HALTED,
+                    cause: `試験運用中に ${probationFailures.length} 件の作為が失敗しました。`,
+                };
+            }
+            if (now - breaker.since >= policy.probation_s * 1000) {
+                return {
+                    to: BREAKER_STATUS.OPERATIONAL,
+                    cause: `試験運用の ${policy.probation_s} 秒間、異常は観測されませんでした。`,
+                };
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * 遷移を反映したブレーカーの状態を返します。遷移は history_limit 件まで history に保持する。
+ * @param {object} breaker - 現在のブレーカーの状態。
+ * @param {string} to - 遷移先。
+ * @param {string} cause - 遷移の原因。
+ * @param {number} now - 遷移時刻。
+ * @param {object} [policy] - ブレーカーポリシー。
+ */
+export function transitionBreaker(breaker, to, cause, now, policy = DEFAULT_BREAKER_POLICY) {
+    const entry = { from: breaker.status, to, cause, at: now };
+    return {
+        status: to,
+        since: now,
+        cause,
+        history: [...(breaker.history || []), entry].slice(-policy.history_limit),
+    };
+}
@@ -0,0 +1,63 @@
+// js/clock.js
+
+/**
+ * 時計と乱数の供給源。
+ * core_logic.js は Date.now() / Math.random() を直接呼ばず、initApp で注入された時計と乱数関数を使用する。
+ * ブラウザでは実時間の SYSTEM_CLOCK を使い、シミュレーション (simulation.js) では手動で進める時計と
+ * シード付きの乱数を注入することで、Vibrationの減衰・インフラの障害・推論の応答を再現可能にする。
+ *
+ * 時計は { now() => number (ミリ秒) } の形式のオブジェクトである。
+ */
+
+/** 実時間の時計。 */
+export const SYSTEM_CLOCK = {
+    now: () => Date.now(),
+};
+
+/**
+ * 呼び出し側が時刻を進める時計を生成します (シミュレーション用)。
+ * @param {number} [start] - 開始時刻 (ミリ秒)。
+ */
+export function createManualClock(start = 0) {
+    let current = start;
+    return {
+        now: () => current,
+        /** 時刻を ms だけ進めます。 */
+        advance(ms) {
+            current += Math.max(0, ms);
+            return current;
+        },
+        /** 時刻を設定します。時刻は巻き戻さない。 */
+        set(time) {
+            current = Math.max(current, time);
+            return current;
+        },
+    };
+}
+
+/** シード (数値または文字列) を32ビットの整数に変換します。 */
+function seedToInt(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+    // 文字列は FNV-1a で整数化する
+    let hash = 0x811c9dc5;
+    for (const ch of String(seed)) {
+        hash ^= ch.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * シード付きの乱数関数を生成します (mulberry32)。Math.random と同じく [0, 1) の値を返す。
+ * @param {number|string} seed - シード。同じシードからは同じ乱数列が得られる。
+ */
+export function createSeededRandom(seed) {
+    let s = seedToInt(seed);
+    return () => {
+        s = (s + 0x6d2b79f5) >>> 0;
+        let t = s;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,335 @@
+// js/command_registry.js
+
+import { getCurrencyCodes, findCurrency } from './currency_registry.js';
+
+/**
+ * Z-Function (対話コンソールのコマンド) のレジストリ。
+ * DOM やバックエンドに依存しない純粋なモジュールで、dialogue_acts.js がコマンドを登録・実行し、
+ * logos_console.html が補完と入力履歴に使用する。
+ *
+ * コマンドの定義:
+ * {
+ *   name: "account create",          // 先頭の / を除いたコマンド名 (空白区切りの複数語も可)
+ *   args: [{ name, type, optional, values, description }],
+ *   permission: "CREATE_ACCOUNT",    // 必要な権限 (作為種別または permissions.js の PERMISSIONS)。null は全ロール
+ *   act: "CREATE_ACCOUNT",           // 作為を実行するコマンドの作為種別 (Vibrationコストは作為コスト表に従う)
+ *   vibrationCost: 0,                // 作為以外のコマンドが成功時に加算するVibration
+ *   help: "新しい監査対象アカウントを作成します。",
+ *   execute: async (args, context) => ({ result })   // result が null の場合は追加の出力なし
+ * }
+ *
+ * 引数の型:
+ * - string:   1語の文字列
+ * - text:     残りの入力すべて (最後の引数のみ)
+ * - number:   数値 / integer: 整数
+ * - currency: 登録済みの通貨コード (大文字に正規化)
+ * - account:  既存のアカウントID
+ * - enum:     values のいずれか (大文字小文字を区別しない)
+ * - proposal: 提案ID (大文字に正規化)
+ * 引用符 ("...") で囲んだ語は空白を含む1語として扱う。
+ */
+
+export const ARG_TYPES = ['string', 'text', 'number', 'integer', 'currency', 'account', 'enum', 'proposal'];
+
+// ====================================================================
+// TOKENIZER
+// ====================================================================
+
+/**
+ * 入力を語に分割します。引用符で囲まれた部分は1語として扱う。
+ * @param {string} input - 入力文字列。
+ * @returns {Array<{value: string, start: number, end: number}>} - 語と入力中の位置。
+ */
+export function tokenize(input) {
+    const tokens = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(input)) !== null) {
+        tokens.push({ value: match[1] !== undefined ? match[1] : match[2], start: match.index, end: pattern.lastIndex });
+    }
+    return tokens;
+}
+
+// ====================================================================
+// ARGUMENT PARSING
+// ====================================================================
+
+/** コマンドの使い方 ("/transfer <from> <to> <amount> <currency>") を返します。 */
+export function formatUsage(command) {
+    const args = (command.args || []).map(arg => {
+        const label = arg.type === 'enum' ? arg.values.join('|') : arg.name;
+        const shown = arg.type === 'text' ? `${label}...` : label;
+        return arg.optional ? `[${shown}]` : `<${shown}>`;
+    });
+    return [`/${command.name}`, ...args].join(' ');
+}
+
+/**
+ * 1つの引数を型に従って変換します。
+ * @returns {{value: any}|{error: string}}
+ */
+function parseArg(arg, raw, state) {
+    switch (arg.type) {
+        case 'string':
+        case 'text':
+            return { value: raw };
+        case 'number': {
+            const value = Number(raw);
+            return raw !== '' && isFinite(value) ? { value } : { error: `${arg.name} は数値で指定してください: "${raw}"` };
+        }
+        case 'integer': {
+            const value = Number(raw);
+            return Number.isInteger(value) ? { value } : { error: `${arg.name} は整数で指定してください: "${raw}"` };
+        }
+        case 'currency': {
+            const code = raw.toUpperCase();
+            return findCurrency(state, code)
+                ? { value: code }
+                : { error: `${arg.name}: 未登録の通貨です: "${raw}" (${getCurrencyCodes(state).join(' / ')})` };
+        }
+        case 'account':
+            return state.accounts.some(acc => acc.id === raw)
+                ? { value: raw }
+                : { error: `${arg.name}: アカウント "${raw}" が存在しません。` };
+        case 'enum': {
+            const value = arg.values.find(v => v.toLowerCase() === raw.toLowerCase());
+            return value !== undefined ? { value } : { error: `${arg.name} は ${arg.values.join(' / ')} のいずれかで指定してください: "${raw}"` };
+        }
+        case 'proposal':
+            return { value: raw.toUpperCase() };
+        default:
+            return { error: `${arg.name}: 未知の引数型です: ${arg.type}` };
+    }
+}
+
+/**
+ * コマンドの引数を解析します。
+ * @param {object} command - コマンドの定義。
+ * @param {Array<string>} words - コマンド名の後に続く語。
+ * @param {object} state - システム状態 (通貨・アカウントの検証用)。
+ * @param {Array<string>} [rest] - 各語の位置から末尾までの入力 (text 型の引数用)。
+ * @returns {{args: object}|{error: string}}
+ */
+export function parseArgs(command, words, state, rest = []) {
+    const specs = command.args || [];
+    const args = {};
+    const usage = `使い方: ${formatUsage(command)}`;
+
+    for (const [index, spec] of specs.entries()) {
+        if (index >= words.length) {
+            if (spec.optional) continue;
+            return { error: `引数 ${spec.name} が不足しています。${usage}` };
+        }
+        // text 型は残りの入力をそのまま使う (1語のみの場合は引用符を除いた語)
+        const isRestText = spec.type === 'text' && words.length - index > 1;
+        const raw = isRestText ? (rest[index] ?? words.slice(index).join(' ')) : words[index];
+        const parsed = parseArg(spec, raw, state);
+        if (parsed.error) return { error: `${parsed.error}\n${usage}` };
+        args[spec.name] = parsed.value;
+        if (spec.type === 'text') return { args };
+    }
+    if (words.length > specs.length) {
+        return { error: `引数が多すぎます: "${words.slice(specs.length).join(' ')}"\n${usage}` };
+    }
+    return { args };
+}
+
+// ====================================================================
+// REGISTRY
+// ====================================================================
+
+/**
+ * コマンドレジストリを生成します。
+ * @param {Array<object>} [commands] - 初期登録するコマンドの定義。
+ */
+export function createCommandRegistry(commands = []) {
+    const registry = new Map();
+
+    /** 入力の先頭の語に最長一致するコマンドを探します。 */
+    function match(tokens) {
+        const words = tokens.map(t => t.value.toLowerCase());
+        let found = null;
+        for (const command of registry.values()) {
+            const nameWords = command.name.split(' ');
+            const isMatch = nameWords.every((word, i) => words[i] === word);
+            if (isMatch && (!found || nameWords.length > found.name.split(' ').length)) found = command;
+        }
+        return found;
+    }
+
+    const api = {
+        /** コマンドを登録します (同名のコマンドは置き換えられる)。 */
+        register(command) {
+            if (!command.name || typeof command.execute !== 'function') {
+                throw new Error("コマンドには name と execute が必要です。");
+            }
+            (command.args || []).forEach((arg, index, all) => {
+                if (!ARG_TYPES.includes(arg.type)) throw new Error(`/${command.name}: 未知の引数型です: ${arg.type}`);
+                if (arg.type === 'text' && index !== all.length - 1) throw new Error(`/${command.name}: text 型は最後の引数のみ指定できます。`);
+            });
+            registry.set(command.name.toLowerCase(), { args: [], permission: null, vibrationCost: 0, ...command, name: command.name.toLowerCase() });
+            return api;
+        },
+
+        /** 登録済みのコマンドを名前順に返します。 */
+        list() {
+            return [...registry.values()].sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        /** コマンド名でコマンドを返します。 */
+        get(name) {
+            return registry.get(String(name).replace(/^\//, '').toLowerCase());
+        },
+
+        /**
+         * 入力を解析し、コマンドと引数を返します。
+         * @param {string} input - "/" で始まる入力。
+         * @param {object} state - システム状態。
+         * @returns {{command: object, args: object}|{error: string, command?: object}|null} - コマンドでない入力は null。
+         */
+        parse(input, state) {
+            const trimmed = input.trim();
+            if (!trimmed.startsWith('/')) return null;
+            const tokens = tokenize(trimmed.slice(1));
+            const command = match(tokens);
+            if (!command) {
+                const name = tokens.length ? tokens[0].value : '';
+                const similar = api.list().filter(c => name && c.name.startsWith(name.toLowerCase().slice(0, 2)));
+                const hint = similar.length ? ` 候補: ${similar.map(c => `/${c.name}`).join(', ')}` : '';
+                return { error: `未知のコマンドです: /${name}。/help でコマンドの一覧を表示します。${hint}` };
+            }
+            const argTokens = tokens.slice(command.name.split(' ').length);
+            const rest = argTokens.map(t => trimmed.slice(1).slice(t.start).trim());
+            const { args, error } = parseArgs(command, argTokens.map(t => t.value), state, rest);
+            return error ? { error, command } : { command, args };
+        },
+
+        /**
+         * 入力の補完候補を返します。
+         * コマンド名の入力中はコマンド名、引数の入力中は通貨・アカウント・列挙値・提案IDを候補とする。
+         * @param {string} input - 入力中の文字列。
+         * @param {object} state - システム状態。
+         * @returns {{input: string, candidates: Array<string>}} - 補完後の入力と候補の一覧。
+         */
+        complete(input, state) {
+            if (!input.startsWith('/')) return { input, candidates: [] };
+            const body = input.slice(1);
+            const endsWithSpace = /\s$/.test(body);
+            const tokens = tokenize(body);
+            const partial = endsWithSpace || tokens.length === 0 ? '' : tokens[tokens.length - 1].value;
+            const completed = endsWithSpace ? tokens.map(t => t.value) : tokens.slice(0, -1).map(t => t.value);
+
+            let candidates;
+            const command = match(tokens.slice(0, completed.length));
+            if (!command) {
+                // コマンド名 (複数語を含む) の補完
+                const typed = [...completed, partial].join(' ').toLowerCase();
+                candidates = api.list()
+                    .map(c => c.name)
+                    .filter(name => name.startsWith(typed))
+                    .map(name => name.split(' ')[completed.length])
+                    .filter((word, i, all) => word !== undefined && all.indexOf(word) === i);
+            } else {
+                const argIndex = completed.length - command.name.split(' ').length;
+                const spec = (command.args || [])[argIndex];
+                candidates = spec ? argCandidates(spec, state).filter(v => v.toLowerCase().startsWith(partial.toLowerCase())) : [];
+            }
+
+            if (candidates.length === 0) return { input, candidates };
+            const prefix = commonPrefix(candidates);
+            const replacement = candidates.length === 1 ? `${candidates[0]} ` : (prefix.length > partial.length ? prefix : partial);
+            const head = input.slice(0, input.length - partial.length);
+            return { input: head + replacement, candidates };
+        },
+
+        /**
+         * ヘルプを返します。
+         * @param {string} [name] - コマンド名。省略時はすべてのコマンドの概要。
+         * @param {function} [describeCost] - (command) => string。Vibrationコストの表示。
+         * @param {function} [describeRoles] - (command) => string。実行できるロールの表示。
+         */
+        help(name, describeCost = c => String(c.vibrationCost), describeRoles = c => c.permission || '全ロール') {
+            if (name) {
+                const command = api.get(name);
+                if (!command) return `未知のコマンドです: /${name}`;
+                const argLines = (command.args || []).map(arg =>
+                    `  - ${arg.name} (${arg.type === 'enum' ? arg.values.join('|') : arg.type}${arg.optional ? ', 省略可' : ''})${arg.description ? `: ${arg.description}` : ''}`);
+                return [
+                    `**${formatUsage(command)}**`,
+                    command.help,
+                    ...argLines,
+                    `- 必要なロール: ${describeRoles(command)} / Vibrationコスト: ${describeCost(command)}`,
+                ].join('\n');
+            }
+            return api.list().map(c => `- **${formatUsage(c)}** — ${c.help}`).join('\n');
+        },
+    };
+
+    commands.forEach(command => api.register(command));
+    return api;
+}
+
+/** 引数の補完候補を返します。 */
+function argCandidates(spec, state) {
+    switch (spec.type) {
+        case 'currency':
+            return getCurrencyCodes(state);
+        case 'account':
+            return state.accounts.map(acc => acc.id);
+        case 'enum':
+            return spec.values;
+        case 'proposal':
+            return (state.proposals || []).filter(p => p.status === 'PENDING').map(p => p.id);
+        default:
+            return [];
+    }
+}
+
+/** 文字列の共通接頭辞を返します (大文字小文字を区別しない比較で、最初の候補の表記を使う)。 */
+function commonPrefix(values) {
+    let prefix = values[0];
+    for (const value of values.slice(1)) {
+        while (!value.toLowerCase().startsWith(prefix.toLowerCase())) prefix = prefix.slice(0, -1);
+    }
+    return prefix;
+}
+
+// ====================================================================
+// INPUT HISTORY
+// ====================================================================
+
+/**
+ * 入力履歴 (↑/↓ キーでの呼び出し) を生成します。
+ * @param {object} [options]
+ * @param {number} [options.limit] - 保持する件数。
+ * @param {Array<string>} [options.entries] - 初期の履歴 (古い順)。
+ */
+export function createCommandHistory({ limit = 50, entries = [] } = {}) {
+    let items = entries.slice(-limit);
+    let cursor = items.length; // items.length は「履歴を遡っていない」状態
+    let draft = '';
+
+    return {
+        /** 実行した入力を履歴に追加します (直前と同じ入力は重複させない)。 */
+        push(input) {
+            if (input && items[items.length - 1] !== input) items = [...items, input].slice(-limit);
+            cursor = items.length;
+            draft = '';
+        },
+        /** 1つ前の入力を返します。current は遡り始める前の入力中の文字列。 */
+        previous(current = '') {
+            if (cursor === items.length) draft = current;
+            if (cursor > 0) cursor -= 1;
+            return items[cursor] ?? current;
+        },
+        /** 1つ後の入力を返します。最新を超えた場合は遡り始める前の入力に戻る。 */
+        next() {
+            if (cursor < items.length) cursor += 1;
+            return cursor === items.length ? draft : items[cursor];
+        },
+        /** 履歴を古い順に返します。 */
+        entries() {
+            return [...items];
+        },
+    };
+}
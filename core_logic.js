@@ -1,28 +1,87 @@
 // js/core_logic.js
 
-import { initializeApp } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-app.js";
-import { getAuth, signInAnonymously, onAuthStateChanged } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-auth.js";
-import { getFirestore, doc, setDoc, updateDoc, onSnapshot } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { createDefaultStorage, StaleRevisionError } from './storage_adapters.js';
+import { buildLedgerEntry } from './audit_ledger.js';
+import { createLILEngine } from './lil_engine.js';
+import { DEFAULT_RATE_CURVES, updateRates } from './rate_engine.js';
+import { DEFAULT_EXCHANGE_CONFIG } from './exchange_pricing.js';
+import { GENESIS_CURRENCIES, BALANCE_UNIT } from './currency_registry.js';
+import { STATE_SCHEMA_VERSION, validateState, migrateState } from './state_schema.js';
+import { LIL_ACTION_HANDLERS } from './lil_actions.js';
+import { DEFAULT_PERMISSIONS, SYSTEM_ROLE, SYSTEM_ACTOR_PREFIX, resolveRole, checkPermission } from './permissions.js';
+import { expireProposals, breakerTransition, infraEvent, settleTransfers, FAILURE_KINDS } from './act_logic.js';
+import { escapeHtml } from './approval.js';
+import { DEFAULT_VIBRATION_POLICY, vibrationAt } from './vibration_policy.js';
+import {
+    DEFAULT_SCHEDULER_OPTIONS,
+    SCHEDULER_MODES,
+    defaultSchedulerMode,
+    generateClientId,
+    decideLease,
+    buildLease,
+    createScheduler
+} from './scheduler.js';
+import {
+    DEFAULT_BREAKER_POLICY,
+    BREAKER_STATUS,
+    initialBreakerState,
+    displayStatus,
+    createTracker,
+    observeVibration,
+    recordFailure,
+    evaluateBreaker
+} from './circuit_breaker.js';
+import { DEFAULT_PROVIDER_CONFIG } from './logos_provider.js';
+import { DEFAULT_INFRASTRUCTURE_POLICY, initialInfrastructureState, infrastructureAt, evaluateOutages } from './infrastructure.js';
+import { SYSTEM_CLOCK } from './clock.js';
 
 // ====================================================================
 // CORE SYSTEM STATE & CONFIGURATION
 // ====================================================================
 
-const VIBRATION_LIMIT = 100; // 掌の縁 (ロゴス監査の限界)
-let app, db, auth, stateDocRef;
+export const VIBRATION_LIMIT = 100; // 掌の縁 (ロゴス監査の限界)
+const MAX_WRITE_RETRIES = 3; // 競合 (revision 不一致) 時の再試行回数
+let storage = null; // 永続化バックエンド (storage_adapters.js)
 let userId = 'N/A';
 const appId = 'MSGAI-Z';
+const clientId = generateClientId(); // タブ (クライアント) ごとのID。定期処理のリーダー選出に使用する
+let clock = SYSTEM_CLOCK; // 時計 (clock.js。シミュレーションでは手動で進める時計が注入される)
+let random = Math.random; // 乱数関数 (シミュレーションではシード付きの乱数が注入される)
 
-// 初期システム状態
-let currentState = {
-    isHalted: false, // 強制停止フラグ
-    vibration_level: { value: 0, last_decay: Date.now() },
-    currency_rates: { ALPHA: 1.0, BETA: 10.0, GAMMA: 100.0 },
-    accounts: [
-        { id: 'CORE_BANK_A', name: '中央銀行A', ALPHA: 1000.00, BETA: 500.00, GAMMA: 100.00 },
-        { id: 'USER_AUDIT_B', name: '監査者B', ALPHA: 50.00, BETA: 0.00, GAMMA: 0.00 },
-    ],
-};
+/**
+ * 時刻 now を起点とする初期システム状態を返します。
+ * @param {number} now - Vibrationの減衰・ブレーカー・インフラの起点となる時刻。
+ */
+export function createInitialState(now) {
+    return {
+        schema_version: STATE_SCHEMA_VERSION, // 状態ドキュメントのスキーマバージョン (state_schema.js)
+        isHalted: false, // 強制停止フラグ
+        revision: 0, // 楽観的排他制御のための改訂番号 (書き込みごとにバックエンドが加算)
+        vibration_level: { value: 0, last_decay: now }, // value は last_decay 時点の値 (減衰は読み出し時に遅延評価する)
+        currencies: GENESIS_CURRENCIES, // 通貨レジストリ (currency_registry.js)
+        currency_rates: Object.fromEntries(GENESIS_CURRENCIES.map(c => [c.code, c.initial_rate])),
+        balance_unit: BALANCE_UNIT, // 残高は通貨ごとの最小単位の整数 (money.js)
+        rate_corrections: {}, // SET_RATE 作為によるレート補正係数 (rate_engine.js)
+        rate_history: [], // レートの推移 (state_view.html のチャート用)
+        recent_mints: [], // 直近の通貨生成 (rate_engine.js のレート算出用)
+        proposals: [], // 重大な作為 (HALT / MINT / RESTART / RESTORE) の提案 (approval.js)
+        proposal_seq: 0, // 提案IDの採番
+        circuit_breaker: initialBreakerState(now), // 自動強制停止と復旧 (circuit_breaker.js)
+        infrastructure: initialInfrastructureState(now), // ENERGY / NET の供給レベル (infrastructure.js。レベルは読み出し時に遅延評価する)
+        pending_transfers: [], // 通信安定性 (NET) の低下により着金が遅延している送金
+        pending_transfer_seq: 0,
+        accounts: [
+            // ALPHA / BETA は 1/100、GAMMA は 1/10000 単位 (1000.00 ALPHA, 500.00 BETA, 100.0000 GAMMA)
+            { id: 'CORE_BANK_A', name: '中央銀行A', balances: { ALPHA: 100000, BETA: 50000, GAMMA: 1000000 } },
+            { id: 'USER_AUDIT_B', name: '監査者B', balances: { ALPHA: 5000, BETA: 0, GAMMA: 0 } },
+        ],
+    };
+}
+
+// 初期システム状態 (監査台帳の再生における genesis でもある)
+export const INITIAL_STATE = Object.freeze(createInitialState(Date.now()));
+
+let currentState = structuredClone(INITIAL_STATE);
 
 // UI Elements Map (各ページから参照される可能性がある共通要素)
 export const UI_ELEMENTS = {
@@ -38,15 +97,33 @@ export const UI_ELEMENTS = {
 // CONSOLE LOGGING UTILITY (EXPORTED)
 // ====================================================================
 
+/** DOM が無い環境でのログの出力先 (initApp の onLog。省略時は console.warn)。 */
+let headlessLog = null;
+
+/** DOM が無い環境でログを出力します。 */
+function logHeadless(message, className) {
+    if (headlessLog) {
+        headlessLog({ at: clock.now(), message, className });
+    } else {
+        console.warn(`[LOG UNABLE TO DISPLAY] ${message}`);
+    }
+}
+
+/** 時計の現在時刻を HH:MM:SS 形式で返します (ログのタイムスタンプ)。 */
+function formatLogTime() {
+    const now = new Date(clock.now());
+    return `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}:${now.getSeconds().toString().padStart(2, '0')}`;
+}
+
 /**
  * Logs a message to the console output area. (logos_console.html の DOM に依存)
  * @param {string} message - The message content.
  * @param {string} className - The CSS class for styling.
  */
 export function logToConsole(message, className = 'ai-message') {
-    const outputEl = document.getElementById('dialogue_output');
+    const outputEl = typeof document === 'undefined' ? null : document.getElementById('dialogue_output');
     if (!outputEl) {
-        console.warn(`[LOG UNABLE TO DISPLAY] ${message}`);
+        logHeadless(message, className);
         return; 
     } 
 
@@ -54,84 +131,589 @@ export function logToConsole(message, className = 'ai-message') {
     p.className = `p-1 text-sm ${className}`;
     
     // タイムスタンプを追加
-    const now = new Date();
-    const timeString = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}:${now.getSeconds().toString().padStart(2, '0')}`;
-    p.innerHTML = `<span class="text-gray-500">[${timeString}]</span> ${message}`;
+    p.innerHTML = `<span class="text-gray-500">[${formatLogTime()}]</span> ${message}`;
     
     outputEl.appendChild(p);
     outputEl.scrollTop = outputEl.scrollHeight;
 }
 
+/**
+ * 断片ごとに追記されるメッセージを作成します (推論プロバイダのストリーミング出力)。
+ * 要素は最初の断片を受け取った時点で追加される。DOM が無い環境では finish 時にまとめて出力する。
+ * @param {string} className - The CSS class for styling.
+ * @returns {{append: function(string), reset: function(), finish: function(string)}}
+ */
+export function createStreamingLog(className = 'ai-message') {
+    const outputEl = typeof document === 'undefined' ? null : document.getElementById('dialogue_output');
+    let p = null;
+    let body = null;
+
+    const ensureElement = () => {
+        if (p) return;
+        p = document.createElement('p');
+        p.className = `p-1 text-sm ${className}`;
+        p.innerHTML = `<span class="text-gray-500">[${formatLogTime()}]</span> `;
+        body = document.createElement('span');
+        body.style.whiteSpace = 'pre-wrap';
+        p.appendChild(body);
+        outputEl.appendChild(p);
+    };
+
+    return {
+        /** 断片を追記します。 */
+        append(delta) {
+            if (!outputEl || !delta) return;
+            ensureElement();
+            body.textContent += delta;
+            outputEl.scrollTop = outputEl.scrollHeight;
+        },
+        /** 追記した断片を破棄します。 */
+        reset() {
+            if (p) p.remove();
+            p = null;
+            body = null;
+        },
+        /** 最終的な応答で内容を置き換えます。外部プロバイダの応答を含むため、HTMLとしては解釈しない。 */
+        finish(message) {
+            if (!outputEl) {
+                logHeadless(message, className);
+                return;
+            }
+            ensureElement();
+            body.textContent = message;
+            outputEl.scrollTop = outputEl.scrollHeight;
+        },
+    };
+}
+
 // ====================================================================
 // STATE MANAGEMENT FUNCTIONS (EXPORTED)
 // ====================================================================
 
-/** 現在のシステム状態のコピーを返します。 */
-export function getCurrentState() {
-    return { ...currentState };
+/**
+ * 現在のシステム状態のコピーを返します。
+ * vibration_level は保存されている last_decay からの減衰を適用した、時刻 now 時点の値となる。
+ * infrastructure も同様に、目標レベルへの追従と障害を反映した時刻 now 時点のレベルとなる。
+ * @param {number} [now] - 評価時刻。
+ */
+export function getCurrentState(now = clock.now()) {
+    return {
+        ...currentState,
+        vibration_level: vibrationAt(currentState.vibration_level, now, vibrationPolicy),
+        infrastructure: infrastructureAt(currentState.infrastructure, now, infrastructurePolicy),
+    };
 }
 
-/** Firestoreに状態を保存し、ローカル状態を更新します。 */
+/** 現在の時計を返します (clock.js。作為の時刻や提案の期限の判定に使用する)。 */
+export function getClock() {
+    return clock;
+}
+
+/** 現在の乱数関数を返します (内部ロゴスエンジンの応答の選択などに使用する)。 */
+export function getRandom() {
+    return random;
+}
+
+/** 現在の永続化バックエンドを返します (initApp 前は null)。 */
+export function getStorage() {
+    return storage;
+}
+
+/**
+ * 永続化バックエンドに状態を保存し、成功した場合にのみローカル状態を更新します。
+ * 保存後の状態ドキュメントがスキーマ (state_schema.js) に適合しない場合は書き込まない。
+ * 書き込みは現在の revision を前提とした楽観的排他制御で行われ、
+ * 他のクライアントが先に書き込んでいた場合は拒否されてローカル状態が最新の内容に更新される。
+ * @param {object} updateData - 保存する部分状態。
+ * @returns {Promise<boolean>} - 保存に成功した場合 true。
+ */
 export async function saveSystemState(updateData) {
-    // ローカル状態を即時更新
-    currentState = { ...currentState, ...updateData };
-    
+    return (await writeSystemState(updateData)).ok;
+    // バックエンドからの反映（subscribeState）でUIが更新される
+}
+
+/** このクライアントの状態の書き込みを直列化するキュー (台帳の封印を待つ間に別の書き込みが割り込まないようにする)。 */
+let stateWriteQueue = Promise.resolve();
+
+/**
+ * saveSystemState の本体。ledgerEntry を指定した場合は、状態の更新と監査台帳への追記を
+ * バックエンドの1つの書き込み (commitAct) で行い、一方のみが保存されることはない。
+ * expectedRevision は呼び出し時点の revision とし、先行する書き込みで revision が進んでいれば競合となる。
+ * @param {object} updateData - 保存する部分状態。
+ * @param {object|null} [ledgerEntry] - 同時に追記する台帳エントリ (封印前)。
+ * @returns {Promise<{ok: boolean, conflict?: boolean, error?: string}>}
+ */
+async function writeSystemState(updateData, ledgerEntry = null) {
+    const errors = validateState({ ...currentState, ...updateData });
+    if (errors.length > 0) {
+        logSchemaErrors("保存する状態がスキーマに適合しないため、書き込みを中止しました。", errors);
+        return { ok: false, error: "保存する状態がスキーマに適合しません。" };
+    }
+    const options = { expectedRevision: currentState.revision || 0 };
+    const write = stateWriteQueue.then(() => ledgerEntry
+        ? storage.commitAct(updateData, options, ledgerEntry).then(committed => committed.revision)
+        : storage.saveState(updateData, options));
+    stateWriteQueue = write.catch(() => {});
     try {
-        await updateDoc(stateDocRef, updateData);
+        const revision = await write;
+        currentState = { ...currentState, ...updateData, revision };
+        return { ok: true };
     } catch (e) {
-        logToConsole(`[ERROR]: Firestore Save Error: ${e.message}`, 'error-message');
+        if (e instanceof StaleRevisionError) {
+            await refreshSystemState();
+            return { ok: false, conflict: true };
+        }
+        logToConsole(`[ERROR]: Storage Save Error: ${escapeHtml(e.message)}`, 'error-message');
+        return { ok: false, error: e.message };
+    }
+}
+
+/** バックエンドから最新の状態を読み込み、ローカル状態を置き換えます。 */
+async function refreshSystemState() {
+    const latest = await storage.loadState();
+    if (latest) {
+        mergeLoadedState(latest);
+    }
+}
+
+/**
+ * バックエンドから受信した状態をローカル状態に反映します。
+ * 旧バージョンの状態ドキュメントは現在のスキーマバージョンまで移行し (state_schema.js)、移行結果をバックエンドに保存する。
+ * 移行後もスキーマに適合しない状態は反映せず、直前のローカル状態を維持する。
+ */
+function mergeLoadedState(data) {
+    const migration = migrateState(data, clock.now());
+    if (migration.error) {
+        logToConsole(`[ERROR/SCHEMA]: ${migration.error}`, 'error-message');
+        return;
+    }
+    const loaded = { ...data, ...migration.delta };
+    const errors = validateState(loaded);
+    if (errors.length > 0) {
+        logSchemaErrors("読み込んだ状態ドキュメントがスキーマに適合しないため、反映しませんでした。", errors);
+        return;
+    }
+
+    currentState = loaded;
+    if (migration.delta) {
+        saveSystemState(migration.delta).then(saved => {
+            if (saved) {
+                logToConsole(`[SYSTEM]: 状態ドキュメントをスキーマバージョン ${data.schema_version ?? 0} から ${STATE_SCHEMA_VERSION} に移行しました。\n${migration.applied.map(step => `- ${step}`).join('\n')}`, 'system-message');
+            }
+        });
+    }
+}
+
+/** スキーマ検証のエラーを記録します (多数の場合は先頭の一部のみ)。 */
+function logSchemaErrors(summary, errors) {
+    const shown = errors.slice(0, 10).map(error => `- ${error}`).join('\n');
+    const more = errors.length > 10 ? `\n- ほか ${errors.length - 10} 件` : '';
+    logToConsole(`[ERROR/SCHEMA]: ${summary}\n${shown}${more}`, 'error-message');
+}
+
+/**
+ * Vibrationを amount だけ増加させる部分状態を返します (上限は Vibration予算ポリシーの max_level)。
+ * state は getCurrentState() の戻り値 (減衰を適用済み) であり、加算後の値とその時刻を last_decay として保存する。
+ */
+function vibrationDelta(state, amount) {
+    if (!(amount > 0)) return {};
+    const newVibration = Math.min(state.vibration_level.value + amount, vibrationPolicy.max_level);
+    return { vibration_level: { value: newVibration, last_decay: state.vibration_level.last_decay } };
+}
+
+/**
+ * act_logic.js が計算した作為結果を適用します。
+ * 成立した作為は stateDelta とVibrationの加算、および監査台帳 (audit_ledger.js) のエントリを1回の書き込みで保存する。
+ * 書き込みが競合・容量超過などにより拒否された場合、作為は適用されず不成立として扱われる
+ * (状態だけが変更されて台帳に記録がない、という状態は生じない)。
+ * 不成立の作為も台帳に記録する。
+ * @param {object} result - 作為結果 { ok, error, actType, stateDelta, vibrationCost, message, logClass }
+ * @param {object} [params] - 作為に渡されたパラメータ (台帳記録用)。
+ * @param {object} [actor] - 作為者 { userId, role } (台帳記録用。省略時は現在の利用者)。
+ * @returns {Promise<object>} - 適用後の作為結果 (呼び出し側での判定用)。
+ */
+export async function applyActResult(result, params = {}, actor = getCurrentActor()) {
+    const beforeState = getCurrentState();
+    const ledgerEntryOf = (outcome) => buildLedgerEntry({ result: outcome, params, actor: actor.userId, timestamp: clock.now(), beforeState, balanceUnit: BALANCE_UNIT });
+    let applied = result;
+
+    if (result.ok) {
+        // Vibrationを置き換える作為 (RESTORE) のコストは置き換え後の値に加算する
+        const vibrationBase = result.stateDelta.vibration_level ? { ...beforeState, vibration_level: result.stateDelta.vibration_level } : beforeState;
+        const written = await writeSystemState({ ...result.stateDelta, ...vibrationDelta(vibrationBase, result.vibrationCost) }, ledgerEntryOf(result));
+        if (!written.ok) {
+            applied = {
+                ...result,
+                ok: false,
+                error: written.conflict
+                    ? "状態が他のクライアントにより更新されたため、作為は適用されませんでした。再実行してください。"
+                    : `状態と監査台帳を保存できなかったため、作為は適用されませんでした: ${escapeHtml(written.error)}`,
+                stateDelta: null,
+                vibrationCost: 0,
+                details: written.conflict ? { ...result.details, failure_kind: FAILURE_KINDS.CONFLICT } : result.details,
+            };
+        }
+    }
+
+    if (applied.ok) {
+        logToConsole(applied.message, applied.logClass);
+    } else {
+        logToConsole(`[ERROR/${applied.actType}]: ${applied.error}`, 'error-message');
+        await recordLedgerEntry(ledgerEntryOf(applied));
+    }
+    return applied;
+}
+
+/** 不成立の作為を監査台帳に追記します。状態を変更しないため、台帳への書き込み失敗は記録のみ行う。 */
+async function recordLedgerEntry(entry) {
+    try {
+        await storage.appendLedgerEntry(entry);
+    } catch (e) {
+        logToConsole(`[ERROR]: Audit Ledger Write Error: ${escapeHtml(e.message)}`, 'error-message');
     }
-    // Firestoreからの反映（onSnapshot）でUIが更新される
 }
 
 // ====================================================================
 // VIBRATION MANAGEMENT (EXPORTED)
 // ====================================================================
 
-/** * 孫悟空の活動量 (Vibration Level) を増加させます。*/
-export async function addVibration(amount) {
-    const newVibration = Math.min(currentState.vibration_level.value + amount, VIBRATION_LIMIT * 2);
-    await saveSystemState({ 
-        vibration_level: { ...currentState.vibration_level, value: newVibration } 
-    });
+/** Vibration予算ポリシー (帯域・作為コスト表・減衰カーブ)。system_config/vibration_policy の内容で置き換えられる。 */
+let vibrationPolicy = DEFAULT_VIBRATION_POLICY;
+
+/** 現在有効なVibration予算ポリシーを返します。 */
+export function getVibrationPolicy() {
+    return vibrationPolicy;
 }
 
-/** * 1秒ごとにVibrationを減衰させます。*/
-function decayVibration() {
-    const now = Date.now();
-    const lastDecay = currentState.vibration_level.last_decay;
-    const timeElapsed = (now - lastDecay) / 1000;
-
-    if (timeElapsed >= 1) { 
-        const decayRate = 0.5; // 1秒あたり0.5減衰
-        const decayAmount = timeElapsed * decayRate;
-        let newValue = Math.max(0, currentState.vibration_level.value - decayAmount);
-
-        // Firestoreへの書き込みを最小限にするため、値に大きな変化があった場合のみ保存
-        if (Math.abs(newValue - currentState.vibration_level.value) >= 1) { 
-             saveSystemState({ 
-                vibration_level: { value: newValue, last_decay: now } 
-             });
-        } else {
-             // UI更新のために local state と last_decay を更新
-             currentState.vibration_level.value = newValue;
-             currentState.vibration_level.last_decay = now;
-        }
+/** * 孫悟空の活動量 (Vibration Level) を増加させます。
+ * 競合で書き込みが拒否された場合は、最新の状態に対して再度加算する。*/
+export async function addVibration(amount) {
+    for (let attempt = 0; attempt < MAX_WRITE_RETRIES; attempt++) {
+        if (await saveSystemState(vibrationDelta(getCurrentState(), amount))) return;
     }
+    logToConsole(`[ERROR]: Vibration +${amount} の保存が競合により失敗しました。`, 'error-message');
 }
 
 /** * 強制的にVibrationをリセットします。 */
 export async function resetVibration() {
     await saveSystemState({ 
-        vibration_level: { value: 0, last_decay: Date.now() } 
+        vibration_level: { value: 0, last_decay: clock.now() } 
+    });
+}
+
+// ====================================================================
+// LIL RULE EVALUATION (ロゴス中間言語による自律監査)
+// ====================================================================
+
+/** LIL評価エンジン。ルールは system_config/lil_rules の内容で差し替えられる。 */
+const lilEngine = createLILEngine({ log: logToConsole, addVibration, actionHandlers: LIL_ACTION_HANDLERS });
+
+/** LILルールセットの最後の編集者 (system_config/lil_rules の updated_by)。既定のルールセットでは null。 */
+let lilRulesEditor = null;
+
+/** 現在有効なLILルールセットを返します。 */
+export function getActiveLILRules() {
+    return lilEngine.getRules();
+}
+
+/**
+ * 成立中のLILルールが指定の作為を抑制しているか判定します (BLOCK_ACT)。
+ * @returns {string|null} - 抑制しているルールID。抑制されていなければ null。
+ */
+export function isActBlockedByLIL(actType, currency) {
+    return lilEngine.findBlockingRule(actType, currency);
+}
+
+/** 実行中のLIL評価 (ルールの作為を含む)。settleBackgroundWork で完了を待つ。 */
+const pendingEvaluations = new Set();
+
+/** 状態変化のたびにLILルールを評価します。 */
+function evaluateLILRules(state) {
+    const evaluation = lilEngine.evaluate(state, { dispatch: isSchedulerLeader(), now: clock.now() }).catch(e => {
+        console.error("LIL Evaluation Error:", e);
     });
+    pendingEvaluations.add(evaluation);
+    evaluation.finally(() => pendingEvaluations.delete(evaluation));
+    return evaluation;
+}
+
+/**
+ * 実行中のLIL評価とその作為がすべて完了するまで待ちます (シミュレーションで模擬時刻を進める前に使用)。
+ * 作為による状態変化が新たな評価を起こす場合は、それも含めて待つ。
+ */
+export async function settleBackgroundWork() {
+    while (pendingEvaluations.size > 0) {
+        await Promise.all([...pendingEvaluations]);
+    }
+}
+
+// ====================================================================
+// RATE ENGINE (ロゴスレートの動的算出)
+// ====================================================================
+
+/** レートカーブ設定。system_config/rate_curves が存在する場合はその内容で置き換えられる。 */
+let rateCurves = DEFAULT_RATE_CURVES;
+
+/** 現在有効なレートカーブ設定を返します。 */
+export function getRateCurves() {
+    return rateCurves;
+}
+
+/** 供給量・直近の生成量・Vibrationからレートを再計算し、変化があれば保存します。 */
+async function recomputeRates() {
+    const state = getCurrentState();
+    if (state.isHalted) return; // 強制停止中はレートを凍結
+    const delta = updateRates(state, rateCurves, clock.now(), infrastructurePolicy);
+    if (delta) {
+        await saveSystemState(delta);
+    }
+}
+
+/** 交換設定 (手数料・スプレッド・スリッページ)。system_config/exchange_fees が存在する場合はその内容で置き換えられる。 */
+let exchangeConfig = DEFAULT_EXCHANGE_CONFIG;
+
+/** 現在有効な交換設定を返します。 */
+export function getExchangeConfig() {
+    return exchangeConfig;
+}
+
+/** ロゴス推論のプロバイダ設定 (logos_provider.js)。system_config/logos_provider の内容で置き換えられる。 */
+let logosProviderConfig = DEFAULT_PROVIDER_CONFIG;
+
+/** 現在有効なロゴス推論のプロバイダ設定を返します。 */
+export function getLogosProviderConfig() {
+    return logosProviderConfig;
+}
+
+// ====================================================================
+// INFRASTRUCTURE (供給レベル・障害・遅延した送金の着金)
+// ====================================================================
+
+/** インフラポリシー。system_config/infrastructure の内容で置き換えられる。 */
+let infrastructurePolicy = DEFAULT_INFRASTRUCTURE_POLICY;
+/** 前回ランダム障害を判定した時刻 (リーダーになるまでは null)。 */
+let lastOutageCheck = null;
+
+/** 現在有効なインフラポリシーを返します。 */
+export function getInfrastructurePolicy() {
+    return infrastructurePolicy;
+}
+
+/**
+ * インフラの障害の発生・終了を判定して system ロールで適用し、着金時刻を過ぎた送金を着金させます。
+ * 強制停止中は障害の判定と着金を行わない。
+ */
+async function runInfrastructure() {
+    const now = clock.now();
+    const elapsedS = lastOutageCheck === null ? 0 : (now - lastOutageCheck) / 1000;
+    lastOutageCheck = now;
+    if (currentState.isHalted) return;
+
+    const actor = getSystemActor();
+    const context = { actor, permissions, now, vibrationPolicy, infrastructurePolicy };
+    for (const event of evaluateOutages(getCurrentState(now), now, elapsedS, infrastructurePolicy, random)) {
+        await applyActResult(infraEvent(event, getCurrentState(now), context), event, actor);
+    }
+    const settlement = settleTransfers({}, getCurrentState(now), context);
+    if (settlement.ok) {
+        await applyActResult(settlement, {}, actor);
+    }
+}
+
+// ====================================================================
+// APPROVAL WORKFLOW (二者承認の提案の失効)
+// ====================================================================
+
+/** 有効期限を過ぎた承認待ちの提案を失効させ、監査台帳に記録します。 */
+async function sweepExpiredProposals() {
+    const result = expireProposals({}, getCurrentState(), { now: clock.now(), vibrationPolicy, infrastructurePolicy });
+    if (result.ok) {
+        await applyActResult(result, {}, getSystemActor());
+    }
+}
+
+// ====================================================================
+// CIRCUIT BREAKER (自動強制停止と復旧)
+// ====================================================================
+
+/** ブレーカーポリシー。system_config/circuit_breaker の内容で置き換えられる。 */
+let breakerPolicy = DEFAULT_BREAKER_POLICY;
+/** このクライアントが観測したVibrationの閾値超過と失敗作為 (circuit_breaker.js)。 */
+let breakerTracker = createTracker();
+/** 遷移の書き込み中に重複して遷移させないためのフラグ。 */
+let isBreakerTransitioning = false;
+/** 観測済みの監査台帳の seq (購読開始前は null)。 */
+let lastObservedSeq = null;
+
+/** 現在有効なブレーカーポリシーを返します。 */
+export function getBreakerPolicy() {
+    return breakerPolicy;
+}
+
+/** ブレーカーの観測値に数えない失敗の分類 (権限のない利用者の拒否と書き込みの競合)。 */
+const IGNORED_FAILURE_KINDS = [FAILURE_KINDS.UNAUTHORIZED, FAILURE_KINDS.CONFLICT];
+
+/** 台帳エントリがブレーカーの観測値に数える失敗作為か判定します。 */
+function countsAsBreakerFailure(entry) {
+    return !entry.result.ok
+        && entry.actType !== 'BREAKER'
+        && !IGNORED_FAILURE_KINDS.includes((entry.result.details || {}).failure_kind);
+}
+
+/**
+ * 監査台帳に追記された失敗作為を観測値に記録します。
+ * 失敗作為はどのクライアントで発生しても台帳に記録されるため、リーダーは全クライアントの失敗を観測できる。
+ * 購読開始時点の既存エントリは記録しない。強制停止中の失敗と、権限による拒否・書き込みの競合は数えない。
+ */
+function observeLedgerFailures(entries) {
+    const lastSeq = entries.length ? entries[entries.length - 1].seq : 0;
+    if (lastObservedSeq !== null && !currentState.isHalted) {
+        entries
+            .filter(entry => entry.seq > lastObservedSeq && countsAsBreakerFailure(entry))
+            .forEach(entry => { breakerTracker = recordFailure(breakerTracker, entry.timestamp, breakerPolicy); });
+    }
+    lastObservedSeq = lastSeq;
+}
+
+/** 観測値を更新し、サーキットブレーカーの遷移が必要な場合は system ロールで適用します。 */
+async function runCircuitBreaker() {
+    if (isBreakerTransitioning) return;
+    const now = clock.now();
+    const state = getCurrentState(now);
+    breakerTracker = observeVibration(breakerTracker, state.vibration_level.value, now, breakerPolicy);
+
+    const transition = evaluateBreaker(state, breakerTracker, now, breakerPolicy);
+    if (!transition) return;
+
+    isBreakerTransitioning = true;
+    try {
+        const actor = getSystemActor();
+        const result = breakerTransition(transition, state, { actor, permissions, now, breakerPolicy, infrastructurePolicy });
+        const applied = await applyActResult(result, transition, actor);
+        if (applied.ok && transition.to === BREAKER_STATUS.HALTED) {
+            breakerTracker = createTracker();
+        }
+    } finally {
+        isBreakerTransitioning = false;
+    }
+}
+
+// ====================================================================
+// SCHEDULER (定期処理とリーダー選出)
+// ====================================================================
+
+/** 定期処理のスケジューラ (initApp で生成)。 */
+let scheduler = null;
+/** スケジューラの動作モード (scheduler.js の SCHEDULER_MODES)。 */
+let schedulerMode = SCHEDULER_MODES.LEADER;
+/** 定期処理のリーダーのリース (system_config/scheduler_lease)。 */
+let schedulerLease = null;
+
+/**
+ * 定期処理を時計の現在時刻で1回実行し、LILルールの作為を含めて完了を待ちます ('manual' モードのシミュレーション用)。
+ */
+export async function tickScheduler() {
+    await scheduler.tick(clock.now());
+    await settleBackgroundWork();
+}
+
+/** このクライアントが定期処理のリーダーか判定します (ヘッドレスでは常にリーダー)。 */
+export function isSchedulerLeader(now = clock.now()) {
+    if (schedulerMode !== SCHEDULER_MODES.LEADER) return true;
+    const action = decideLease(schedulerLease, clientId, now, DEFAULT_SCHEDULER_OPTIONS.lease_ms);
+    return action === 'lead' || action === 'renew';
+}
+
+/**
+ * リーダー選出を行います。リースが期限切れであれば取得し、自分のリースであれば期限の半分を過ぎた時点で更新する。
+ * @returns {Promise<boolean>} - このクライアントがリーダーであれば true。
+ */
+async function electLeader(now) {
+    if (schedulerMode !== SCHEDULER_MODES.LEADER) return true;
+    const leaseMs = DEFAULT_SCHEDULER_OPTIONS.lease_ms;
+    const action = decideLease(schedulerLease, clientId, now, leaseMs);
+    if (action === 'lead') return true;
+    if (action === 'follow') return false;
+
+    // 最新のリースに対して判定し直し、その間に他のクライアントが取得していれば書き込まない
+    const lease = buildLease(clientId, userId, now, leaseMs);
+    let saved;
+    try {
+        saved = await storage.updateConfig('scheduler_lease', (current) =>
+            ['claim', 'renew'].includes(decideLease(current, clientId, now, leaseMs)) ? lease : null);
+    } catch (e) {
+        logToConsole(`[ERROR]: Scheduler Lease Error: ${escapeHtml(e.message)}`, 'error-message');
+        return false;
+    }
+    if (!saved) return false;
+    schedulerLease = lease;
+    if (action === 'claim') {
+        logToConsole(`[SYSTEM]: このクライアント (${userId}/${clientId}) が定期処理のリーダーになりました。`, 'system-message');
+    }
+    return true;
+}
+
+// ====================================================================
+// PERMISSIONS (ロールと権限)
+// ====================================================================
+
+/** 権限設定。system_config/permissions の内容で置き換えられる。 */
+let permissions = DEFAULT_PERMISSIONS;
+
+/** 現在有効な権限設定を返します。 */
+export function getPermissions() {
+    return permissions;
+}
+
+/** 現在の利用者を作為者 { userId, role } として返します。 */
+export function getCurrentActor() {
+    return { userId, role: resolveRole(permissions, userId) };
+}
+
+/** システム自身による作為 (サーキットブレーカー・定期処理) の作為者を返します (system ロール)。 */
+export function getSystemActor() {
+    return { userId: `${SYSTEM_ACTOR_PREFIX}${userId}`, role: SYSTEM_ROLE };
+}
+
+/**
+ * LILルールによる作為の作為者を返します (system ロール、rule_id 付き)。
+ * userId はルールセットの編集者 (system_config/lil_rules の updated_by) とし、重大な作為の提案を編集者自身が承認できないようにする。
+ * @param {object} rule - 発動したLILルール。
+ */
+export function getLILRuleActor(rule) {
+    return { userId: `${SYSTEM_ACTOR_PREFIX}${lilRulesEditor || userId}`, role: SYSTEM_ROLE, rule_id: rule.id };
+}
+
+/**
+ * 現在の利用者の権限を検証したうえで設定ドキュメント (system_config/<configName>) を保存します。
+ * @param {string} configName - 設定名。
+ * @param {object} data - 設定内容。
+ * @param {string} permission - 必要な権限 (permissions.js の PERMISSIONS)。
+ * @returns {Promise<string|null>} - 拒否・失敗の理由。保存に成功した場合は null。
+ */
+export async function saveConfigWithPermission(configName, data, permission) {
+    const denied = checkPermission(permission, { actor: getCurrentActor(), permissions });
+    if (denied) return denied;
+    try {
+        await storage.saveConfig(configName, data);
+        return null;
+    } catch (e) {
+        return `設定の保存に失敗しました: ${e.message}`;
+    }
+}
+
+/** ヘッダーの利用者表示を更新します。 */
+function renderUserId() {
+    if (UI_ELEMENTS.app_user_id) {
+        UI_ELEMENTS.app_user_id.textContent = `${appId} / ${userId} (${getCurrentActor().role})`;
+    }
 }
 
 // ====================================================================
 // UI RENDER CALLBACK MANAGEMENT (CENTRALIZED CONTROL)
 // ====================================================================
 
-/** * Firestoreのデータ更新時に実行される、ページ固有のUIレンダリング関数を格納するリスト。*/
+/** * 永続化バックエンドのデータ更新時に実行される、ページ固有のUIレンダリング関数を格納するリスト。*/
 const renderCallbacks = [];
 
 /**
@@ -179,71 +761,207 @@ function updateUI(state) {
         // ... (省略：色分けCSSクラスの追加/削除ロジック)
     }
     
-    // 強制停止状態の表示 (すべてのページで共通のクラス名を使用)
+    // 強制停止・試験運用状態の表示 (HALTED / PROBATION / OPERATIONAL、すべてのページで共通のクラス名を使用)
+    if (typeof document === 'undefined') return;
+    const status = displayStatus(state);
+    const statusColors = {
+        HALTED: 'text-red-500',
+        PROBATION: 'text-yellow-400',
+        OPERATIONAL: 'text-green-500',
+    };
     document.querySelectorAll('.halt-indicator').forEach(el => {
-        el.textContent = state.isHalted ? 'HALTED' : 'OPERATIONAL';
-        el.className = state.isHalted ? 'halt-indicator text-red-500 font-bold' : 'halt-indicator text-green-500 font-bold';
+        el.textContent = status;
+        el.className = `halt-indicator ${statusColors[status]} font-bold`;
     });
 }
 
+/**
+ * 権限設定が存在しない場合に、initialGovernor を最初の governor とする権限設定を作成します (初回起動時)。
+ * 作成は存在しない場合のみ行うため、同時に起動したクライアントが互いの権限設定を上書きすることはない。
+ * 共有の保存先で initialGovernor が指定されていない場合は作成せず、全員を既定のロールとして扱う
+ * (最初に接続した利用者が自身を governor に昇格できないように)。
+ * @param {string|null} initialGovernor - 最初の governor の利用者ID。
+ */
+async function bootstrapPermissions(initialGovernor) {
+    if (!initialGovernor) {
+        logToConsole(`[SYSTEM]: 権限設定 (system_config/permissions) がありません。initApp の initialGovernor に最初の governor の利用者ID (この端末は ${userId}) を指定して初期化してください。`, 'error-message');
+        return;
+    }
+    const created = await storage.createConfig('permissions', { ...DEFAULT_PERMISSIONS, users: { [initialGovernor]: 'governor' } });
+    if (created) {
+        logToConsole(`[SYSTEM]: 権限設定を初期化し、${initialGovernor} を governor として登録しました。`, 'system-message');
+    }
+}
+
 // ====================================================================
-// INITIALIZATION AND FIREBASE LISTENERS (EXPORTED)
+// INITIALIZATION AND STORAGE LISTENERS (EXPORTED)
 // ====================================================================
 
-/** アプリケーションの初期化とFirebaseリスナーの設定を行います。 */
-export async function initApp() {
-    const firebaseConfig = { 
-        // DUMMY CONFIG FOR SIMULATION - Replace with actual config
-        apiKey: "AIzaSyDUMMYKEY", 
-        authDomain: "msgai-z.firebaseapp.com",
-        projectId: "msgai-z",
-        storageBucket: "msgai-z.appspot.com",
-        messagingSenderId: "123456789012",
-        appId: "1:123456789012:web:abcdef1234567890"
-    };
-
+/**
+ * アプリケーションの初期化と永続化バックエンドのリスナー設定を行います。
+ * @param {object} [options]
+ * @param {object} [options.storage] - storage_adapters.js の Storage Adapter。
+ *        省略時はブラウザでは localStorage、Node ではメモリを使用する (Firestore は createFirestoreStorage で明示的に指定)。
+ * @param {string} [options.scheduler] - 定期処理の動作モード ('leader' | 'local' | 'manual')。
+ *        省略時はブラウザではリーダー選出 ('leader')、Node ではローカル ('local')。
+ *        'manual' ではタイマーを開始せず、呼び出し側が tickScheduler で定期処理を進める (シミュレーション)。
+ * @param {object} [options.clock] - 時計 (clock.js)。省略時は実時間。
+ * @param {function} [options.random] - 乱数関数。省略時は Math.random。
+ * @param {function} [options.onLog] - DOM が無い環境でのログの出力先 ({ at, message, className }) => void。
+ * @param {string} [options.initialGovernor] - 権限設定 (system_config/permissions) が存在しない場合に最初の governor とする利用者ID。
+ *        省略時、ローカルの保存先 (storage.local) では自分自身、共有の保存先 (Firestore) では権限設定を作成しない。
+ */
+export async function initApp({
+    storage: storageAdapter,
+    scheduler: mode = defaultSchedulerMode(),
+    clock: appClock = SYSTEM_CLOCK,
+    random: appRandom = Math.random,
+    onLog = null,
+    initialGovernor,
+} = {}) {
     try {
-        app = initializeApp(firebaseConfig);
-        db = getFirestore(app);
-        auth = getAuth(app);
-        
+        storage = storageAdapter || createDefaultStorage({ appId });
+        schedulerMode = mode;
+        clock = appClock;
+        random = appRandom;
+        headlessLog = onLog;
+
+        // 0. 前回の初期化の状態を破棄する (同一プロセスで複数のシミュレーションを実行する場合)
+        if (scheduler) scheduler.stop();
+        currentState = createInitialState(clock.now());
+        breakerTracker = createTracker();
+        lastObservedSeq = null;
+        lastOutageCheck = null;
+
         // 1. Authentication
-        await signInAnonymously(auth);
-        
-        onAuthStateChanged(auth, (user) => {
-            if (user) {
-                userId = user.uid.substring(0, 8);
-                if (UI_ELEMENTS.app_user_id) {
-                    UI_ELEMENTS.app_user_id.textContent = `${appId} / ${userId}`;
-                }
-                
-                // 2. Firestore State Listener
-                stateDocRef = doc(db, 'system_state', appId);
-                onSnapshot(stateDocRef, (docSnap) => {
-                    if (docSnap.exists()) {
-                        const firestoreData = docSnap.data();
-                        currentState = { ...currentState, ...firestoreData };
-                    } else {
-                        // 初回実行時: 初期状態をFirestoreに設定
-                        setDoc(stateDocRef, currentState);
-                    }
-                    
-                    // **データ受信後、すべての登録されたコールバックを実行**
-                    executeRenderCallbacks(currentState); 
-                    
-                }, (error) => {
-                    console.error("Firestore Listen Error:", error);
-                });
+        const uid = await storage.authenticate();
+        userId = uid.substring(0, 8);
+        renderUserId();
+
+        // 2. State Listener
+        storage.subscribeState((data) => {
+            if (data) {
+                mergeLoadedState(data);
+            } else {
+                // 初回実行時: 初期状態をバックエンドに設定
+                storage.setState(currentState);
+            }
+
+            // **データ受信後、すべての登録されたコールバックを実行**
+            executeRenderCallbacks(getCurrentState()); 
+            evaluateLILRules(getCurrentState());
+        }, (error) => {
+            console.error("Storage Listen Error:", error);
+        });
+
+        // 3. LIL Rules Listener (lil_editor.html で保存されたルールを即時適用)
+        storage.subscribeConfig('lil_rules', (data) => {
+            lilEngine.setRules(data ? data.rules : null);
+            lilRulesEditor = data ? data.updated_by || null : null;
+            evaluateLILRules(getCurrentState());
+        }, (error) => {
+            console.error("LIL Rules Listen Error:", error);
+        });
+
+        // 4. Rate Curves Listener
+        storage.subscribeConfig('rate_curves', (data) => {
+            rateCurves = data && data.currencies ? { ...DEFAULT_RATE_CURVES, ...data } : DEFAULT_RATE_CURVES;
+        }, (error) => {
+            console.error("Rate Curves Listen Error:", error);
+        });
+
+        // 5. Exchange Fees Listener
+        storage.subscribeConfig('exchange_fees', (data) => {
+            exchangeConfig = data ? { ...DEFAULT_EXCHANGE_CONFIG, ...data } : DEFAULT_EXCHANGE_CONFIG;
+        }, (error) => {
+            console.error("Exchange Fees Listen Error:", error);
+        });
 
-                // 3. Decay Timer
-                setInterval(() => {
-                    decayVibration();
-                    // Decay処理後もUI更新のためにコールバックを実行
-                    executeRenderCallbacks(currentState); 
-                }, 1000); // 1秒ごとに減衰
+        // 6. Permissions Listener
+        storage.subscribeConfig('permissions', (data) => {
+            permissions = data ? { ...DEFAULT_PERMISSIONS, ...data } : DEFAULT_PERMISSIONS;
+            if (!data) {
+                bootstrapPermissions(initialGovernor ?? (storage.local ? userId : null)).catch((error) => {
+                    console.error("Permissions Bootstrap Error:", error);
+                });
             }
+            renderUserId();
+        }, (error) => {
+            console.error("Permissions Listen Error:", error);
+        });
+
+        // 7. Vibration Policy Listener
+        storage.subscribeConfig('vibration_policy', (data) => {
+            vibrationPolicy = data ? {
+                ...DEFAULT_VIBRATION_POLICY,
+                ...data,
+                act_costs: { ...DEFAULT_VIBRATION_POLICY.act_costs, ...(data.act_costs || {}) },
+            } : DEFAULT_VIBRATION_POLICY;
+        }, (error) => {
+            console.error("Vibration Policy Listen Error:", error);
+        });
+
+        // 8. Circuit Breaker Listener
+        storage.subscribeConfig('circuit_breaker', (data) => {
+            breakerPolicy = data ? { ...DEFAULT_BREAKER_POLICY, ...data } : DEFAULT_BREAKER_POLICY;
+        }, (error) => {
+            console.error("Circuit Breaker Listen Error:", error);
+        });
+
+        // 9. Ledger Listener (サーキットブレーカーによる失敗作為の観測)
+        storage.subscribeLedger(observeLedgerFailures, (error) => {
+            console.error("Ledger Listen Error:", error);
+        });
+
+        // 10. Logos Provider Listener
+        storage.subscribeConfig('logos_provider', (data) => {
+            logosProviderConfig = data ? { ...DEFAULT_PROVIDER_CONFIG, ...data } : DEFAULT_PROVIDER_CONFIG;
+        }, (error) => {
+            console.error("Logos Provider Listen Error:", error);
+        });
+
+        // 11. Infrastructure Policy Listener
+        storage.subscribeConfig('infrastructure', (data) => {
+            infrastructurePolicy = data ? {
+                ...DEFAULT_INFRASTRUCTURE_POLICY,
+                ...data,
+                energy: { ...DEFAULT_INFRASTRUCTURE_POLICY.energy, ...(data.energy || {}) },
+                net: { ...DEFAULT_INFRASTRUCTURE_POLICY.net, ...(data.net || {}) },
+                outages: { ...DEFAULT_INFRASTRUCTURE_POLICY.outages, ...(data.outages || {}) },
+            } : DEFAULT_INFRASTRUCTURE_POLICY;
+        }, (error) => {
+            console.error("Infrastructure Policy Listen Error:", error);
+        });
+
+        // 12. Scheduler Lease Listener (他のクライアントが取得したリースを反映する)
+        if (schedulerMode === SCHEDULER_MODES.LEADER) {
+            storage.subscribeConfig('scheduler_lease', (data) => {
+                schedulerLease = data;
+            }, (error) => {
+                console.error("Scheduler Lease Listen Error:", error);
+            });
+        }
+
+        // 13. Scheduler
+        // Vibrationの減衰は読み出し時に遅延評価されるため、定期的な書き込みは行わない。
+        // 状態を書き換える定期処理はリーダーのみが実行し、画面の更新とLILの評価は各クライアントで行う。
+        scheduler = createScheduler({
+            elect: electLeader,
+            leaderTasks: [
+                () => runCircuitBreaker(),
+                () => recomputeRates(),
+                () => sweepExpiredProposals(),
+                () => runInfrastructure(),
+            ],
+            tasks: [
+                () => executeRenderCallbacks(getCurrentState()),
+                () => evaluateLILRules(getCurrentState()),
+            ],
+            onError: (e) => console.error("Scheduler Error:", e),
+            now: () => clock.now(),
         });
+        if (schedulerMode !== SCHEDULER_MODES.MANUAL) scheduler.start();
     } catch (e) {
-        console.error("Firebase Initialization Error:", e);
+        console.error("Storage Initialization Error:", e);
     }
 }
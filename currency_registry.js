@@ -0,0 +1,194 @@
+// js/currency_registry.js
+
+import { KNOWLEDGE } from './knowledge_base.js';
+import { toMinorUnits, fromMinorUnits, formatMinorUnits, roundHalfEven, unitScale } from './money.js';
+
+/**
+ * 通貨レジストリとアカウント残高のアクセサ。
+ * DOM やバックエンドに依存しない純粋なモジュール。
+ *
+ * 通貨はシステム状態の currencies 配列に登録される (genesis は KNOWLEDGE.DEFINITIONS.CURRENCIES):
+ * { code, title, purpose, decimals, initial_rate, supply_cap }
+ *
+ * アカウント残高は balances マップに最小単位の整数 (money.js) で保持される:
+ * { id, name, balances: { ALPHA: 100000, BETA: 50000, ... } }   // decimals = 2 の場合 1000.00 ALPHA
+ * 旧形式 (通貨コードをアカウントの直下に持つ・主単位の浮動小数点) の状態は migrateCurrencyState で変換する。
+ */
+
+/** 残高を最小単位の整数で保持していることを示す state.balance_unit の値。 */
+export const BALANCE_UNIT = 'minor';
+
+/** genesis 時点の通貨レジストリ。 */
+export const GENESIS_CURRENCIES = KNOWLEDGE.DEFINITIONS.CURRENCIES;
+
+/** 通貨コードの形式 (英大文字で始まる 2〜10 文字)。 */
+const CURRENCY_CODE_PATTERN = /^[A-Z][A-Z0-9_]{1,9}$/;
+const MAX_DECIMALS = 8;
+
+// ====================================================================
+// REGISTRY ACCESS
+// ====================================================================
+
+/** 状態に登録されている通貨定義の配列を返します。 */
+export function getCurrencies(state) {
+    return state.currencies || GENESIS_CURRENCIES;
+}
+
+/** 登録済みの通貨コードの配列を返します。 */
+export function getCurrencyCodes(state) {
+    return getCurrencies(state).map(c => c.code);
+}
+
+/** 通貨定義を返します (未登録の場合は undefined)。 */
+export function findCurrency(state, code) {
+    return getCurrencies(state).find(c => c.code === code);
+}
+
+/** 通貨の小数桁数を返します (未登録の場合は 2)。 */
+export function getDecimals(state, code) {
+    return findCurrency(state, code)?.decimals ?? 2;
+}
+
+/** 主単位の金額を通貨の最小単位に変換します (精度を超える場合は null)。 */
+export function toCurrencyUnits(state, code, amount) {
+    return toMinorUnits(amount, getDecimals(state, code));
+}
+
+/** 最小単位の金額を通貨の主単位に変換します。 */
+export function fromCurrencyUnits(state, code, minor) {
+    return fromMinorUnits(minor, getDecimals(state, code));
+}
+
+/** 最小単位の金額を登録された小数桁数で整形します。 */
+export function formatAmount(state, code, minor) {
+    return formatMinorUnits(minor, getDecimals(state, code));
+}
+
+/**
+ * 新しい通貨定義を検証し、正規化した定義を返します。
+ * @param {object} definition - { code, title, purpose, decimals, initial_rate, supply_cap }
+ * @param {object} state - システム状態。
+ * @returns {{currency: object}|{error: string}}
+ */
+export function validateCurrencyDefinition({ code, title, purpose, decimals, initial_rate, supply_cap } = {}, state) {
+    const normalizedCode = String(code || '').trim().toUpperCase();
+    if (!CURRENCY_CODE_PATTERN.test(normalizedCode)) {
+        return { error: "通貨コードは英大文字で始まる2〜10文字 (英大文字・数字・_) で指定してください。" };
+    }
+    if (findCurrency(state, normalizedCode)) return { error: `通貨 ${normalizedCode} は既に登録されています。` };
+
+    const decimalsValue = decimals === undefined || decimals === '' ? 2 : Number(decimals);
+    if (!Number.isInteger(decimalsValue) || decimalsValue < 0 || decimalsValue > MAX_DECIMALS) {
+        return { error: `小数桁数は 0〜${MAX_DECIMALS} の整数で指定してください。` };
+    }
+    const rate = Number(initial_rate);
+    if (!(rate > 0) || !isFinite(rate)) return { error: "初期レートは正の数で指定してください。" };
+
+    const cap = supply_cap === undefined || supply_cap === null || supply_cap === '' ? null : Number(supply_cap);
+    if (cap !== null && !(cap > 0)) return { error: "供給上限は正の数で指定してください (無制限の場合は省略)。" };
+    // 上限は MINT で最小単位に換算して比較するため、小数桁数で表せない値 (decimals 0 の 10.5 など) は登録しない
+    if (cap !== null && toMinorUnits(cap, decimalsValue) === null) {
+        return { error: `供給上限 ${cap} は小数桁数 ${decimalsValue} の通貨では表せません (安全な整数の範囲内で、小数点以下 ${decimalsValue} 桁までの値を指定してください)。` };
+    }
+
+    return {
+        currency: {
+            code: normalizedCode,
+            title: title || normalizedCode,
+            purpose: purpose || '',
+            decimals: decimalsValue,
+            initial_rate: rate,
+            supply_cap: cap,
+        },
+    };
+}
+
+// ====================================================================
+// BALANCES
+// ====================================================================
+
+/** アカウントの通貨残高を最小単位で返します (未保有の場合は 0)。 */
+export function getBalance(account, code) {
+    return Number(account?.balances?.[code]) || 0;
+}
+
+/** 通貨残高を minorAmount (最小単位の整数) だけ増減させた新しいアカウントを返します。 */
+export function adjustBalance(account, code, minorAmount) {
+    return { ...account, balances: { ...account.balances, [code]: getBalance(account, code) + minorAmount } };
+}
+
+/** 登録済みのすべての通貨の残高を 0 とした balances マップを返します。 */
+export function emptyBalances(state) {
+    return Object.fromEntries(getCurrencyCodes(state).map(code => [code, 0]));
+}
+
+// ====================================================================
+// MIGRATION (旧形式: 通貨コードをアカウントの直下に保持・主単位の浮動小数点)
+// ====================================================================
+
+/**
+ * 旧形式のアカウントを balances マップ形式に変換します。既に変換済みの場合はそのまま返す。
+ * @param {object} account - アカウント。
+ * @param {Array<string>} [codes] - 残高として扱う通貨コード。
+ */
+export function migrateAccount(account, codes = GENESIS_CURRENCIES.map(c => c.code)) {
+    if (!account) return account;
+    const legacyCodes = codes.filter(code => code in account);
+    if (account.balances && legacyCodes.length === 0) return account;
+
+    const migrated = { ...account, balances: { ...(account.balances || {}) } };
+    legacyCodes.forEach(code => {
+        migrated.balances[code] = (Number(migrated.balances[code]) || 0) + (Number(account[code]) || 0);
+        delete migrated[code];
+    });
+    return migrated;
+}
+
+/**
+ * 主単位 (浮動小数点) の balances を最小単位の整数に変換したアカウントを返します。
+ * 変換時の端数は最近接偶数丸めで処理する。
+ * @param {object} account - balances 形式のアカウント。
+ * @param {Array<object>} currencies - 通貨レジストリ。
+ */
+export function accountToMinorUnits(account, currencies) {
+    if (!account || !account.balances) return account;
+    const decimalsByCode = new Map(currencies.map(c => [c.code, c.decimals ?? 2]));
+    const balances = Object.fromEntries(Object.entries(account.balances).map(([code, value]) =>
+        [code, roundHalfEven((Number(value) || 0) * unitScale(decimalsByCode.get(code) ?? 2))]
+    ));
+    return { ...account, balances };
+}
+
+/**
+ * 通貨レジストリと残高形式の移行が必要な場合、保存すべき部分状態を返します。
+ * @param {object} state - 読み込んだシステム状態。
+ * @returns {object|null} - { currencies, accounts, balance_unit }。移行が不要な場合は null。
+ */
+export function migrateCurrencyState(state) {
+    const currencies = state.currencies || GENESIS_CURRENCIES;
+    const codes = currencies.map(c => c.code);
+    const isMinor = state.balance_unit === BALANCE_UNIT;
+    const accounts = (state.accounts || []).map(acc => {
+        const migrated = migrateAccount(acc, codes);
+        return isMinor ? migrated : accountToMinorUnits(migrated, currencies);
+    });
+    const accountsChanged = accounts.some((acc, i) => acc !== state.accounts[i]);
+
+    if (state.currencies && isMinor && !accountsChanged) return null;
+    return { currencies, accounts, balance_unit: BALANCE_UNIT };
+}
+
+/**
+ * 監査台帳のスナップショットのアカウントを現在の形式 (balances・最小単位) に揃えます。
+ * balance_unit を持たないエントリは旧形式 (主単位) として変換する。
+ * (audit_ledger.js の replayLedgerAccounts に normalizeAccount として渡す)
+ * @param {Array<object>} currencies - 通貨レジストリ。
+ * @returns {function(object, object|null): object}
+ */
+export function ledgerAccountNormalizer(currencies) {
+    const codes = currencies.map(c => c.code);
+    return (account, entry) => {
+        if (!entry || entry.balance_unit === BALANCE_UNIT) return migrateAccount(account, codes);
+        return accountToMinorUnits(migrateAccount(account, codes), currencies);
+    };
+}
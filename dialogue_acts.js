@@ -2,11 +2,48 @@
 
 import { 
     getCurrentState, 
+    getStorage,
     addVibration, 
     resetVibration, 
     VIBRATION_LIMIT,
+    INITIAL_STATE,
+    getExchangeConfig,
+    getPermissions,
+    getVibrationPolicy,
+    getCurrentActor,
+    getLogosProviderConfig,
+    saveConfigWithPermission,
+    createStreamingLog,
+    getClock,
+    getRandom,
     logToConsole 
 } from './core_logic.js';
+import { ROLES, PERMISSIONS, checkPermission, isAllowed, assignRole } from './permissions.js';
+import { getPendingProposals, escapeHtml } from './approval.js';
+import { getBand, checkBand, actCost } from './vibration_policy.js';
+import {
+    actTransfer,
+    actMintCurrency,
+    actExchangeCurrency,
+    actForcedHalt,
+    actRestart,
+    handleCreateAccountAct,
+    actSetRate,
+    actRegisterCurrency,
+    actSubmitBatch,
+    actApproveProposal,
+    actRejectProposal,
+    previewAct
+} from './audit_acts.js';
+import { actAdjustSupply, actInfraEvent } from './infra_acts.js';
+import { listSnapshots, saveNamedSnapshot, diffSnapshots, actRestoreSnapshot, CURRENT_STATE_ID } from './snapshot_acts.js';
+import { createCommandRegistry } from './command_registry.js';
+import { answerPrompt } from './logos_intent.js';
+import { parseNaturalAct, parseConfirmation } from './logos_act_parser.js';
+import { PROVIDER_TYPES, buildSystemPrompt, createInternalProvider, createProvider, runInference, isApiKeyAllowed } from './logos_provider.js';
+import { quoteExchange, formatQuote } from './exchange_pricing.js';
+import { verifyLedgerChain, replayLedgerAccounts, diffAccounts } from './audit_ledger.js';
+import { getCurrencies, getCurrencyCodes, getBalance, formatAmount, ledgerAccountNormalizer } from './currency_registry.js';
 
 import { KNOWLEDGE } from './knowledge_base.js'; // 内部知識ベース
 
@@ -29,59 +66,16 @@ function mobius_transform_query(prompt, state) {
 /**
  * 内部ロゴスに基づき推論を実行し、応答を生成する。
  * これは外部LLMの機能を模倣した、自己完結型の応答ロジックです。
+ * 意図の分類とエンティティ (アカウントID・通貨コード・数値・時間の言及) の抽出は
+ * メビウス変換前のプロンプトに対して行い (logos_intent.js)、応答はシステム状態だけから組み立てる。
+ * @param {string} prompt - ユーザーの入力プロンプト。
+ * @param {string} transformed_query - メビウス変換された質問 (推論の文脈として応答に付記する)。
+ * @param {object} state - 現在のシステム状態。
  */
-function execute_logos_inference(transformed_query) {
-    const state = getCurrentState();
-    let response = `監査官殿、**${KNOWLEDGE.DEFINITIONS.PROTOCOL_NAME}** に基づき推論を実行します。\n`;
-    
-    // ----------------------------------------------------------------
-    // 知識ベースと状態を参照した推論ロジック
-    // ----------------------------------------------------------------
-
-    // 1. プロトコル定義の問合せ
-    if (transformed_query.includes("プロトコル") || transformed_query.includes("定義")) {
-        const version = KNOWLEDGE.DEFINITIONS.PROTOCOL_VERSION;
-        response += `- 稼働プロトコル名: ${KNOWLEDGE.DEFINITIONS.PROTOCOL_NAME} (${version})\n`;
-        response += `- 詳細はプロトコル ${version} を参照してください。`;
-    } 
-    
-    // 2. Vibration関連の問合せ
-    else if (transformed_query.includes("V") || transformed_query.includes("Vibration") || transformed_query.includes("活動量")) {
-        const currentV = state.vibration_level.value.toFixed(2);
-        response += `- ${KNOWLEDGE.DEFINITIONS.VIBRATION.title}は現在 **${currentV}** です (限界 ${VIBRATION_LIMIT})。\n`;
-        
-        if (currentV >= VIBRATION_LIMIT * 0.8) {
-             response += `**警告**: 80%を超過しており、論理的摂動が非常に高い状態です。`;
-        } else {
-             response += `現在は許容範囲内の摂動レベルです。`;
-        }
-    } 
-    
-    // 3. 経済・残高関連の問合せ
-    else if (transformed_query.includes("経済") || transformed_query.includes("残高") || transformed_query.includes("通貨")) {
-        const coreBank = state.accounts.find(a => a.id === 'CORE_BANK_A');
-        const currencyList = KNOWLEDGE.DEFINITIONS.CURRENCIES.map(c => c.code).join(', ');
-        
-        response += `- 監査対象通貨: ${currencyList} が定義されています。\n`;
-        if (coreBank) {
-            response += `- 中央銀行AのALPHA残高: ${coreBank.ALPHA.toFixed(2)}`;
-        }
-    }
-    
-    // 4. 強制停止状態の確認
-    else if (transformed_query.includes("強制停止状態") || transformed_query.includes("HALT")) {
-        response += state.isHalted 
-            ? `- システムは現在、論理的収束のため**強制停止中**です。`
-            : `- システムは現在**稼働状態 (OPERATIONAL)** です。`;
-    } 
-    
-    // 5. 一般的な問い合わせとガイドラインからの引用
-    else {
-        const randomGuideline = KNOWLEDGE.GUIDELINES[Math.floor(Math.random() * KNOWLEDGE.GUIDELINES.length)];
-        response += `- 監査プロトコルは、常に次の原則を順守します: "${randomGuideline}"`;
-    }
-
-    return response;
+function execute_logos_inference(prompt, transformed_query, state) {
+    const { intent, lines } = answerPrompt(prompt, state, { now: getClock().now(), vibrationLimit: VIBRATION_LIMIT, random: getRandom() });
+    const context = transformed_query.slice(0, transformed_query.length - prompt.length).trim();
+    return `監査官殿、**${KNOWLEDGE.DEFINITIONS.PROTOCOL_NAME}** に基づき推論を実行します。 ${context} (意図: ${intent})\n${lines.join('\n')}`;
 }
 
 /**
@@ -96,62 +90,604 @@ function mobius_transform_response(raw_response, state) {
 }
 
 
+/** 内部ロゴスエンジンのプロバイダ (外部プロバイダの失敗時のフォールバックを兼ねる)。 */
+const internalProvider = createInternalProvider(execute_logos_inference);
+
+/** 外部プロバイダのAPIキーを保持する localStorage のキー (共有の設定文書には保存しない)。 */
+const API_KEY_STORAGE_KEY = 'msgai-z/logos_api_key';
+/** APIキーの送信を許可するオリジン (例: "https://api.example.com") を保持する localStorage のキー。 */
+const API_KEY_ORIGIN_STORAGE_KEY = 'msgai-z/logos_api_key_origin';
+
 /**
- * ユーザープロンプトを処理し、内部ロゴスエンジンに渡すメイン関数（旧callGeminiの代替）。
+ * このクライアントが保持するAPIキーを、endpoint がこのクライアントの許可したオリジンの場合にのみ返します。
+ * endpoint は共有の設定文書 (system_config/logos_provider) から読み込まれるため、送信先はキーと同じく各クライアントが設定する。
+ * @param {string} endpoint - プロバイダ設定の endpoint。
+ * @returns {{apiKey: string|null, withheld: string|null}} - withheld はキーの送信を見送った理由。
+ */
+function readApiKey(endpoint) {
+    const apiKey = typeof localStorage === 'undefined' ? null : localStorage.getItem(API_KEY_STORAGE_KEY);
+    if (!apiKey || !endpoint) return { apiKey: null, withheld: null };
+    const allowedOrigin = localStorage.getItem(API_KEY_ORIGIN_STORAGE_KEY);
+    if (isApiKeyAllowed(endpoint, allowedOrigin)) return { apiKey, withheld: null };
+    return {
+        apiKey: null,
+        withheld: `APIキーは ${escapeHtml(allowedOrigin || '(未設定)')} 宛てにのみ送信します。共有設定の endpoint ${escapeHtml(endpoint)} には送信しません (localStorage の ${API_KEY_ORIGIN_STORAGE_KEY} で許可するオリジンを設定してください)。`,
+    };
+}
+
+/**
+ * ユーザープロンプトを処理し、推論プロバイダ (logos_provider.js) に渡すメイン関数（旧callGeminiの代替）。
+ * メビウス変換は質問と応答のフックとして適用され、KNOWLEDGE と現在の状態は文脈としてプロバイダへ渡される。
+ * 応答は dialogue_output へストリーミング表示され、プロバイダの失敗・タイムアウト時は内部ロゴスエンジンで応答する。
  */
 async function callInternalLogos(prompt) {
     const state = getCurrentState();
+    const config = getLogosProviderConfig();
+    const stream = createStreamingLog('ai-message');
 
-    // 1. 変換 (Transform Query)
-    const t_query = mobius_transform_query(prompt, state);
-    
-    // 2. 推論 (Inference)
-    // 内部計算遅延をシミュレート
-    await new Promise(resolve => setTimeout(resolve, 500)); 
-    const raw_response = execute_logos_inference(t_query);
-    
-    // 3. 変換 (Transform Response)
-    const final_response = mobius_transform_response(raw_response, state);
-    
-    // 4. 内部推論でも計算コストとして摂動を発生させる (マイナーな作為)
-    await addVibration(0.5); 
-    
-    return final_response;
+    try {
+        const { apiKey, withheld } = config.type === PROVIDER_TYPES.INTERNAL ? { apiKey: null, withheld: null } : readApiKey(config.endpoint);
+        if (withheld) logToConsole(`⚠️ ${withheld}`, 'error-message');
+        const provider = createProvider(config, {
+            fetch: typeof fetch === 'undefined' ? null : fetch.bind(globalThis),
+            apiKey,
+            internal: internalProvider,
+        });
+        const { text } = await runInference({
+            prompt,
+            state,
+            system: buildSystemPrompt(KNOWLEDGE, state, (account, code) => formatAmount(state, code, getBalance(account, code))),
+            provider,
+            fallback: config.fallback ? internalProvider : null,
+            hooks: { transformQuery: mobius_transform_query, transformResponse: mobius_transform_response },
+            timeout_ms: config.timeout_ms,
+            onToken: (delta) => stream.append(delta),
+            onFallback: (reason) => {
+                stream.reset();
+                logToConsole(`⚠️ ${reason} 内部ロゴスエンジンで応答します。`, 'error-message');
+            },
+        });
+        stream.finish(text);
+    } catch (error) {
+        stream.reset();
+        throw error;
+    }
+
+    // 推論でも計算コストとして摂動を発生させる (マイナーな作為、コストは作為コスト表の INFERENCE)
+    await addVibration(actCost('INFERENCE', state.vibration_level.value, getVibrationPolicy()));
 }
 
 // ====================================================================
 // Z-FUNCTIONS (INTERNAL SYSTEM COMMANDS)
 // ====================================================================
 
-const Z_FUNCTIONS = {
+/**
+ * Z-Function のコマンド定義 (command_registry.js)。
+ * 各コマンドは名前・型付きの引数・必要な権限・Vibrationコスト・ヘルプを宣言する。
+ * 作為を実行するコマンドは audit_acts.js / infra_acts.js のアダプタを呼び出し、結果は applyActResult がコンソールに記録する。
+ */
+const Z_FUNCTIONS = createCommandRegistry([
+    // ヘルプ: /help [コマンド名]
+    {
+        name: 'help',
+        args: [{ name: 'command', type: 'text', optional: true, description: 'コマンド名 (例: account create)' }],
+        help: "コマンドの一覧、または指定したコマンドの使い方を表示します。",
+        execute: ({ command }) => ({
+            result: command
+                ? `**[HELP]:**\n${Z_FUNCTIONS.help(command, describeCommandCost, describeCommandRoles)}`
+                : `**[HELP]:** 利用できるコマンド (Tab で補完、↑/↓ で入力履歴)\n${Z_FUNCTIONS.help()}`
+        })
+    },
     // ロゴス監査プロトコルの状態を表示
-    getStatus: {
-        pattern: /^\/status$/i,
+    {
+        name: 'status',
+        help: "ロゴス監査プロトコルの状態を表示します。",
         execute: () => {
             const state = getCurrentState();
             const haltStatus = state.isHalted ? '強制停止中 (HALTED 🚨)' : '稼働中 (OPERATIONAL ✅)';
+            const rateList = getCurrencies(state)
+                .map(c => `${c.code}=${(state.currency_rates[c.code] ?? c.initial_rate).toFixed(2)}`)
+                .join(', ');
             return {
                 result: `
                 **ロゴス監査プロトコル状態**:\n
                 - **システム状態**: ${haltStatus}\n
-                - **孫悟空の活動量 (V)**: ${state.vibration_level.value.toFixed(2)} / ${VIBRATION_LIMIT}\n
+                - **孫悟空の活動量 (V)**: ${state.vibration_level.value.toFixed(2)} / ${VIBRATION_LIMIT} (帯域: ${getBand(state.vibration_level.value, getVibrationPolicy()).name})\n
                 - **アカウント数**: ${state.accounts.length}\n
-                - **監査レート基準**: ALPHA=${state.currency_rates.ALPHA.toFixed(2)}, BETA=${state.currency_rates.BETA.toFixed(2)}, GAMMA=${state.currency_rates.GAMMA.toFixed(2)}
+                - **監査レート基準**: ${rateList}
                 `
             };
         }
     },
     // Vibrationをリセット
-    resetVib: {
-        pattern: /^\/reset\s+vibration$/i,
+    {
+        name: 'reset vibration',
+        permission: PERMISSIONS.RESET_VIBRATION,
+        help: "孫悟空の活動量 (V) を強制的に 0 にリセットします。",
         execute: async () => {
             await resetVibration();
             return { result: "**[SYSTEM ACT]:** 孫悟空の活動量 (V) を強制的に 0.0 にリセットしました。" };
         }
+    },
+    // 現在の利用者とロールを表示
+    {
+        name: 'whoami',
+        help: "現在の利用者とロールを表示します。",
+        execute: () => {
+            const actor = getCurrentActor();
+            return { result: `**[ROLE]:** 利用者 ${actor.userId} のロールは **${actor.role}** です。` };
+        }
+    },
+    // 利用者にロールを割り当て (governor のみ)
+    {
+        name: 'role',
+        args: [
+            { name: 'user', type: 'string', description: '利用者ID (画面ヘッダーに表示される ID)' },
+            { name: 'role', type: 'enum', values: ROLES },
+        ],
+        permission: PERMISSIONS.MANAGE_ROLES,
+        help: "利用者にロールを割り当てます。",
+        execute: async ({ user, role }) => {
+            const { config, error } = assignRole(getPermissions(), user, role);
+            if (error) {
+                return { result: `**[ROLE]:** ❌ ${error}` };
+            }
+            const denied = await saveConfigWithPermission('permissions', config, PERMISSIONS.MANAGE_ROLES);
+            return {
+                result: denied
+                    ? `**[ROLE]:** ❌ ${denied}`
+                    : `**[ROLE]:** 利用者 ${user} にロール **${role}** を割り当てました。`
+            };
+        }
+    },
+    // 通貨交換の見積もり (作為は実行しない)
+    {
+        name: 'quote',
+        args: [
+            { name: 'amount', type: 'number' },
+            { name: 'fromCurrency', type: 'currency' },
+            { name: 'toCurrency', type: 'currency' },
+        ],
+        help: "通貨交換の手数料・スプレッド・スリッページを見積もります (作為は実行しません)。",
+        execute: ({ amount, fromCurrency, toCurrency }) => {
+            const state = getCurrentState();
+            const { quote, error } = quoteExchange({ amount, fromCurrency, toCurrency }, state, getExchangeConfig());
+            if (error) {
+                return { result: `**[QUOTE]:** ❌ ${error}` };
+            }
+            return {
+                result: `**[QUOTE]:** ${formatAmount(state, quote.fromCurrency, quote.amountMinor)} ${quote.fromCurrency} → ${quote.toCurrency} (未実行の見積もり)\n
+                - ${formatQuote(quote, state)}\n
+                - **手数料徴収先**: ${quote.treasury}`
+            };
+        }
+    },
+    // 承認待ちの提案を一覧表示
+    {
+        name: 'proposals',
+        help: "承認待ちの提案 (HALT / MINT / RESTART / RESTORE) を一覧表示します。",
+        execute: () => {
+            const pending = getPendingProposals(getCurrentState());
+            if (pending.length === 0) {
+                return { result: "**[APPROVAL]:** 承認待ちの提案はありません。" };
+            }
+            const lines = pending.map(p =>
+                `- **${p.id}** ${p.actType} ${escapeHtml(JSON.stringify(p.params))} / 提案者 ${escapeHtml(p.proposer)} / 理由: ${escapeHtml(p.reason)} / 期限 ${new Date(p.expires_at).toLocaleTimeString('ja-JP')}`
+            );
+            return { result: `**[APPROVAL]:** 承認待ちの提案 ${pending.length} 件\n${lines.join('\n')}` };
+        }
+    },
+    // 提案を承認 (提案者以外)
+    {
+        name: 'approve',
+        args: [{ name: 'id', type: 'proposal' }],
+        help: "提案を承認し、提案された作為を実行します (提案者以外)。",
+        execute: async ({ id }) => {
+            const result = await actApproveProposal(id);
+            return { result: result.ok ? `**[APPROVAL]:** 提案 ${id} を承認しました。` : null };
+        }
+    },
+    // 提案を却下
+    {
+        name: 'reject',
+        args: [{ name: 'id', type: 'proposal' }, { name: 'reason', type: 'text', optional: true }],
+        help: "提案を却下します (提案者自身による取り下げを含む)。",
+        execute: async ({ id, reason }) => {
+            const result = await actRejectProposal(id, reason);
+            return { result: result.ok ? `**[APPROVAL]:** 提案 ${id} を却下しました。` : null };
+        }
+    },
+    // 監査台帳のハッシュ連鎖を検証し、genesis からの再生結果を現在の残高と照合
+    {
+        name: 'verify ledger',
+        help: "監査台帳のハッシュ連鎖を検証し、genesis からの再生結果を現在の残高と照合します。",
+        execute: async () => {
+            const entries = await getStorage().loadLedger();
+            const chain = await verifyLedgerChain(entries);
+            if (!chain.ok) {
+                return {
+                    result: `**[AUDIT/VERIFY]:** ❌ ハッシュ連鎖が壊れています。\n
+                - **最初の破損リンク**: seq ${chain.brokenAt} (検証済み ${chain.checked} 件)\n
+                - **理由**: ${chain.reason}`
+                };
+            }
+
+            // 旧形式 (アカウント直下・主単位の残高) のスナップショットは現在の形式に揃えて比較する
+            const normalizeAccount = ledgerAccountNormalizer(getCurrencies(getCurrentState()));
+            const replay = replayLedgerAccounts(entries, INITIAL_STATE.accounts, normalizeAccount);
+            const mismatched = diffAccounts(replay.accounts, getCurrentState().accounts);
+            const divergenceText = replay.divergences.length > 0
+                ? replay.divergences.map(d => `seq ${d.seq} (${d.accountId})`).join(', ')
+                : 'なし';
+            const balanceText = mismatched.length > 0
+                ? `❌ 不一致: ${mismatched.join(', ')}`
+                : '✅ 現在の残高と一致';
+
+            return {
+                result: `**[AUDIT/VERIFY]:** ✅ ハッシュ連鎖は正常です (${entries.length} 件)。\n
+                - **台帳外の状態変更**: ${divergenceText}\n
+                - **genesis からの再生**: ${balanceText}`
+            };
+        }
+    },
+
+    // 状態スナップショットを一覧表示
+    {
+        name: 'snapshots',
+        help: "保存されている状態スナップショットを一覧表示します。",
+        execute: async () => {
+            const snapshots = await listSnapshots();
+            if (snapshots.length === 0) {
+                return { result: "**[SNAPSHOT]:** 保存されているスナップショットはありません。" };
+            }
+            const lines = snapshots.map(s =>
+                `- **${escapeHtml(s.id)}** ${escapeHtml(s.name)} / ${new Date(s.created_at).toLocaleString('ja-JP')} / 作成者 ${escapeHtml(s.created_by)} / V ${s.state.vibration_level.value.toFixed(2)}${s.state.isHalted ? ' / HALTED' : ''}`
+            );
+            return { result: `**[SNAPSHOT]:** スナップショット ${snapshots.length} 件\n${lines.join('\n')}` };
+        }
+    },
+    // 現在の状態をスナップショットとして保存
+    {
+        name: 'snapshot save',
+        args: [{ name: 'name', type: 'text' }],
+        permission: PERMISSIONS.MANAGE_SNAPSHOTS,
+        help: "現在の状態を名前付きのスナップショットとして保存します。",
+        execute: async ({ name }) => {
+            await saveNamedSnapshot({ name });
+            return { result: null };
+        }
+    },
+    // 2つのスナップショット (または現在の状態) の差分を表示
+    {
+        name: 'snapshot diff',
+        args: [
+            { name: 'from', type: 'string', description: `スナップショットID または ${CURRENT_STATE_ID}` },
+            { name: 'to', type: 'string', optional: true, description: `省略時は ${CURRENT_STATE_ID} (現在の状態)` },
+        ],
+        help: "2つのスナップショット (または現在の状態) の差分を表示します。",
+        execute: async ({ from, to = CURRENT_STATE_ID }) => {
+            const { changes, error } = await diffSnapshots(from, to);
+            if (error) {
+                return { result: `**[SNAPSHOT]:** ❌ ${escapeHtml(error)}` };
+            }
+            if (changes.length === 0) {
+                return { result: `**[SNAPSHOT]:** ${escapeHtml(from)} と ${escapeHtml(to)} に差分はありません。` };
+            }
+            const lines = changes.map(c => escapeHtml(`- ${c.path}: ${c.before ?? '-'} → ${c.after ?? '-'}`));
+            return { result: `**[SNAPSHOT]:** ${escapeHtml(from)} → ${escapeHtml(to)} の差分 ${changes.length} 件\n${lines.join('\n')}` };
+        }
+    },
+
+    // ----------------------------------------------------------------
+    // 作為コマンド (audit_acts.js / infra_acts.js / snapshot_acts.js)
+    // ----------------------------------------------------------------
+
+    {
+        name: 'transfer',
+        args: [
+            { name: 'from', type: 'account' },
+            { name: 'to', type: 'account' },
+            { name: 'amount', type: 'number' },
+            { name: 'currency', type: 'currency' },
+        ],
+        act: 'TRANSFER',
+        help: "アカウント間で通貨を送金します。",
+        execute: async (args) => {
+            await actTransfer(args);
+            return { result: null };
+        }
+    },
+    {
+        name: 'mint',
+        args: [
+            { name: 'to', type: 'account' },
+            { name: 'amount', type: 'number' },
+            { name: 'currency', type: 'currency' },
+            { name: 'reason', type: 'text', description: '提案の理由 (二者承認が必要)' },
+        ],
+        act: 'MINT',
+        help: "通貨の生成を提案します (別の利用者による承認後に実行)。",
+        execute: async (args) => {
+            await actMintCurrency(args);
+            return { result: null };
+        }
+    },
+    {
+        name: 'exchange',
+        args: [
+            { name: 'account', type: 'account' },
+            { name: 'amount', type: 'number' },
+            { name: 'fromCurrency', type: 'currency' },
+            { name: 'toCurrency', type: 'currency' },
+        ],
+        act: 'EXCHANGE',
+        help: "アカウント内で通貨を交換します (手数料は /quote で確認できます)。",
+        execute: async (args) => {
+            await actExchangeCurrency(args);
+            return { result: null };
+        }
+    },
+    {
+        name: 'halt',
+        args: [{ name: 'reason', type: 'text', description: '提案の理由 (二者承認が必要)' }],
+        act: 'HALT',
+        help: "ロゴス・コアの強制停止を提案します。",
+        execute: async ({ reason }) => {
+            await actForcedHalt({ reason });
+            return { result: null };
+        }
+    },
+    {
+        name: 'restart',
+        args: [{ name: 'reason', type: 'text', description: '提案の理由 (二者承認が必要)' }],
+        act: 'RESTART',
+        help: "ロゴス・コアの再起動を提案します。",
+        execute: async ({ reason }) => {
+            await actRestart({ reason });
+            return { result: null };
+        }
+    },
+    {
+        name: 'account create',
+        args: [{ name: 'id', type: 'string' }, { name: 'name', type: 'text', optional: true }],
+        act: 'CREATE_ACCOUNT',
+        help: "新しい監査対象アカウントを作成します。",
+        execute: async ({ id, name }) => {
+            await handleCreateAccountAct({ id, name: name || id });
+            return { result: null };
+        }
+    },
+    {
+        name: 'rate',
+        args: [{ name: 'currency', type: 'currency' }, { name: 'rate', type: 'number' }],
+        act: 'SET_RATE',
+        help: "通貨のロゴスレートを設定します (ALPHA は基軸通貨のため変更できません)。",
+        execute: async (args) => {
+            await actSetRate(args);
+            return { result: null };
+        }
+    },
+    {
+        name: 'currency register',
+        args: [
+            { name: 'code', type: 'string' },
+            { name: 'decimals', type: 'integer' },
+            { name: 'initial_rate', type: 'number' },
+            { name: 'supply_cap', type: 'number', optional: true },
+        ],
+        act: 'REGISTER_CURRENCY',
+        help: "新しい監査対象通貨を登録します。",
+        execute: async (args) => {
+            await actRegisterCurrency(args);
+            return { result: null };
+        }
+    },
+    {
+        name: 'supply',
+        args: [{ name: 'target', type: 'enum', values: ['ENERGY', 'NET'] }, { name: 'amount', type: 'number', description: '0-100 (%)' }],
+        act: 'ADJUST_SUPPLY',
+        help: "インフラ (電力 / 通信) の論理的供給レベルの目標を設定します (現在のレベルは徐々に追従します)。例: /supply energy 80",
+        execute: async ({ target, amount }) => {
+            await actAdjustSupply(target, amount);
+            return { result: null };
+        }
+    },
+    {
+        name: 'outage',
+        args: [
+            { name: 'target', type: 'enum', values: ['ENERGY', 'NET'] },
+            { name: 'duration_s', type: 'number', description: '障害の継続時間 (秒)。0 で障害から復旧' },
+            { name: 'level', type: 'number', optional: true, description: '障害中のレベル 0-100 (%)' },
+        ],
+        act: 'INFRA_EVENT',
+        help: "インフラの障害を再現します (duration_s に 0 を指定すると復旧)。例: /outage net 60 15",
+        execute: async ({ target, duration_s, level }) => {
+            await actInfraEvent(duration_s > 0
+                ? { target, type: 'OUTAGE', duration_s, level, cause: `${target} の障害を再現しました。` }
+                : { target, type: 'RECOVERY' });
+            return { result: null };
+        }
+    },
+    {
+        name: 'snapshot restore',
+        args: [
+            { name: 'id', type: 'string' },
+            { name: 'mode', type: 'enum', values: ['normal', 'force'], description: 'force: 強制停止中でも復元する' },
+            { name: 'reason', type: 'text', description: '提案の理由 (二者承認が必要)' },
+        ],
+        act: 'RESTORE',
+        help: "状態をスナップショットの時点に復元することを提案します (強制停止中は force が必要)。例: /snapshot restore SNAP-XXXX force 生成の検証後",
+        execute: async ({ id, mode, reason }) => {
+            await actRestoreSnapshot(id, { force: mode === 'force', reason });
+            return { result: null };
+        }
+    },
+    {
+        name: 'batch',
+        args: [{ name: 'json', type: 'text', description: '{"legs": [{"act": "TRANSFER", "params": {...}}]}' }],
+        act: 'TRANSACTION',
+        help: "複数の作為をまとめて実行します (すべて成立する場合のみ適用)。MINT を含む場合は \"reason\" を指定し、二者承認の提案となります。",
+        execute: async ({ json }) => {
+            await actSubmitBatch(json);
+            return { result: null };
+        }
+    },
+]);
+
+/** コマンドのVibrationコストの表示 (作為コマンドは作為コスト表と現在の帯域の係数に従う)。 */
+function describeCommandCost(command) {
+    if (!command.act) return String(command.vibrationCost);
+    const policy = getVibrationPolicy();
+    const cost = actCost(command.act, getCurrentState().vibration_level.value, policy);
+    return `${cost} (作為コスト表 ${command.act}: ${policy.act_costs[command.act] ?? 0} × 現在の帯域の係数)`;
+}
+
+/** コマンドを実行できるロールの表示。 */
+function describeCommandRoles(command) {
+    const permission = command.permission || command.act;
+    if (!permission) return '全ロール';
+    return ROLES.filter(role => isAllowed(getPermissions(), role, permission)).join(' / ') || 'なし';
+}
+
+/**
+ * 解析済みのコマンドを実行します。権限を検証し、作為以外のコマンドは成功時に vibrationCost を加算する。
+ * @param {object} command - コマンドの定義。
+ * @param {object} args - 解析済みの引数。
+ */
+async function runZFunction(command, args) {
+    const permission = command.permission || command.act;
+    if (permission) {
+        const denied = checkPermission(permission, { actor: getCurrentActor(), permissions: getPermissions() });
+        if (denied) {
+            logToConsole(`**[/${command.name}]:** ❌ ${denied}`, 'error-message');
+            return;
+        }
+    }
+    let zResult;
+    try {
+        zResult = await command.execute(args);
+    } catch (error) {
+        console.error(`Z-Function /${command.name} Error:`, error);
+        logToConsole(`**[/${command.name}]:** ❌ コマンドの実行中にエラーが発生しました: ${escapeHtml(error.message)}`, 'error-message');
+        return;
+    }
+    if (zResult && zResult.result) {
+        logToConsole(zResult.result, 'internal-message');
     }
-    // ... 他のZ-Function
+    if (!command.act && command.vibrationCost > 0) {
+        await addVibration(command.vibrationCost);
+    }
+}
+
+/**
+ * 対話コンソールの入力を補完します (logos_console.html の Tab キー)。
+ * @param {string} input - 入力中の文字列。
+ * @returns {{input: string, candidates: Array<string>}}
+ */
+export function completeDialogueInput(input) {
+    return Z_FUNCTIONS.complete(input, getCurrentState());
+}
+
+// ====================================================================
+// NATURAL-LANGUAGE ACTS (確認付きの作為実行)
+// ====================================================================
+
+/** 確認待ちの作為の有効期間。 */
+const CONFIRMATION_TTL_MS = 60 * 1000;
+
+/** 確認待ちの作為 { act, params, description, expires_at }。確認 (yes / はい) で実行される。 */
+let pendingNaturalAct = null;
+
+/** 確認後に作為を実行するアダプタ (audit_acts.js)。 */
+const NATURAL_ACT_RUNNERS = {
+    TRANSFER: (params) => actTransfer(params),
+    MINT: (params) => actMintCurrency(params),
+    EXCHANGE: (params) => actExchangeCurrency(params),
 };
 
+/** 作為の前後で変化する残高を列挙します。 */
+function describeBalanceChanges(state, newAccounts) {
+    const lines = [];
+    newAccounts.forEach(after => {
+        const before = state.accounts.find(acc => acc.id === after.id);
+        getCurrencyCodes(state).forEach(code => {
+            const from = before ? getBalance(before, code) : 0;
+            const to = getBalance(after, code);
+            if (from !== to) {
+                lines.push(`- ${after.id}: ${formatAmount(state, code, from)} → ${formatAmount(state, code, to)} ${code}`);
+            }
+        });
+    });
+    return lines;
+}
+
+/**
+ * 自然言語の作為指示を解析し、結果のプレビューを表示して確認待ちにします。
+ * 解析できない指示や、現在の状態で成立しない作為は確認待ちにせず理由を表示する。
+ * @returns {boolean} - 作為の指示として処理した場合 true (内部ロゴスの推論には渡さない)。
+ */
+function proposeNaturalAct(prompt, state) {
+    const parsed = parseNaturalAct(prompt, state, getClock().now());
+    if (!parsed) return false;
+    if (parsed.error) {
+        logToConsole(`**[ACT]:** ❌ 作為の指示を解析できません: ${parsed.error} (/help でコマンド形式を表示)`, 'error-message');
+        return true;
+    }
+
+    const preview = previewAct(parsed.act, parsed.params);
+    if (!preview.ok) {
+        logToConsole(`**[ACT]:** ❌ ${parsed.description} は成立しません: ${preview.error}`, 'error-message');
+        return true;
+    }
+
+    if (parsed.act === 'MINT' && !parsed.params.reason) {
+        parsed.params.reason = `対話コンソールからの指示: ${prompt}`;
+    }
+    pendingNaturalAct = { ...parsed, expires_at: getClock().now() + CONFIRMATION_TTL_MS };
+    const lines = [
+        `**[ACT/PREVIEW]:** ${parsed.description}`,
+        ...describeBalanceChanges(state, preview.stateDelta.accounts || []),
+        `- Vibrationコスト: ${preview.vibrationCost}`,
+    ];
+    if (preview.details.proposal) {
+        lines.push(`- ${parsed.act} は重大な作為のため、二者承認の提案として作成されます (理由: ${parsed.params.reason})。残高は承認後に変化します。`);
+    }
+    lines.push(`実行するには **yes** (はい)、取り消すには **no** (いいえ) と入力してください (${CONFIRMATION_TTL_MS / 1000} 秒以内)。`);
+    logToConsole(lines.join('\n'), 'internal-message');
+    return true;
+}
+
+/**
+ * 確認待ちの作為に対する応答を処理します。
+ * @returns {boolean} - 確認・取消の応答として処理した場合 true。それ以外の入力では確認待ちの作為を破棄し false を返す。
+ */
+async function resolveNaturalAct(prompt) {
+    const answer = parseConfirmation(prompt);
+    const pending = pendingNaturalAct;
+    pendingNaturalAct = null;
+
+    if (!pending) {
+        if (!answer) return false;
+        logToConsole("**[ACT]:** 確認待ちの作為はありません。", 'system-message');
+        return true;
+    }
+    if (!answer) {
+        logToConsole(`**[ACT]:** 確認待ちの作為 (${pending.description}) を取り消しました。`, 'system-message');
+        return false;
+    }
+    if (answer === 'cancel') {
+        logToConsole(`**[ACT]:** ${pending.description} を取り消しました。`, 'system-message');
+        return true;
+    }
+    if (getClock().now() > pending.expires_at) {
+        logToConsole(`**[ACT]:** ❌ ${pending.description} の確認期限が切れました。もう一度指示してください。`, 'error-message');
+        return true;
+    }
+    // 作為は実行時の状態で改めて検証され、結果は applyActResult がコンソールと監査台帳に記録する
+    await NATURAL_ACT_RUNNERS[pending.act](pending.params);
+    return true;
+}
+
 // ====================================================================
 // DIALOGUE ACT HANDLER (EXPORTED)
 // ====================================================================
@@ -170,47 +706,64 @@ export async function handleDialogueAct() {
     inputEl.value = ''; // 入力フィールドをクリア
     executeBtn.disabled = true;
 
-    const state = getCurrentState();
-    
-    // 1. 強制停止チェック
-    if (state.isHalted) {
-        logToConsole("🚨 ロゴス・コアが強制停止中です。作為は実行できません。", 'error-message');
+    // どの段階で例外が発生しても、実行ボタンを押せない状態のまま残さない
+    try {
+        await dispatchDialogueInput(prompt);
+    } catch (error) {
+        console.error("Dialogue Act Error:", error);
+        logToConsole(`[ERROR]: 入力の処理中にエラーが発生しました: ${escapeHtml(error.message)}`, 'error-message');
+    } finally {
         executeBtn.disabled = false;
-        return;
     }
+}
+
+/**
+ * 対話入力を、確認応答・コマンド・自然言語の作為・論理推論の順に振り分けて処理します。
+ * @param {string} prompt - 前後の空白を除いた入力。
+ */
+async function dispatchDialogueInput(prompt) {
+    // 0. 確認待ちの作為への応答 (yes / no)
+    if (await resolveNaturalAct(prompt)) return;
 
-    // 2. Internal Z-Functions (System Commands) Check
-    let isZFunctionExecuted = false;
-    for (const key in Z_FUNCTIONS) {
-        if (prompt.match(Z_FUNCTIONS[key].pattern)) {
-            const zResult = await Z_FUNCTIONS[key].execute(prompt);
-            logToConsole(zResult.result, 'internal-message');
-            isZFunctionExecuted = true;
-            break;
+    const state = getCurrentState();
+    
+    // 1. Internal Z-Functions (System Commands)
+    // 強制停止中もコマンドは実行できる (/restart など。作為の可否は各作為が検証する)
+    const parsed = Z_FUNCTIONS.parse(prompt, state);
+    if (parsed) {
+        if (parsed.error) {
+            logToConsole(`**[Z-FUNCTION]:** ❌ ${parsed.error}`, 'error-message');
+        } else {
+            await runZFunction(parsed.command, parsed.args);
         }
+        return;
     }
 
-    if (isZFunctionExecuted) {
-        executeBtn.disabled = false;
+    // 2. 自然言語の作為指示 (プレビューを表示し、確認後に実行する)
+    if (proposeNaturalAct(prompt, state)) return;
+
+    // 3. 強制停止チェック (論理推論は停止中は実行できない)
+    if (state.isHalted) {
+        logToConsole("🚨 ロゴス・コアが強制停止中です。論理推論は実行できません (/help でコマンドを表示)。", 'error-message');
         return;
     }
     
-    // 3. Vibration Limit Check for Internal Logos (推論制約)
-    if (state.vibration_level.value >= VIBRATION_LIMIT) {
-        logToConsole("⚠️ ロゴス監査警告: 孫悟空の活動量 (V) が掌の縁を超過。論理推論機能は一時的に遮断されます。", 'error-message');
-        executeBtn.disabled = false;
+    // 4. Vibration Band Check for Internal Logos (推論制約: 現在の帯域が INFERENCE を許可しているか)
+    const bandDenied = checkBand('INFERENCE', state.vibration_level.value, getVibrationPolicy());
+    if (bandDenied) {
+        logToConsole(`⚠️ ロゴス監査警告: ${bandDenied} 論理推論機能は一時的に遮断されます。`, 'error-message');
         return;
     }
 
-    // 4. Execute Internal Logos (自己完結型の論理推論)
-    logToConsole("🧠 内部ロゴスエンジンで論理推論を実行中...", 'system-message');
+    // 5. Execute Logos Inference (推論プロバイダによる論理推論)
+    const providerType = getLogosProviderConfig().type;
+    logToConsole(providerType === PROVIDER_TYPES.INTERNAL
+        ? "🧠 内部ロゴスエンジンで論理推論を実行中..."
+        : `🧠 推論プロバイダ ${providerType} で論理推論を実行中...`, 'system-message');
     
     try {
-        const internalResponse = await callInternalLogos(prompt);
-        logToConsole(internalResponse, 'ai-message');
+        await callInternalLogos(prompt);
     } catch (error) {
-        logToConsole(`[ERROR]: 内部ロゴスエンジンでエラーが発生しました: ${error.message}`, 'error-message');
+        logToConsole(`[ERROR]: ロゴス推論でエラーが発生しました: ${error.message}`, 'error-message');
     }
-
-    executeBtn.disabled = false;
 }
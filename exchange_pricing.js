@@ -0,0 +1,116 @@
+// js/exchange_pricing.js
+
+import { computeTotalSupply } from './lil_engine.js';
+import { getDecimals, toCurrencyUnits, formatAmount } from './currency_registry.js';
+import { roundHalfEven, fromMinorUnits, unitScale } from './money.js';
+
+/**
+ * 通貨交換の価格決定 (手数料・スプレッド・スリッページ)。
+ * DOM やバックエンドに依存しない純粋なモジュールで、act_logic.js の exchange と /quote コマンドが共有する。
+ *
+ * 見積もりの計算手順:
+ *   mid       = rate[to] / rate[from]                        (ロゴスレートの仲値)
+ *   quoted    = mid × (1 - spread / 2)                       (交換者に提示される bid 側のレート)
+ *   slippage  = min(max_slippage, k × amount × quoted / 流動性) (流動性 = 交換先通貨の総供給量)
+ *   effective = quoted × (1 - slippage)
+ *   gross     = amount × effective                           (交換先通貨の最小単位へ最近接偶数丸め)
+ *   fee       = gross × fee_rate                             (最近接偶数丸め。交換先通貨で treasury_account に徴収)
+ *   net       = gross - fee                                  (交換者の受取額)
+ * 金額は最小単位の整数 (money.js) で確定させるため、gross = net + fee が常に厳密に成り立つ。
+ */
+
+/** 既定の交換設定 (system_config/exchange_fees で上書き可能)。 */
+export const DEFAULT_EXCHANGE_CONFIG = {
+    treasury_account: 'CORE_BANK_A', // 手数料の徴収先
+    default_pair: { fee_rate: 0.003, spread: 0.002 },
+    // 通貨ペアごとの設定 (キーは通貨コードを辞書順に並べた "A/B")
+    pairs: {
+        'ALPHA/BETA': { fee_rate: 0.002, spread: 0.001 },
+        'ALPHA/GAMMA': { fee_rate: 0.01, spread: 0.01 },
+        'BETA/GAMMA': { fee_rate: 0.008, spread: 0.008 },
+    },
+    slippage: {
+        k: 0.1,               // 取引規模に対するスリッページの感度
+        max_slippage: 0.5,    // スリッページの上限 (50%)
+        min_liquidity: 1.0,   // 流動性がほぼ無い通貨でのゼロ除算を防ぐ下限
+    },
+};
+
+/** 通貨ペアの設定キーを返します (順序に依存しない)。 */
+export function pairKey(currencyA, currencyB) {
+    return [currencyA, currencyB].sort().join('/');
+}
+
+/**
+ * 通貨ペアの手数料・スプレッド設定を返します。
+ * @param {object} config - 交換設定。
+ * @returns {{fee_rate: number, spread: number}}
+ */
+export function getPairConfig(config, fromCurrency, toCurrency) {
+    return { ...config.default_pair, ...((config.pairs || {})[pairKey(fromCurrency, toCurrency)] || {}) };
+}
+
+/**
+ * 交換の見積もりを計算します (状態は変更しない)。
+ * @param {object} params - { amount, fromCurrency, toCurrency } (amount は交換元通貨の主単位)
+ * @param {object} state - システム状態。
+ * @param {object} [config] - 交換設定。
+ * @returns {{error: string}|{quote: object}} - quote の *Minor は最小単位の整数、*Amount / fee は主単位。
+ */
+export function quoteExchange({ amount, fromCurrency, toCurrency }, state, config = DEFAULT_EXCHANGE_CONFIG) {
+    if (amount <= 0 || isNaN(amount)) return { error: "金額が無効です。" };
+    if (fromCurrency === toCurrency) return { error: "交換元と交換先の通貨が同じです。" };
+    if (!(fromCurrency in state.currency_rates) || !(toCurrency in state.currency_rates)) return { error: "無効な通貨です。" };
+    const amountMinor = toCurrencyUnits(state, fromCurrency, amount);
+    if (amountMinor === null) return { error: `金額 ${amount} は ${fromCurrency} の精度を超えています。` };
+
+    const { fee_rate: feeRate, spread } = getPairConfig(config, fromCurrency, toCurrency);
+    const { k, max_slippage: maxSlippage, min_liquidity: minLiquidity } = config.slippage;
+
+    // 例: ALPHA(1.0) -> BETA(10.0) の場合、mid=10.0/1.0=10
+    const midRate = state.currency_rates[toCurrency] / state.currency_rates[fromCurrency];
+    const quotedRate = midRate * (1 - spread / 2);
+    const liquidity = Math.max(minLiquidity, computeTotalSupply(state, toCurrency));
+    const slippage = Math.min(maxSlippage, k * (amount * quotedRate) / liquidity);
+    const effectiveRate = quotedRate * (1 - slippage);
+
+    const toDecimals = getDecimals(state, toCurrency);
+    const grossMinor = roundHalfEven(amount * effectiveRate * unitScale(toDecimals));
+    const feeMinor = roundHalfEven(grossMinor * feeRate);
+    const netMinor = grossMinor - feeMinor;
+    if (netMinor <= 0) return { error: `交換量が少なすぎるため、${toCurrency} の最小単位に満たない受取額になります。` };
+
+    return {
+        quote: {
+            amount,
+            amountMinor,
+            fromCurrency,
+            toCurrency,
+            midRate,
+            quotedRate,
+            spread,
+            slippage,
+            effectiveRate,
+            grossMinor,
+            grossAmount: fromMinorUnits(grossMinor, toDecimals),
+            feeRate,
+            feeMinor,
+            fee: fromMinorUnits(feeMinor, toDecimals),
+            netMinor,
+            netAmount: fromMinorUnits(netMinor, toDecimals),
+            treasury: config.treasury_account,
+        },
+    };
+}
+
+/**
+ * 見積もりを監査ログ向けの1行に整形します。
+ * @param {object} quote - quoteExchange の見積もり。
+ * @param {object} state - システム状態 (通貨の小数桁数の参照用)。
+ */
+export function formatQuote(quote, state) {
+    const toAmount = (minor) => formatAmount(state, quote.toCurrency, minor);
+    return `仲値 ${quote.midRate.toFixed(4)} / 提示レート ${quote.quotedRate.toFixed(4)} / ` +
+        `スリッページ ${(quote.slippage * 100).toFixed(2)}% / 手数料 ${toAmount(quote.feeMinor)} ${quote.toCurrency} (${(quote.feeRate * 100).toFixed(2)}%) / ` +
+        `受取額 ${toAmount(quote.netMinor)} ${quote.toCurrency}`;
+}
@@ -1,39 +1,40 @@
 // js/infra_acts.js
 
-import { getCurrentState, saveSystemState, addVibration, logToConsole } from './core_logic.js'; 
+import { getCurrentState, applyActResult, getCurrentActor, getPermissions, getVibrationPolicy, getInfrastructurePolicy, getClock } from './core_logic.js';
+import { adjustSupply, infraEvent } from './act_logic.js';
+
+/** 作為の検証に渡す追加情報 (作為者と権限設定、Vibration予算ポリシー、インフラポリシー、時計の現在時刻)。 */
+const actContext = (actor) => ({
+    actor,
+    now: getClock().now(),
+    permissions: getPermissions(),
+    vibrationPolicy: getVibrationPolicy(),
+    infrastructurePolicy: getInfrastructurePolicy(),
+});
+
+/** DOMから供給量入力欄の値を取得します (infrastructure_hub.html の入力IDに依存)。 */
+function readSupplyInput(infrastructureType) {
+    const inputId = infrastructureType === 'ENERGY' ? 'energy_act_amount' : 'net_act_amount';
+    return parseFloat(document.getElementById(inputId)?.value);
+}
 
 /**
- * LOGOS-ENERGY (電力) または LOGOS-NET (通信) の論理的供給レベルを調整する作為。
+ * LOGOS-ENERGY (電力) または LOGOS-NET (通信) の論理的供給レベルの目標を調整する作為。
+ * 現在のレベルは目標へ徐々に追従する (infrastructure.js)。
  * @param {string} infrastructureType - 'ENERGY' または 'NET'
+ * @param {number} [amount] - 目標の供給レベル (0-100)。省略時は入力欄から取得する。
+ * @param {object} [actor] - 作為者 { userId, role }。省略時は現在の利用者。
  */
-export async function actAdjustSupply(infrastructureType) {
-    const inputId = infrastructureType === 'ENERGY' ? 'energy_act_amount' : 'net_act_amount';
-    const inputElement = document.getElementById(inputId);
-    const amount = parseFloat(inputElement?.value);
-
-    if (isNaN(amount) || amount < 0 || amount > 100) {
-        logToConsole(`[ERROR/INFRA]: 有効な供給量（0-100%）を入力してください。`, 'error-message');
-        return;
-    }
-
-    const state = getCurrentState();
-    const targetKey = infrastructureType === 'ENERGY' ? 'energy_supply' : 'net_stability';
-    const logName = infrastructureType === 'ENERGY' ? '電力供給 (ENERGY)' : '通信安定性 (NET)';
-
-    // 作為の実行 (論理的供給レベルの変更)
-    const newInfrastructureState = {
-        ...state.infrastructure,
-        [targetKey]: { 
-            value: amount, 
-            last_change: Date.now() 
-        }
-    };
-    
-    await saveSystemState({ infrastructure: newInfrastructureState });
-
-    // 作為はVibration（論理的コスト）を発生させる
-    const vibeCost = 1.0; 
-    await addVibration(vibeCost); 
+export async function actAdjustSupply(infrastructureType, amount = readSupplyInput(infrastructureType), actor = getCurrentActor()) {
+    const params = { target: infrastructureType, amount };
+    return applyActResult(adjustSupply(params, getCurrentState(), actContext(actor)), params, actor);
+}
 
-    logToConsole(`[INFRA ACT]: **${logName}** の論理的供給レベルが **${amount.toFixed(1)}%** に調整されました。Vibration +${vibeCost.toFixed(2)}。`, 'system-message');
+/**
+ * インフラの障害を発生させる、または障害から復旧させる作為 (障害の再現・LILルールによるスクリプト)。
+ * @param {object} params - { target: 'ENERGY' | 'NET', type: 'OUTAGE' | 'RECOVERY', duration_s?, level?, cause? }
+ * @param {object} [actor] - 作為者 { userId, role }。省略時は現在の利用者。
+ */
+export async function actInfraEvent(params, actor = getCurrentActor()) {
+    return applyActResult(infraEvent(params, getCurrentState(), actContext(actor)), params, actor);
 }
@@ -0,0 +1,240 @@
+// js/infrastructure.js
+
+/**
+ * インフラ (LOGOS-ENERGY / LOGOS-NET) の論理的供給モデル。
+ * DOM やバックエンドに依存しない純粋なモジュールで、act_logic.js の作為・rate_engine.js・core_logic.js の定期処理が参照する。
+ *
+ * インフラの状態はシステム状態の infrastructure に保存される:
+ * {
+ *   energy_supply: { value, target, last_change, outage },  // value は last_change 時点のレベル (0-100)
+ *   net_stability: { value, target, last_change, outage },  // outage: { level, until, cause } | null
+ *   events: [{ at, target, type: "OUTAGE" | "RECOVERY", cause }]
+ * }
+ * レベルは目標 (target) へ毎秒 ramp_per_s ずつ追従し、Vibrationと同様に読み出し時に遅延評価される (levelAt)。
+ * 障害 (outage) の間はレベルが outage.level に固定され、障害の終了後は outage.level から目標へ追従する。
+ *
+ * インフラのレベルはシステムの他の部分に影響する:
+ * - ENERGY が energy.cost_threshold 未満: 作為のVibrationコストが最大 energy.max_cost_multiplier 倍に増加する
+ * - NET が net.delay_below 未満: 送金の着金が最大 net.max_delay_s 秒遅延する (送金元からは即時に引き落とされる)
+ * - NET が net.reject_below 未満: 送金と交換が拒否される
+ * - ENERGY と NET の低い方: rate_engine.js のレート係数 f_infrastructure に反映される
+ *
+ * ポリシーは system_config/infrastructure で上書きできる。
+ */
+
+/** インフラ種別と状態のキー。 */
+export const INFRA_TARGETS = {
+    ENERGY: 'energy_supply',
+    NET: 'net_stability',
+};
+
+/** インフラ種別の表示名。 */
+export const INFRA_LABELS = {
+    ENERGY: '電力供給 (ENERGY)',
+    NET: '通信安定性 (NET)',
+};
+
+/** インフラの事象の種別。 */
+export const INFRA_EVENT_TYPES = {
+    OUTAGE: 'OUTAGE',
+    RECOVERY: 'RECOVERY',
+};
+
+/** 既定のインフラポリシー。 */
+export const DEFAULT_INFRASTRUCTURE_POLICY = {
+    ramp_per_s: 2,      // 目標レベルへの追従速度 (%/秒)
+    history_limit: 20,  // infrastructure.events に残す事象の件数
+    energy: {
+        cost_threshold: 50,      // これ未満で作為コストが増加する
+        max_cost_multiplier: 2,  // レベル 0 での作為コストの係数
+    },
+    net: {
+        delay_below: 50,  // これ未満で送金の着金が遅延する
+        reject_below: 20, // これ未満で送金・交換が拒否される
+        max_delay_s: 30,  // reject_below での遅延
+    },
+    outages: {
+        rate_per_hour: 0.5,  // インフラ種別ごとのランダム障害の発生率 (0 で無効)
+        min_duration_s: 30,
+        max_duration_s: 120,
+        level: 10,           // 障害中のレベル
+    },
+};
+
+/** インフラの初期状態を返します。 */
+export function initialInfrastructureState(now = Date.now()) {
+    const channel = () => ({ value: 100, target: 100, last_change: now, outage: null });
+    return { energy_supply: channel(), net_stability: channel(), events: [] };
+}
+
+/**
+ * システム状態のインフラを返します。
+ * 未設定の場合や、目標を持たない旧形式 ({ value, last_change }) の場合も完全な形式に補う。
+ */
+export function getInfrastructure(state) {
+    const infra = state.infrastructure || {};
+    const defaults = initialInfrastructureState(0);
+    const normalize = (channel, fallback) => channel
+        ? { ...fallback, ...channel, target: channel.target ?? channel.value, outage: channel.outage || null }
+        : fallback;
+    return {
+        energy_supply: normalize(infra.energy_supply, defaults.energy_supply),
+        net_stability: normalize(infra.net_stability, defaults.net_stability),
+        events: infra.events || [],
+    };
+}
+
+// ====================================================================
+// LEVELS (遅延評価)
+// ====================================================================
+
+/**
+ * 時刻 now におけるレベルを返します。
+ * @param {object} channel - { value, target, last_change, outage }
+ * @param {number} now - 評価時刻。
+ * @param {object} [policy] - インフラポリシー。
+ */
+export function levelAt(channel, now, policy = DEFAULT_INFRASTRUCTURE_POLICY) {
+    const { outage } = channel;
+    if (outage && now < outage.until) return outage.level;
+
+    let base = channel.value;
+    let since = channel.last_change;
+    if (outage && outage.until > channel.last_change) {
+        base = outage.level;
+        since = outage.until;
+    }
+    const step = Math.max(0, now - since) / 1000 * policy.ramp_per_s;
+    return channel.target >= base ? Math.min(channel.target, base + step) : Math.max(channel.target, base - step);
+}
+
+/**
+ * 時刻 now のレベルを value、now を last_change とするインフラの状態を返します (getCurrentState で使用)。
+ * @param {object} infrastructure - 保存されているインフラの状態。
+ * @param {number} now - 評価時刻。
+ * @param {object} [policy] - インフラポリシー。
+ */
+export function infrastructureAt(infrastructure, now, policy = DEFAULT_INFRASTRUCTURE_POLICY) {
+    const infra = getInfrastructure({ infrastructure });
+    const materialize = (channel) => ({ ...channel, value: levelAt(channel, now, policy), last_change: now });
+    return {
+        ...infra,
+        energy_supply: materialize(infra.energy_supply),
+        net_stability: materialize(infra.net_stability),
+    };
+}
+
+/**
+ * 目標レベルを設定したインフラの状態を返します。現在のレベルから目標へ追従を開始する。
+ * @param {object} infrastructure - 現在のインフラの状態。
+ * @param {string} target - 'ENERGY' | 'NET'
+ * @param {number} level - 目標レベル (0-100)。
+ * @param {number} now - 設定時刻。
+ * @param {object} [policy] - インフラポリシー。
+ */
+export function setTargetLevel(infrastructure, target, level, now, policy = DEFAULT_INFRASTRUCTURE_POLICY) {
+    const infra = getInfrastructure({ infrastructure });
+    const key = INFRA_TARGETS[target];
+    const channel = infra[key];
+    return { ...infra, [key]: { ...channel, value: levelAt(channel, now, policy), target: level, last_change: now } };
+}
+
+// ====================================================================
+// FEEDBACK (他の部分への影響)
+// ====================================================================
+
+/**
+ * ENERGY のレベルに応じた作為コストの係数を返します (cost_threshold 以上では 1)。
+ * @param {object} state - システム状態。
+ * @param {object} [policy] - インフラポリシー。
+ * @param {number} [now] - 評価時刻。
+ */
+export function energyCostMultiplier(state, policy = DEFAULT_INFRASTRUCTURE_POLICY, now = Date.now()) {
+    const { cost_threshold, max_cost_multiplier } = policy.energy;
+    const level = levelAt(getInfrastructure(state).energy_supply, now, policy);
+    if (level >= cost_threshold) return 1;
+    return 1 + (cost_threshold - level) / cost_threshold * (max_cost_multiplier - 1);
+}
+
+/**
+ * NET のレベルに応じた送金の扱いを返します。
+ * @param {object} state - システム状態。
+ * @param {object} [policy] - インフラポリシー。
+ * @param {number} [now] - 評価時刻。
+ * @returns {{rejected: string|null, delay_s: number}} - 拒否の理由、または着金の遅延 (秒、0 は即時)。
+ */
+export function netTransferCondition(state, policy = DEFAULT_INFRASTRUCTURE_POLICY, now = Date.now()) {
+    const { delay_below, reject_below, max_delay_s } = policy.net;
+    const level = levelAt(getInfrastructure(state).net_stability, now, policy);
+    if (level < reject_below) {
+        return { rejected: `${INFRA_LABELS.NET} が ${level.toFixed(1)}% (${reject_below}% 未満) のため、通信を伴う作為は実行できません。`, delay_s: 0 };
+    }
+    if (level >= delay_below) return { rejected: null, delay_s: 0 };
+    return { rejected: null, delay_s: Math.ceil((delay_below - level) / (delay_below - reject_below) * max_delay_s) };
+}
+
+/**
+ * インフラの健全度 (ENERGY と NET の低い方、0-1) を返します (rate_engine.js の f_infrastructure)。
+ * @param {object} state - システム状態。
+ * @param {object} [policy] - インフラポリシー。
+ * @param {number} [now] - 評価時刻。
+ */
+export function infrastructureHealth(state, policy = DEFAULT_INFRASTRUCTURE_POLICY, now = Date.now()) {
+    const infra = getInfrastructure(state);
+    return Math.min(levelAt(infra.energy_supply, now, policy), levelAt(infra.net_stability, now, policy)) / 100;
+}
+
+// ====================================================================
+// OUTAGES (障害と復旧)
+// ====================================================================
+
+/**
+ * 発生・終了すべきインフラの事象を判定します (リーダーの定期処理)。
+ * 終了時刻を過ぎた障害は RECOVERY とし、障害中でない種別には経過時間に応じた確率でランダム障害を発生させる。
+ * @param {object} state - システム状態。
+ * @param {number} now - 判定時刻。
+ * @param {number} elapsedS - 前回の判定からの経過秒数。
+ * @param {object} [policy] - インフラポリシー。
+ * @param {function} [random] - 乱数関数 (決定的な実行では注入する)。
+ * @returns {Array<object>} - 事象 { target, type, duration_s?, level?, cause }
+ */
+export function evaluateOutages(state, now, elapsedS, policy = DEFAULT_INFRASTRUCTURE_POLICY, random = Math.random) {
+    const infra = getInfrastructure(state);
+    const { rate_per_hour, min_duration_s, max_duration_s, level } = policy.outages;
+    const probability = rate_per_hour > 0 ? 1 - Math.exp(-rate_per_hour * Math.max(0, elapsedS) / 3600) : 0;
+    const events = [];
+
+    Object.entries(INFRA_TARGETS).forEach(([target, key]) => {
+        const { outage } = infra[key];
+        if (outage) {
+            if (now >= outage.until) {
+                events.push({ target, type: INFRA_EVENT_TYPES.RECOVERY, cause: `${INFRA_LABELS[target]} の障害が終了しました。` });
+            }
+            return;
+        }
+        if (probability > 0 && random() < probability) {
+            const duration_s = Math.round(min_duration_s + random() * (max_duration_s - min_duration_s));
+            events.push({ target, type: INFRA_EVENT_TYPES.OUTAGE, duration_s, level, cause: `${INFRA_LABELS[target]} にランダム障害が発生しました。` });
+        }
+    });
+    return events;
+}
+
+/**
+ * 事象を反映したインフラの状態を返します。事象は history_limit 件まで events に保持する。
+ * @param {object} infrastructure - 現在のインフラの状態。
+ * @param {object} event - { target, type, duration_s, level, cause }
+ * @param {number} now - 事象の時刻。
+ * @param {object} [policy] - インフラポリシー。
+ */
+export function applyInfraEvent(infrastructure, { target, type, duration_s, level, cause }, now, policy = DEFAULT_INFRASTRUCTURE_POLICY) {
+    const infra = getInfrastructure({ infrastructure });
+    const key = INFRA_TARGETS[target];
+    const channel = infra[key];
+    const outage = type === INFRA_EVENT_TYPES.OUTAGE ? { level, until: now + duration_s * 1000, cause } : null;
+    return {
+        ...infra,
+        [key]: { ...channel, value: levelAt(channel, now, policy), last_change: now, outage },
+        events: [...infra.events, { at: now, target, type, cause }].slice(-policy.history_limit),
+    };
+}
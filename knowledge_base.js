@@ -19,11 +19,12 @@ export const KNOWLEDGE = {
             limit: 100,
         },
         
-        // 監査対象の通貨定義
+        // 監査対象の通貨定義 (genesis 時点の通貨レジストリ。以降の通貨は REGISTER_CURRENCY 作為で追加される)
+        // decimals: 表示・計算の小数桁数, initial_rate: 登録時のロゴスレート (ALPHA=1.0), supply_cap: 総供給量の上限 (null は無制限)
         CURRENCIES: [
-            { code: "ALPHA", title: "基軸通貨", purpose: "監査プロトコル内の主要な価値指標。" },
-            { code: "BETA", title: "安定化通貨", purpose: "ALHPAの変動を抑えるための補助通貨。" },
-            { code: "GAMMA", title: "試験的通貨", purpose: "レート変動のシミュレーションと実験に使用。" },
+            { code: "ALPHA", title: "基軸通貨", purpose: "監査プロトコル内の主要な価値指標。", decimals: 2, initial_rate: 1.0, supply_cap: null },
+            { code: "BETA", title: "安定化通貨", purpose: "ALHPAの変動を抑えるための補助通貨。", decimals: 2, initial_rate: 10.0, supply_cap: 10000 },
+            { code: "GAMMA", title: "試験的通貨", purpose: "レート変動のシミュレーションと実験に使用。", decimals: 4, initial_rate: 100.0, supply_cap: 1000 },
         ],
         
         // 作為（ACTS）の定義
@@ -31,6 +32,7 @@ export const KNOWLEDGE = {
             TRANSFER: "監査者によるアカウント間の通貨移動。",
             MINT: "システムへの新たな通貨供給（インフレーションリスクを伴う）。",
             EXCHANGE: "ロゴスレートに基づいた通貨間の交換。",
+            REGISTER_CURRENCY: "通貨レジストリへの新たな監査対象通貨の登録。",
             HALT: "コアシステムの論理処理を強制的に停止する重大な作為。",
         }
     },
@@ -0,0 +1,54 @@
+// js/lil_actions.js
+
+import { actForcedHalt, actMintCurrency, actTransfer, actSetRate } from './audit_acts.js';
+import { actAdjustSupply, actInfraEvent } from './infra_acts.js';
+import { getLILRuleActor } from './core_logic.js';
+
+/**
+ * LILアクション種別と作為関数の対応表。
+ * ルールJSONに記述されたパラメータをそのまま audit_acts.js / infra_acts.js の作為へ渡す。
+ * 作為側の検証 (HALT中の遮断、残高不足など) はフォーム経由の場合と同じく適用される。
+ * LILルールはシステム自身の作為として system ロール (permissions.js) で実行される (作為者は core_logic.js の getLILRuleActor)。
+ * ただし重大な作為 (HALT / MINT) は即時実行されず、二者承認の提案となる (approval.js)。提案の理由はルールの reason または発動したルールID。
+ *
+ * 例:
+ * { type: "HALT", reason: "Vibration超過" }
+ * { type: "MINT", recipient: "CORE_BANK_A", amount: 10, currency: "BETA" }
+ * { type: "TRANSFER", sender: "CORE_BANK_A", recipient: "USER_AUDIT_B", amount: 5, currency: "ALPHA" }
+ * { type: "SET_RATE", currency: "GAMMA", rate: 80 }  または  { type: "SET_RATE", currency: "GAMMA", factor: 0.9 }
+ * { type: "ADJUST_SUPPLY", target: "ENERGY", amount: 60 }
+ * { type: "INFRA_EVENT", target: "NET", event: "OUTAGE", duration_s: 60, level: 15 }  または  { type: "INFRA_EVENT", target: "NET", event: "RECOVERY" }
+ */
+export const LIL_ACTION_HANDLERS = {
+    HALT: (action, rule) => actForcedHalt({ reason: action.reason || `LILルール ${rule.id} の発動` }, getLILRuleActor(rule)),
+
+    MINT: (action, rule) => actMintCurrency({
+        to: action.recipient,
+        amount: Number(action.amount),
+        currency: action.currency,
+        reason: action.reason || `LILルール ${rule.id} の発動`,
+    }, getLILRuleActor(rule)),
+
+    TRANSFER: (action, rule) => actTransfer({
+        from: action.sender,
+        to: action.recipient,
+        amount: Number(action.amount),
+        currency: action.currency,
+    }, getLILRuleActor(rule)),
+
+    SET_RATE: (action, rule) => actSetRate({
+        currency: action.currency,
+        rate: action.rate,
+        factor: action.factor,
+    }, getLILRuleActor(rule)),
+
+    ADJUST_SUPPLY: (action, rule) => actAdjustSupply(action.target, Number(action.amount), getLILRuleActor(rule)),
+
+    INFRA_EVENT: (action, rule) => actInfraEvent({
+        target: action.target,
+        type: action.event,
+        duration_s: Number(action.duration_s),
+        level: action.level === undefined ? undefined : Number(action.level),
+        cause: action.cause || `LILルール ${rule.id} による${action.event === 'RECOVERY' ? '復旧' : '障害'}`,
+    }, getLILRuleActor(rule)),
+};
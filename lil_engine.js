@@ -0,0 +1,465 @@
+// js/lil_engine.js
+
+import { LOGOS_LIL_RULES } from './logos_lil.js';
+import { getBalance, fromCurrencyUnits } from './currency_registry.js';
+import { INFRA_TARGETS } from './infrastructure.js';
+
+/**
+ * ロゴス中間言語 (LIL) の評価エンジン。
+ * DOM や Firestore には一切依存せず、状態オブジェクトとルール配列だけを入力とする純粋なモジュール。
+ * 副作用（ログ出力・Vibration加算・作為の実行）は createLILEngine に注入された関数を通じてのみ発生する。
+ */
+
+// ====================================================================
+// TRIGGER EVALUATION (純粋関数)
+// ====================================================================
+
+/** 値が比較可能な値 (null / undefined 以外) か判定します。大小比較は両辺が比較可能な場合のみ成立する。 */
+const isComparable = (value) => value !== null && value !== undefined;
+
+/** LILで使用可能な比較演算子。 */
+const OPERATORS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '>': (a, b) => isComparable(a) && isComparable(b) && a > b,
+    '>=': (a, b) => isComparable(a) && isComparable(b) && a >= b,
+    '<': (a, b) => isComparable(a) && isComparable(b) && a < b,
+    '<=': (a, b) => isComparable(a) && isComparable(b) && a <= b,
+};
+
+/** 条件グループのキー。 */
+const GROUP_KEYS = ['all', 'any', 'not'];
+
+/** AGGREGATE トリガーの集計関数。 */
+const AGGREGATE_FUNCTIONS = ['sum', 'min', 'max', 'count'];
+
+/** LOGアクションの level を logToConsole のクラス名へ対応付ける。 */
+const LOG_LEVEL_CLASSES = {
+    error: 'error-message',
+    warning: 'system-message',
+    audit: 'audit-message',
+    info: 'internal-message',
+};
+
+/**
+ * ドット区切りのパス (例: "vibration_level.value") で状態の値を取得します。
+ * @param {object} state - システム状態。
+ * @param {string} path - ドット区切りのパス。
+ * @returns {*} - 値。途中のキーが存在しない場合は undefined。
+ */
+export function resolveStatePath(state, path) {
+    return String(path).split('.').reduce(
+        (node, key) => (node === null || node === undefined ? undefined : node[key]),
+        state
+    );
+}
+
+/**
+ * 全アカウントにおける指定通貨の総供給量を計算します。
+ * 残高は最小単位の整数で合計し、主単位に変換して返す。着金が遅延している送金 (pending_transfers) も含む。
+ * @param {object} state - システム状態。
+ * @param {string} currency - 通貨コード。
+ * @returns {number} - 総供給量 (主単位)。
+ */
+export function computeTotalSupply(state, currency) {
+    const minorTotal = (state.accounts || []).reduce((sum, acc) => sum + getBalance(acc, currency), 0)
+        + (state.pending_transfers || []).filter(t => t.currency === currency).reduce((sum, t) => sum + t.amountMinor, 0);
+    return fromCurrencyUnits(state, currency, minorTotal);
+}
+
+/**
+ * アカウントの残高を集計します (AGGREGATE トリガー)。
+ * accounts で対象のアカウントIDを、where { operator, value } で残高 (主単位) の条件を絞り込める。
+ * @param {object} state - システム状態。
+ * @param {object} spec - { fn: 'sum' | 'min' | 'max' | 'count', currency, accounts?, where? }
+ * @returns {number|null} - 集計値 (主単位)。対象のアカウントが無い場合の min / max は null。
+ */
+export function computeAggregate(state, { fn, currency, accounts, where }) {
+    const balanceOf = (acc) => fromCurrencyUnits(state, currency, getBalance(acc, currency));
+    const targets = (state.accounts || [])
+        .filter(acc => !accounts || accounts.includes(acc.id))
+        .filter(acc => !where || OPERATORS[where.operator](balanceOf(acc), where.value));
+
+    if (fn === 'count') return targets.length;
+    // 合計は最小単位の整数で計算してから主単位に変換する (computeTotalSupply と同じ)
+    if (fn === 'sum') return fromCurrencyUnits(state, currency, targets.reduce((sum, acc) => sum + getBalance(acc, currency), 0));
+    if (targets.length === 0) return null;
+    const balances = targets.map(balanceOf);
+    return fn === 'min' ? Math.min(...balances) : Math.max(...balances);
+}
+
+/**
+ * トリガーが参照する値 (比較の左辺) を返します。CHANGE トリガーの metric にも使用する。
+ * @param {object} metric - { type, param, ... } (operator / value は使用しない)
+ * @param {object} state - システム状態 (getCurrentState() の戻り値。Vibrationとインフラは評価時刻の値)。
+ */
+function measure(metric, state) {
+    switch (metric.type) {
+        case 'STATE_CHECK':
+            return resolveStatePath(state, metric.param);
+        case 'SUPPLY_CHECK':
+            return computeTotalSupply(state, metric.param);
+        case 'AGGREGATE':
+            return computeAggregate(state, metric);
+        case 'INFRA_CHECK': {
+            const channel = (state.infrastructure || {})[INFRA_TARGETS[metric.target]];
+            return channel ? channel[metric.field || 'value'] : undefined;
+        }
+        default:
+            throw new Error(`未知のトリガー種別です: ${metric.type}`);
+    }
+}
+
+/** CHANGE トリガーが変化量を測る値の定義 (param は STATE_CHECK の省略形)。 */
+function changeMetric(trigger) {
+    return trigger.metric || { type: 'STATE_CHECK', param: trigger.param };
+}
+
+/** 変化量の履歴のキー。同じ値を参照する CHANGE トリガーは履歴を共有する。 */
+function metricKey(metric) {
+    return JSON.stringify(metric);
+}
+
+/**
+ * 単一のトリガーまたは条件グループを評価します。
+ * @param {object} trigger - 比較 { type, ..., operator, value }、または { all: [...] } / { any: [...] } / { not: {...} }
+ * @param {object} state - システム状態。
+ * @param {object} [context] - { now, history } (CHANGE トリガーの評価に必要。createLILEngine が渡す)
+ * @returns {boolean} - 条件が成立した場合 true。
+ */
+export function evaluateTrigger(trigger, state, context = {}) {
+    if (trigger.all) return trigger.all.every(child => evaluateTrigger(child, state, context));
+    if (trigger.any) return trigger.any.some(child => evaluateTrigger(child, state, context));
+    if (trigger.not) return !evaluateTrigger(trigger.not, state, context);
+
+    const compare = OPERATORS[trigger.operator];
+    if (!compare) {
+        throw new Error(`未知の演算子です: ${trigger.operator}`);
+    }
+    if (trigger.type !== 'CHANGE') return compare(measure(trigger, state), trigger.value);
+
+    if (!context.history) throw new Error("CHANGE トリガーの評価には値の履歴が必要です。");
+    const metric = changeMetric(trigger);
+    const current = measure(metric, state);
+    const baseline = context.history.valueAt(metricKey(metric), context.now - trigger.window_s * 1000);
+    const change = typeof current === 'number' && typeof baseline === 'number' ? current - baseline : null;
+    return compare(change, trigger.value);
+}
+
+/**
+ * ルールの全トリガー (暗黙の all) を評価します。
+ * @param {object} rule - LILルール。
+ * @param {object} state - システム状態。
+ * @param {object} [context] - evaluateTrigger の context。
+ * @returns {boolean} - すべてのトリガーが成立した場合 true。
+ */
+export function evaluateRule(rule, state, context = {}) {
+    return rule.triggers.every(trigger => evaluateTrigger(trigger, state, context));
+}
+
+// ====================================================================
+// VALIDATION (lil_editor.html の保存前検証)
+// ====================================================================
+
+/** トリガー (条件グループを含む) を検証し、エラーを errors に追加します。 */
+function validateTrigger(trigger, path, errors) {
+    if (!trigger || typeof trigger !== 'object') {
+        errors.push(`${path}: トリガーはオブジェクトである必要があります。`);
+        return;
+    }
+    const groupKeys = GROUP_KEYS.filter(key => trigger[key] !== undefined);
+    if (groupKeys.length > 1) {
+        errors.push(`${path}: all / any / not は1つのみ指定できます。`);
+        return;
+    }
+    if (groupKeys[0] === 'not') {
+        validateTrigger(trigger.not, `${path}.not`, errors);
+        return;
+    }
+    if (groupKeys.length === 1) {
+        const children = trigger[groupKeys[0]];
+        if (!Array.isArray(children) || children.length === 0) {
+            errors.push(`${path}.${groupKeys[0]}: 1つ以上のトリガーの配列である必要があります。`);
+            return;
+        }
+        children.forEach((child, index) => validateTrigger(child, `${path}.${groupKeys[0]}[${index}]`, errors));
+        return;
+    }
+
+    if (!OPERATORS[trigger.operator]) errors.push(`${path}: 未知の演算子です: ${trigger.operator} (${Object.keys(OPERATORS).join(' ')})`);
+    if (trigger.value === undefined) errors.push(`${path}: 比較する value がありません。`);
+    if (trigger.type === 'CHANGE') {
+        if (!(trigger.window_s > 0)) errors.push(`${path}: CHANGE の window_s は正の数である必要があります。`);
+        if (trigger.metric === undefined && typeof trigger.param !== 'string') errors.push(`${path}: CHANGE には param (状態のパス) または metric を指定してください。`);
+        if (trigger.metric !== undefined) validateMetric(trigger.metric, `${path}.metric`, errors);
+        return;
+    }
+    validateMetric(trigger, path, errors);
+}
+
+/** トリガーが参照する値の定義を検証します。 */
+function validateMetric(metric, path, errors) {
+    switch (metric && metric.type) {
+        case 'STATE_CHECK':
+        case 'SUPPLY_CHECK':
+            if (typeof metric.param !== 'string' || !metric.param) errors.push(`${path}: ${metric.type} には param を指定してください。`);
+            return;
+        case 'AGGREGATE':
+            if (!AGGREGATE_FUNCTIONS.includes(metric.fn)) errors.push(`${path}: AGGREGATE の fn は ${AGGREGATE_FUNCTIONS.join(' / ')} のいずれかです。`);
+            if (metric.fn !== 'count' && !metric.currency) errors.push(`${path}: AGGREGATE (${metric.fn}) には currency を指定してください。`);
+            if (metric.accounts !== undefined && !Array.isArray(metric.accounts)) errors.push(`${path}: accounts はアカウントIDの配列である必要があります。`);
+            if (metric.where !== undefined) {
+                if (!metric.currency) errors.push(`${path}: where で残高を絞り込む場合は currency を指定してください。`);
+                if (!OPERATORS[metric.where.operator]) errors.push(`${path}.where: 未知の演算子です: ${metric.where.operator}`);
+            }
+            return;
+        case 'INFRA_CHECK':
+            if (!INFRA_TARGETS[metric.target]) errors.push(`${path}: INFRA_CHECK の target は ${Object.keys(INFRA_TARGETS).join(' / ')} のいずれかです。`);
+            if (metric.field !== undefined && !['value', 'target'].includes(metric.field)) errors.push(`${path}: INFRA_CHECK の field は value / target のいずれかです。`);
+            return;
+        default:
+            errors.push(`${path}: 未知のトリガー種別です: ${metric && metric.type}`);
+    }
+}
+
+/**
+ * LILルールセットを検証します。
+ * @param {Array<object>} rules - ルール配列。
+ * @param {object} [options]
+ * @param {Array<string>} [options.actionTypes] - 実行できるアクション種別 (省略時はアクション種別を検証しない)。
+ * @returns {Array<string>} - エラー ("LIL_002: triggers[0].any[1]: 未知の演算子です: =>" など)。空の場合は有効。
+ */
+export function validateRules(rules, { actionTypes } = {}) {
+    if (!Array.isArray(rules)) return ["LILは配列である必要があります。"];
+    const errors = [];
+    const seenIds = new Set();
+    rules.forEach((rule, index) => {
+        const label = rule && rule.id ? rule.id : `rules[${index}]`;
+        const push = (message) => errors.push(`${label}: ${message}`);
+        if (!rule || typeof rule !== 'object' || !rule.id) {
+            push("id がありません。");
+            return;
+        }
+        if (seenIds.has(rule.id)) push("ルールIDが重複しています。");
+        seenIds.add(rule.id);
+        if (!rule.description) push("description がありません。");
+        if (!Array.isArray(rule.triggers)) push("triggers は配列である必要があります。");
+        else {
+            const triggerErrors = [];
+            rule.triggers.forEach((trigger, i) => validateTrigger(trigger, `triggers[${i}]`, triggerErrors));
+            triggerErrors.forEach(push);
+        }
+        if (!Array.isArray(rule.actions)) push("actions は配列である必要があります。");
+        else if (actionTypes) {
+            rule.actions.filter(action => !actionTypes.includes(action.type))
+                .forEach(action => push(`未知のアクション種別です: ${action.type}`));
+        }
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') push("enabled は真偽値である必要があります。");
+        if (rule.priority !== undefined && !Number.isFinite(rule.priority)) push("priority は数値である必要があります。");
+        if (rule.cooldown_s !== undefined && !(rule.cooldown_s >= 0)) push("cooldown_s は 0 以上の数である必要があります。");
+        if (rule.vibration_cost !== undefined && !(rule.vibration_cost >= 0)) push("vibration_cost は 0 以上の数である必要があります。");
+    });
+    return errors;
+}
+
+// ====================================================================
+// LIL ENGINE (副作用は注入された関数経由)
+// ====================================================================
+
+/**
+ * 成立中のルールから BLOCK_ACT アクションを収集します。
+ * BLOCK_ACT は発動時に実行されるのではなく、ルールの条件が成立している間だけ有効な抑制である。
+ * @param {Array<object>} rules - 成立中のルール。
+ * @returns {Array<object>} - { ruleId, act, currency } の配列。
+ */
+function collectBlocks(rules) {
+    return rules.flatMap(rule => rule.actions
+        .filter(action => action.type === 'BLOCK_ACT')
+        .map(action => ({ ruleId: rule.id, act: action.act, currency: action.currency || null })));
+}
+
+/**
+ * 有効なルール (enabled が false でないもの) を優先度 (priority、既定 0) の降順で返します。
+ * 優先度が同じルールは定義順を維持する。
+ */
+function orderRules(rules) {
+    return rules.filter(rule => rule.enabled !== false)
+        .map((rule, index) => ({ rule, index }))
+        .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+        .map(({ rule }) => rule);
+}
+
+/** トリガー (条件グループを含む) に含まれる CHANGE トリガーを列挙します。 */
+function collectChangeTriggers(trigger) {
+    if (trigger.all || trigger.any) return (trigger.all || trigger.any).flatMap(collectChangeTriggers);
+    if (trigger.not) return collectChangeTriggers(trigger.not);
+    return trigger.type === 'CHANGE' ? [trigger] : [];
+}
+
+/**
+ * CHANGE トリガー用の値の履歴を生成します。
+ * 評価のたびに参照される値を記録し、時刻 at 時点の値 (at 以前の最新の記録。無い場合は最古の記録) を返す。
+ */
+function createMetricHistory() {
+    const series = new Map();
+    return {
+        /** 値を記録し、window_ms より古い記録を (時刻 now - window_ms 時点の値として必要な1件を残して) 破棄します。 */
+        record(key, now, value, windowMs) {
+            const samples = (series.get(key) || []).filter(sample => sample.at < now);
+            samples.push({ at: now, value });
+            const cutoff = now - windowMs;
+            const firstInWindow = samples.findIndex(sample => sample.at >= cutoff);
+            series.set(key, samples.slice(Math.max(0, firstInWindow - 1)));
+        },
+        valueAt(key, at) {
+            const samples = series.get(key) || [];
+            const before = samples.filter(sample => sample.at <= at);
+            return (before.length > 0 ? before[before.length - 1] : samples[0])?.value;
+        },
+    };
+}
+
+/**
+ * LIL評価エンジンを生成します。
+ * ルールは条件が「不成立 → 成立」に変化した時点でのみ発動する（エッジトリガー）。
+ * これにより、vibration_cost の加算による状態変化で同じルールが再発動し続けることを防ぐ。
+ * ルールは priority の高い順に評価・発動し、enabled が false のルールは評価しない。
+ * cooldown_s を持つルールは、発動から cooldown_s 秒間は再発動しない。クールダウン中に成立したルールは、
+ * 成立が続いていればクールダウンの終了後の評価で発動する (BLOCK_ACT はクールダウン中も有効)。
+ *
+ * @param {object} deps
+ * @param {function} deps.log - (message, className) を受け取るログ関数 (例: logToConsole)。
+ * @param {function} deps.addVibration - (amount) を受け取るVibration加算関数。
+ * @param {object} [deps.actionHandlers] - アクション種別 (HALT, MINT 等) から (action, rule) を受け取る作為関数への対応表。
+ * @param {Array<object>} [deps.rules] - 初期ルールセット。省略時は LOGOS_LIL_RULES。
+ */
+export function createLILEngine({ log, addVibration, actionHandlers = {}, rules = LOGOS_LIL_RULES }) {
+    let activeRules = rules;
+    // 直前の評価で条件が成立していたルールIDの集合
+    let matchedRuleIds = new Set();
+    // ルールIDごとの最後の発動時刻 (クールダウンの判定用。ルールセットの差し替え後も維持する)
+    const lastFiredAt = new Map();
+    // CHANGE トリガーが参照する値の履歴
+    let history = createMetricHistory();
+    // 成立中のルールによる作為抑制
+    let activeBlocks = [];
+
+    /** アクションを実行します。 */
+    async function runAction(rule, action) {
+        if (action.type === 'LOG') {
+            log(`[LIL]: ${action.message}`, LOG_LEVEL_CLASSES[action.level] || 'internal-message');
+            return;
+        }
+        if (action.type === 'BLOCK_ACT') return; // 評価時に activeBlocks として反映済み
+
+        const handler = actionHandlers[action.type];
+        if (!handler) {
+            log(`[ERROR/LIL]: ${rule.id} の未知のアクション種別 ${action.type} をスキップしました。`, 'error-message');
+            return;
+        }
+        try {
+            await handler(action, rule);
+        } catch (e) {
+            log(`[ERROR/LIL]: ${rule.id} の ${action.type} 作為に失敗しました: ${e.message}`, 'error-message');
+        }
+    }
+
+    return {
+        /** 現在有効なルールセットを返します。 */
+        getRules() {
+            return activeRules;
+        },
+
+        /**
+         * 有効なルールセットを差し替えます (system_config/lil_rules の更新時)。
+         * @param {Array<object>} newRules - 新しいルール配列。
+         */
+        setRules(newRules) {
+            activeRules = Array.isArray(newRules) ? newRules : LOGOS_LIL_RULES;
+            matchedRuleIds = new Set();
+            activeBlocks = [];
+            history = createMetricHistory();
+        },
+
+        /**
+         * 指定された作為が成立中のルールによって抑制されているかを判定します。
+         * @param {string} actType - 作為種別 (例: 'MINT')。
+         * @param {string} [currency] - 通貨コード。BLOCK_ACT に currency が無い場合は全通貨が対象。
+         * @returns {string|null} - 抑制しているルールID。抑制されていなければ null。
+         */
+        findBlockingRule(actType, currency) {
+            const block = activeBlocks.find(b => b.act === actType && (!b.currency || b.currency === currency));
+            return block ? block.ruleId : null;
+        },
+
+        /**
+         * 状態に対して全ルールを評価し、新たに成立したルールのアクションを実行します。
+         * @param {object} state - システム状態。
+         * @param {object} [options]
+         * @param {boolean} [options.dispatch] - false の場合、成立状態と作為抑制だけを更新しアクションは実行しない
+         *        (定期処理のリーダーでないクライアント用。scheduler.js)。
+         * @param {number} [options.now] - 評価時刻 (CHANGE トリガーとクールダウンの判定に使用)。
+         * @returns {Promise<Array<string>>} - 発動したルールIDの配列 (優先度順)。
+         */
+        async evaluate(state, { dispatch = true, now = Date.now() } = {}) {
+            const fired = [];
+            const matchedRules = [];
+            const nowMatched = new Set();
+            const rules = orderRules(activeRules);
+
+            // CHANGE トリガーが参照する値を、ルールの評価 (短絡評価) に関係なく毎回記録する
+            const windows = new Map();
+            rules.flatMap(rule => (rule.triggers || []).flatMap(collectChangeTriggers)).forEach(trigger => {
+                const metric = changeMetric(trigger);
+                const key = metricKey(metric);
+                windows.set(key, { metric, windowMs: Math.max(windows.get(key)?.windowMs || 0, trigger.window_s * 1000) });
+            });
+            windows.forEach(({ metric, windowMs }, key) => {
+                try {
+                    history.record(key, now, measure(metric, state), windowMs);
+                } catch (e) {
+                    // 未知のトリガー種別は、そのトリガーを含むルールの評価でエラーとして記録される
+                }
+            });
+            const context = { now, history };
+
+            for (const rule of rules) {
+                let isMatched;
+                try {
+                    isMatched = evaluateRule(rule, state, context);
+                } catch (e) {
+                    log(`[ERROR/LIL]: ${rule.id} の評価に失敗しました: ${e.message}`, 'error-message');
+                    continue;
+                }
+                if (!isMatched) continue;
+
+                matchedRules.push(rule);
+                if (matchedRuleIds.has(rule.id)) {
+                    nowMatched.add(rule.id); // 既に成立中 (再発動しない)
+                    continue;
+                }
+                const coolingDown = rule.cooldown_s > 0 && lastFiredAt.has(rule.id) && now - lastFiredAt.get(rule.id) < rule.cooldown_s * 1000;
+                if (coolingDown) continue; // 成立中として扱わず、クールダウンの終了後に発動させる
+
+                nowMatched.add(rule.id);
+                fired.push(rule);
+            }
+            matchedRuleIds = nowMatched;
+            activeBlocks = collectBlocks(matchedRules);
+            if (!dispatch) return [];
+
+            // 評価がすべて終わってから作為を実行する (作為中の状態変化が評価に混ざらないように)
+            fired.forEach(rule => lastFiredAt.set(rule.id, now));
+            for (const rule of fired) {
+                for (const action of rule.actions) {
+                    await runAction(rule, action);
+                }
+                if (rule.vibration_cost > 0) {
+                    await addVibration(rule.vibration_cost);
+                }
+            }
+
+            return fired.map(rule => rule.id);
+        },
+    };
+}
@@ -0,0 +1,162 @@
+// js/logos_act_parser.js
+
+import { getCurrencyCodes } from './currency_registry.js';
+import { extractTimeReference } from './logos_intent.js';
+
+/**
+ * 対話コンソールの自然言語による作為指示の解析。
+ * DOM・LLM に依存しない決定的なモジュールで、dialogue_acts.js が確認付きの作為実行に使用する。
+ * 解析は推測を行わない: 作為の種別・金額・通貨・アカウントの役割が一意に定まらない入力は拒否し、理由を返す。
+ *
+ * 受け付ける指示の例:
+ *   transfer 20 ALPHA from CORE_BANK_A to USER_AUDIT_B   /  CORE_BANK_A から USER_AUDIT_B へ 20 ALPHA を送金
+ *   mint 50 GAMMA to USER_AUDIT_B because ...           /  USER_AUDIT_B に 50 GAMMA を生成 理由: ...
+ *   exchange 10 ALPHA to BETA in CORE_BANK_A            /  CORE_BANK_A の 10 ALPHA を BETA に交換
+ *
+ * 解析結果:
+ *   null                                  - 作為の指示ではない (質問など。内部ロゴスの推論に渡す)
+ *   { error }                             - 作為の指示だが一意に解析できない
+ *   { act, params, description }          - act は 'TRANSFER' | 'MINT' | 'EXCHANGE'、params は audit_acts.js の作為に渡す値
+ */
+
+/** 作為の種別を示す動詞。 */
+const ACT_VERBS = [
+    { act: 'TRANSFER', pattern: /\b(?:transfer|send|pay)\b|送金|振替|振り替え|送って|送る/i },
+    { act: 'MINT', pattern: /\b(?:mint|issue)\b|生成|発行|ミント/i },
+    { act: 'EXCHANGE', pattern: /\b(?:exchange|convert|swap)\b|交換|両替/i },
+];
+
+/** 質問の形式 (作為の指示として扱わない)。 */
+const QUESTION_PATTERN = /[?？]\s*$|\b(?:how|what|which|who|when|why|did|was|were|has|have)\b|いくら|どの|何|誰|ですか|ましたか|でしたか/i;
+
+/** 生成の理由 ("because ..." / "reason: ..." / "理由: ...")。理由は行末までとする。 */
+const REASON_PATTERN = /(?:\bbecause\b|\breason\s*[:：]|理由\s*[:：は])\s*(.+)$/i;
+
+/** アカウントIDの形式 (未登録のアカウントの検出に使用)。 */
+const ACCOUNT_ID_PATTERN = /[A-Za-z][A-Za-z0-9]*(?:_[A-Za-z0-9]+)+/g;
+
+/** 英数字の語として独立して現れる位置をすべて返します。 */
+function findWord(text, word) {
+    const positions = [];
+    const pattern = new RegExp(`(^|[^A-Za-z0-9_])(${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})(?=$|[^A-Za-z0-9_])`, 'gi');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        positions.push({ start: match.index + match[1].length, end: match.index + match[1].length + match[2].length });
+    }
+    return positions;
+}
+
+/**
+ * 語の前後にある標識から、アカウントや通貨の役割を判定します。
+ * 英語は直前の前置詞 (from / to / in)、日本語は直後の助詞 (から / へ・に / の・で) を標識とする。
+ * @returns {'from'|'to'|'in'|null}
+ */
+function markerOf(text, { start, end }) {
+    const before = text.slice(0, start);
+    const after = text.slice(end);
+    if (/\bfrom\s*$/i.test(before) || /^\s*(?:から|より)/.test(after)) return 'from';
+    if (/\b(?:to|into|for)\s*$/i.test(before) || /^\s*(?:へ|に)/.test(after)) return 'to';
+    if (/\b(?:in|of|on|at)\s*$/i.test(before) || /^\s*(?:の|で)/.test(after)) return 'in';
+    return null;
+}
+
+/** 指定した役割の語を1つだけ返します。該当なし・複数の場合は null / エラー。 */
+function pickRole(mentions, role, label) {
+    const matches = mentions.filter(m => m.marker === role);
+    if (matches.length > 1) return { error: `${label}が複数指定されています (${matches.map(m => m.value).join(', ')})。` };
+    return { value: matches.length === 1 ? matches[0].value : null };
+}
+
+/**
+ * 自然言語の作為指示を解析します。
+ * @param {string} prompt - 利用者の入力。
+ * @param {object} state - システム状態 (アカウントIDと通貨コードの照合に使用)。
+ * @param {number} [now] - 時間の言及の判定に使う基準時刻。
+ * @returns {object|null} - { act, params, description } / { error } / null
+ */
+export function parseNaturalAct(prompt, state, now = Date.now()) {
+    // 理由は自由記述のため、作為の種別・数値・アカウントの解析より先に取り除く
+    const reasonMatch = prompt.match(REASON_PATTERN);
+    const reason = reasonMatch ? reasonMatch[1].trim() : null;
+    const text = (reasonMatch ? prompt.slice(0, reasonMatch.index) : prompt).replace(/(\d),(?=\d{3}\b)/g, '$1');
+
+    const verbs = ACT_VERBS.filter(v => v.pattern.test(text));
+    if (verbs.length === 0) return null;
+    // 質問や時間の言及 ("直近1時間の生成は?") は作為ではなく問合せとして扱う
+    if (QUESTION_PATTERN.test(text) || extractTimeReference(text, now)) return null;
+    if (verbs.length > 1) {
+        return { error: `作為の種別が一意に定まりません (${verbs.map(v => v.act).join(' / ')})。1つの指示には1つの作為のみ指定してください。` };
+    }
+    const act = verbs[0].act;
+
+    // アカウント (登録済みのIDのみ。未登録のIDらしき語は拒否する)
+    const knownIds = new Set(state.accounts.map(acc => acc.id.toUpperCase()));
+    const unknown = (text.match(ACCOUNT_ID_PATTERN) || []).filter(word => !knownIds.has(word.toUpperCase()));
+    if (unknown.length > 0) return { error: `未登録のアカウントが指定されています: ${unknown.join(', ')}` };
+    const accounts = state.accounts
+        .flatMap(acc => findWord(text, acc.id).map(pos => ({ value: acc.id, ...pos, marker: markerOf(text, pos) })))
+        .sort((a, b) => a.start - b.start);
+
+    // 通貨 (登録済みの通貨コード)
+    const currencies = getCurrencyCodes(state)
+        .flatMap(code => findWord(text, code).map(pos => ({ value: code, ...pos, marker: markerOf(text, pos) })))
+        .sort((a, b) => a.start - b.start);
+
+    // 金額 (アカウントIDと通貨コードを除いた数値がちょうど1つ)
+    let remainder = text;
+    [...accounts, ...currencies].sort((a, b) => b.start - a.start).forEach(({ start, end }) => {
+        remainder = remainder.slice(0, start) + ' '.repeat(end - start) + remainder.slice(end);
+    });
+    // 符号も金額の一部として読み取る (符号を落とすと "-5" が 5 の作為として実行されてしまう)
+    const amounts = remainder.match(/[-+\u2212]?\d+(?:\.\d+)?/g) || [];
+    if (amounts.length === 0) return { error: "金額が指定されていません。" };
+    if (amounts.length > 1) return { error: `金額が一意に定まりません (${amounts.join(', ')})。` };
+    const amount = Number(amounts[0].replace('\u2212', '-'));
+    if (!(amount > 0)) {
+        return { error: `金額は正の数で指定してください (指定された金額: ${amounts[0]})。負の金額や 0 を逆方向の送金など別の作為に読み替えることはしません。` };
+    }
+
+    const accountIds = [...new Set(accounts.map(a => a.value))];
+    const currencyCodes = [...new Set(currencies.map(c => c.value))];
+
+    switch (act) {
+        case 'TRANSFER': {
+            if (currencyCodes.length !== 1) return { error: "送金する通貨を1つ指定してください。" };
+            const from = pickRole(accounts, 'from', '送金元');
+            const to = pickRole(accounts, 'to', '送金先');
+            if (from.error || to.error) return { error: from.error || to.error };
+            if (!from.value || !to.value || accountIds.length !== 2) {
+                return { error: "送金元と送金先のアカウントを from / to (… から / … へ) で1つずつ指定してください。" };
+            }
+            const params = { from: from.value, to: to.value, amount, currency: currencyCodes[0] };
+            return { act, params, description: `TRANSFER ${amount} ${params.currency}: ${params.from} → ${params.to}` };
+        }
+        case 'MINT': {
+            if (currencyCodes.length !== 1) return { error: "生成する通貨を1つ指定してください。" };
+            if (accountIds.length !== 1) return { error: "生成先のアカウントを1つ指定してください。" };
+            if (accounts.some(a => a.marker === 'from')) return { error: "生成には送金元を指定できません。生成先を to (… に) で指定してください。" };
+            const params = { to: accountIds[0], amount, currency: currencyCodes[0], reason };
+            return { act, params, description: `MINT ${amount} ${params.currency} → ${params.to}` };
+        }
+        case 'EXCHANGE': {
+            if (currencyCodes.length !== 2) return { error: "交換元と交換先の通貨を1つずつ指定してください。" };
+            if (accountIds.length !== 1) return { error: "交換を行うアカウントを1つ指定してください。" };
+            const target = pickRole(currencies, 'to', '交換先の通貨');
+            if (target.error) return { error: target.error };
+            if (!target.value) return { error: "交換先の通貨を to (… に) で指定してください。" };
+            const source = currencyCodes.find(code => code !== target.value);
+            const params = { account: accountIds[0], amount, fromCurrency: source, toCurrency: target.value };
+            return { act, params, description: `EXCHANGE ${amount} ${source} → ${target.value} (${params.account})` };
+        }
+        default:
+            return null;
+    }
+}
+
+/** 確認・取消の応答を判定します。 */
+export function parseConfirmation(input) {
+    const normalized = input.trim().toLowerCase();
+    if (/^(?:y|yes|confirm|ok|はい|実行|確認)$/.test(normalized)) return 'confirm';
+    if (/^(?:n|no|cancel|いいえ|取消|取り消し|キャンセル)$/.test(normalized)) return 'cancel';
+    return null;
+}
@@ -0,0 +1,298 @@
+// js/logos_intent.js
+
+import { KNOWLEDGE } from './knowledge_base.js';
+import { getCurrencyCodes, findCurrency, getBalance, formatAmount } from './currency_registry.js';
+import { getPendingProposals } from './approval.js';
+
+/**
+ * 内部ロゴス推論エンジンの意図分類とエンティティ抽出。
+ * DOM・LLM に依存しない純粋なモジュールで、dialogue_acts.js の execute_logos_inference が使用する。
+ * 分類は利用者の入力そのもの (メビウス変換前のプロンプト) に対して行い、応答はシステム状態だけから組み立てる。
+ *
+ * エンティティ:
+ * {
+ *   accounts: ["USER_AUDIT_B"],        // アカウントID (ID またはアカウント名で言及されたもの)
+ *   currencies: ["BETA"],              // 登録済みの通貨コード
+ *   numbers: [10],                     // アカウントID・通貨コード以外の数値
+ *   time: { label, from, to } | null,  // 時間の言及 ("直近1時間" / "today" など)
+ *   superlative: "max" | "min" | null  // 最上級 ("最も多く" / "most" など)
+ * }
+ */
+
+/** 意図の種別。 */
+export const INTENTS = {
+    BALANCE: 'BALANCE',           // 残高の問合せ
+    TOP_HOLDER: 'TOP_HOLDER',     // 最も多く (少なく) 保有するアカウント
+    SUPPLY: 'SUPPLY',             // 総供給量
+    RATE: 'RATE',                 // 為替レート
+    MINT_HISTORY: 'MINT_HISTORY', // 通貨生成の履歴
+    VIBRATION: 'VIBRATION',       // Vibration
+    HALT_STATUS: 'HALT_STATUS',   // 強制停止・稼働状態
+    PROPOSALS: 'PROPOSALS',       // 承認待ちの提案
+    ACCOUNTS: 'ACCOUNTS',         // アカウントの一覧
+    PROTOCOL: 'PROTOCOL',         // プロトコルの定義
+    GUIDELINE: 'GUIDELINE',       // 該当なし (ガイドラインの引用)
+};
+
+/**
+ * 意図ごとの手がかりとなる語 (正規表現) と重み。
+ * 分類は重みの合計が最も大きい意図を選び、同点の場合はこの表の順を優先する。
+ */
+const INTENT_KEYWORDS = [
+    { intent: INTENTS.TOP_HOLDER, weight: 3, pattern: /最も|一番|最大|最多|最小|最少|\bmost\b|\bleast\b|\blargest\b|\bbiggest\b|\btop\b|\bfewest\b|\bsmallest\b/i },
+    { intent: INTENTS.TOP_HOLDER, weight: 1, pattern: /保有|\bholds?\b|\bholders?\b|\bwhich account\b|どのアカウント|誰/i },
+    { intent: INTENTS.BALANCE, weight: 3, pattern: /残高|\bbalances?\b|いくら|\bhow much\b.*\b(?:have|has|hold)\b/i },
+    { intent: INTENTS.BALANCE, weight: 1, pattern: /経済|通貨|\beconomy\b|\bcurrenc(?:y|ies)\b/i },
+    { intent: INTENTS.SUPPLY, weight: 3, pattern: /総供給|供給量|発行量|流通量|\bsupply\b|\bcirculating\b|\bin circulation\b/i },
+    { intent: INTENTS.RATE, weight: 3, pattern: /レート|為替|\brates?\b|\bexchange rate\b|\bprice\b/i },
+    { intent: INTENTS.MINT_HISTORY, weight: 3, pattern: /生成|発行された|ミント|\bmint(?:ed|s|ing)?\b/i },
+    { intent: INTENTS.VIBRATION, weight: 3, pattern: /vibration|活動量|振動|摂動|\bV\b/i },
+    { intent: INTENTS.HALT_STATUS, weight: 3, pattern: /強制停止|停止中|稼働|\bhalt(?:ed)?\b|\boperational\b|\bprobation\b/i },
+    { intent: INTENTS.PROPOSALS, weight: 3, pattern: /提案|承認待ち|\bproposals?\b|\bpending\b|\bapprovals?\b/i },
+    { intent: INTENTS.ACCOUNTS, weight: 2, pattern: /アカウント一覧|アカウント数|全アカウント|\baccounts\b|\blist accounts\b/i },
+    { intent: INTENTS.PROTOCOL, weight: 3, pattern: /プロトコル|定義|\bprotocol\b|\bdefinition\b/i },
+];
+
+// ====================================================================
+// ENTITY EXTRACTION
+// ====================================================================
+
+/** 正規表現の特殊文字をエスケープします。 */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** 英数字の語として独立して現れる場合にのみ一致する正規表現 (日本語の文中では前後を区切りとみなす)。 */
+function wordPattern(word) {
+    return new RegExp(`(^|[^A-Za-z0-9_])${escapeRegExp(word)}(?=$|[^A-Za-z0-9_])`, 'i');
+}
+
+/**
+ * 時間の言及を抽出します。
+ * @returns {{label: string, from: number, to: number}|null}
+ */
+export function extractTimeReference(prompt, now) {
+    const MINUTE = 60 * 1000;
+    const HOUR = 60 * MINUTE;
+    const DAY = 24 * HOUR;
+    const unitMs = { 秒: 1000, 分: MINUTE, 時間: HOUR, 日: DAY, second: 1000, minute: MINUTE, hour: HOUR, day: DAY };
+
+    // "直近30分" / "過去2時間" / "last 30 minutes" / "past hour"
+    const relativeJa = prompt.match(/(?:直近|過去|最近)\s*(\d+(?:\.\d+)?)?\s*(秒|分|時間|日)/);
+    if (relativeJa) {
+        const count = Number(relativeJa[1] || 1);
+        return { label: `直近${count}${relativeJa[2]}`, from: now - count * unitMs[relativeJa[2]], to: now };
+    }
+    const relativeEn = prompt.match(/\b(?:last|past|previous)\s+(\d+(?:\.\d+)?\s+)?(second|minute|hour|day)s?\b/i);
+    if (relativeEn) {
+        const count = Number(relativeEn[1] || 1);
+        const unit = relativeEn[2].toLowerCase();
+        return { label: `last ${count} ${unit}${count === 1 ? '' : 's'}`, from: now - count * unitMs[unit], to: now };
+    }
+
+    const startOfDay = new Date(now);
+    startOfDay.setHours(0, 0, 0, 0);
+    if (/今日|本日|\btoday\b/i.test(prompt)) return { label: '今日', from: startOfDay.getTime(), to: now };
+    if (/昨日|\byesterday\b/i.test(prompt)) {
+        return { label: '昨日', from: startOfDay.getTime() - DAY, to: startOfDay.getTime() };
+    }
+    return null;
+}
+
+/**
+ * プロンプトからアカウントID・通貨コード・数値・時間の言及・最上級を抽出します。
+ * @param {string} prompt - 利用者の入力。
+ * @param {object} state - システム状態。
+ * @param {number} [now] - 時間の言及の基準時刻。
+ */
+export function extractEntities(prompt, state, now = Date.now()) {
+    // アカウントIDはIDの長い順に照合する (USER_A と USER_AB のような前方一致を避ける)
+    const accounts = state.accounts
+        .filter(acc => wordPattern(acc.id).test(prompt) || (acc.name && prompt.includes(acc.name)))
+        .sort((a, b) => prompt.search(wordPattern(a.id)) - prompt.search(wordPattern(b.id)))
+        .map(acc => acc.id);
+    const currencies = getCurrencyCodes(state).filter(code => wordPattern(code).test(prompt));
+
+    // 数値はアカウントID・通貨コードの一部を除いて抽出する
+    let remainder = prompt;
+    [...accounts, ...currencies].forEach(word => { remainder = remainder.replace(new RegExp(escapeRegExp(word), 'gi'), ' '); });
+    state.accounts.forEach(acc => { if (acc.name) remainder = remainder.split(acc.name).join(' '); });
+    const numbers = (remainder.match(/-?\d+(?:\.\d+)?/g) || []).map(Number);
+
+    let superlative = null;
+    if (/最小|最少|最も少な|一番少な|\bleast\b|\bfewest\b|\bsmallest\b/i.test(prompt)) superlative = 'min';
+    else if (/最も|一番|最大|最多|\bmost\b|\blargest\b|\bbiggest\b|\btop\b/i.test(prompt)) superlative = 'max';
+
+    return { accounts, currencies, numbers, time: extractTimeReference(prompt, now), superlative };
+}
+
+// ====================================================================
+// INTENT CLASSIFICATION
+// ====================================================================
+
+/**
+ * プロンプトの意図を分類します。
+ * 手がかりとなる語の重みに、抽出したエンティティによる補正を加えた得点で判定する。
+ * @param {string} prompt - 利用者の入力。
+ * @param {object} entities - extractEntities の結果。
+ * @returns {{intent: string, scores: object}}
+ */
+export function classifyIntent(prompt, entities) {
+    const scores = Object.fromEntries(Object.values(INTENTS).map(intent => [intent, 0]));
+    INTENT_KEYWORDS.forEach(({ intent, weight, pattern }) => {
+        if (pattern.test(prompt)) scores[intent] += weight;
+    });
+
+    // エンティティによる補正: アカウントと通貨の組は残高、最上級と通貨は保有者の問合せを示唆する
+    if (entities.accounts.length > 0) scores[INTENTS.BALANCE] += entities.currencies.length > 0 ? 2 : 1;
+    if (entities.superlative && entities.currencies.length > 0) scores[INTENTS.TOP_HOLDER] += 2;
+    if (entities.time) scores[INTENTS.MINT_HISTORY] += 1;
+    if (entities.superlative && scores[INTENTS.TOP_HOLDER] > 0) scores[INTENTS.BALANCE] = Math.min(scores[INTENTS.BALANCE], 2);
+
+    let intent = INTENTS.GUIDELINE;
+    let best = 0;
+    INTENT_KEYWORDS.map(k => k.intent).concat(INTENTS.BALANCE, INTENTS.MINT_HISTORY)
+        .filter((value, index, all) => all.indexOf(value) === index)
+        .forEach(candidate => {
+            if (scores[candidate] > best) {
+                best = scores[candidate];
+                intent = candidate;
+            }
+        });
+    return { intent, scores };
+}
+
+// ====================================================================
+// ANSWERS (システム状態からの応答)
+// ====================================================================
+
+/** 通貨の総供給量 (最小単位) を返します。 */
+function totalSupplyMinor(state, code) {
+    return state.accounts.reduce((sum, acc) => sum + getBalance(acc, code), 0);
+}
+
+/** アカウントの表示名を返します。 */
+function accountLabel(state, id) {
+    const account = state.accounts.find(acc => acc.id === id);
+    return account && account.name && account.name !== id ? `**${id}** (${account.name})` : `**${id}**`;
+}
+
+const ANSWERS = {
+    [INTENTS.BALANCE]: ({ accounts, currencies }, state) => {
+        const codes = currencies.length > 0 ? currencies : getCurrencyCodes(state);
+        if (accounts.length === 0) {
+            // 通貨のみの指定: 各アカウントの保有量
+            return codes.map(code => `- ${code} の残高: ${state.accounts
+                .map(acc => `${acc.id} ${formatAmount(state, code, getBalance(acc, code))}`).join(', ')}`);
+        }
+        return accounts.map(id => {
+            const account = state.accounts.find(acc => acc.id === id);
+            const balances = codes.map(code => `${formatAmount(state, code, getBalance(account, code))} ${code}`).join(', ');
+            return `- ${accountLabel(state, id)} の残高: ${balances}`;
+        });
+    },
+
+    [INTENTS.TOP_HOLDER]: ({ currencies, superlative }, state) => {
+        const codes = currencies.length > 0 ? currencies : getCurrencyCodes(state);
+        const isMin = superlative === 'min';
+        return codes.map(code => {
+            if (state.accounts.length === 0) return `- ${code}: アカウントが存在しません。`;
+            const sorted = [...state.accounts].sort((a, b) => isMin
+                ? getBalance(a, code) - getBalance(b, code)
+                : getBalance(b, code) - getBalance(a, code));
+            const holder = sorted[0];
+            const total = totalSupplyMinor(state, code);
+            const share = total > 0 ? ` (総供給の ${(getBalance(holder, code) / total * 100).toFixed(1)}%)` : '';
+            return `- ${code} を${isMin ? '最も少なく' : '最も多く'}保有しているのは ${accountLabel(state, holder.id)} です: ${formatAmount(state, code, getBalance(holder, code))} ${code}${share}`;
+        });
+    },
+
+    [INTENTS.SUPPLY]: ({ currencies }, state) => {
+        const codes = currencies.length > 0 ? currencies : getCurrencyCodes(state);
+        return codes.map(code => {
+            const currency = findCurrency(state, code);
+            const cap = currency && currency.supply_cap !== null ? ` / 上限 ${currency.supply_cap}` : '';
+            return `- ${code} の総供給量: ${formatAmount(state, code, totalSupplyMinor(state, code))}${cap}`;
+        });
+    },
+
+    [INTENTS.RATE]: ({ currencies }, state) => {
+        const codes = currencies.length > 0 ? currencies : getCurrencyCodes(state);
+        const lines = codes.map(code => `- ${code} のロゴスレート: ${(state.currency_rates[code] ?? 0).toFixed(4)} (1 ALPHA あたり)`);
+        if (currencies.length === 2) {
+            const [from, to] = currencies;
+            const cross = (state.currency_rates[to] ?? 0) / (state.currency_rates[from] || 1);
+            lines.push(`- 1 ${from} = ${cross.toFixed(4)} ${to} (手数料・スプレッド前。見積もりは /quote)`);
+        }
+        return lines;
+    },
+
+    [INTENTS.MINT_HISTORY]: ({ currencies, time }, state, now) => {
+        const window = time || { label: '記録されている全期間', from: 0, to: now };
+        const mints = (state.recent_mints || []).filter(m =>
+            m.timestamp >= window.from && m.timestamp <= window.to && (currencies.length === 0 || currencies.includes(m.currency)));
+        if (mints.length === 0) return [`- ${window.label}の通貨生成は記録されていません。`];
+        const totals = {};
+        mints.forEach(m => { totals[m.currency] = (totals[m.currency] || 0) + Number(m.amount); });
+        return [
+            `- ${window.label}の通貨生成: ${mints.length} 件`,
+            ...Object.entries(totals).map(([code, amount]) => `  - ${code}: 合計 ${amount}`),
+        ];
+    },
+
+    [INTENTS.VIBRATION]: (entities, state, now, { vibrationLimit }) => {
+        const value = state.vibration_level.value;
+        return [
+            `- ${KNOWLEDGE.DEFINITIONS.VIBRATION.title}は現在 **${value.toFixed(2)}** です (限界 ${vibrationLimit})。`,
+            value >= vibrationLimit * 0.8
+                ? `- **警告**: 80%を超過しており、論理的摂動が非常に高い状態です。`
+                : `- 現在は許容範囲内の摂動レベルです。`,
+        ];
+    },
+
+    [INTENTS.HALT_STATUS]: (entities, state) => [
+        state.isHalted
+            ? `- システムは現在、論理的収束のため**強制停止中**です。`
+            : `- システムは現在**稼働状態 (${state.circuit_breaker && state.circuit_breaker.status === 'PROBATION' ? 'PROBATION' : 'OPERATIONAL'})** です。`,
+    ],
+
+    [INTENTS.PROPOSALS]: (entities, state) => {
+        const pending = getPendingProposals(state);
+        if (pending.length === 0) return [`- 承認待ちの提案はありません。`];
+        return [`- 承認待ちの提案 ${pending.length} 件:`, ...pending.map(p => `  - ${p.id} ${p.actType} (提案者 ${p.proposer}、理由: ${p.reason})`)];
+    },
+
+    [INTENTS.ACCOUNTS]: (entities, state) => [
+        `- 監査対象アカウント ${state.accounts.length} 件: ${state.accounts.map(acc => acc.id).join(', ')}`,
+    ],
+
+    [INTENTS.PROTOCOL]: () => {
+        const version = KNOWLEDGE.DEFINITIONS.PROTOCOL_VERSION;
+        return [
+            `- 稼働プロトコル名: ${KNOWLEDGE.DEFINITIONS.PROTOCOL_NAME} (${version})`,
+            `- 詳細はプロトコル ${version} を参照してください。`,
+        ];
+    },
+
+    [INTENTS.GUIDELINE]: (entities, state, now, { random }) => {
+        const guideline = KNOWLEDGE.GUIDELINES[Math.floor(random() * KNOWLEDGE.GUIDELINES.length)];
+        return [`- 監査プロトコルは、常に次の原則を順守します: "${guideline}"`];
+    },
+};
+
+/**
+ * プロンプトを解析し、システム状態に基づく応答の行を返します。
+ * @param {string} prompt - 利用者の入力。
+ * @param {object} state - システム状態。
+ * @param {object} [options]
+ * @param {number} [options.now] - 基準時刻。
+ * @param {number} [options.vibrationLimit] - Vibrationの限界値。
+ * @param {function} [options.random] - ガイドラインの選択に使う乱数関数。
+ * @returns {{intent: string, entities: object, lines: Array<string>}}
+ */
+export function answerPrompt(prompt, state, { now = Date.now(), vibrationLimit = KNOWLEDGE.DEFINITIONS.VIBRATION.limit, random = Math.random } = {}) {
+    const entities = extractEntities(prompt, state, now);
+    const { intent } = classifyIntent(prompt, entities);
+    const lines = ANSWERS[intent](entities, state, now, { vibrationLimit, random });
+    return { intent, entities, lines };
+}
@@ -7,10 +7,30 @@
  * {
  * id: string,                 // ルールID
  * description: string,        // ルールの説明
- * triggers: array,            // 実行条件 (システム状態に基づく判定)
+ * triggers: array,            // 実行条件 (システム状態に基づく判定。すべて成立した場合に発動する)
  * actions: array,             // 実行される作為 (audit_acts.js の関数呼び出しを模倣)
- * vibration_cost: number      // 実行にかかる論理コスト
+ * vibration_cost: number,     // 実行にかかる論理コスト
+ * enabled: boolean,           // false の場合は評価しない (省略時 true)
+ * priority: number,           // 評価・発動の優先度。大きいほど先 (省略時 0)
+ * cooldown_s: number          // 発動後に再発動しない秒数 (省略時 0)
  * }
+ *
+ * トリガーは比較 { type, ..., operator, value } または条件グループで、グループは入れ子にできる:
+ * { all: [トリガー...] } / { any: [トリガー...] } / { not: トリガー }
+ * 比較演算子: == != > >= < <=
+ * 比較の種別 (評価の詳細は lil_engine.js):
+ * STATE_CHECK  { param: "vibration_level.value" }                  // 状態のパスの値
+ * SUPPLY_CHECK { param: "GAMMA" }                                  // 通貨の総供給量 (遅延中の送金を含む)
+ * AGGREGATE    { fn: "sum" | "min" | "max" | "count", currency, accounts?: [id...], where?: { operator, value } }
+ *              // アカウント残高の集計 (主単位)。count は条件 (where) を満たすアカウントの数
+ * INFRA_CHECK  { target: "ENERGY" | "NET", field?: "value" | "target" } // インフラの供給レベル (%)
+ * CHANGE       { param または metric: 上記の比較の種別, window_s }   // window_s 秒前からの変化量
+ *              例: { type: "CHANGE", param: "vibration_level.value", window_s: 10, operator: ">=", value: 20 }
+ *
+ * アクション種別 (パラメータの詳細は lil_actions.js を参照):
+ * LOG, HALT, MINT, TRANSFER, SET_RATE, ADJUST_SUPPLY, INFRA_EVENT
+ * HALT / MINT は即時実行されず二者承認の提案となり、ルールセットの編集者以外の利用者の承認後に実行される。
+ * BLOCK_ACT { act, currency } はルールの条件が成立している間だけ該当作為を抑制する。
  */
 export const LOGOS_LIL_RULES = [
 
@@ -40,9 +60,10 @@ export const LOGOS_LIL_RULES = [
         ],
         actions: [
             { type: "LOG", message: "LIL_002: Vレベル超過。ALPHA通貨生成に抑制論理を適用中。", level: "warning" },
-            // 将来的にはここで Mint の手数料を増やすなどのロジックをCalcLangで記述する
+            { type: "BLOCK_ACT", act: "MINT", currency: "ALPHA" },
         ],
-        vibration_cost: 0.5
+        vibration_cost: 0.5,
+        priority: 10 // 抑制の警告を他のルールより先に出す
     },
 
     // 3. 通貨生成作為の監査ルール（インフレ抑制の基礎）
@@ -54,8 +75,23 @@ export const LOGOS_LIL_RULES = [
         ],
         actions: [
             { type: "LOG", message: "LIL_003: GAMMA供給過剰。レート計算ロジックに負の補正を適用。", level: "audit" },
-            // このアクションは core_logic の rate calculation に影響を与える
+            { type: "SET_RATE", currency: "GAMMA", factor: 0.9 },
         ],
-        vibration_cost: 0.3
+        vibration_cost: 0.3,
+        cooldown_s: 300 // 供給量が閾値付近で上下しても、補正は5分に1回まで
+    },
+
+    // 4. Vibrationの急上昇の監視ルール (短時間に作為が集中した場合の警告)
+    {
+        id: "LIL_004",
+        description: "Vibrationが10秒間で20以上上昇した場合、作為の集中として警告を発する。",
+        triggers: [
+            { type: "CHANGE", param: "vibration_level.value", window_s: 10, operator: ">=", value: 20 }
+        ],
+        actions: [
+            { type: "LOG", message: "LIL_004: Vibrationが急上昇しています。作為の集中に注意。", level: "warning" }
+        ],
+        vibration_cost: 0,
+        cooldown_s: 60
     }
 ];
@@ -0,0 +1,293 @@
+// js/logos_provider.js
+
+/**
+ * ロゴス推論のプロバイダ (推論バックエンド)。
+ * dialogue_acts.js の callInternalLogos が使用する。DOM に依存せず、fetch は呼び出し側から注入する。
+ *
+ * プロバイダは次の形式のオブジェクトである:
+ * {
+ *   name: string,
+ *   generate({ prompt, query, system, state, onToken, signal }) => Promise<string>
+ *     // prompt: 利用者の入力 / query: メビウス変換後の質問 / system: KNOWLEDGE と状態から組み立てた文脈
+ *     // onToken(delta): ストリーミング出力の断片 / signal: タイムアウト時に中断される AbortSignal
+ * }
+ *
+ * プロバイダの設定は system_config/logos_provider に保存される (省略時は内部ロゴスエンジン):
+ * {
+ *   type: "internal" | "openai" | "llama_cpp",
+ *   endpoint: "http://localhost:8089/v1",  // openai: /chat/completions の親URL / llama_cpp: /completion の親URL
+ *   model: "logos-mock",                    // openai のみ
+ *   timeout_ms: 20000,
+ *   stream: true,
+ *   fallback: true,                         // 失敗・タイムアウト時に内部ロゴスエンジンで応答する
+ *   max_tokens: 512,
+ *   temperature: 0.2
+ * }
+ * APIキーは共有の設定文書には保存せず、各クライアントが保持する (dialogue_acts.js を参照)。
+ * 共有の設定文書を書き換えた利用者にAPIキーを収集されないよう、キーは各クライアントが自身で許可したオリジンの
+ * endpoint にのみ送信する (isApiKeyAllowed)。
+ * オフラインでの確認には mock_llm_server.mjs を使用できる。
+ */
+
+/** プロバイダの種別。 */
+export const PROVIDER_TYPES = {
+    INTERNAL: 'internal',   // 内部ロゴスエンジン (規則に基づく応答)
+    OPENAI: 'openai',       // OpenAI 互換の Chat Completions API
+    LLAMA_CPP: 'llama_cpp', // llama.cpp server の /completion API
+};
+
+/** 既定のプロバイダ設定。 */
+export const DEFAULT_PROVIDER_CONFIG = {
+    type: PROVIDER_TYPES.INTERNAL,
+    endpoint: null,
+    model: null,
+    timeout_ms: 20000,
+    stream: true,
+    fallback: true,
+    max_tokens: 512,
+    temperature: 0.2,
+};
+
+// ====================================================================
+// CONTEXT (KNOWLEDGE と状態の注入)
+// ====================================================================
+
+/**
+ * KNOWLEDGE と現在の状態から、外部モデルに渡す文脈 (システムプロンプト) を組み立てます。
+ * @param {object} knowledge - knowledge_base.js の KNOWLEDGE。
+ * @param {object} state - 現在のシステム状態。
+ * @param {function} [formatBalance] - (account, code) => string。残高の表示形式 (省略時は最小単位のまま)。
+ */
+export function buildSystemPrompt(knowledge, state, formatBalance = (account, code) => String(account.balances[code] ?? 0)) {
+    const codes = Object.keys(state.currency_rates);
+    const accounts = state.accounts
+        .map(acc => `- ${acc.id} (${acc.name}): ${codes.map(code => `${code} ${formatBalance(acc, code)}`).join(', ')}`)
+        .join('\n');
+    const rates = codes.map(code => `${code} ${state.currency_rates[code]}`).join(', ');
+    const pending = (state.proposals || []).filter(p => p.status === 'PENDING').length;
+
+    return [
+        `あなたは ${knowledge.DEFINITIONS.PROTOCOL_NAME} (${knowledge.DEFINITIONS.PROTOCOL_VERSION}) の内部ロゴスです。監査官の質問に、以下の知識と現在の状態だけに基づいて日本語で簡潔に答えてください。`,
+        `作為 (送金・生成など) を実行することはできません。作為はコンソールのコマンド (/help) で行うよう案内してください。`,
+        `## 原則`,
+        ...knowledge.GUIDELINES.map(g => `- ${g}`),
+        `## 定義`,
+        `- ${knowledge.DEFINITIONS.VIBRATION.title}: ${knowledge.DEFINITIONS.VIBRATION.description}`,
+        `## 現在の状態`,
+        `- 稼働: ${state.isHalted ? '強制停止中' : '稼働中'} / Vibration: ${state.vibration_level.value.toFixed(2)} / 承認待ちの提案: ${pending} 件`,
+        `- ロゴスレート (1 ALPHA あたり): ${rates}`,
+        `- アカウント残高:`,
+        accounts,
+    ].join('\n');
+}
+
+// ====================================================================
+// PROVIDERS
+// ====================================================================
+
+/**
+ * 内部ロゴスエンジンをプロバイダとして包みます。
+ * @param {function} infer - (prompt, query, state) => string
+ */
+export function createInternalProvider(infer) {
+    return {
+        name: PROVIDER_TYPES.INTERNAL,
+        async generate({ prompt, query, state, onToken }) {
+            const text = infer(prompt, query, state);
+            if (onToken) onToken(text);
+            return text;
+        },
+    };
+}
+
+/**
+ * Server-Sent Events のストリームを読み、各 data 行を extract で断片に変換して onToken に渡します。
+ * @returns {Promise<string>} - 断片を連結した全文。
+ */
+async function readEventStream(response, extract, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    const handleLine = (line) => {
+        if (!line.startsWith('data:')) return false;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return true;
+        const { delta, done } = extract(JSON.parse(data));
+        if (delta) {
+            text += delta;
+            if (onToken) onToken(delta);
+        }
+        return done;
+    };
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (handleLine(line.trim())) {
+                reader.cancel().catch(() => {});
+                return text;
+            }
+        }
+    }
+    if (buffer.trim()) handleLine(buffer.trim());
+    return text;
+}
+
+/** 各APIのリクエストと応答の形式。 */
+const HTTP_APIS = {
+    [PROVIDER_TYPES.OPENAI]: {
+        path: '/chat/completions',
+        body: (config, { system, query }) => ({
+            model: config.model,
+            messages: [{ role: 'system', content: system }, { role: 'user', content: query }],
+            max_tokens: config.max_tokens,
+            temperature: config.temperature,
+            stream: config.stream,
+        }),
+        text: (json) => json.choices?.[0]?.message?.content ?? '',
+        delta: (json) => ({ delta: json.choices?.[0]?.delta?.content ?? '', done: Boolean(json.choices?.[0]?.finish_reason) }),
+    },
+    [PROVIDER_TYPES.LLAMA_CPP]: {
+        path: '/completion',
+        body: (config, { system, query }) => ({
+            prompt: `${system}\n\n### 監査官:\n${query}\n\n### ロゴス:\n`,
+            n_predict: config.max_tokens,
+            temperature: config.temperature,
+            stream: config.stream,
+        }),
+        text: (json) => json.content ?? '',
+        delta: (json) => ({ delta: json.content ?? '', done: Boolean(json.stop) }),
+    },
+};
+
+/** URL のオリジンを返します。URL として解釈できない場合は null。 */
+function originOf(url) {
+    try {
+        return new URL(url).origin;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * endpoint がAPIキーの送信を許可されたオリジンか判定します。
+ * @param {string} endpoint - 共有の設定文書の endpoint。
+ * @param {string} allowedOrigin - クライアントが許可したオリジン (例: "https://api.example.com")。
+ * @returns {boolean}
+ */
+export function isApiKeyAllowed(endpoint, allowedOrigin) {
+    const origin = originOf(endpoint);
+    return origin !== null && origin !== 'null' && origin === originOf(allowedOrigin);
+}
+
+/**
+ * HTTP API のプロバイダを生成します。
+ * @param {object} config - プロバイダ設定 (type は openai / llama_cpp)。
+ * @param {object} deps
+ * @param {function} deps.fetch - fetch の実装。
+ * @param {string} [deps.apiKey] - Authorization ヘッダーに付与するAPIキー。
+ */
+export function createHttpProvider(config, { fetch, apiKey } = {}) {
+    const api = HTTP_APIS[config.type];
+    if (!api) throw new Error(`未知のプロバイダ種別です: ${config.type}`);
+    if (!config.endpoint) throw new Error(`プロバイダ ${config.type} の endpoint が設定されていません。`);
+    if (!fetch) throw new Error("fetch を利用できない環境です。");
+
+    return {
+        name: config.type,
+        async generate({ system, query, onToken, signal }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+            const response = await fetch(`${config.endpoint.replace(/\/+$/, '')}${api.path}`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(api.body(config, { system, query })),
+                signal,
+            });
+            if (!response.ok) {
+                throw new Error(`プロバイダ ${config.type} が HTTP ${response.status} を返しました。`);
+            }
+            if (config.stream && response.body) {
+                return readEventStream(response, api.delta, onToken);
+            }
+            const text = api.text(await response.json());
+            if (onToken) onToken(text);
+            return text;
+        },
+    };
+}
+
+/**
+ * 設定に応じたプロバイダを生成します。
+ * @param {object} config - プロバイダ設定。
+ * @param {object} deps - { fetch, apiKey, internal } (internal は内部ロゴスエンジンのプロバイダ)。
+ */
+export function createProvider(config, { fetch, apiKey, internal }) {
+    if (!config || config.type === PROVIDER_TYPES.INTERNAL) return internal;
+    return createHttpProvider(config, { fetch, apiKey });
+}
+
+// ====================================================================
+// INFERENCE
+// ====================================================================
+
+/**
+ * プロバイダで推論を実行します。
+ * 質問はメビウス変換 (hooks.transformQuery) の後にプロバイダへ渡し、全文に hooks.transformResponse を適用して返す。
+ * プロバイダが失敗またはタイムアウトした場合、fallback が指定されていればそのプロバイダで応答する。
+ * @param {object} options
+ * @param {string} options.prompt - 利用者の入力。
+ * @param {object} options.state - 現在のシステム状態。
+ * @param {string} options.system - 文脈 (buildSystemPrompt の結果)。
+ * @param {object} options.provider - 使用するプロバイダ。
+ * @param {object} [options.fallback] - 失敗時に使用するプロバイダ。
+ * @param {object} [options.hooks] - { transformQuery(prompt, state), transformResponse(text, state) }
+ * @param {number} [options.timeout_ms] - タイムアウト。
+ * @param {function} [options.onToken] - ストリーミング出力の断片を受け取る関数。
+ * @param {function} [options.onFallback] - (reason) フォールバックの直前に呼ばれる (表示済みの断片の破棄など)。
+ * @returns {Promise<{text: string, provider: string, fallback_reason: string|null}>}
+ */
+export async function runInference({
+    prompt,
+    state,
+    system,
+    provider,
+    fallback = null,
+    hooks = {},
+    timeout_ms = DEFAULT_PROVIDER_CONFIG.timeout_ms,
+    onToken,
+    onFallback,
+}) {
+    const transformQuery = hooks.transformQuery || ((p) => p);
+    const transformResponse = hooks.transformResponse || ((text) => text);
+    const query = transformQuery(prompt, state);
+
+    const attempt = async (target) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout_ms);
+        try {
+            return await target.generate({ prompt, query, system, state, onToken, signal: controller.signal });
+        } catch (e) {
+            throw controller.signal.aborted ? new Error(`${timeout_ms} ms 以内に応答がありませんでした。`) : e;
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    try {
+        const text = await attempt(provider);
+        return { text: transformResponse(text, state), provider: provider.name, fallback_reason: null };
+    } catch (e) {
+        if (!fallback || fallback === provider) throw e;
+        const reason = `プロバイダ ${provider.name} で推論できませんでした: ${e.message}`;
+        if (onFallback) onFallback(reason);
+        const text = await attempt(fallback);
+        return { text: transformResponse(text, state), provider: fallback.name, fallback_reason: reason };
+    }
+}
@@ -0,0 +1,140 @@
+// js/mock_llm_server.mjs
+
+/**
+ * ロゴス推論プロバイダ (logos_provider.js) をオフラインで確認するためのモックサーバー。
+ * Node.js の標準モジュールのみを使用する。
+ *
+ *   node mock_llm_server.mjs [--port 8089] [--token-delay-ms 30] [--fail] [--hang]
+ *
+ * --fail は常に HTTP 500 を返し、--hang は応答しない (タイムアウトとフォールバックの確認用)。
+ * system_config/logos_provider の設定例:
+ *   OpenAI 互換:  { "type": "openai", "endpoint": "http://localhost:8089/v1", "model": "logos-mock" }
+ *   llama.cpp:    { "type": "llama_cpp", "endpoint": "http://localhost:8089" }
+ *
+ * 応答は受信した質問と文脈の大きさを返すだけの決定的な文章で、SSE による断片の送信にも対応する。
+ */
+
+import { createServer } from 'node:http';
+
+function readOption(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index >= 0 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+}
+
+const PORT = Number(readOption('--port', 8089));
+const TOKEN_DELAY_MS = Number(readOption('--token-delay-ms', 30));
+const FAIL = process.argv.includes('--fail');
+const HANG = process.argv.includes('--hang');
+const MODEL = 'logos-mock';
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+/** 質問と文脈から決定的な応答を組み立てます。 */
+function composeAnswer(query, system) {
+    const stateLine = system.split('\n').find(line => line.startsWith('- 稼働:')) || '- 状態: (文脈なし)';
+    return `[MOCK LLM] 監査官殿、次の質問を受信しました: 「${query.trim()}」\n文脈 ${system.length} 文字を参照しました。\n${stateLine}`;
+}
+
+/** 応答を断片 (単語と空白) に分割します。 */
+function splitTokens(text) {
+    return text.match(/\s+|[^\s]{1,8}/g) || [];
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/** 断片を SSE で送信します。 */
+async function streamTokens(res, tokens, toEvent, finalEvent) {
+    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    for (const token of tokens) {
+        if (res.destroyed) return;
+        res.write(`data: ${JSON.stringify(toEvent(token))}\n\n`);
+        await new Promise(resolve => setTimeout(resolve, TOKEN_DELAY_MS));
+    }
+    res.write(`data: ${JSON.stringify(finalEvent)}\n\n`);
+    if (finalEvent.choices) res.write('data: [DONE]\n\n');
+    res.end();
+}
+
+/** OpenAI 互換の Chat Completions API。 */
+async function handleChatCompletions(body, res) {
+    const messages = body.messages || [];
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+    const query = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const answer = composeAnswer(query, system);
+    const id = `chatcmpl-mock-${Date.now()}`;
+
+    if (!body.stream) {
+        return sendJson(res, 200, {
+            id, object: 'chat.completion', model: body.model || MODEL,
+            choices: [{ index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' }],
+        });
+    }
+    return streamTokens(res, splitTokens(answer),
+        token => ({ id, object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: token }, finish_reason: null }] }),
+        { id, object: 'chat.completion.chunk', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+}
+
+/** llama.cpp server の /completion API。 */
+async function handleCompletion(body, res) {
+    const prompt = body.prompt || '';
+    const marker = '### 監査官:\n';
+    const queryStart = prompt.lastIndexOf(marker);
+    const system = queryStart >= 0 ? prompt.slice(0, queryStart) : '';
+    const query = (queryStart >= 0 ? prompt.slice(queryStart + marker.length) : prompt).split('\n\n### ロゴス:')[0];
+    const answer = composeAnswer(query, system);
+
+    if (!body.stream) {
+        return sendJson(res, 200, { content: answer, stop: true, model: MODEL });
+    }
+    return streamTokens(res, splitTokens(answer), token => ({ content: token, stop: false }), { content: '', stop: true, model: MODEL });
+}
+
+const server = createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        return res.end();
+    }
+    if (req.method === 'GET' && req.url === '/health') return sendJson(res, 200, { status: 'ok' });
+    if (req.method === 'GET' && req.url === '/v1/models') {
+        return sendJson(res, 200, { object: 'list', data: [{ id: MODEL, object: 'model' }] });
+    }
+    if (req.method !== 'POST') return sendJson(res, 404, { error: 'not found' });
+
+    if (HANG) return; // 応答しない (クライアントのタイムアウトを確認する)
+    if (FAIL) return sendJson(res, 500, { error: 'mock failure' });
+
+    try {
+        const body = await readBody(req);
+        if (req.url === '/v1/chat/completions') return await handleChatCompletions(body, res);
+        if (req.url === '/completion') return await handleCompletion(body, res);
+        return sendJson(res, 404, { error: 'not found' });
+    } catch (e) {
+        return sendJson(res, 400, { error: e.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`[MOCK LLM] http://localhost:${PORT} (OpenAI 互換: /v1/chat/completions, llama.cpp: /completion)`);
+});
@@ -0,0 +1,76 @@
+// js/money.js
+
+/**
+ * 金額の厳密な表現 (最小単位の整数)。
+ * 残高・金額はすべて通貨の小数桁数 (decimals) に応じた最小単位の整数で保持し、
+ * 浮動小数点の累積誤差を状態に持ち込まない。例: decimals = 2 の 12.34 ALPHA は 1234。
+ *
+ * 丸め規則:
+ * - 作為パラメータ (主単位の数値) → 最小単位: 丸めない。精度を超える金額は拒否する (toMinorUnits)。
+ * - レートを介した換算 (交換・手数料): 最近接偶数丸め (銀行型丸め, roundHalfEven)。
+ */
+
+/** 銀行型丸めで端数をちょうど .5 とみなす浮動小数点の誤差の範囲。 */
+const EPSILON = 1e-6;
+
+/** 10 の decimals 乗を返します。 */
+export function unitScale(decimals) {
+    return 10 ** decimals;
+}
+
+/**
+ * 最近接偶数丸め (銀行型丸め)。ちょうど .5 の場合は偶数側に丸める。
+ * @param {number} value - 丸める値。
+ * @returns {number} - 整数。
+ */
+export function roundHalfEven(value) {
+    const floor = Math.floor(value);
+    const diff = value - floor;
+    if (Math.abs(diff - 0.5) < EPSILON) {
+        return floor % 2 === 0 ? floor : floor + 1;
+    }
+    return Math.round(value);
+}
+
+/** 10進数の金額の表記 (符号・整数部・小数部・指数部)。 */
+const DECIMAL_PATTERN = /^([+-]?)(\d+)(?:\.(\d*))?(?:e([+-]?\d{1,3}))?$/i;
+
+/**
+ * 主単位の金額を最小単位の整数に変換します。
+ * 金額は浮動小数点の演算を介さず10進数の表記 (数値の場合は String(amount)) のまま変換するため、
+ * decimals を超える桁に 0 以外の数字がある金額は、金額の大きさにかかわらず拒否する
+ * (例: decimals = 2 の 12345.678 や 10000.005)。
+ * @param {number|string} amount - 主単位の金額。
+ * @param {number} decimals - 通貨の小数桁数。
+ * @returns {number|null} - 最小単位の整数。精度を超える端数を含む場合や不正な値の場合は null。
+ */
+export function toMinorUnits(amount, decimals) {
+    if (typeof amount !== 'number' && typeof amount !== 'string') return null;
+    const match = DECIMAL_PATTERN.exec(String(amount).trim());
+    if (!match) return null;
+    const [, sign, integerPart, fractionPart = '', exponent = '0'] = match;
+
+    // 金額 = digits × 10^(exponent - 小数部の桁数)。最小単位ではさらに decimals 桁ずらす
+    const digits = BigInt(integerPart + fractionPart);
+    const shift = Number(exponent) + decimals - fractionPart.length;
+    let minor;
+    if (shift >= 0) {
+        minor = digits * 10n ** BigInt(shift);
+    } else {
+        const divisor = 10n ** BigInt(-shift);
+        if (digits % divisor !== 0n) return null;
+        minor = digits / divisor;
+    }
+    if (minor > BigInt(Number.MAX_SAFE_INTEGER)) return null;
+    return Number(sign === '-' ? -minor : minor);
+}
+
+/** 最小単位の整数を主単位の数値に変換します (表示・レート計算用)。 */
+export function fromMinorUnits(minor, decimals) {
+    return (Number(minor) || 0) / unitScale(decimals);
+}
+
+/** 最小単位の整数を小数桁数どおりの文字列に整形します。 */
+export function formatMinorUnits(minor, decimals) {
+    return fromMinorUnits(minor, decimals).toFixed(decimals);
+}
@@ -0,0 +1,95 @@
+// js/permissions.js
+
+/**
+ * ロール (governor / operator / observer) と権限の判定。
+ * DOM やバックエンドに依存しない純粋なモジュールで、act_logic.js の各作為と dialogue_acts.js の Z-Function が参照する。
+ *
+ * 権限設定は system_config/permissions に保存される:
+ * {
+ *   default_role: "observer",                        // users に登録されていない利用者のロール
+ *   roles: { governor: ["*"], operator: ["TRANSFER", ...], observer: [] },
+ *   users: { "<userId>": "governor", ... }           // userId は画面ヘッダーに表示される ID
+ * }
+ * 権限設定が存在しない場合は、initApp の initialGovernor (ローカルの保存先では省略時に自分自身) を
+ * 最初の governor として作成する (core_logic.js)。共有の保存先で最初に接続した利用者が自身を昇格させることはない。
+ *
+ * 作為者 (actor) は { userId, role } で表される。LILルールによる自律的な作為は system ロールで実行される。
+ * LILルールの作為者は発動したルールの rule_id を持ち、userId は "LIL:<ルールセットの編集者>" となる。
+ */
+
+/** ロールの一覧 (権限の強い順)。 */
+export const ROLES = ['governor', 'operator', 'observer'];
+
+/** LILルールなど、システム自身による作為のロール (すべての権限を持つ)。 */
+export const SYSTEM_ROLE = 'system';
+
+/** system ロールの作為者の userId の接頭辞 (core_logic.js の getSystemActor / getLILRuleActor)。 */
+export const SYSTEM_ACTOR_PREFIX = 'LIL:';
+
+/** 権限が必要な操作のうち、作為以外のもの (Z-Function・設定変更)。 */
+export const PERMISSIONS = {
+    RESET_VIBRATION: 'RESET_VIBRATION',
+    MANAGE_ROLES: 'MANAGE_ROLES',
+    EDIT_LIL_RULES: 'EDIT_LIL_RULES',
+    MANAGE_SNAPSHOTS: 'MANAGE_SNAPSHOTS',
+};
+
+/** 既定の権限設定 (system_config/permissions が存在しない場合)。 */
+export const DEFAULT_PERMISSIONS = {
+    default_role: 'observer',
+    roles: {
+        // 通貨生成・強制停止/再起動・レート設定・通貨登録・ロール管理を含むすべての操作
+        governor: ['*'],
+        // 送金・交換・アカウント作成・インフラ調整・スナップショットの保存 (復元は governor のみ)
+        operator: ['TRANSFER', 'EXCHANGE', 'CREATE_ACCOUNT', 'ADJUST_SUPPLY', 'TRANSACTION', 'MANAGE_SNAPSHOTS'],
+        // 閲覧のみ
+        observer: [],
+    },
+    users: {},
+};
+
+/**
+ * 利用者のロールを返します。
+ * @param {object} config - 権限設定。
+ * @param {string} userId - 利用者ID。
+ * @returns {string} - ロール名。
+ */
+export function resolveRole(config, userId) {
+    const settings = config || DEFAULT_PERMISSIONS;
+    return (settings.users || {})[userId] || settings.default_role || 'observer';
+}
+
+/**
+ * ロールが操作 (作為種別または PERMISSIONS) を許可されているか判定します。
+ * @param {object} config - 権限設定。
+ * @param {string} role - ロール名。
+ * @param {string} permission - 作為種別 ('MINT' など) または PERMISSIONS の値。
+ */
+export function isAllowed(config, role, permission) {
+    if (role === SYSTEM_ROLE) return true;
+    const granted = ((config || DEFAULT_PERMISSIONS).roles || {})[role] || [];
+    return granted.includes('*') || granted.includes(permission);
+}
+
+/**
+ * 作為者が操作を実行できるか検証します。
+ * @param {string} permission - 作為種別または PERMISSIONS の値。
+ * @param {object} context - { actor: { userId, role }, permissions }
+ * @returns {string|null} - 拒否の理由。許可される場合は null。
+ */
+export function checkPermission(permission, { actor, permissions } = {}) {
+    if (!actor) return "作為者が特定できないため、操作は拒否されました。";
+    if (isAllowed(permissions, actor.role, permission)) return null;
+    return `ロール "${actor.role}" (${actor.userId}) には ${permission} の権限がありません。`;
+}
+
+/**
+ * 利用者にロールを割り当てた新しい権限設定を返します。
+ * @returns {{config: object}|{error: string}}
+ */
+export function assignRole(config, userId, role) {
+    if (!userId) return { error: "利用者IDを指定してください。" };
+    if (!ROLES.includes(role)) return { error: `未知のロールです: ${role} (${ROLES.join(' / ')})` };
+    const settings = config || DEFAULT_PERMISSIONS;
+    return { config: { ...settings, users: { ...(settings.users || {}), [userId]: role } } };
+}
@@ -0,0 +1,220 @@
+// js/rate_engine.js
+
+import { computeTotalSupply } from './lil_engine.js';
+import { KNOWLEDGE } from './knowledge_base.js';
+import { DEFAULT_INFRASTRUCTURE_POLICY, infrastructureHealth } from './infrastructure.js';
+import { getCurrencies } from './currency_registry.js';
+
+/**
+ * ロゴスレート (currency_rates) の動的算出エンジン。
+ * DOM やバックエンドに依存しない純粋なモジュールで、core_logic.js が定期的に呼び出す。
+ *
+ * レート (ALPHA=1.0 基準) は通貨ごとに次の式で決まる:
+ *   rate = base_rate × f_supply × f_mint × f_vibration × f_infrastructure × correction
+ * - f_supply:         総供給量の基準供給量からの乖離 (供給過剰ほどレートは下落)
+ * - f_mint:           直近 mint_window_ms 以内の生成量 (大量生成ほどレートは下落)
+ * - f_vibration:      現在のVibration (摂動が大きいほど不安定な通貨のレートは下落)
+ * - f_infrastructure: インフラ (ENERGY / NET の低い方) の低下 (infrastructure.js。100% で中立)
+ * - correction:       SET_RATE 作為 (LILルール等) による補正係数 (state.rate_corrections)
+ *
+ * 各係数はカーブ { curve, k } で定義され、乖離 d (0 で中立) に対して
+ *   linear:      max(0, 1 - k·d)
+ *   exponential: exp(-k·d)
+ *   power:       (1 + d)^(-k)
+ *   none:        1
+ * を返す。
+ */
+
+/** 既定のレートカーブ設定 (system_config/rate_curves で上書き可能)。 */
+export const DEFAULT_RATE_CURVES = {
+    mint_window_ms: 60 * 1000,   // 直近生成量を集計する期間
+    history_limit: 120,          // rate_history に保持する点の数
+    min_relative_change: 0.0005, // これ未満の相対変化では保存しない
+    min_interval_ms: 10 * 1000,  // 前回の保存からこの期間内は、significant_change 未満の変化を保存しない
+    significant_change: 0.05,    // この相対変化以上 (大量生成など) は min_interval_ms を待たずに保存する
+    currencies: {
+        // 基軸通貨 (常に 1.0)
+        ALPHA: { base_rate: 1.0, fixed: true },
+        // 安定化通貨: 各要因への感度を低く抑える
+        BETA: {
+            base_rate: 10.0,
+            reference_supply: 500,
+            supply: { curve: 'power', k: 0.2 },
+            mint: { curve: 'linear', k: 0.1 },
+            vibration: { curve: 'none', k: 0 },
+            infrastructure: { curve: 'linear', k: 0.1 },
+            min_rate: 5.0,
+            max_rate: 20.0,
+        },
+        // 試験的通貨: レート変動のシミュレーション用に感度を高くする
+        GAMMA: {
+            base_rate: 100.0,
+            reference_supply: 100,
+            supply: { curve: 'power', k: 1.0 },
+            mint: { curve: 'exponential', k: 0.5 },
+            vibration: { curve: 'exponential', k: 0.5 },
+            infrastructure: { curve: 'exponential', k: 1.0 },
+            min_rate: 10.0,
+            max_rate: 1000.0,
+        },
+    },
+    // 登録された通貨 (currency_registry.js) のうち currencies にカーブのない通貨に適用する既定のカーブ。
+    // base_rate は通貨定義の initial_rate とし、min_rate / max_rate はその min_ratio / max_ratio 倍とする。
+    // 登録直後の供給量は 0 で基準供給量が定まらないため、供給量には感応させない。
+    default_currency: {
+        reference_supply: 1000,
+        supply: { curve: 'none', k: 0 },
+        mint: { curve: 'linear', k: 0.1 },
+        vibration: { curve: 'none', k: 0 },
+        infrastructure: { curve: 'linear', k: 0.1 },
+        min_ratio: 0.5,
+        max_ratio: 2.0,
+    },
+};
+
+const MIN_FACTOR = 0.01;
+
+// ====================================================================
+// CURVES
+// ====================================================================
+
+/**
+ * カーブを乖離 d に適用し、レートに乗じる係数を返します。
+ * @param {object} [curveDef] - { curve: 'linear'|'exponential'|'power'|'none', k: number }
+ * @param {number} d - 中立点 (0) からの乖離。
+ * @returns {number} - 係数 (MIN_FACTOR 以上)。
+ */
+export function applyCurve(curveDef, d) {
+    if (!curveDef || !curveDef.k) return 1;
+    const k = curveDef.k;
+    let factor;
+    switch (curveDef.curve) {
+        case 'linear':
+            factor = 1 - k * d;
+            break;
+        case 'exponential':
+            factor = Math.exp(-k * d);
+            break;
+        case 'power':
+            factor = Math.pow(Math.max(1 + d, MIN_FACTOR), -k);
+            break;
+        case 'none':
+            return 1;
+        default:
+            throw new Error(`未知のレートカーブです: ${curveDef.curve}`);
+    }
+    return Math.max(MIN_FACTOR, factor);
+}
+
+// ====================================================================
+// RATE COMPUTATION
+// ====================================================================
+
+/**
+ * 直近 windowMs 以内の生成量を通貨ごとに集計します。
+ * @param {Array<object>} recentMints - state.recent_mints ({ timestamp, currency, amount })
+ * @param {number} now - 現在時刻 (ms)。
+ * @param {number} windowMs - 集計期間。
+ * @returns {object} - { [currency]: amount }
+ */
+export function sumRecentMints(recentMints, now, windowMs) {
+    return (recentMints || [])
+        .filter(mint => now - mint.timestamp <= windowMs)
+        .reduce((sums, mint) => ({ ...sums, [mint.currency]: (sums[mint.currency] || 0) + mint.amount }), {});
+}
+
+/**
+ * レートを算出する通貨ごとのカーブ定義を返します。
+ * config.currencies に定義のない登録通貨には、initial_rate を基準とした default_currency のカーブを適用する。
+ * @param {object} state - システム状態。
+ * @param {object} config - レートカーブ設定。
+ * @returns {object} - { [currency]: カーブ定義 }
+ */
+export function resolveCurrencyCurves(state, config = DEFAULT_RATE_CURVES) {
+    const curves = { ...config.currencies };
+    const { min_ratio, max_ratio, ...defaultCurve } = config.default_currency || DEFAULT_RATE_CURVES.default_currency;
+    for (const currency of getCurrencies(state)) {
+        if (currency.code in curves) continue;
+        curves[currency.code] = {
+            ...defaultCurve,
+            base_rate: currency.initial_rate,
+            min_rate: currency.initial_rate * min_ratio,
+            max_rate: currency.initial_rate * max_ratio,
+        };
+    }
+    return curves;
+}
+
+/**
+ * 現在の状態からすべての通貨のレートを算出します。
+ * @param {object} state - システム状態 (インフラのレベルは getCurrentState により評価時刻の値となっていること)。
+ * @param {object} [config] - レートカーブ設定。
+ * @param {number} [now] - 現在時刻 (ms)。
+ * @param {object} [infrastructurePolicy] - インフラポリシー (system_config/infrastructure。作為コスト・送金遅延と同じもの)。
+ * @returns {{rates: object, factors: object}} - レートと、通貨ごとの各係数 (表示・検証用)。
+ */
+export function computeRates(state, config = DEFAULT_RATE_CURVES, now = Date.now(), infrastructurePolicy = DEFAULT_INFRASTRUCTURE_POLICY) {
+    const vibrationRatio = state.vibration_level.value / KNOWLEDGE.DEFINITIONS.VIBRATION.limit;
+    const infrastructureDeficit = 1 - infrastructureHealth(state, infrastructurePolicy, now);
+    const mintVolumes = sumRecentMints(state.recent_mints, now, config.mint_window_ms);
+    const corrections = state.rate_corrections || {};
+    const rates = {};
+    const factors = {};
+
+    for (const [currency, def] of Object.entries(resolveCurrencyCurves(state, config))) {
+        if (def.fixed) {
+            rates[currency] = def.base_rate;
+            continue;
+        }
+        const reference = def.reference_supply || 1;
+        const f = {
+            supply: applyCurve(def.supply, computeTotalSupply(state, currency) / reference - 1),
+            mint: applyCurve(def.mint, (mintVolumes[currency] || 0) / reference),
+            vibration: applyCurve(def.vibration, vibrationRatio),
+            infrastructure: applyCurve(def.infrastructure, infrastructureDeficit),
+            correction: corrections[currency] ?? 1,
+        };
+        const raw = def.base_rate * f.supply * f.mint * f.vibration * f.infrastructure * f.correction;
+        rates[currency] = Math.min(def.max_rate ?? Infinity, Math.max(def.min_rate ?? 0, raw));
+        factors[currency] = f;
+    }
+
+    // 設定に含まれない通貨は現在のレートを維持する
+    for (const [currency, rate] of Object.entries(state.currency_rates)) {
+        if (!(currency in rates)) rates[currency] = rate;
+    }
+    return { rates, factors };
+}
+
+/**
+ * レートを再計算し、保存が必要な部分状態を返します。
+ * いずれかのレートが min_relative_change 以上変化した場合のみ、新しいレートと履歴の点を返す。
+ * Vibrationの減衰などによる緩やかな変化で状態ドキュメントを毎秒書き換えないよう (他のクライアントの作為が
+ * revision の競合で失敗するため)、前回の保存 (rate_history の最後の点) から min_interval_ms 以内は
+ * significant_change 以上の変化がある場合のみ保存する。
+ * 期間外となった recent_mints もここで取り除く。
+ * @param {object} state - システム状態。
+ * @param {object} [config] - レートカーブ設定。
+ * @param {number} [now] - 現在時刻 (ms)。
+ * @param {object} [infrastructurePolicy] - インフラポリシー。
+ * @returns {object|null} - saveSystemState に渡す部分状態。変化がなければ null。
+ */
+export function updateRates(state, config = DEFAULT_RATE_CURVES, now = Date.now(), infrastructurePolicy = DEFAULT_INFRASTRUCTURE_POLICY) {
+    const { rates } = computeRates(state, config, now, infrastructurePolicy);
+    const maxChange = Math.max(0, ...Object.entries(rates).map(([currency, rate]) => {
+        const old = state.currency_rates[currency];
+        return old === undefined ? Infinity : Math.abs(rate - old) / old;
+    }));
+    if (maxChange < config.min_relative_change) return null;
+
+    const lastPoint = (state.rate_history || []).at(-1);
+    const isThrottled = lastPoint && now - lastPoint.timestamp < config.min_interval_ms;
+    if (isThrottled && maxChange < config.significant_change) return null;
+
+    const history = [...(state.rate_history || []), { timestamp: now, rates }];
+    return {
+        currency_rates: rates,
+        rate_history: history.slice(-config.history_limit),
+        recent_mints: (state.recent_mints || []).filter(mint => now - mint.timestamp <= config.mint_window_ms),
+    };
+}
@@ -0,0 +1,129 @@
+// js/scheduler.js
+
+/**
+ * 定期処理のスケジューラとリーダー選出。
+ * 複数のタブ (クライアント) が同じシステム状態を共有する場合、状態を書き換える定期処理
+ * (レート再計算・提案の失効・サーキットブレーカー・LILルールの作為) は選出された1つのリーダーだけが実行する。
+ * ヘッドレス実行 (Node) では他のクライアントが存在しないため、ローカルのスケジューラが常にリーダーとして動作する。
+ * シミュレーション (simulation.js) ではタイマーを使わず、呼び出し側が模擬時刻ごとに tick を実行する。
+ *
+ * リーダーは system_config/scheduler_lease に期限付きのリースとして記録される:
+ * { holder: string, user_id: string, expires_at: number }
+ * リースの取得・更新はストレージの updateConfig で読み込みと書き込みの間を排他するため、同時に複数のクライアントが
+ * リーダーになることはない。リースは状態ドキュメントとは別に保存し、更新で状態の revision を進めない
+ * (進めると、他のクライアントの作為がリースの更新のたびに競合で失敗する)。
+ * リーダーは期限の半分を過ぎたらリースを更新し、リーダーが閉じられた場合は期限切れ後に他のクライアントが引き継ぐ。
+ */
+
+/** スケジューラの既定設定。 */
+export const DEFAULT_SCHEDULER_OPTIONS = {
+    interval_ms: 1000, // 定期処理の間隔
+    lease_ms: 15000,   // リーダーのリース期間
+};
+
+/** スケジューラの動作モード。 */
+export const SCHEDULER_MODES = {
+    LEADER: 'leader', // リーダー選出に参加し、リーダーの場合のみ定期処理を実行する (ブラウザ)
+    LOCAL: 'local',   // 常に定期処理を実行する (ヘッドレス)
+    MANUAL: 'manual', // 常にリーダーとして動作するが、タイマーを開始せず呼び出し側が tick する (シミュレーション)
+};
+
+/** 実行環境に応じた既定の動作モードを返します。 */
+export function defaultSchedulerMode() {
+    return typeof document === 'undefined' ? SCHEDULER_MODES.LOCAL : SCHEDULER_MODES.LEADER;
+}
+
+/** クライアント (タブ) を識別するIDを生成します。 */
+export function generateClientId() {
+    return Math.random().toString(36).substring(2, 10).padEnd(8, '0');
+}
+
+// ====================================================================
+// LEADER ELECTION
+// ====================================================================
+
+/**
+ * リースに対してこのクライアントが取るべき行動を判定します。
+ * @param {object|null} lease - 現在のリース { holder, expires_at }。
+ * @param {string} clientId - このクライアントのID。
+ * @param {number} now - 判定時刻。
+ * @param {number} leaseMs - リース期間。
+ * @returns {'claim'|'renew'|'lead'|'follow'} - claim: 期限切れのリースを取得 / renew: 自分のリースを更新 /
+ *          lead: リーダーとして処理 / follow: 他のリーダーに従う
+ */
+export function decideLease(lease, clientId, now, leaseMs) {
+    if (!lease || lease.expires_at <= now) return 'claim';
+    if (lease.holder !== clientId) return 'follow';
+    return lease.expires_at - now < leaseMs / 2 ? 'renew' : 'lead';
+}
+
+/** このクライアントを holder とする新しいリースを返します。 */
+export function buildLease(clientId, userId, now, leaseMs) {
+    return { holder: clientId, user_id: userId, expires_at: now + leaseMs };
+}
+
+// ====================================================================
+// SCHEDULER
+// ====================================================================
+
+/**
+ * 定期処理のスケジューラを生成します。
+ * @param {object} deps
+ * @param {Array<function>} deps.tasks - 毎回実行する処理 (now) => void|Promise。リーダーかどうかに関わらず実行される (画面の更新など)。
+ * @param {Array<function>} deps.leaderTasks - リーダーの場合のみ実行する処理 (now) => void|Promise。
+ * @param {function} [deps.elect] - (now) => Promise<boolean>。リーダー選出を行い、リーダーであれば true を返す。
+ *        省略時 (ヘッドレス) は常にリーダーとして扱う。
+ * @param {function} [deps.onError] - (error) を受け取るエラー処理。
+ * @param {number} [deps.interval_ms] - 定期処理の間隔。
+ * @param {function} [deps.now] - 現在時刻を返す関数 (clock.js の時計の now)。
+ */
+export function createScheduler({ tasks = [], leaderTasks = [], elect = async () => true, onError = console.error, interval_ms = DEFAULT_SCHEDULER_OPTIONS.interval_ms, now: currentTime = () => Date.now() }) {
+    let timer = null;
+    let isLeader = false;
+    let isRunning = false;
+
+    const run = async (task, now) => {
+        try {
+            await task(now);
+        } catch (e) {
+            onError(e);
+        }
+    };
+
+    /** 定期処理を1回実行します。前回の処理が終わっていない場合はスキップする。 */
+    async function tick(now = currentTime()) {
+        if (isRunning) return;
+        isRunning = true;
+        try {
+            try {
+                isLeader = await elect(now);
+            } catch (e) {
+                isLeader = false;
+                onError(e);
+            }
+            if (isLeader) {
+                for (const task of leaderTasks) await run(task, now);
+            }
+            for (const task of tasks) await run(task, now);
+        } finally {
+            isRunning = false;
+        }
+    }
+
+    return {
+        tick,
+        /** 定期処理を開始します。 */
+        start() {
+            if (!timer) timer = setInterval(() => tick(), interval_ms);
+        },
+        /** 定期処理を停止します。 */
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        /** 直近の選出でリーダーだったか返します。 */
+        isLeader() {
+            return isLeader;
+        },
+    };
+}
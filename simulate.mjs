@@ -0,0 +1,73 @@
+// js/simulate.mjs
+
+/**
+ * シナリオ (scenarios/*.json) を決定的に実行するコマンド (simulation.js)。
+ * Node.js の標準モジュールのみを使用する。
+ *
+ *   node simulate.mjs scenarios/2025-07-20_gamma_overmint.json [--seed 42] [--out result.json] [--json]
+ *
+ * 既定では事象・軌跡・期待値の判定を表で出力する。--json は結果全体を標準出力に、--out はファイルに書き出す。
+ * 期待値 (expect) が1つでも成立しなかった場合は終了コード 1 で終了する (ポリシーの回帰確認用)。
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { runScenario } from './simulation.js';
+
+function readOption(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index >= 0 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+}
+
+/** 軌跡の要素を1行に整形します。 */
+function formatSample(sample) {
+    const rates = Object.entries(sample.rates).map(([code, rate]) => `${code} ${rate}`).join(' ');
+    const supply = Object.entries(sample.supply).map(([code, amount]) => `${code} ${amount}`).join(' ');
+    return [
+        `t=${String(sample.t_s).padStart(5)}s`,
+        sample.status.padEnd(11),
+        `V ${sample.vibration.toFixed(2).padStart(6)} (${sample.band})`,
+        `E ${sample.infrastructure.ENERGY.toFixed(0).padStart(3)} N ${sample.infrastructure.NET.toFixed(0).padStart(3)}`,
+        `rates: ${rates}`,
+        `supply: ${supply}`,
+    ].join(' | ');
+}
+
+async function main() {
+    const file = process.argv.slice(2).find(arg => !arg.startsWith('--') && arg !== readOption('--seed') && arg !== readOption('--out'));
+    if (!file) {
+        console.error('使い方: node simulate.mjs <scenario.json> [--seed N] [--out result.json] [--json]');
+        process.exit(2);
+    }
+    const scenario = JSON.parse(await readFile(file, 'utf8'));
+    const seedOption = readOption('--seed', undefined);
+    const seed = seedOption === undefined ? undefined : (Number.isFinite(Number(seedOption)) ? Number(seedOption) : seedOption);
+    const result = await runScenario(scenario, { seed });
+
+    const out = readOption('--out', null);
+    if (out) await writeFile(out, `${JSON.stringify(result, null, 2)}\n`);
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        console.log(`# ${result.name || file} (seed ${result.seed}, start ${result.start}, ${result.duration_s}s)`);
+        console.log('\n## 事象');
+        result.events.forEach(e => {
+            const label = e.kind === 'act' ? `${e.act}${e.actType && e.actType !== e.act ? ` → ${e.actType}` : ''} (${e.actor})` : e.kind;
+            console.log(`t=${String(e.t_s).padStart(5)}s ${e.ok ? 'OK  ' : 'FAIL'} ${label}: ${e.ok ? e.message : e.error}`);
+        });
+        console.log('\n## 軌跡');
+        result.trajectory.forEach(sample => console.log(formatSample(sample)));
+        if (result.expectations.length) {
+            console.log('\n## 期待値');
+            result.expectations.forEach(e => {
+                console.log(`${e.passed ? 'PASS' : 'FAIL'} t=${e.t_s}s ${e.path} ${e.operator || '=='} ${JSON.stringify(e.value)} (実際: ${JSON.stringify(e.actual)})${e.error ? ` ${e.error}` : ''}`);
+            });
+        }
+    }
+    process.exit(result.passed ? 0 : 1);
+}
+
+main().catch(e => {
+    console.error(e.message);
+    process.exit(2);
+});
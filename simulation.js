@@ -0,0 +1,361 @@
+// js/simulation.js
+
+import {
+    initApp,
+    tickScheduler,
+    settleBackgroundWork,
+    getCurrentState,
+    createInitialState,
+    addVibration,
+    getPermissions,
+    getVibrationPolicy
+} from './core_logic.js';
+import {
+    actForcedHalt,
+    actRestart,
+    handleCreateAccountAct,
+    actTransfer,
+    actMintCurrency,
+    actExchangeCurrency,
+    actSetRate,
+    actRegisterCurrency,
+    actTransaction,
+    actApproveProposal,
+    actRejectProposal
+} from './audit_acts.js';
+import { actAdjustSupply, actInfraEvent } from './infra_acts.js';
+import { createMemoryStorage } from './storage_adapters.js';
+import { SCHEDULER_MODES } from './scheduler.js';
+import { createManualClock, createSeededRandom } from './clock.js';
+import { DEFAULT_PERMISSIONS, SYSTEM_ROLE, resolveRole } from './permissions.js';
+import { getPendingProposals } from './approval.js';
+import { getCurrencyCodes, getBalance, fromCurrencyUnits } from './currency_registry.js';
+import { computeTotalSupply, evaluateTrigger, resolveStatePath, validateRules } from './lil_engine.js';
+import { getBand } from './vibration_policy.js';
+import { displayStatus } from './circuit_breaker.js';
+import { getInfrastructure } from './infrastructure.js';
+
+/**
+ * 決定的なシミュレーション (ヘッドレス)。
+ * 手動で進める時計とシード付きの乱数 (clock.js) を注入してメモリ上のコアを起動し、
+ * シナリオのタイムライン (作為・インフラの変化・LILルールセットの差し替え) を模擬時刻で再生する。
+ * 定期処理 (レート再計算・提案の失効・サーキットブレーカー・インフラの障害) は step_s ごとに実行され、
+ * 実時間を待たずに時間を早送りできる。同じシナリオとシードからは常に同じ軌跡が得られる。
+ * ポリシーの回帰確認や、KNOWLEDGE.HISTORICAL_SUMMARY の事象の再現 (scenarios/*.json) に使用する。
+ * Node からは simulate.mjs で実行する。
+ *
+ * シナリオの形式:
+ * {
+ *   name: "...", description: "...",
+ *   seed: 42,                                   // 乱数のシード (インフラのランダム障害など)
+ *   start: "2025-07-20T00:00:00Z",              // 模擬時刻の開始 (ISO 8601 またはミリ秒)
+ *   duration_s: 600,                            // 模擬時間の長さ
+ *   step_s: 1,                                  // 定期処理の間隔 (模擬時間)
+ *   sample_s: 10,                               // 軌跡を記録する間隔
+ *   actors: { "GOV_A": "governor" },            // 作為者とロール (権限設定に登録される)
+ *   config: { "vibration_policy": {...}, ... }, // 開始時の設定ドキュメント (system_config/<名前>)
+ *   initial_state: { ... },                     // 初期状態に上書きする部分状態
+ *   timeline: [
+ *     { at_s: 5, act: "MINT", params: { to, amount, currency }, actor: "GOV_A" },  // actor 省略時は system ロール
+ *     { at_s: 6, act: "APPROVE", params: {}, actor: "GOV_B" },                    // id 省略時は最新の承認待ち提案
+ *     { at_s: 30, act: "INFRA_EVENT", params: { target: "NET", type: "OUTAGE", duration_s: 60 } },
+ *     { at_s: 60, lil_rules: [ ... ] },                                           // LILルールセットの差し替え
+ *     { at_s: 90, config: { "infrastructure": { ... } } },                        // 設定ドキュメントの変更
+ *     { at_s: 100, vibration: 40 },                                               // Vibrationの直接加算
+ *     { at_s: 120, act: "MINT", params: {...}, repeat: { count: 10, every_s: 2 } }  // 同じ要素の繰り返し
+ *   ],
+ *   expect: [ { at_s: 120, path: "status", operator: "==", value: "HALTED" } ]    // at_s 省略時は終了時。path は軌跡の要素に対して解決する
+ * }
+ *
+ * 軌跡の要素 (summarizeState):
+ * { t_s, status, halted, vibration, band, rates, supply, balances, infrastructure: { ENERGY, NET }, pending_proposals, pending_transfers }
+ */
+
+/** シミュレーションの利用者ID (initApp では先頭8文字が使用される)。 */
+const SIMULATION_USER_ID = 'SIMULATE';
+
+/** 作為者を省略したタイムラインの作為者 (LILルールと同じ system ロール)。 */
+const SIMULATION_ACTOR = { userId: 'SIMULATION', role: SYSTEM_ROLE };
+
+/** 既定のシナリオ設定。 */
+export const DEFAULT_SCENARIO = {
+    seed: 1,
+    start: '2025-01-01T00:00:00Z',
+    duration_s: 300,
+    step_s: 1,
+    sample_s: 10,
+};
+
+/** 最新の承認待ち提案のIDを返します (APPROVE / REJECT で id を省略した場合)。 */
+function latestPendingProposalId() {
+    const pending = getPendingProposals(getCurrentState());
+    return pending.length ? pending[pending.length - 1].id : null;
+}
+
+/** タイムラインで使用できる作為と、audit_acts.js / infra_acts.js の作為関数の対応表。 */
+const SCENARIO_ACTS = {
+    HALT: (params, actor) => actForcedHalt(params, actor),
+    RESTART: (params, actor) => actRestart(params, actor),
+    CREATE_ACCOUNT: (params, actor) => handleCreateAccountAct(params, actor),
+    TRANSFER: (params, actor) => actTransfer(params, actor),
+    MINT: (params, actor) => actMintCurrency(params, actor),
+    EXCHANGE: (params, actor) => actExchangeCurrency(params, actor),
+    SET_RATE: (params, actor) => actSetRate(params, actor),
+    REGISTER_CURRENCY: (params, actor) => actRegisterCurrency(params, actor),
+    TRANSACTION: (params, actor) => actTransaction(params, actor),
+    ADJUST_SUPPLY: (params, actor) => actAdjustSupply(params.target, Number(params.amount), actor),
+    INFRA_EVENT: (params, actor) => actInfraEvent(params, actor),
+    APPROVE: (params, actor) => actApproveProposal(params.id ?? latestPendingProposalId(), actor),
+    REJECT: (params, actor) => actRejectProposal(params.id ?? latestPendingProposalId(), params.reason, actor),
+};
+
+// ====================================================================
+// SCENARIO
+// ====================================================================
+
+/** 模擬時刻の開始 (ISO 8601 またはミリ秒) をミリ秒に変換します。 */
+function parseStart(start) {
+    const ms = typeof start === 'number' ? start : Date.parse(start);
+    if (!Number.isFinite(ms)) throw new Error(`start が不正です: ${start}`);
+    return ms;
+}
+
+/** タイムラインの要素の種別を返します。 */
+function entryKind(entry) {
+    if (entry.act !== undefined) return 'act';
+    if (entry.lil_rules !== undefined) return 'lil_rules';
+    if (entry.config !== undefined) return 'config';
+    if (entry.vibration !== undefined) return 'vibration';
+    return null;
+}
+
+/**
+ * repeat を指定したタイムラインの要素を、時刻をずらした個々の要素に展開します。
+ * @param {Array<object>} timeline - シナリオのタイムライン。
+ */
+export function expandTimeline(timeline = []) {
+    return timeline.flatMap(({ repeat, ...entry }) => {
+        if (!repeat) return [entry];
+        return Array.from({ length: repeat.count }, (_, i) => ({ ...entry, at_s: entry.at_s + i * repeat.every_s }));
+    });
+}
+
+/**
+ * シナリオを検証します。
+ * @param {object} scenario - シナリオ。
+ * @returns {Array<string>} - エラーの一覧 (空であれば有効)。
+ */
+export function validateScenario(scenario) {
+    const errors = [];
+    if (!scenario || typeof scenario !== 'object') return ["シナリオはオブジェクトである必要があります。"];
+    const { duration_s, step_s, sample_s } = { ...DEFAULT_SCENARIO, ...scenario };
+    if (!(duration_s > 0)) errors.push("duration_s は正の数である必要があります。");
+    if (!(step_s > 0)) errors.push("step_s は正の数である必要があります。");
+    if (!(sample_s > 0)) errors.push("sample_s は正の数である必要があります。");
+    try {
+        parseStart(scenario.start ?? DEFAULT_SCENARIO.start);
+    } catch (e) {
+        errors.push(e.message);
+    }
+
+    (scenario.timeline || []).forEach((entry, index) => {
+        const label = `timeline[${index}]`;
+        if (entry.repeat && !(Number.isInteger(entry.repeat.count) && entry.repeat.count > 0 && entry.repeat.every_s > 0)) {
+            errors.push(`${label}: repeat は { count: 正の整数, every_s: 正の数 } である必要があります。`);
+            return;
+        }
+        const lastAt = entry.repeat ? entry.at_s + (entry.repeat.count - 1) * entry.repeat.every_s : entry.at_s;
+        if (!(entry.at_s >= 0)) errors.push(`${label}: at_s は 0 以上の数である必要があります。`);
+        else if (lastAt > duration_s) errors.push(`${label}: at_s (${lastAt}) が duration_s (${duration_s}) を超えています。`);
+        const kind = entryKind(entry);
+        if (!kind) errors.push(`${label}: act / lil_rules / config / vibration のいずれかを指定してください。`);
+        if (kind === 'act' && !SCENARIO_ACTS[entry.act]) errors.push(`${label}: 未知の作為です: ${entry.act}`);
+        if (kind === 'lil_rules') validateRules(entry.lil_rules).forEach(error => errors.push(`${label}: ${error}`));
+        if (kind === 'vibration' && !(Number(entry.vibration) > 0)) errors.push(`${label}: vibration は正の数である必要があります。`);
+    });
+
+    (scenario.expect || []).forEach((expectation, index) => {
+        if (typeof expectation.path !== 'string') errors.push(`expect[${index}]: path を指定してください。`);
+        if (expectation.at_s !== undefined && !(expectation.at_s >= 0 && expectation.at_s <= duration_s)) {
+            errors.push(`expect[${index}]: at_s は 0 以上 duration_s 以下である必要があります。`);
+        }
+    });
+    return errors;
+}
+
+// ====================================================================
+// TRAJECTORY
+// ====================================================================
+
+/** 浮動小数の表示を安定させるために丸めます。 */
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * 状態を軌跡の要素に要約します。残高と供給量は主単位で表す。
+ * @param {object} state - システム状態 (getCurrentState の戻り値)。
+ * @param {number} tS - シミュレーション開始からの経過秒数。
+ */
+export function summarizeState(state, tS) {
+    const codes = getCurrencyCodes(state);
+    const infra = getInfrastructure(state);
+    const value = state.vibration_level.value;
+    return {
+        t_s: tS,
+        status: displayStatus(state),
+        halted: state.isHalted,
+        vibration: round(value),
+        band: getBand(value, getVibrationPolicy()).name,
+        rates: Object.fromEntries(codes.map(code => [code, round(state.currency_rates[code], 6)])),
+        supply: Object.fromEntries(codes.map(code => [code, computeTotalSupply(state, code)])),
+        balances: Object.fromEntries(state.accounts.map(acc => [
+            acc.id,
+            Object.fromEntries(codes.map(code => [code, fromCurrencyUnits(state, code, getBalance(acc, code))])),
+        ])),
+        infrastructure: { ENERGY: round(infra.energy_supply.value), NET: round(infra.net_stability.value) },
+        pending_proposals: getPendingProposals(state).length,
+        pending_transfers: (state.pending_transfers || []).length,
+    };
+}
+
+/** 期待値を軌跡の要素に対して判定します (演算子は LIL の STATE_CHECK と同じ)。 */
+function checkExpectation(expectation, sample) {
+    const trigger = { type: 'STATE_CHECK', param: expectation.path, operator: expectation.operator || '==', value: expectation.value };
+    const actual = resolveStatePath(sample, expectation.path);
+    try {
+        return { ...expectation, t_s: sample.t_s, actual, passed: evaluateTrigger(trigger, sample) };
+    } catch (e) {
+        return { ...expectation, t_s: sample.t_s, actual, passed: false, error: e.message };
+    }
+}
+
+// ====================================================================
+// RUNNER
+// ====================================================================
+
+/**
+ * シナリオを実行し、状態の軌跡を返します。
+ * 同一プロセスで続けて実行した場合も、各実行は initApp により初期状態から開始される。
+ * @param {object} scenario - シナリオ (validateScenario で検証される)。
+ * @param {object} [options]
+ * @param {number|string} [options.seed] - シナリオの seed を上書きする。
+ * @returns {Promise<object>} - { name, seed, start, duration_s, passed, expectations, events, trajectory, log, final_state }
+ */
+export async function runScenario(scenario, { seed: seedOverride } = {}) {
+    const errors = validateScenario(scenario);
+    if (errors.length) throw new Error(`シナリオが不正です:\n- ${errors.join('\n- ')}`);
+
+    const settings = { ...DEFAULT_SCENARIO, ...scenario };
+    const seed = seedOverride ?? settings.seed;
+    const startMs = parseStart(settings.start);
+    const clock = createManualClock(startMs);
+    const elapsedS = () => round((clock.now() - startMs) / 1000, 3);
+    const log = [];
+
+    // 開始時の設定と初期状態 (initApp の購読が最初に受け取る内容)
+    const storage = createMemoryStorage({ userId: SIMULATION_USER_ID });
+    const config = settings.config || {};
+    for (const [name, data] of Object.entries(config)) {
+        if (name !== 'permissions') await storage.saveConfig(name, data);
+    }
+    await storage.saveConfig('permissions', {
+        ...DEFAULT_PERMISSIONS,
+        ...(config.permissions || {}),
+        users: { ...(config.permissions?.users || {}), [SIMULATION_USER_ID]: 'governor', ...(settings.actors || {}) },
+    });
+    if (settings.initial_state) {
+        await storage.setState({ ...createInitialState(startMs), ...settings.initial_state });
+    }
+
+    await initApp({
+        storage,
+        scheduler: SCHEDULER_MODES.MANUAL,
+        clock,
+        random: createSeededRandom(seed),
+        onLog: ({ message, className }) => log.push({ t_s: elapsedS(), message, className }),
+    });
+    await settleBackgroundWork();
+
+    const resolveActor = (name) => (name === undefined || name === SYSTEM_ROLE)
+        ? SIMULATION_ACTOR
+        : { userId: name, role: resolveRole(getPermissions(), name) };
+
+    /** タイムラインの要素を1つ実行し、事象として記録する内容を返します。 */
+    async function runEntry(entry) {
+        const base = { t_s: entry.at_s, kind: entryKind(entry) };
+        switch (base.kind) {
+            case 'act': {
+                const actor = resolveActor(entry.actor);
+                const result = await SCENARIO_ACTS[entry.act](entry.params || {}, actor);
+                return {
+                    ...base,
+                    act: entry.act,
+                    actor: actor.userId,
+                    actType: result.actType,
+                    ok: result.ok,
+                    ...(result.ok ? { message: result.message } : { error: result.error }),
+                };
+            }
+            case 'lil_rules':
+                await storage.saveConfig('lil_rules', { rules: entry.lil_rules });
+                return { ...base, ok: true, message: `LILルールセットを差し替えました (${entry.lil_rules.map(r => r.id).join(', ')})。` };
+            case 'config':
+                for (const [name, data] of Object.entries(entry.config)) {
+                    await storage.saveConfig(name, data);
+                }
+                return { ...base, ok: true, message: `設定 ${Object.keys(entry.config).join(', ')} を変更しました。` };
+            case 'vibration':
+                await addVibration(Number(entry.vibration));
+                return { ...base, ok: true, message: `Vibrationを ${entry.vibration} 加算しました。` };
+            default:
+                return { ...base, ok: false, error: "未知のタイムライン要素です。" };
+        }
+    }
+
+    const timeline = expandTimeline(settings.timeline)
+        .map((entry, index) => ({ entry, index }))
+        .sort((a, b) => a.entry.at_s - b.entry.at_s || a.index - b.index)
+        .map(({ entry }) => entry);
+    const pendingExpectations = (settings.expect || [])
+        .map(e => ({ ...e, at_s: e.at_s ?? settings.duration_s }))
+        .sort((a, b) => a.at_s - b.at_s);
+    const steps = Math.floor(settings.duration_s / settings.step_s);
+    const sampleEvery = Math.max(1, Math.round(settings.sample_s / settings.step_s));
+    const events = [];
+    const trajectory = [];
+    const expectations = [];
+    let next = 0;
+
+    for (let i = 0; i <= steps; i++) {
+        const tS = round(i * settings.step_s, 3);
+
+        // この時刻までのタイムラインを、それぞれの時刻で実行する
+        while (next < timeline.length && timeline[next].at_s <= tS) {
+            const entry = timeline[next++];
+            clock.set(startMs + entry.at_s * 1000);
+            events.push(await runEntry(entry));
+            await settleBackgroundWork();
+        }
+
+        clock.set(startMs + tS * 1000);
+        await tickScheduler();
+
+        const sample = summarizeState(getCurrentState(), tS);
+        if (i % sampleEvery === 0 || i === steps) trajectory.push(sample);
+        while (pendingExpectations.length && pendingExpectations[0].at_s <= tS) {
+            expectations.push(checkExpectation(pendingExpectations.shift(), sample));
+        }
+    }
+
+    return {
+        name: settings.name || null,
+        seed,
+        start: new Date(startMs).toISOString(),
+        duration_s: settings.duration_s,
+        passed: expectations.every(e => e.passed),
+        expectations,
+        events,
+        trajectory,
+        log,
+        final_state: getCurrentState(),
+    };
+}
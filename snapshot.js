@@ -0,0 +1,228 @@
+// js/snapshot.js
+
+import { getCurrencyCodes, findCurrency, getBalance, formatAmount } from './currency_registry.js';
+import { getInfrastructure } from './infrastructure.js';
+import { STATE_SCHEMA_VERSION, validateState } from './state_schema.js';
+
+/**
+ * システム状態 (system_state/MSGAI-Z) のスナップショット。
+ * DOM やバックエンドに依存しない純粋なモジュールで、snapshot_acts.js・act_logic.js の RESTORE 作為・
+ * snapshot_view.html・dialogue_acts.js の /snapshot コマンドが参照する。
+ *
+ * スナップショットの形式 (JSON のエクスポート・インポートも同じ形式):
+ * {
+ *   format: "msgai-z/state-snapshot",
+ *   schema_version: 1,
+ *   id: "SNAP-...",
+ *   name: "リスクのある生成の前",
+ *   note: "",
+ *   created_at: number,          // 取得時刻 (ms)
+ *   created_by: string,          // 取得した userId
+ *   revision: number,            // 取得時の状態の revision
+ *   state: { accounts, currencies, currency_rates, vibration_level, isHalted, ... }  // SNAPSHOT_KEYS のみ
+ * }
+ *
+ * 提案 (proposals) は監査上の記録のため、スナップショットには含めず復元もしない。
+ * revision はクライアントの実行時情報のため含めない。
+ */
+
+/** スナップショットの形式の識別子。 */
+export const SNAPSHOT_FORMAT = 'msgai-z/state-snapshot';
+
+/** スナップショットのスキーマバージョン。形式を変更した場合は加算し、parseSnapshot で旧形式を変換する。 */
+export const SNAPSHOT_SCHEMA_VERSION = 1;
+
+/** スナップショットに含める状態のキー。 */
+export const SNAPSHOT_KEYS = [
+    'isHalted',
+    'vibration_level',
+    'currencies',
+    'currency_rates',
+    'balance_unit',
+    'rate_corrections',
+    'rate_history',
+    'recent_mints',
+    'circuit_breaker',
+    'infrastructure',
+    'pending_transfers',
+    'pending_transfer_seq',
+    'accounts',
+];
+
+// ====================================================================
+// CAPTURE / SERIALIZATION
+// ====================================================================
+
+/**
+ * 状態からスナップショットを作成します。
+ * @param {object} state - getCurrentState() の戻り値 (Vibrationとインフラは取得時刻の値に評価済み)。
+ * @param {object} meta - { id, name, note, created_by, now }
+ * @returns {object} - スナップショット。
+ */
+export function createSnapshot(state, { id, name, note = '', created_by, now }) {
+    return {
+        format: SNAPSHOT_FORMAT,
+        schema_version: SNAPSHOT_SCHEMA_VERSION,
+        id,
+        name,
+        note,
+        created_at: now,
+        created_by,
+        revision: state.revision || 0,
+        state: structuredClone(Object.fromEntries(SNAPSHOT_KEYS.filter(key => state[key] !== undefined).map(key => [key, state[key]]))),
+    };
+}
+
+/** 取得時刻からスナップショットのIDを生成します。 */
+export function snapshotIdFor(now, existingIds = []) {
+    const base = `SNAP-${now.toString(36).toUpperCase()}`;
+    let id = base;
+    for (let n = 2; existingIds.includes(id); n++) id = `${base}-${n}`;
+    return id;
+}
+
+/** スナップショットをエクスポート用の JSON 文字列にします。 */
+export function serializeSnapshot(snapshot) {
+    return JSON.stringify(snapshot, null, 2);
+}
+
+/** 値が整数の最小単位の残高表 { code: integer } か判定します。 */
+const isBalanceMap = (balances) => balances !== null && typeof balances === 'object'
+    && Object.values(balances).every(value => Number.isInteger(value));
+
+/**
+ * スナップショットの形式を検証します。
+ * @param {object} snapshot - スナップショット。
+ * @returns {string|null} - エラーの理由。有効な場合は null。
+ */
+export function validateSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') return "スナップショットはオブジェクトである必要があります。";
+    if (snapshot.format !== SNAPSHOT_FORMAT) return `スナップショットの形式が不明です (format: ${snapshot.format ?? 'なし'})。`;
+    if (!Number.isInteger(snapshot.schema_version) || snapshot.schema_version < 1) return "schema_version が不正です。";
+    if (snapshot.schema_version > SNAPSHOT_SCHEMA_VERSION) {
+        return `スナップショットのスキーマバージョン ${snapshot.schema_version} はこのバージョン (${SNAPSHOT_SCHEMA_VERSION}) より新しいため読み込めません。`;
+    }
+    if (typeof snapshot.id !== 'string' || !snapshot.id) return "スナップショットの id がありません。";
+
+    const { state } = snapshot;
+    if (!state || typeof state !== 'object') return "スナップショットに state がありません。";
+    if (!Array.isArray(state.accounts)) return "state.accounts は配列である必要があります。";
+    const invalidAccount = state.accounts.find(acc => !acc || typeof acc.id !== 'string' || !isBalanceMap(acc.balances));
+    if (invalidAccount !== undefined) return `state.accounts に不正なアカウントがあります (${invalidAccount?.id ?? JSON.stringify(invalidAccount)})。`;
+    if (!Array.isArray(state.currencies) || state.currencies.some(c => !c || typeof c.code !== 'string')) return "state.currencies が不正です。";
+    if (!state.currency_rates || typeof state.currency_rates !== 'object'
+        || Object.values(state.currency_rates).some(rate => typeof rate !== 'number')) return "state.currency_rates が不正です。";
+    if (!state.vibration_level || typeof state.vibration_level.value !== 'number') return "state.vibration_level が不正です。";
+    if (typeof state.isHalted !== 'boolean') return "state.isHalted は真偽値である必要があります。";
+
+    // 復元後の状態が状態ドキュメントのスキーマ (最小単位の整数の残高、登録済みの通貨のみなど) に適合することを確認する
+    const stateErrors = validateState({ ...state, schema_version: STATE_SCHEMA_VERSION });
+    if (stateErrors.length > 0) return `state が状態のスキーマに適合しません: ${stateErrors.slice(0, 3).join(' ')}`;
+    return null;
+}
+
+/**
+ * エクスポートされた JSON 文字列からスナップショットを読み込みます。
+ * @param {string} text - JSON 文字列。
+ * @returns {{snapshot: object}|{error: string}}
+ */
+export function parseSnapshot(text) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(text);
+    } catch (e) {
+        return { error: `JSON として解析できません: ${e.message}` };
+    }
+    const error = validateSnapshot(snapshot);
+    return error ? { error } : { snapshot };
+}
+
+// ====================================================================
+// RESTORE
+// ====================================================================
+
+/**
+ * スナップショットを復元する部分状態を返します (act_logic.js の restoreSnapshot で使用)。
+ * 時刻を含む値は復元時刻 now を起点に置き換える:
+ * - vibration_level: 取得時の値から減衰を再開する
+ * - infrastructure: 取得時のレベルと目標から追従を再開する。取得時に発生中だった障害は復元しない。事象の履歴は現在のものを残す
+ * - circuit_breaker: 取得時の状態を now から再開する。遷移の履歴は現在のものを残す
+ * @param {object} snapshot - 検証済みのスナップショット。
+ * @param {object} state - 現在のシステム状態。
+ * @param {number} now - 復元時刻。
+ */
+export function snapshotStateDelta(snapshot, state, now) {
+    const delta = structuredClone(Object.fromEntries(
+        SNAPSHOT_KEYS.filter(key => snapshot.state[key] !== undefined).map(key => [key, snapshot.state[key]])
+    ));
+    delta.vibration_level = { value: snapshot.state.vibration_level.value, last_decay: now };
+    if (delta.infrastructure) {
+        const infra = getInfrastructure(delta);
+        const rebase = (channel) => ({ ...channel, last_change: now, outage: null });
+        delta.infrastructure = {
+            energy_supply: rebase(infra.energy_supply),
+            net_stability: rebase(infra.net_stability),
+            events: getInfrastructure(state).events,
+        };
+    }
+    if (delta.circuit_breaker) {
+        delta.circuit_breaker = { ...delta.circuit_breaker, since: now, history: (state.circuit_breaker || {}).history || [] };
+    }
+    return delta;
+}
+
+// ====================================================================
+// DIFF
+// ====================================================================
+
+/** 残高を主単位の表示にします (通貨が未登録の場合は null)。 */
+function balanceText(state, account, code) {
+    if (!account || !findCurrency(state, code)) return null;
+    return formatAmount(state, code, getBalance(account, code));
+}
+
+/**
+ * 2つの状態 (スナップショットの state または現在の状態) の差分を返します。
+ * 比較する項目: 稼働状態・Vibration・ブレーカー・通貨の登録とレート・アカウントと残高・インフラ・遅延中の送金。
+ * @param {object} before - 比較元の状態。
+ * @param {object} after - 比較先の状態。
+ * @returns {Array<{path: string, before: *, after: *}>} - 値が異なる項目 (存在しない場合は null)。
+ */
+export function diffStates(before, after) {
+    const changes = [];
+    const push = (path, a, b) => {
+        if (JSON.stringify(a ?? null) !== JSON.stringify(b ?? null)) changes.push({ path, before: a ?? null, after: b ?? null });
+    };
+    const round = (value, digits = 2) => (typeof value === 'number' ? Number(value.toFixed(digits)) : null);
+
+    push('isHalted', before.isHalted, after.isHalted);
+    push('vibration_level.value', round(before.vibration_level?.value), round(after.vibration_level?.value));
+    push('circuit_breaker.status', before.circuit_breaker?.status, after.circuit_breaker?.status);
+
+    const codes = [...new Set([...getCurrencyCodes(before), ...getCurrencyCodes(after)])];
+    codes.forEach(code => {
+        push(`currencies.${code}`, findCurrency(before, code) ? code : null, findCurrency(after, code) ? code : null);
+        push(`currency_rates.${code}`, round(before.currency_rates?.[code], 6), round(after.currency_rates?.[code], 6));
+    });
+
+    const beforeAccounts = new Map((before.accounts || []).map(acc => [acc.id, acc]));
+    const afterAccounts = new Map((after.accounts || []).map(acc => [acc.id, acc]));
+    [...new Set([...beforeAccounts.keys(), ...afterAccounts.keys()])].forEach(id => {
+        const a = beforeAccounts.get(id);
+        const b = afterAccounts.get(id);
+        if (!a || !b) {
+            push(`accounts.${id}`, a ? a.name : null, b ? b.name : null);
+            return;
+        }
+        codes.forEach(code => push(`accounts.${id}.balances.${code}`, balanceText(before, a, code), balanceText(after, b, code)));
+    });
+
+    const infraBefore = getInfrastructure(before);
+    const infraAfter = getInfrastructure(after);
+    ['energy_supply', 'net_stability'].forEach(key => {
+        push(`infrastructure.${key}.value`, round(infraBefore[key].value, 1), round(infraAfter[key].value, 1));
+        push(`infrastructure.${key}.target`, round(infraBefore[key].target, 1), round(infraAfter[key].target, 1));
+    });
+    push('pending_transfers', (before.pending_transfers || []).length, (after.pending_transfers || []).length);
+    return changes;
+}
@@ -0,0 +1,191 @@
+// js/snapshot_acts.js
+
+import {
+    getCurrentState,
+    applyActResult,
+    getCurrentActor,
+    getPermissions,
+    getVibrationPolicy,
+    getInfrastructurePolicy,
+    getStorage,
+    getClock,
+    logToConsole
+} from './core_logic.js';
+import { restoreSnapshot, proposeAct } from './act_logic.js';
+import { checkPermission, PERMISSIONS } from './permissions.js';
+import { requiresProposal, escapeHtml } from './approval.js';
+import { createSnapshot, snapshotIdFor, serializeSnapshot, parseSnapshot, diffStates } from './snapshot.js';
+import { canonicalJSON, sha256Hex } from './audit_ledger.js';
+
+/**
+ * システム状態のスナップショット (snapshot.js) の保存・エクスポート・インポート・差分・復元。
+ * snapshot_view.html と dialogue_acts.js の /snapshot コマンドから呼び出す。
+ * スナップショットの保存・削除・インポートには PERMISSIONS.MANAGE_SNAPSHOTS が必要である。
+ * 復元は RESTORE 作為として act_logic.js の restoreSnapshot で計算し、applyActResult を通じて監査台帳に記録される。
+ * RESTORE は二者承認の対象で、利用者による復元は提案として作成され、別の利用者の承認後に実行される。
+ * 台帳と提案にはスナップショット全体ではなく、そのIDと内容のハッシュ (snapshot_digest)、復元の指定だけを記録する。
+ */
+
+/** 差分の比較対象として現在の状態を指す識別子。 */
+export const CURRENT_STATE_ID = 'current';
+
+/** 作為の検証に渡す追加情報 (作為者と権限設定、Vibration予算ポリシー、インフラポリシー、時計の現在時刻)。 */
+const actContext = (actor) => ({
+    actor,
+    now: getClock().now(),
+    permissions: getPermissions(),
+    vibrationPolicy: getVibrationPolicy(),
+    infrastructurePolicy: getInfrastructurePolicy(),
+});
+
+/** スナップショットの管理権限を検証し、拒否の理由を返します。 */
+function denyManage(actor) {
+    return checkPermission(PERMISSIONS.MANAGE_SNAPSHOTS, { actor, permissions: getPermissions() });
+}
+
+// ====================================================================
+// SNAPSHOT STORE
+// ====================================================================
+
+/** 保存されているスナップショットを作成時刻の昇順で返します。 */
+export async function listSnapshots() {
+    return getStorage().loadSnapshots();
+}
+
+/** IDでスナップショットを返します (存在しない場合は null)。 */
+export async function findSnapshot(id) {
+    return (await listSnapshots()).find(snapshot => snapshot.id === id) || null;
+}
+
+/**
+ * 現在の状態を名前付きのスナップショットとして保存します。
+ * @param {object} params - { name, note }
+ * @param {object} [actor] - 作為者 { userId, role }。省略時は現在の利用者。
+ * @returns {Promise<{snapshot: object}|{error: string}>}
+ */
+export async function saveNamedSnapshot({ name, note = '' } = {}, actor = getCurrentActor()) {
+    const denied = denyManage(actor);
+    if (denied) return reportError(denied);
+    if (!name || !name.trim()) return reportError("スナップショットの名前を指定してください。");
+
+    const now = getClock().now();
+    const existingIds = (await listSnapshots()).map(snapshot => snapshot.id);
+    const snapshot = createSnapshot(getCurrentState(now), {
+        id: snapshotIdFor(now, existingIds),
+        name: name.trim(),
+        note,
+        created_by: actor.userId,
+        now,
+    });
+    try {
+        await getStorage().saveSnapshot(snapshot);
+    } catch (e) {
+        return reportError(`スナップショットの保存に失敗しました: ${e.message}`);
+    }
+    logToConsole(`📸 [SNAPSHOT]: 現在の状態をスナップショット **${escapeHtml(snapshot.name)}** (${snapshot.id}) として保存しました。`, 'system-message');
+    return { snapshot };
+}
+
+/**
+ * スナップショットを削除します。
+ * @param {string} id - スナップショットのID。
+ * @param {object} [actor] - 作為者。
+ * @returns {Promise<string|null>} - 拒否・失敗の理由。削除した場合は null。
+ */
+export async function deleteNamedSnapshot(id, actor = getCurrentActor()) {
+    const denied = denyManage(actor);
+    if (denied) return reportError(denied).error;
+    if (!await findSnapshot(id)) return reportError(`スナップショット ${id} は存在しません。`).error;
+    await getStorage().deleteSnapshot(id);
+    logToConsole(`[SNAPSHOT]: スナップショット ${escapeHtml(id)} を削除しました。`, 'system-message');
+    return null;
+}
+
+/** 失敗を記録し、{ error } を返します (記録では HTML として解釈させない。スナップショットの名前・IDは利用者の入力)。 */
+function reportError(error) {
+    logToConsole(`[ERROR/SNAPSHOT]: ${escapeHtml(error)}`, 'error-message');
+    return { error };
+}
+
+// ====================================================================
+// EXPORT / IMPORT
+// ====================================================================
+
+/**
+ * スナップショットをエクスポート用の JSON 文字列で返します (存在しない場合は null)。
+ * @param {string} id - スナップショットのID。
+ */
+export async function exportSnapshot(id) {
+    const snapshot = await findSnapshot(id);
+    return snapshot ? serializeSnapshot(snapshot) : null;
+}
+
+/**
+ * エクスポートされた JSON を検証し、スナップショットとして保存します。
+ * 同じIDのスナップショットが既に存在する場合は取り込まない。
+ * @param {string} text - JSON 文字列。
+ * @param {object} [actor] - 作為者。
+ * @returns {Promise<{snapshot: object}|{error: string}>}
+ */
+export async function importSnapshot(text, actor = getCurrentActor()) {
+    const denied = denyManage(actor);
+    if (denied) return reportError(denied);
+
+    const parsed = parseSnapshot(text);
+    if (parsed.error) return reportError(`インポートできません: ${parsed.error}`);
+    const { snapshot } = parsed;
+    if (await findSnapshot(snapshot.id)) return reportError(`同じIDのスナップショット ${snapshot.id} が既に存在します。`);
+
+    await getStorage().saveSnapshot(snapshot);
+    logToConsole(`[SNAPSHOT]: スナップショット **${escapeHtml(snapshot.name || snapshot.id)}** (${escapeHtml(snapshot.id)}) をインポートしました。`, 'system-message');
+    return { snapshot };
+}
+
+// ====================================================================
+// DIFF / RESTORE
+// ====================================================================
+
+/**
+ * 2つのスナップショット (または CURRENT_STATE_ID で現在の状態) の差分を返します。
+ * @param {string} fromId - 比較元。
+ * @param {string} toId - 比較先。
+ * @returns {Promise<{changes: Array<object>}|{error: string}>}
+ */
+export async function diffSnapshots(fromId, toId) {
+    const snapshots = await listSnapshots();
+    const stateOf = (id) => (id === CURRENT_STATE_ID
+        ? getCurrentState()
+        : (snapshots.find(snapshot => snapshot.id === id) || {}).state);
+    const from = stateOf(fromId);
+    const to = stateOf(toId);
+    if (!from) return { error: `スナップショット ${fromId} は存在しません。` };
+    if (!to) return { error: `スナップショット ${toId} は存在しません。` };
+    return { changes: diffStates(from, to) };
+}
+
+/**
+ * RESTORE 作為の検証に必要な { snapshot, snapshotDigest } を読み込みます
+ * (提案時と承認時に呼び出し、act_logic.js の restoreSnapshot に context として渡す)。
+ * @param {string} id - スナップショットのID。
+ */
+export async function restoreContext(id) {
+    const snapshot = await findSnapshot(id);
+    return { snapshot, snapshotDigest: snapshot ? await sha256Hex(canonicalJSON(snapshot)) : null };
+}
+
+/**
+ * スナップショットの状態に復元する作為 (RESTORE)。強制停止中は force を指定した場合のみ実行できる。
+ * 承認を免除されたシステムの作為者の場合は即時実行し、それ以外は提案を作成する (承認は audit_acts.js の actApproveProposal)。
+ * @param {string} id - スナップショットのID。
+ * @param {object} [options] - { force, reason } (reason は提案の理由)
+ * @param {object} [actor] - 作為者 { userId, role }。省略時は現在の利用者。
+ */
+export async function actRestoreSnapshot(id, { force = false, reason } = {}, actor = getCurrentActor()) {
+    const context = { ...actContext(actor), ...await restoreContext(id) };
+    const params = { snapshot_id: id, snapshot_digest: context.snapshotDigest, force };
+    if (requiresProposal('RESTORE', actor)) {
+        const proposalParams = { actType: 'RESTORE', params, reason };
+        return applyActResult(proposeAct(proposalParams, getCurrentState(), context), proposalParams, actor);
+    }
+    return applyActResult(restoreSnapshot({ ...params, reason }, getCurrentState(), context), { ...params, reason }, actor);
+}
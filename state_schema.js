@@ -0,0 +1,274 @@
+// js/state_schema.js
+
+import { migrateCurrencyState, getCurrencyCodes, BALANCE_UNIT } from './currency_registry.js';
+import { BREAKER_STATUS, initialBreakerState } from './circuit_breaker.js';
+import { initialInfrastructureState, getInfrastructure } from './infrastructure.js';
+import { PROPOSAL_STATUS } from './approval.js';
+
+/**
+ * 状態ドキュメント (system_state/MSGAI-Z) のスキーマとバージョン移行。
+ * DOM やバックエンドに依存しない純粋なモジュールで、core_logic.js が読み込み時 (mergeLoadedState) と
+ * 保存前 (saveSystemState) に参照する。
+ *
+ * 状態ドキュメントは schema_version を持つ。schema_version を持たない旧ドキュメントはバージョン 0 として扱い、
+ * STATE_MIGRATIONS を順に適用して STATE_SCHEMA_VERSION まで移行する。
+ * 状態にフィールドを追加する場合は、STATE_SCHEMA に定義を追加し、既存のドキュメントに値を補う移行を
+ * STATE_MIGRATIONS の末尾に追加して STATE_SCHEMA_VERSION を加算する。
+ *
+ * スキーマの各キーは次の形式の定義を持つ:
+ * { type: 'boolean' | 'number' | 'integer' | 'string' | 'object' | 'array' | 'record',
+ *   required?, nullable?, min?, enum?, fields? (object), items? (array), values? (record) }
+ * record はキーが任意の文字列 (通貨コードなど) で、値がすべて values の定義に従うオブジェクトである。
+ * スキーマに定義されていないキーは検証しない。
+ */
+
+/** 現在の状態ドキュメントのスキーマバージョン。 */
+export const STATE_SCHEMA_VERSION = 3;
+
+// ====================================================================
+// SCHEMA
+// ====================================================================
+
+/** インフラ種別ごとの供給レベル (infrastructure.js)。 */
+const INFRA_CHANNEL_SCHEMA = {
+    type: 'object',
+    required: true,
+    fields: {
+        value: { type: 'number', required: true, min: 0 },
+        target: { type: 'number', required: true, min: 0 },
+        last_change: { type: 'number', required: true },
+        outage: {
+            type: 'object',
+            nullable: true,
+            fields: {
+                level: { type: 'number', required: true, min: 0 },
+                until: { type: 'number', required: true },
+            },
+        },
+    },
+};
+
+/** 状態ドキュメントのスキーマ。 */
+export const STATE_SCHEMA = {
+    schema_version: { type: 'integer', required: true, min: 0 },
+    revision: { type: 'integer', min: 0 },
+    isHalted: { type: 'boolean', required: true },
+    vibration_level: {
+        type: 'object',
+        required: true,
+        fields: {
+            value: { type: 'number', required: true, min: 0 },
+            last_decay: { type: 'number', required: true },
+        },
+    },
+    currencies: {
+        type: 'array',
+        required: true,
+        items: {
+            type: 'object',
+            fields: {
+                code: { type: 'string', required: true },
+                decimals: { type: 'integer', required: true, min: 0 },
+                initial_rate: { type: 'number', min: 0 },
+                supply_cap: { type: 'number', nullable: true, min: 0 },
+            },
+        },
+    },
+    currency_rates: { type: 'record', required: true, values: { type: 'number', min: 0 } },
+    balance_unit: { type: 'string', required: true, enum: [BALANCE_UNIT] },
+    rate_corrections: { type: 'record', values: { type: 'number', min: 0 } },
+    rate_history: { type: 'array', items: { type: 'object' } },
+    recent_mints: { type: 'array', items: { type: 'object' } },
+    proposals: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                id: { type: 'string', required: true },
+                actType: { type: 'string', required: true },
+                status: { type: 'string', required: true, enum: Object.values(PROPOSAL_STATUS) },
+                expires_at: { type: 'number', required: true },
+            },
+        },
+    },
+    proposal_seq: { type: 'integer', min: 0 },
+    circuit_breaker: {
+        type: 'object',
+        fields: {
+            status: { type: 'string', required: true, enum: Object.values(BREAKER_STATUS) },
+            since: { type: 'number', required: true },
+            history: { type: 'array' },
+        },
+    },
+    infrastructure: {
+        type: 'object',
+        fields: {
+            energy_supply: INFRA_CHANNEL_SCHEMA,
+            net_stability: INFRA_CHANNEL_SCHEMA,
+            events: { type: 'array', required: true },
+        },
+    },
+    pending_transfers: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                id: { type: 'string', required: true },
+                from: { type: 'string', required: true },
+                to: { type: 'string', required: true },
+                currency: { type: 'string', required: true },
+                amountMinor: { type: 'integer', required: true, min: 0 },
+                settle_at: { type: 'number', required: true },
+            },
+        },
+    },
+    pending_transfer_seq: { type: 'integer', min: 0 },
+    accounts: {
+        type: 'array',
+        required: true,
+        items: {
+            type: 'object',
+            fields: {
+                id: { type: 'string', required: true },
+                name: { type: 'string' },
+                balances: { type: 'record', required: true, values: { type: 'integer' } },
+            },
+        },
+    },
+};
+
+// ====================================================================
+// VALIDATION
+// ====================================================================
+
+/** 値が定義の型に一致するか判定します。 */
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object':
+        case 'record': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+/** 値を定義に従って検証し、エラーを errors に追加します。 */
+function checkValue(value, schema, path, errors) {
+    if (value === null && schema.nullable) return;
+    if (!matchesType(value, schema.type)) {
+        errors.push(`${path}: ${schema.type} である必要があります (${JSON.stringify(value) ?? 'undefined'})。`);
+        return;
+    }
+    if (schema.min !== undefined && value < schema.min) errors.push(`${path}: ${schema.min} 以上である必要があります (${value})。`);
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: ${schema.enum.join(' / ')} のいずれかである必要があります (${value})。`);
+
+    if (schema.fields) checkFields(value, schema.fields, path, errors);
+    if (schema.items) value.forEach((item, index) => checkValue(item, schema.items, `${path}[${index}]`, errors));
+    if (schema.values) Object.entries(value).forEach(([key, item]) => checkValue(item, schema.values, `${path}.${key}`, errors));
+}
+
+/** オブジェクトの各フィールドを検証します (prefix が空の場合はトップレベル)。 */
+function checkFields(object, fields, prefix, errors) {
+    Object.entries(fields).forEach(([key, schema]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (object[key] === undefined) {
+            if (schema.required) errors.push(`${path}: 必須のフィールドがありません。`);
+            return;
+        }
+        checkValue(object[key], schema, path, errors);
+    });
+}
+
+/**
+ * 状態ドキュメントをスキーマに従って検証します。
+ * 型の検証に加え、アカウントIDの重複、未登録の通貨の残高、レートのない通貨を検出する。
+ * @param {object} state - 状態ドキュメント全体。
+ * @returns {Array<string>} - エラー ("accounts[1].balances.ALPHA: integer である必要があります (1.5)。" など)。空の場合は有効。
+ */
+export function validateState(state) {
+    if (!matchesType(state, 'object')) return ["状態ドキュメントはオブジェクトである必要があります。"];
+    const errors = [];
+    checkFields(state, STATE_SCHEMA, '', errors);
+    if (errors.length > 0) return errors;
+
+    const codes = new Set(getCurrencyCodes(state));
+    const seenIds = new Set();
+    state.accounts.forEach((acc, index) => {
+        if (seenIds.has(acc.id)) errors.push(`accounts[${index}].id: アカウントID ${acc.id} が重複しています。`);
+        seenIds.add(acc.id);
+        Object.keys(acc.balances).filter(code => !codes.has(code))
+            .forEach(code => errors.push(`accounts[${index}].balances.${code}: 未登録の通貨の残高です。`));
+    });
+    [...codes].filter(code => state.currency_rates[code] === undefined)
+        .forEach(code => errors.push(`currency_rates.${code}: 登録済みの通貨のレートがありません。`));
+    return errors;
+}
+
+// ====================================================================
+// MIGRATIONS
+// ====================================================================
+
+/** state に存在しないキーだけを defaults から返します。 */
+function missingFields(state, defaults) {
+    return Object.fromEntries(Object.entries(defaults).filter(([key]) => state[key] === undefined));
+}
+
+/**
+ * バージョン移行の連鎖。version はその移行を適用した後のスキーマバージョンである。
+ * migrate(state, now) は保存すべき部分状態を返す (変更がない場合は空のオブジェクト)。
+ */
+export const STATE_MIGRATIONS = [
+    {
+        version: 1,
+        description: "通貨レジストリ形式 (balances・最小単位の整数) に移行",
+        migrate: (state) => migrateCurrencyState(state) || {},
+    },
+    {
+        version: 2,
+        description: "レート算出・二者承認・サーキットブレーカーのフィールドを追加",
+        migrate: (state, now) => missingFields(state, {
+            rate_corrections: {},
+            rate_history: [],
+            recent_mints: [],
+            proposals: [],
+            proposal_seq: 0,
+            circuit_breaker: initialBreakerState(now),
+        }),
+    },
+    {
+        version: 3,
+        description: "インフラの目標レベル・障害と遅延送金のフィールドを追加",
+        migrate: (state, now) => {
+            // 旧形式 ({ value, last_change }) のインフラは目標と障害を補った形式にする
+            const infrastructure = state.infrastructure ? getInfrastructure(state) : initialInfrastructureState(now);
+            const infraDelta = JSON.stringify(infrastructure) === JSON.stringify(state.infrastructure) ? {} : { infrastructure };
+            return { ...infraDelta, ...missingFields(state, { pending_transfers: [], pending_transfer_seq: 0 }) };
+        },
+    },
+];
+
+/**
+ * 状態ドキュメントを現在のスキーマバージョンまで移行します。
+ * @param {object} state - 読み込んだ状態ドキュメント。
+ * @param {number} now - 移行時刻 (追加するフィールドの起点)。
+ * @returns {{delta: object|null, applied: Array<string>}|{error: string}}
+ *          delta は保存すべき部分状態 (schema_version を含む)。移行が不要な場合は null。
+ *          ドキュメントがこのクライアントより新しいバージョンの場合は error。
+ */
+export function migrateState(state, now) {
+    const from = state.schema_version ?? 0;
+    if (!Number.isInteger(from) || from < 0) return { error: `schema_version が不正です (${JSON.stringify(from)})。` };
+    if (from > STATE_SCHEMA_VERSION) {
+        return { error: `状態ドキュメントのスキーマバージョン ${from} はこのクライアント (${STATE_SCHEMA_VERSION}) より新しいため読み込めません。ページを更新してください。` };
+    }
+    if (from === STATE_SCHEMA_VERSION) return { delta: null, applied: [] };
+
+    let delta = {};
+    const applied = [];
+    STATE_MIGRATIONS.filter(migration => migration.version > from).forEach(migration => {
+        delta = { ...delta, ...migration.migrate({ ...state, ...delta }, now) };
+        applied.push(`v${migration.version}: ${migration.description}`);
+    });
+    return { delta: { ...delta, schema_version: STATE_SCHEMA_VERSION }, applied };
+}
@@ -0,0 +1,559 @@
+// js/storage_adapters.js
+
+/**
+ * 永続化バックエンド (Storage Adapter) の定義。
+ * core_logic.js や各ページはこのインターフェースのみを通じて状態と設定ドキュメントを読み書きする。
+ *
+ * インターフェース:
+ * {
+ *   name: string,
+ *   local: boolean,                                        // 保存先を共有するのが同じブラウザ・プロセスの利用者のみか (memory / localStorage)
+ *   authenticate(): Promise<string>,                       // クライアントの userId を返す
+ *   loadState(): Promise<object|null>,                     // system_state/{appId}
+ *   saveState(partial, { expectedRevision }): Promise<number>, // トップレベルのキー単位で部分更新し、新しい revision を返す
+ *   setState(fullState): Promise<void>,                    // 状態ドキュメント全体を書き込み
+ *   subscribeState(callback, onError): function,           // callback(data|null)。戻り値は購読解除関数
+ *   loadConfig(name): Promise<object|null>,                // system_config/{name}
+ *   saveConfig(name, data): Promise<void>,
+ *   createConfig(name, data): Promise<boolean>,            // 存在しない場合のみ作成し、作成した場合 true (同時に作成しても一方のみ成功する)
+ *   updateConfig(name, update): Promise<boolean>,          // update(current|null) の戻り値で置き換える (null なら書き込まない)。
+ *                                                          // 読み込みと書き込みの間に他のクライアントは書き込めない。書き込んだ場合 true
+ *   subscribeConfig(name, callback, onError): function,
+ *   appendLedgerEntry(entry): Promise<object>,             // audit_ledger/{appId}。ハッシュ連鎖で封印して追記 (追記のみ)
+ *   commitAct(partial, { expectedRevision }, entry): Promise<{revision, entry}>,
+ *                                                          // 作為による状態の部分更新と台帳の追記を1つの単位で書き込む (一方のみが書き込まれることはない)
+ *   loadLedger(): Promise<Array<object>>,                  // seq 昇順の全エントリ
+ *   subscribeLedger(callback, onError): function,          // callback(entries)
+ *   saveSnapshot(snapshot): Promise<void>,                 // system_snapshots/{appId}。snapshot.id が同じものは置き換える
+ *   loadSnapshots(): Promise<Array<object>>,               // created_at 昇順の全スナップショット (snapshot.js)
+ *   deleteSnapshot(id): Promise<void>,
+ *   subscribeSnapshots(callback, onError): function,       // callback(snapshots)
+ * }
+ *
+ * 購読は Firestore の onSnapshot と同様に、登録直後に現在値で一度呼び出される。
+ *
+ * 状態ドキュメントは revision (改訂番号) を持ち、saveState のたびに1加算される。
+ * expectedRevision が指定され、保存済みの revision と一致しない場合は StaleRevisionError で書き込みを拒否する
+ * (古い状態に基づく書き込みで他のクライアントの変更を上書きしないための楽観的排他制御)。
+ *
+ * 台帳は audit_ledger/{appId} を先頭 (最後のエントリの seq と hash) として、エントリを1件1ドキュメント
+ * (audit_ledger/{appId}/entries/{seq}) で保存する。追記のたびに台帳全体を書き直さないため、書き込み量はエントリ数に依存しない。
+ */
+
+import { sealLedgerEntry } from './audit_ledger.js';
+
+const STATE_COLLECTION = 'system_state';
+const CONFIG_COLLECTION = 'system_config';
+const LEDGER_COLLECTION = 'audit_ledger';
+const SNAPSHOT_COLLECTION = 'system_snapshots';
+
+/** 台帳エントリのドキュメントID (seq の昇順に並ぶよう0埋めする)。 */
+const ledgerEntryId = (seq) => String(seq).padStart(10, '0');
+
+/** スナップショットを作成時刻の昇順に並べます。 */
+const byCreatedAt = (a, b) => a.created_at - b.created_at;
+
+/** Firestore 実装の既定設定 (DUMMY CONFIG FOR SIMULATION - Replace with actual config) */
+export const DEFAULT_FIREBASE_CONFIG = {
+    apiKey: "AIzaSyDUMMYKEY",
+    authDomain: "msgai-z.firebaseapp.com",
+    projectId: "msgai-z",
+    storageBucket: "msgai-z.appspot.com",
+    messagingSenderId: "123456789012",
+    appId: "1:123456789012:web:abcdef1234567890"
+};
+
+const FIREBASE_SDK_BASE = "https://www.gstatic.com/firebasejs/10.12.2";
+
+/** 状態ドキュメントが expectedRevision 以降に他のクライアントによって更新されていたことを示すエラー。 */
+export class StaleRevisionError extends Error {
+    constructor(expectedRevision, actualRevision) {
+        super(`状態の改訂番号が一致しません (期待値 ${expectedRevision}, 実際 ${actualRevision})。`);
+        this.name = 'StaleRevisionError';
+        this.expectedRevision = expectedRevision;
+        this.actualRevision = actualRevision;
+    }
+}
+
+/**
+ * revision を検証し、部分更新後のドキュメントを返します。
+ * @throws {StaleRevisionError}
+ */
+function applyRevisionedUpdate(current, partial, expectedRevision) {
+    const currentRevision = current.revision || 0;
+    if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+        throw new StaleRevisionError(expectedRevision, currentRevision);
+    }
+    return { ...current, ...partial, revision: currentRevision + 1 };
+}
+
+function cloneData(data) {
+    return data === null || data === undefined ? null : structuredClone(data);
+}
+
+/**
+ * undefined の値を取り除いた複製を返します (Firestore は undefined を含むドキュメントの書き込みを拒否するため)。
+ * オブジェクトのキーは削除し、配列の要素は null に置き換える (canonicalJSON と同じ扱い)。
+ */
+function stripUndefined(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => item === undefined ? null : stripUndefined(item));
+    }
+    if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([, item]) => item !== undefined)
+            .map(([key, item]) => [key, stripUndefined(item)]));
+    }
+    return value;
+}
+
+/** 台帳の末尾が他のクライアントに更新され続けた場合に、封印をやり直す最大回数。 */
+const LEDGER_APPEND_MAX_ATTEMPTS = 8;
+/** 封印をやり直す前に待つ時間の上限 (ミリ秒、試行ごとに増やす)。同時に追記するタブ同士が交互に負け続けないようにする。 */
+const LEDGER_APPEND_BACKOFF_MS = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function generateClientId() {
+    return Math.random().toString(36).substring(2, 10).padEnd(8, '0');
+}
+
+// ====================================================================
+// DOCUMENT STORE (ドキュメント単位の共通実装)
+// ====================================================================
+
+/**
+ * パス ("system_state/MSGAI-Z" など) をキーとするドキュメントストアから Storage Adapter を組み立てます。
+ * @param {string} name - アダプタ名。
+ * @param {object} store - { read(path), write(path, data), remove(path), subscribe(path, callback), withLock?(path, fn) }
+ *   withLock は他のタブ・プロセスと共有するストアで、fn の実行中の排他を保証する (任意)。
+ * @param {function} authenticate - userId を返す関数。
+ * @param {string} appId - 状態ドキュメントのID。
+ */
+function buildAdapter(name, store, authenticate, appId) {
+    const statePath = `${STATE_COLLECTION}/${appId}`;
+    const configPath = (configName) => `${CONFIG_COLLECTION}/${configName}`;
+    const ledgerPath = `${LEDGER_COLLECTION}/${appId}`;
+    const ledgerEntryPath = (seq) => `${ledgerPath}/entries/${ledgerEntryId(seq)}`;
+    // 台帳の先頭 { last_entry: { seq, hash } } (エントリが無い場合は null)
+    const ledgerTail = () => store.read(ledgerPath)?.last_entry || null;
+    const readLedger = () => {
+        const tail = ledgerTail();
+        if (!tail) return [];
+        return Array.from({ length: tail.seq + 1 }, (_, seq) => store.read(ledgerEntryPath(seq))).filter(Boolean);
+    };
+    const snapshotsPath = `${SNAPSHOT_COLLECTION}/${appId}`;
+    const readSnapshots = () => (store.read(snapshotsPath) || { items: [] }).items;
+    // ハッシュ計算は非同期のため、追記を直列化して連鎖の分岐を防ぐ (同一タブ内)
+    let appendQueue = Promise.resolve();
+
+    /** 複数のドキュメントを順に書き込みます。途中で失敗した場合 (容量超過など) は書き込み済みのドキュメントを元に戻す。 */
+    const writeAll = (writes) => {
+        const written = [];
+        try {
+            for (const [path, data] of writes) {
+                const before = store.read(path);
+                store.write(path, data);
+                written.push([path, before]);
+            }
+        } catch (e) {
+            written.reverse().forEach(([path, before]) => before === null ? store.remove(path) : store.write(path, before));
+            throw e;
+        }
+    };
+
+    /**
+     * エントリを台帳の末尾に封印して追記します。
+     * prepare は封印後に呼び出され、エントリと同時に書き込む [path, data] の配列を返す (commitAct の状態ドキュメント)。
+     * エントリ・prepare のドキュメント・台帳の先頭の順に書き込み、いずれかが失敗した場合はすべて取り消す。
+     */
+    const appendToLedger = (entry, prepare = () => []) => {
+        const append = async () => {
+            for (let attempt = 0; attempt < LEDGER_APPEND_MAX_ATTEMPTS; attempt++) {
+                if (attempt > 0) await sleep(Math.random() * LEDGER_APPEND_BACKOFF_MS * attempt);
+                const previous = ledgerTail();
+                const sealed = await sealLedgerEntry(cloneData(entry), previous);
+                // 比較交換: ハッシュ計算中に他のタブが追記していれば、新しい末尾から封印し直す
+                if ((ledgerTail()?.hash ?? null) !== (previous?.hash ?? null)) continue;
+                writeAll([
+                    [ledgerEntryPath(sealed.seq), sealed],
+                    ...prepare(),
+                    [ledgerPath, { last_entry: { seq: sealed.seq, hash: sealed.hash } }],
+                ]);
+                return cloneData(sealed);
+            }
+            throw new Error(`台帳の末尾が他のクライアントにより更新され続けたため、追記できませんでした (${LEDGER_APPEND_MAX_ATTEMPTS} 回試行)。`);
+        };
+        // 他のタブとの排他 (store.withLock) が利用できる場合は、その内側で比較交換を行う
+        const appendExclusively = () => store.withLock ? store.withLock(ledgerPath, append) : append();
+        const result = appendQueue.then(appendExclusively);
+        appendQueue = result.catch(() => {});
+        return result;
+    };
+
+    const subscribe = (path, callback, onError) => store.subscribe(path, (data) => {
+        try {
+            callback(cloneData(data));
+        } catch (e) {
+            if (onError) onError(e); else console.error("Storage Subscriber Error:", e);
+        }
+    });
+
+    return {
+        name,
+        local: true,
+        authenticate,
+        async loadState() {
+            return cloneData(store.read(statePath));
+        },
+        async saveState(partial, { expectedRevision } = {}) {
+            const current = store.read(statePath);
+            if (!current) throw new Error(`ドキュメント ${statePath} が存在しません。`);
+            const updated = applyRevisionedUpdate(current, cloneData(partial), expectedRevision);
+            store.write(statePath, updated);
+            return updated.revision;
+        },
+        async setState(fullState) {
+            store.write(statePath, cloneData(fullState));
+        },
+        subscribeState(callback, onError) {
+            return subscribe(statePath, callback, onError);
+        },
+        async loadConfig(configName) {
+            return cloneData(store.read(configPath(configName)));
+        },
+        async saveConfig(configName, data) {
+            store.write(configPath(configName), cloneData(data));
+        },
+        async createConfig(configName, data) {
+            const create = async () => {
+                if (store.read(configPath(configName)) !== null) return false;
+                store.write(configPath(configName), cloneData(data));
+                return true;
+            };
+            return store.withLock ? store.withLock(configPath(configName), create) : create();
+        },
+        async updateConfig(configName, update) {
+            const replace = async () => {
+                const next = update(cloneData(store.read(configPath(configName))));
+                if (next === null || next === undefined) return false;
+                store.write(configPath(configName), cloneData(next));
+                return true;
+            };
+            return store.withLock ? store.withLock(configPath(configName), replace) : replace();
+        },
+        subscribeConfig(configName, callback, onError) {
+            return subscribe(configPath(configName), callback, onError);
+        },
+        appendLedgerEntry(entry) {
+            return appendToLedger(entry);
+        },
+        async commitAct(partial, { expectedRevision } = {}, entry) {
+            let revision;
+            const sealed = await appendToLedger(entry, () => {
+                // 封印の後 (書き込みの直前) に revision を検証する。競合時は何も書き込まずに StaleRevisionError となる
+                const current = store.read(statePath);
+                if (!current) throw new Error(`ドキュメント ${statePath} が存在しません。`);
+                const updated = applyRevisionedUpdate(current, cloneData(partial), expectedRevision);
+                revision = updated.revision;
+                return [[statePath, updated]];
+            });
+            return { revision, entry: sealed };
+        },
+        async loadLedger() {
+            return cloneData(readLedger());
+        },
+        subscribeLedger(callback, onError) {
+            return subscribe(ledgerPath, () => callback(cloneData(readLedger())), onError);
+        },
+        async saveSnapshot(snapshot) {
+            const items = readSnapshots().filter(item => item.id !== snapshot.id);
+            store.write(snapshotsPath, { items: [...items, cloneData(snapshot)].sort(byCreatedAt) });
+        },
+        async loadSnapshots() {
+            return cloneData(readSnapshots());
+        },
+        async deleteSnapshot(id) {
+            store.write(snapshotsPath, { items: readSnapshots().filter(item => item.id !== id) });
+        },
+        subscribeSnapshots(callback, onError) {
+            return subscribe(snapshotsPath, (data) => callback(data ? data.items : []), onError);
+        },
+    };
+}
+
+// ====================================================================
+// IN-MEMORY ADAPTER (Node テスト・デモ用)
+// ====================================================================
+
+/**
+ * プロセス内メモリにのみ保存する Storage Adapter を生成します。
+ * @param {object} [options]
+ * @param {string} [options.appId] - 状態ドキュメントのID。
+ * @param {object} [options.initialDocs] - 初期ドキュメント ({ "system_state/MSGAI-Z": {...} })。
+ * @param {string} [options.userId] - authenticate が返す userId。
+ */
+export function createMemoryStorage({ appId = 'MSGAI-Z', initialDocs = {}, userId = generateClientId() } = {}) {
+    const docs = new Map(Object.entries(initialDocs).map(([path, data]) => [path, cloneData(data)]));
+    const listeners = new Map();
+
+    const store = {
+        read: (path) => docs.get(path) ?? null,
+        write(path, data) {
+            docs.set(path, data);
+            (listeners.get(path) || []).forEach(fn => fn(data));
+        },
+        remove(path) {
+            docs.delete(path);
+            (listeners.get(path) || []).forEach(fn => fn(null));
+        },
+        subscribe(path, callback) {
+            if (!listeners.has(path)) listeners.set(path, new Set());
+            listeners.get(path).add(callback);
+            callback(docs.get(path) ?? null);
+            return () => listeners.get(path).delete(callback);
+        },
+    };
+
+    return buildAdapter('memory', store, async () => userId, appId);
+}
+
+// ====================================================================
+// LOCALSTORAGE ADAPTER (オフライン・ブラウザ用)
+// ====================================================================
+
+/**
+ * localStorage に保存する Storage Adapter を生成します。
+ * 同一タブ内の書き込みは直接通知し、他タブの書き込みは storage イベントで受け取る。
+ * 台帳の追記は Web Locks API (navigator.locks) が利用できる場合、タブ間で排他される。
+ * @param {object} [options]
+ * @param {string} [options.appId] - 状態ドキュメントのID。
+ * @param {Storage} [options.storage] - Web Storage 互換オブジェクト (既定は globalThis.localStorage)。
+ * @param {string} [options.prefix] - キーの接頭辞。
+ */
+export function createLocalStorageStorage({ appId = 'MSGAI-Z', storage = globalThis.localStorage, prefix = 'msgai-z' } = {}) {
+    if (!storage) throw new Error("localStorage が利用できません。");
+
+    const keyOf = (path) => `${prefix}/${path}`;
+    const listeners = new Map();
+    const locks = globalThis.navigator?.locks;
+
+    const read = (path) => {
+        const raw = storage.getItem(keyOf(path));
+        return raw === null ? null : JSON.parse(raw);
+    };
+    const notify = (path, data) => (listeners.get(path) || []).forEach(fn => fn(data));
+
+    // 他タブからの書き込みを購読者へ転送
+    if (typeof globalThis.addEventListener === 'function') {
+        globalThis.addEventListener('storage', (event) => {
+            if (!event.key || !event.key.startsWith(`${prefix}/`)) return;
+            const path = event.key.substring(prefix.length + 1);
+            notify(path, event.newValue === null ? null : JSON.parse(event.newValue));
+        });
+    }
+
+    const store = {
+        read,
+        write(path, data) {
+            storage.setItem(keyOf(path), JSON.stringify(data));
+            notify(path, data);
+        },
+        remove(path) {
+            storage.removeItem(keyOf(path));
+            notify(path, null);
+        },
+        subscribe(path, callback) {
+            if (!listeners.has(path)) listeners.set(path, new Set());
+            listeners.get(path).add(callback);
+            callback(read(path));
+            return () => listeners.get(path).delete(callback);
+        },
+        withLock: locks ? (path, fn) => locks.request(keyOf(path), fn) : undefined,
+    };
+
+    const authenticate = async () => {
+        const clientKey = `${prefix}/client_id`;
+        let clientId = storage.getItem(clientKey);
+        if (!clientId) {
+            clientId = generateClientId();
+            storage.setItem(clientKey, clientId);
+        }
+        return clientId;
+    };
+
+    return buildAdapter('localStorage', store, authenticate, appId);
+}
+
+// ====================================================================
+// FIRESTORE ADAPTER (任意)
+// ====================================================================
+
+/**
+ * Firebase Firestore に保存する Storage Adapter を生成します。
+ * Firebase SDK は authenticate() の初回呼び出し時に動的に読み込まれるため、
+ * このアダプタを使用しない環境 (Node テスト等) では SDK は不要である。
+ * @param {object} [options]
+ * @param {string} [options.appId] - 状態ドキュメントのID。
+ * @param {object} [options.firebaseConfig] - Firebase の設定。
+ */
+export function createFirestoreStorage({ appId = 'MSGAI-Z', firebaseConfig = DEFAULT_FIREBASE_CONFIG } = {}) {
+    let db, fs;
+
+    const requireDb = () => {
+        if (!db) throw new Error("Firestore は未初期化です。先に authenticate() を呼び出してください。");
+        return db;
+    };
+    const refOf = (path) => fs.doc(requireDb(), ...path.split('/'));
+    const statePath = `${STATE_COLLECTION}/${appId}`;
+    const configPath = (configName) => `${CONFIG_COLLECTION}/${configName}`;
+    // 台帳は audit_ledger/{appId} を先頭 (最後のエントリ) として、entries サブコレクションに1作為1ドキュメントで追記する
+    const ledgerHeadPath = `${LEDGER_COLLECTION}/${appId}`;
+    const ledgerEntryPath = (seq) => `${ledgerHeadPath}/entries/${ledgerEntryId(seq)}`;
+    const ledgerQuery = () => fs.query(fs.collection(requireDb(), LEDGER_COLLECTION, appId, 'entries'), fs.orderBy('seq'));
+    // スナップショットは system_snapshots/{appId}/items サブコレクションに1件1ドキュメントで保存する
+    const snapshotPath = (id) => `${SNAPSHOT_COLLECTION}/${appId}/items/${id}`;
+    const snapshotQuery = () => fs.query(fs.collection(requireDb(), SNAPSHOT_COLLECTION, appId, 'items'), fs.orderBy('created_at'));
+
+    const subscribe = (path, callback, onError) => fs.onSnapshot(refOf(path), (docSnap) => {
+        callback(docSnap.exists() ? docSnap.data() : null);
+    }, (error) => {
+        if (onError) onError(error); else console.error("Firestore Listen Error:", error);
+    });
+
+    return {
+        name: 'firestore',
+        local: false,
+        async authenticate() {
+            const [appSdk, authSdk, firestoreSdk] = await Promise.all([
+                import(`${FIREBASE_SDK_BASE}/firebase-app.js`),
+                import(`${FIREBASE_SDK_BASE}/firebase-auth.js`),
+                import(`${FIREBASE_SDK_BASE}/firebase-firestore.js`),
+            ]);
+            fs = firestoreSdk;
+            const app = appSdk.initializeApp(firebaseConfig);
+            db = fs.getFirestore(app);
+            const credential = await authSdk.signInAnonymously(authSdk.getAuth(app));
+            return credential.user.uid;
+        },
+        async loadState() {
+            const docSnap = await fs.getDoc(refOf(statePath));
+            return docSnap.exists() ? docSnap.data() : null;
+        },
+        async saveState(partial, { expectedRevision } = {}) {
+            // revision の検証と書き込みを1つのトランザクションで行う
+            return fs.runTransaction(requireDb(), async (tx) => {
+                const docSnap = await tx.get(refOf(statePath));
+                if (!docSnap.exists()) throw new Error(`ドキュメント ${statePath} が存在しません。`);
+                const { revision } = applyRevisionedUpdate(docSnap.data(), partial, expectedRevision);
+                tx.update(refOf(statePath), stripUndefined({ ...partial, revision }));
+                return revision;
+            });
+        },
+        async setState(fullState) {
+            await fs.setDoc(refOf(statePath), stripUndefined(fullState));
+        },
+        subscribeState(callback, onError) {
+            return subscribe(statePath, callback, onError);
+        },
+        async loadConfig(configName) {
+            const docSnap = await fs.getDoc(refOf(configPath(configName)));
+            return docSnap.exists() ? docSnap.data() : null;
+        },
+        async saveConfig(configName, data) {
+            await fs.setDoc(refOf(configPath(configName)), stripUndefined(data));
+        },
+        async createConfig(configName, data) {
+            // 存在の確認と作成を1つのトランザクションで行い、同時に作成したクライアントの一方のみを成功させる
+            return fs.runTransaction(requireDb(), async (tx) => {
+                const docSnap = await tx.get(refOf(configPath(configName)));
+                if (docSnap.exists()) return false;
+                tx.set(refOf(configPath(configName)), stripUndefined(data));
+                return true;
+            });
+        },
+        async updateConfig(configName, update) {
+            return fs.runTransaction(requireDb(), async (tx) => {
+                const docSnap = await tx.get(refOf(configPath(configName)));
+                const next = update(docSnap.exists() ? docSnap.data() : null);
+                if (next === null || next === undefined) return false;
+                tx.set(refOf(configPath(configName)), stripUndefined(next));
+                return true;
+            });
+        },
+        subscribeConfig(configName, callback, onError) {
+            return subscribe(configPath(configName), callback, onError);
+        },
+        async appendLedgerEntry(entry) {
+            // トランザクションで直前のエントリを確定させ、複数クライアントの同時追記でも連鎖が分岐しないようにする
+            return fs.runTransaction(requireDb(), async (tx) => {
+                const headSnap = await tx.get(refOf(ledgerHeadPath));
+                const previous = headSnap.exists() ? headSnap.data().last_entry : null;
+                // ハッシュは undefined のキーを含めずに計算されるため、取り除いてから封印しても検証結果は変わらない
+                const sealed = await sealLedgerEntry(stripUndefined(entry), previous);
+                tx.set(refOf(ledgerEntryPath(sealed.seq)), sealed);
+                tx.set(refOf(ledgerHeadPath), { last_entry: { seq: sealed.seq, hash: sealed.hash } });
+                return sealed;
+            });
+        },
+        async commitAct(partial, { expectedRevision } = {}, entry) {
+            // 状態の revision の検証・台帳の追記・状態の更新を1つのトランザクションで行う
+            return fs.runTransaction(requireDb(), async (tx) => {
+                const stateSnap = await tx.get(refOf(statePath));
+                const headSnap = await tx.get(refOf(ledgerHeadPath));
+                if (!stateSnap.exists()) throw new Error(`ドキュメント ${statePath} が存在しません。`);
+                const { revision } = applyRevisionedUpdate(stateSnap.data(), partial, expectedRevision);
+                const previous = headSnap.exists() ? headSnap.data().last_entry : null;
+                const sealed = await sealLedgerEntry(stripUndefined(entry), previous);
+                tx.set(refOf(ledgerEntryPath(sealed.seq)), sealed);
+                tx.set(refOf(ledgerHeadPath), { last_entry: { seq: sealed.seq, hash: sealed.hash } });
+                tx.update(refOf(statePath), stripUndefined({ ...partial, revision }));
+                return { revision, entry: sealed };
+            });
+        },
+        async loadLedger() {
+            const querySnap = await fs.getDocs(ledgerQuery());
+            return querySnap.docs.map(docSnap => docSnap.data());
+        },
+        subscribeLedger(callback, onError) {
+            return fs.onSnapshot(ledgerQuery(), (querySnap) => {
+                callback(querySnap.docs.map(docSnap => docSnap.data()));
+            }, (error) => {
+                if (onError) onError(error); else console.error("Firestore Listen Error:", error);
+            });
+        },
+        async saveSnapshot(snapshot) {
+            await fs.setDoc(refOf(snapshotPath(snapshot.id)), stripUndefined(snapshot));
+        },
+        async loadSnapshots() {
+            const querySnap = await fs.getDocs(snapshotQuery());
+            return querySnap.docs.map(docSnap => docSnap.data());
+        },
+        async deleteSnapshot(id) {
+            await fs.deleteDoc(refOf(snapshotPath(id)));
+        },
+        subscribeSnapshots(callback, onError) {
+            return fs.onSnapshot(snapshotQuery(), (querySnap) => {
+                callback(querySnap.docs.map(docSnap => docSnap.data()));
+            }, (error) => {
+                if (onError) onError(error); else console.error("Firestore Listen Error:", error);
+            });
+        },
+    };
+}
+
+// ====================================================================
+// DEFAULT SELECTION
+// ====================================================================
+
+/**
+ * 実行環境に応じた既定の Storage Adapter を生成します。
+ * ブラウザでは localStorage、それ以外 (Node) ではメモリを使用する。
+ * @param {object} [options] - 各アダプタに渡すオプション。
+ */
+export function createDefaultStorage(options = {}) {
+    if (globalThis.localStorage) {
+        return createLocalStorageStorage(options);
+    }
+    return createMemoryStorage(options);
+}
@@ -0,0 +1,156 @@
+// test/act_logic.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FAILURE_KINDS, validateAct, transfer, mint, createAccount, forcedHalt, restart, setRate, transaction, parseBatch } from '../act_logic.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+const GOVERNOR = { userId: 'alice', role: 'governor' };
+const OBSERVER = { userId: 'carol', role: 'observer' };
+const SIMULATION_ACTOR = { userId: 'SIMULATION', role: 'system' };
+const CONTEXT = { actor: GOVERNOR, now: NOW };
+
+/** アカウントIDごとの通貨の残高 (最小単位) を返します。 */
+const balancesOf = (accounts, currency = 'ALPHA') => Object.fromEntries(accounts.map(acc => [acc.id, acc.balances[currency]]));
+
+// ====================================================================
+// 作為の結果 (送金・アカウント作成・停止と再起動)
+// ====================================================================
+
+test('作為関数は状態を変更せず、成立した作為の部分状態を結果として返す', () => {
+    const state = createInitialState(NOW);
+    const snapshot = structuredClone(state);
+    const result = transfer({ from: 'CORE_BANK_A', to: 'USER_AUDIT_B', amount: 10, currency: 'ALPHA' }, state, CONTEXT);
+    assert.equal(result.ok, true);
+    assert.equal(result.actType, 'TRANSFER');
+    assert.deepEqual(Object.keys(result.stateDelta), ['accounts']);
+    assert.deepEqual(balancesOf(result.stateDelta.accounts), { CORE_BANK_A: 99000, USER_AUDIT_B: 6000 });
+    assert.ok(result.vibrationCost > 0);
+    assert.deepEqual(state, snapshot);
+});
+
+test('不成立の作為は stateDelta を持たず、理由を error に返す', () => {
+    const result = transfer({ from: 'NOPE', to: 'USER_AUDIT_B', amount: 1, currency: 'ALPHA' }, createInitialState(NOW), CONTEXT);
+    assert.equal(result.ok, false);
+    assert.equal(result.stateDelta, null);
+    assert.equal(result.vibrationCost, 0);
+    assert.match(result.error, /送金元アカウント NOPE/);
+});
+
+test('validateAct: 金額・通貨・残高を検証する', () => {
+    const state = createInitialState(NOW);
+    assert.match(validateAct('CORE_BANK_A', 'USER_AUDIT_B', 0, 'ALPHA', state).error, /金額が無効/);
+    assert.match(validateAct('CORE_BANK_A', 'USER_AUDIT_B', 1, 'DELTA', state).error, /無効な通貨/);
+    assert.match(validateAct('USER_AUDIT_B', 'CORE_BANK_A', 51, 'ALPHA', state).error, /残高が不足/);
+});
+
+test('LILルールが抑制している作為は、抑制したルールIDとともに拒否する', () => {
+    const context = { ...CONTEXT, approval: { proposer: 'alice', approver: 'bob' }, findBlockingRule: (actType, currency) => (actType === 'MINT' && currency === 'ALPHA' ? 'LIL_002' : null) };
+    const state = createInitialState(NOW);
+    assert.match(mint({ to: 'USER_AUDIT_B', amount: 1, currency: 'ALPHA' }, state, context).error, /LIL_002/);
+    assert.equal(mint({ to: 'USER_AUDIT_B', amount: 1, currency: 'BETA' }, state, context).ok, true);
+});
+
+test('アカウント作成は重複したIDを拒否し、メッセージ内の利用者の入力をエスケープする', () => {
+    const state = createInitialState(NOW);
+    assert.equal(createAccount({ id: 'CORE_BANK_A' }, state, CONTEXT).ok, false);
+    const result = createAccount({ id: 'NEW_ACC', name: '<img src=x>' }, state, CONTEXT);
+    assert.equal(result.ok, true);
+    assert.equal(result.stateDelta.accounts.length, 3);
+    assert.ok(!result.message.includes('<img'));
+});
+
+test('強制停止中は経済作為を拒否し、再起動で稼働に戻る', () => {
+    const halted = { ...createInitialState(NOW), ...forcedHalt({ reason: '点検' }, createInitialState(NOW), { actor: SIMULATION_ACTOR, now: NOW }).stateDelta };
+    assert.equal(halted.isHalted, true);
+    assert.match(transfer({ from: 'CORE_BANK_A', to: 'USER_AUDIT_B', amount: 1, currency: 'ALPHA' }, halted, CONTEXT).error, /強制停止中/);
+    assert.equal(forcedHalt({}, halted, { actor: SIMULATION_ACTOR, now: NOW }).ok, false);
+    assert.equal(restart({}, halted, { actor: SIMULATION_ACTOR, now: NOW }).stateDelta.isHalted, false);
+});
+
+// ====================================================================
+// レート
+// ====================================================================
+
+test('setRate: 基軸通貨のレートと正でないレートは変更できない', () => {
+    const state = createInitialState(NOW);
+    assert.equal(setRate({ currency: 'ALPHA', rate: 2 }, state, CONTEXT).ok, false);
+    assert.equal(setRate({ currency: 'GAMMA', rate: 0 }, state, CONTEXT).ok, false);
+    assert.equal(setRate({ currency: 'GAMMA', factor: 0.9 }, state, CONTEXT).stateDelta.currency_rates.GAMMA, 90);
+});
+
+// ====================================================================
+// 最小単位の残高
+// ====================================================================
+
+test('送金は最小単位の整数で残高を更新する', () => {
+    const result = transfer({ from: 'CORE_BANK_A', to: 'USER_AUDIT_B', amount: 12.34, currency: 'ALPHA' }, createInitialState(NOW), CONTEXT);
+    assert.equal(result.ok, true);
+    assert.deepEqual(balancesOf(result.stateDelta.accounts), { CORE_BANK_A: 98766, USER_AUDIT_B: 6234 });
+});
+
+test('通貨の精度を超える金額と残高を超える金額は拒否する', () => {
+    const state = createInitialState(NOW);
+    const tooPrecise = transfer({ from: 'CORE_BANK_A', to: 'USER_AUDIT_B', amount: 10000.005, currency: 'ALPHA' }, state, CONTEXT);
+    assert.match(tooPrecise.error, /精度/);
+    const insufficient = transfer({ from: 'USER_AUDIT_B', to: 'CORE_BANK_A', amount: 51, currency: 'ALPHA' }, state, CONTEXT);
+    assert.match(insufficient.error, /残高が不足/);
+});
+
+// ====================================================================
+// トランザクション (複数作為の一括適用)
+// ====================================================================
+
+test('トランザクションは各 leg を直前までの leg を適用した状態に対して検証する', () => {
+    const legs = [
+        { act: 'CREATE_ACCOUNT', params: { id: 'ESCROW_1', name: '預託' } },
+        { act: 'TRANSFER', params: { from: 'CORE_BANK_A', to: 'ESCROW_1', amount: 100, currency: 'ALPHA' } },
+        { act: 'TRANSFER', params: { from: 'ESCROW_1', to: 'USER_AUDIT_B', amount: 40, currency: 'ALPHA' } },
+    ];
+    const result = transaction({ batch_id: 'B1', legs }, createInitialState(NOW), CONTEXT);
+    assert.equal(result.ok, true);
+    assert.deepEqual(balancesOf(result.stateDelta.accounts), { CORE_BANK_A: 90000, USER_AUDIT_B: 9000, ESCROW_1: 6000 });
+    assert.equal(result.details.legs.length, 3);
+});
+
+test('いずれかの leg が不成立のトランザクションは全体が不成立となり、状態を変更しない', () => {
+    const legs = [
+        { act: 'TRANSFER', params: { from: 'CORE_BANK_A', to: 'USER_AUDIT_B', amount: 10, currency: 'ALPHA' } },
+        { act: 'TRANSFER', params: { from: 'USER_AUDIT_B', to: 'CORE_BANK_A', amount: 1000, currency: 'ALPHA' } },
+    ];
+    const result = transaction({ legs }, createInitialState(NOW), CONTEXT);
+    assert.equal(result.ok, false);
+    assert.equal(result.stateDelta, null);
+    assert.match(result.error, /^leg 2 \(TRANSFER\)/);
+});
+
+test('HALT など leg に含められない作為と空のトランザクションは拒否する', () => {
+    const state = createInitialState(NOW);
+    assert.match(transaction({ legs: [{ act: 'HALT', params: {} }] }, state, CONTEXT).error, /含められない作為/);
+    assert.match(transaction({ legs: [] }, state, CONTEXT).error, /legs/);
+});
+
+test('parseBatch: legs の形式を検証する', () => {
+    assert.equal(parseBatch('{"legs": [{"act": "TRANSFER", "params": {}}]}').batch.legs.length, 1);
+    assert.match(parseBatch('{').error, /無効なJSON/);
+    assert.match(parseBatch({ legs: [{ params: {} }] }).error, /act がありません/);
+    assert.match(parseBatch({ legs: [{ act: 'TRANSFER', params: 1 }] }).error, /オブジェクト/);
+});
+
+// ====================================================================
+// 不成立の分類 (failure_kind)
+// ====================================================================
+
+test('権限のない作為者と作為者の特定できない作為の拒否は UNAUTHORIZED に分類される', () => {
+    const params = { from: 'CORE_BANK_A', to: 'USER_AUDIT_B', amount: 1, currency: 'ALPHA' };
+    const state = createInitialState(NOW);
+    assert.equal(transfer(params, state, { actor: OBSERVER, now: NOW }).details.failure_kind, FAILURE_KINDS.UNAUTHORIZED);
+    assert.equal(transfer(params, state, { now: NOW }).details.failure_kind, FAILURE_KINDS.UNAUTHORIZED);
+});
+
+test('作為自体の不成立 (残高不足など) には failure_kind を付けない', () => {
+    const result = transfer({ from: 'USER_AUDIT_B', to: 'CORE_BANK_A', amount: 51, currency: 'ALPHA' }, createInitialState(NOW), CONTEXT);
+    assert.equal(result.ok, false);
+    assert.equal(result.details.failure_kind, undefined);
+});
@@ -0,0 +1,156 @@
+// test/approval.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FAILURE_KINDS, mint, forcedHalt, transaction, proposeAct, approveProposal, rejectProposal, expireProposals } from '../act_logic.js';
+import { DEFAULT_APPROVAL_POLICY, checkApproval, requiresApproval, requiresProposal, settleProposals, escapeHtml } from '../approval.js';
+import { SYSTEM_ROLE, SYSTEM_ACTOR_PREFIX } from '../permissions.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+const ALICE = { userId: 'alice', role: 'governor' };
+const BOB = { userId: 'bob', role: 'governor' };
+const OPERATOR = { userId: 'olive', role: 'operator' };
+const LIL_ACTOR = { userId: `${SYSTEM_ACTOR_PREFIX}alice`, role: SYSTEM_ROLE, rule_id: 'LIL_002' };
+const SIMULATION_ACTOR = { userId: 'SIMULATION', role: SYSTEM_ROLE };
+const MINT_PARAMS = { to: 'USER_AUDIT_B', amount: 10, currency: 'ALPHA' };
+
+/** 別の利用者 bob による承認済みの作為の context を返します。 */
+const approvedBy = (actor, approver = 'bob') => ({ actor, now: NOW, approval: { proposer: actor.userId, approver } });
+
+/** 部分状態を適用した状態を返します。 */
+const apply = (state, result) => ({ ...state, ...result.stateDelta });
+
+/** alice による MINT の提案を適用した状態を返します。 */
+function stateWithProposal(actType = 'MINT', params = MINT_PARAMS) {
+    const state = createInitialState(NOW);
+    const proposed = proposeAct({ actType, params, reason: '月次の補填' }, state, { actor: ALICE, now: NOW });
+    assert.equal(proposed.ok, true, proposed.error);
+    return apply(state, proposed);
+}
+
+// ====================================================================
+// 承認の判定
+// ====================================================================
+
+test('MINT は提案者と別の利用者の承認がなければ実行できない', () => {
+    const state = createInitialState(NOW);
+    assert.equal(mint(MINT_PARAMS, state, { actor: ALICE, now: NOW }).details.failure_kind, FAILURE_KINDS.UNAUTHORIZED);
+    assert.equal(mint(MINT_PARAMS, state, approvedBy(ALICE, 'alice')).details.failure_kind, FAILURE_KINDS.UNAUTHORIZED);
+    assert.equal(mint(MINT_PARAMS, state, approvedBy(ALICE)).ok, true);
+});
+
+test('LILルールの作為者は二者承認を免除されない', () => {
+    const state = createInitialState(NOW);
+    assert.equal(requiresProposal('HALT', LIL_ACTOR), true);
+    assert.equal(forcedHalt({ reason: 'V超過' }, state, { actor: LIL_ACTOR, now: NOW }).ok, false);
+    assert.equal(mint(MINT_PARAMS, state, { actor: LIL_ACTOR, now: NOW }).ok, false);
+});
+
+test('LILルールによらない system ロールの作為者は二者承認を免除される', () => {
+    assert.equal(requiresProposal('MINT', SIMULATION_ACTOR), false);
+    assert.equal(forcedHalt({ reason: 'ブレーカー' }, createInitialState(NOW), { actor: SIMULATION_ACTOR, now: NOW }).ok, true);
+});
+
+test('LILルールによる提案は、ルールセットの編集者自身が承認できない', () => {
+    const proposer = LIL_ACTOR.userId;
+    assert.match(checkApproval('MINT', { actor: ALICE, approval: { proposer, approver: 'alice' } }), /編集者以外/);
+    assert.equal(checkApproval('MINT', { actor: ALICE, approval: { proposer, approver: 'bob' } }), null);
+    assert.equal(checkApproval('TRANSFER', { actor: ALICE }), null);
+});
+
+test('escapeHtml: 提案者の入力を HTML として解釈されない文字列にする', () => {
+    assert.equal(escapeHtml(`<img src=x onerror="a('1')">&`), '&lt;img src=x onerror=&quot;a(&#39;1&#39;)&quot;&gt;&amp;');
+});
+
+// ====================================================================
+// 提案・承認・却下・失効
+// ====================================================================
+
+test('提案は作為を実行せず、理由の短い提案と現在の状態で成立しない作為の提案は拒否する', () => {
+    const state = stateWithProposal();
+    assert.equal(state.accounts[1].balances.ALPHA, 5000);
+    assert.deepEqual(state.proposals.map(p => [p.id, p.status, p.expires_at]), [['P1', 'PENDING', NOW + DEFAULT_APPROVAL_POLICY.window_ms]]);
+
+    const fresh = createInitialState(NOW);
+    assert.match(proposeAct({ actType: 'MINT', params: MINT_PARAMS, reason: '短' }, fresh, { actor: ALICE, now: NOW }).error, /理由/);
+    const unknownAccount = proposeAct({ actType: 'MINT', params: { ...MINT_PARAMS, to: 'NOPE' }, reason: '月次の補填' }, fresh, { actor: ALICE, now: NOW });
+    assert.match(unknownAccount.error, /成立しません/);
+    assert.match(proposeAct({ actType: 'TRANSFER', params: {}, reason: '月次の補填' }, fresh, { actor: ALICE, now: NOW }).error, /提案の対象ではありません/);
+});
+
+test('別の利用者による承認で提案された作為が実行され、承認者が記録される', () => {
+    const state = stateWithProposal();
+    assert.match(approveProposal({ id: 'P1' }, state, { actor: ALICE, now: NOW }).error, /提案者自身は承認できません/);
+
+    const approved = approveProposal({ id: 'P1' }, state, { actor: BOB, now: NOW + 1000 });
+    assert.equal(approved.ok, true);
+    assert.equal(approved.actType, 'MINT');
+    assert.equal(approved.details.approval.approver, 'bob');
+    const after = apply(state, approved);
+    assert.equal(after.accounts[1].balances.ALPHA, 6000);
+    assert.equal(after.proposals[0].status, 'APPROVED');
+    assert.match(approveProposal({ id: 'P1' }, after, { actor: BOB, now: NOW }).error, /存在しません/);
+});
+
+test('承認の権限がない利用者は承認できず、有効期限を過ぎた提案は承認できない', () => {
+    const state = stateWithProposal();
+    assert.equal(approveProposal({ id: 'P1' }, state, { actor: OPERATOR, now: NOW }).details.failure_kind, FAILURE_KINDS.UNAUTHORIZED);
+    const late = NOW + DEFAULT_APPROVAL_POLICY.window_ms + 1;
+    assert.match(approveProposal({ id: 'P1' }, state, { actor: BOB, now: late }).error, /有効期限/);
+
+    const expired = expireProposals({}, state, { now: late });
+    assert.deepEqual(expired.details.proposal_ids, ['P1']);
+    assert.equal(apply(state, expired).proposals[0].status, 'EXPIRED');
+    assert.equal(expireProposals({}, state, { now: NOW }).ok, false);
+});
+
+test('却下した提案は実行されず、却下の理由はエスケープして記録する', () => {
+    const state = stateWithProposal();
+    const rejected = rejectProposal({ id: 'P1', reason: '<b>不要</b>' }, state, { actor: BOB, now: NOW });
+    assert.equal(rejected.ok, true);
+    assert.ok(rejected.message.includes('&lt;b&gt;不要&lt;/b&gt;'));
+    const after = apply(state, rejected);
+    assert.deepEqual([after.proposals[0].status, after.proposals[0].decision_note], ['REJECTED', '<b>不要</b>']);
+    assert.equal(approveProposal({ id: 'P1' }, after, { actor: BOB, now: NOW }).ok, false);
+});
+
+test('settleProposals: 決着済みの提案は history_limit 件まで保持し、承認待ちは残す', () => {
+    const proposals = ['P1', 'P2', 'P3'].map(id => ({ id, status: 'PENDING' }));
+    const settled = settleProposals(proposals, ['P1', 'P2'], { status: 'REJECTED' }, { ...DEFAULT_APPROVAL_POLICY, history_limit: 1 });
+    assert.deepEqual(settled.map(p => [p.id, p.status]), [['P2', 'REJECTED'], ['P3', 'PENDING']]);
+});
+
+// ====================================================================
+// 重大な作為を含むトランザクション
+// ====================================================================
+
+const MINT_TRANSACTION = {
+    batch_id: 'B1',
+    legs: [
+        { act: 'MINT', params: { to: 'CORE_BANK_A', amount: 12, currency: 'ALPHA' } },
+        { act: 'TRANSFER', params: { from: 'CORE_BANK_A', to: 'USER_AUDIT_B', amount: 12, currency: 'ALPHA' } },
+    ],
+};
+
+test('MINT を leg に含むトランザクションは承認が必要となり、承認がなければ実行できない', () => {
+    assert.equal(requiresApproval('TRANSACTION', MINT_TRANSACTION), true);
+    assert.equal(requiresApproval('TRANSACTION', { legs: MINT_TRANSACTION.legs.slice(1) }), false);
+    const result = transaction(MINT_TRANSACTION, createInitialState(NOW), { actor: ALICE, now: NOW });
+    assert.equal(result.details.failure_kind, FAILURE_KINDS.UNAUTHORIZED);
+    assert.match(result.error, /MINT/);
+});
+
+test('承認されたトランザクションは承認を各 leg に引き継ぎ、MINT の leg も実行される', () => {
+    const state = stateWithProposal('TRANSACTION', MINT_TRANSACTION);
+    const approved = approveProposal({ id: 'P1' }, state, { actor: BOB, now: NOW });
+    assert.equal(approved.ok, true, approved.error);
+    assert.equal(approved.actType, 'TRANSACTION');
+    assert.equal(apply(state, approved).accounts[1].balances.ALPHA, 6200);
+});
+
+test('MINT の権限がない利用者は、MINT を含むトランザクションを提案できない', () => {
+    const result = proposeAct({ actType: 'TRANSACTION', params: MINT_TRANSACTION, reason: '月次の補填' }, createInitialState(NOW), { actor: OPERATOR, now: NOW });
+    assert.equal(result.ok, false);
+    assert.match(result.error, /MINT の権限がありません/);
+});
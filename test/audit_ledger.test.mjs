@@ -0,0 +1,143 @@
+// test/audit_ledger.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    GENESIS_HASH,
+    extractAffectedState,
+    buildLedgerEntry,
+    filterLedgerEntries,
+    canonicalJSON,
+    sealLedgerEntry,
+    verifyLedgerChain,
+    replayLedgerAccounts,
+    diffAccounts
+} from '../audit_ledger.js';
+import { transfer, createAccount } from '../act_logic.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+const GOVERNOR = { userId: 'alice', role: 'governor' };
+
+/** 作為結果を台帳エントリにします。 */
+const entryOf = (result, params, beforeState, timestamp = NOW) =>
+    buildLedgerEntry({ result, params, actor: 'alice', timestamp, beforeState, balanceUnit: 'minor' });
+
+/** 初期状態に対する送金のエントリを返します。 */
+function transferEntry(amount = 10, timestamp = NOW) {
+    const state = createInitialState(NOW);
+    const params = { from: 'CORE_BANK_A', to: 'USER_AUDIT_B', amount, currency: 'ALPHA' };
+    return entryOf(transfer(params, state, { actor: GOVERNOR, now: NOW }), params, state, timestamp);
+}
+
+/** エントリを順に封印した台帳を返します。 */
+async function sealAll(entries) {
+    const sealed = [];
+    for (const entry of entries) sealed.push(await sealLedgerEntry(entry, sealed[sealed.length - 1] || null));
+    return sealed;
+}
+
+// ====================================================================
+// エントリの組み立て
+// ====================================================================
+
+test('extractAffectedState: 変更されたアカウントと変更されたキーだけを前後で記録する', () => {
+    const state = createInitialState(NOW);
+    const accounts = state.accounts.map(acc => acc.id === 'USER_AUDIT_B' ? { ...acc, balances: { ...acc.balances, ALPHA: 1 } } : acc);
+    const { before, after } = extractAffectedState(state, { accounts, isHalted: true });
+    assert.deepEqual(before.accounts.map(acc => acc.id), ['USER_AUDIT_B']);
+    assert.equal(after.accounts[0].balances.ALPHA, 1);
+    assert.equal(before.isHalted, false);
+    assert.equal(after.isHalted, true);
+});
+
+test('extractAffectedState: 削除されたアカウントは before にのみ現れる', () => {
+    const state = createInitialState(NOW);
+    const { before, after } = extractAffectedState(state, { accounts: [state.accounts[0]] });
+    assert.deepEqual(before.accounts.map(acc => acc.id), ['USER_AUDIT_B']);
+    assert.deepEqual(after.accounts, []);
+});
+
+test('buildLedgerEntry: 成立した作為は前後の状態を、不成立の作為は理由のみを記録する', () => {
+    const ok = transferEntry();
+    assert.equal(ok.result.ok, true);
+    assert.deepEqual(ok.after.accounts.map(acc => acc.id), ['CORE_BANK_A', 'USER_AUDIT_B']);
+
+    const state = createInitialState(NOW);
+    const params = { from: 'USER_AUDIT_B', to: 'CORE_BANK_A', amount: 1e6, currency: 'ALPHA', memo: undefined };
+    const failed = entryOf(transfer(params, state, { actor: GOVERNOR, now: NOW }), params, state);
+    assert.equal(failed.result.ok, false);
+    assert.match(failed.result.error, /残高が不足/);
+    assert.equal(failed.before, null);
+    assert.equal(failed.vibrationCost, 0);
+    assert.equal('memo' in failed.params, false);
+});
+
+test('filterLedgerEntries: アカウント・作為種別・期間で絞り込む', () => {
+    const state = createInitialState(NOW);
+    const created = entryOf(createAccount({ id: 'NEW_ACC', name: 'n' }, state, { actor: GOVERNOR, now: NOW }), { id: 'NEW_ACC' }, state, NOW + 2000);
+    const entries = [transferEntry(10, NOW), transferEntry(20, NOW + 1000), created];
+    assert.equal(filterLedgerEntries(entries, { accountId: 'USER_AUDIT_B' }).length, 2);
+    assert.equal(filterLedgerEntries(entries, { accountId: 'NEW_ACC' }).length, 1);
+    assert.equal(filterLedgerEntries(entries, { actType: 'CREATE_ACCOUNT' }).length, 1);
+    assert.deepEqual(filterLedgerEntries(entries, { from: NOW + 500, to: NOW + 1500 }).map(entry => entry.params.amount), [20]);
+});
+
+// ====================================================================
+// ハッシュ連鎖 (改竄検知)
+// ====================================================================
+
+test('canonicalJSON: キーの順序と undefined のキーに依存しない', () => {
+    assert.equal(canonicalJSON({ b: 1, a: [1, { d: 2, c: undefined }] }), canonicalJSON({ a: [1, { d: 2 }], b: 1 }));
+});
+
+test('sealLedgerEntry: 先頭は GENESIS_HASH に、以降は直前のエントリの hash に連結する', async () => {
+    const [first, second] = await sealAll([transferEntry(1), transferEntry(2)]);
+    assert.equal(first.seq, 0);
+    assert.equal(first.prev_hash, GENESIS_HASH);
+    assert.equal(second.seq, 1);
+    assert.equal(second.prev_hash, first.hash);
+    assert.match(second.hash, /^[0-9a-f]{64}$/);
+});
+
+test('verifyLedgerChain: 改竄・欠落・付け替えを最初に壊れたエントリで報告する', async () => {
+    const entries = await sealAll([transferEntry(1), transferEntry(2), transferEntry(3)]);
+    assert.deepEqual(await verifyLedgerChain(entries), { ok: true, checked: 3, brokenAt: null, reason: null });
+
+    const tampered = structuredClone(entries);
+    tampered[1].params.amount = 200;
+    const result = await verifyLedgerChain(tampered);
+    assert.equal(result.ok, false);
+    assert.equal(result.brokenAt, 1);
+    assert.match(result.reason, /改竄/);
+
+    assert.match((await verifyLedgerChain([entries[0], entries[2]])).reason, /seq/);
+
+    const relinked = structuredClone(entries);
+    relinked[2].prev_hash = entries[0].hash;
+    assert.match((await verifyLedgerChain(relinked)).reason, /prev_hash/);
+});
+
+test('replayLedgerAccounts: genesis から再生した残高は現在の残高と一致する', async () => {
+    const genesis = createInitialState(NOW);
+    let state = genesis;
+    const entries = [];
+    for (const amount of [10, 20.5]) {
+        const params = { from: 'CORE_BANK_A', to: 'USER_AUDIT_B', amount, currency: 'ALPHA' };
+        const result = transfer(params, state, { actor: GOVERNOR, now: NOW });
+        entries.push(entryOf(result, params, state));
+        state = { ...state, ...result.stateDelta };
+    }
+    const replay = replayLedgerAccounts(await sealAll(entries), genesis.accounts);
+    assert.deepEqual(replay.divergences, []);
+    assert.deepEqual(diffAccounts(replay.accounts, state.accounts), []);
+});
+
+test('replayLedgerAccounts: 台帳外で変更された残高を divergence として報告する', async () => {
+    const genesis = createInitialState(NOW);
+    const outside = { ...genesis, accounts: genesis.accounts.map(acc => ({ ...acc, balances: { ...acc.balances, ALPHA: acc.balances.ALPHA + 1 } })) };
+    const params = { from: 'CORE_BANK_A', to: 'USER_AUDIT_B', amount: 1, currency: 'ALPHA' };
+    const entry = entryOf(transfer(params, outside, { actor: GOVERNOR, now: NOW }), params, outside);
+    const replay = replayLedgerAccounts(await sealAll([entry]), genesis.accounts);
+    assert.deepEqual(replay.divergences.map(d => d.accountId).sort(), ['CORE_BANK_A', 'USER_AUDIT_B']);
+});
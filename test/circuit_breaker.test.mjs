@@ -0,0 +1,108 @@
+// test/circuit_breaker.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    BREAKER_STATUS,
+    DEFAULT_BREAKER_POLICY,
+    initialBreakerState,
+    displayStatus,
+    createTracker,
+    observeVibration,
+    recordFailure,
+    evaluateBreaker,
+    transitionBreaker
+} from '../circuit_breaker.js';
+import { breakerTransition } from '../act_logic.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+const SIMULATION_ACTOR = { userId: 'SIMULATION', role: 'system' };
+
+/** Vibrationとブレーカーの状態を指定した状態を返します。 */
+function stateWith({ vibration = 0, status = BREAKER_STATUS.OPERATIONAL, since = NOW, isHalted = status === BREAKER_STATUS.HALTED } = {}) {
+    return {
+        ...createInitialState(NOW),
+        isHalted,
+        vibration_level: { value: vibration, last_decay: NOW },
+        circuit_breaker: { ...initialBreakerState(since), status },
+    };
+}
+
+// ====================================================================
+// 観測値
+// ====================================================================
+
+test('observeVibration: 閾値以上になった時刻を保持し、閾値未満で解除する', () => {
+    let tracker = observeVibration(createTracker(), 95, NOW);
+    assert.equal(tracker.over_since, NOW);
+    tracker = observeVibration(tracker, 99, NOW + 1000);
+    assert.equal(tracker.over_since, NOW);
+    assert.equal(observeVibration(tracker, 10, NOW + 2000).over_since, null);
+});
+
+test('recordFailure: failure_window_s より古い失敗を破棄する', () => {
+    let tracker = recordFailure(createTracker(), NOW);
+    tracker = recordFailure(tracker, NOW + DEFAULT_BREAKER_POLICY.failure_window_s * 1000 + 1);
+    assert.equal(tracker.failures.length, 1);
+});
+
+// ====================================================================
+// 遷移の判定
+// ====================================================================
+
+test('閾値以上のVibrationが sustain_s 秒継続すると HALTED に遷移する', () => {
+    const tracker = observeVibration(createTracker(), 95, NOW);
+    const state = stateWith({ vibration: 95 });
+    assert.equal(evaluateBreaker(state, tracker, NOW + 9000), null);
+    assert.equal(evaluateBreaker(state, tracker, NOW + 10000).to, BREAKER_STATUS.HALTED);
+});
+
+test('失敗作為の集中で HALTED に遷移し、手動の HALT による停止中は判定しない', () => {
+    let tracker = createTracker();
+    for (let i = 0; i < DEFAULT_BREAKER_POLICY.failure_burst; i++) tracker = recordFailure(tracker, NOW + i);
+    assert.equal(evaluateBreaker(stateWith(), tracker, NOW + 10).to, BREAKER_STATUS.HALTED);
+    assert.equal(evaluateBreaker(stateWith({ isHalted: true }), tracker, NOW + 10), null);
+});
+
+test('HALTED は減衰で PROBATION に、PROBATION は異常なく経過すると OPERATIONAL に戻る', () => {
+    assert.equal(evaluateBreaker(stateWith({ vibration: 60, status: BREAKER_STATUS.HALTED }), createTracker(), NOW), null);
+    assert.equal(evaluateBreaker(stateWith({ vibration: 40, status: BREAKER_STATUS.HALTED }), createTracker(), NOW).to, BREAKER_STATUS.PROBATION);
+
+    const probation = stateWith({ vibration: 40, status: BREAKER_STATUS.PROBATION });
+    assert.equal(evaluateBreaker(probation, createTracker(), NOW + 29000), null);
+    assert.equal(evaluateBreaker(probation, createTracker(), NOW + 30000).to, BREAKER_STATUS.OPERATIONAL);
+});
+
+test('PROBATION 中の失敗作為と閾値超過は HALTED に戻す', () => {
+    const probation = stateWith({ vibration: 40, status: BREAKER_STATUS.PROBATION });
+    assert.equal(evaluateBreaker(probation, recordFailure(createTracker(), NOW + 1), NOW + 2).to, BREAKER_STATUS.HALTED);
+    assert.equal(evaluateBreaker({ ...probation, vibration_level: { value: 95, last_decay: NOW } }, createTracker(), NOW).to, BREAKER_STATUS.HALTED);
+    // PROBATION に遷移する前の失敗は数えない
+    assert.equal(evaluateBreaker(probation, recordFailure(createTracker(), NOW - 1), NOW), null);
+});
+
+// ====================================================================
+// 遷移の記録
+// ====================================================================
+
+test('transitionBreaker: 遷移を history_limit 件まで記録する', () => {
+    let breaker = initialBreakerState(NOW);
+    const policy = { ...DEFAULT_BREAKER_POLICY, history_limit: 2 };
+    for (const to of [BREAKER_STATUS.HALTED, BREAKER_STATUS.PROBATION, BREAKER_STATUS.OPERATIONAL]) {
+        breaker = transitionBreaker(breaker, to, 'test', NOW, policy);
+    }
+    assert.deepEqual(breaker.history.map(h => `${h.from}→${h.to}`), ['HALTED→PROBATION', 'PROBATION→OPERATIONAL']);
+});
+
+test('breakerTransition: HALTED と PROBATION への遷移は停止フラグを更新し、displayStatus に反映される', () => {
+    const context = { actor: SIMULATION_ACTOR, now: NOW };
+    const halted = breakerTransition({ to: BREAKER_STATUS.HALTED, cause: 'test' }, stateWith(), context);
+    assert.equal(halted.stateDelta.isHalted, true);
+    const haltedState = { ...stateWith(), ...halted.stateDelta };
+    assert.equal(displayStatus(haltedState), BREAKER_STATUS.HALTED);
+
+    const probation = breakerTransition({ to: BREAKER_STATUS.PROBATION, cause: 'test' }, haltedState, context);
+    assert.equal(displayStatus({ ...haltedState, ...probation.stateDelta }), BREAKER_STATUS.PROBATION);
+    assert.equal(breakerTransition({ to: BREAKER_STATUS.HALTED }, haltedState, context).ok, false);
+});
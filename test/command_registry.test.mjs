@@ -0,0 +1,104 @@
+// test/command_registry.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, formatUsage, parseArgs, createCommandRegistry, createCommandHistory } from '../command_registry.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+const noop = async () => ({ result: null });
+
+const TRANSFER = {
+    name: 'transfer',
+    args: [
+        { name: 'from', type: 'account' },
+        { name: 'to', type: 'account' },
+        { name: 'amount', type: 'number' },
+        { name: 'currency', type: 'currency' },
+    ],
+    act: 'TRANSFER',
+    help: '送金します。',
+    execute: noop,
+};
+const ACCOUNT_CREATE = { name: 'account create', args: [{ name: 'id', type: 'string' }, { name: 'name', type: 'text', optional: true }], help: 'アカウントを作成します。', execute: noop };
+const ACCOUNT_LIST = { name: 'account list', help: 'アカウントの一覧。', execute: noop };
+const MODE = { name: 'mode', args: [{ name: 'mode', type: 'enum', values: ['LEADER', 'ALL'] }], help: 'モード。', execute: noop };
+
+/** テスト用のコマンドを登録したレジストリを返します。 */
+const createRegistry = () => createCommandRegistry([TRANSFER, ACCOUNT_CREATE, ACCOUNT_LIST, MODE]);
+
+// ====================================================================
+// 字句解析と引数
+// ====================================================================
+
+test('tokenize: 引用符で囲んだ語は空白を含む1語として扱う', () => {
+    assert.deepEqual(tokenize('account create A1 "監査 用"').map(t => t.value), ['account', 'create', 'A1', '監査 用']);
+});
+
+test('formatUsage: 省略可能な引数・列挙値・text 型を表記する', () => {
+    assert.equal(formatUsage(TRANSFER), '/transfer <from> <to> <amount> <currency>');
+    assert.equal(formatUsage(ACCOUNT_CREATE), '/account create <id> [name...]');
+    assert.equal(formatUsage(MODE), '/mode <LEADER|ALL>');
+});
+
+test('parseArgs: 型に従って変換し、不足・過剰・不正な引数を使い方とともに拒否する', () => {
+    const state = createInitialState(NOW);
+    assert.deepEqual(parseArgs(TRANSFER, ['CORE_BANK_A', 'USER_AUDIT_B', '1.5', 'beta'], state).args,
+        { from: 'CORE_BANK_A', to: 'USER_AUDIT_B', amount: 1.5, currency: 'BETA' });
+    assert.match(parseArgs(TRANSFER, ['CORE_BANK_A'], state).error, /引数 to が不足しています。使い方: \/transfer/);
+    assert.match(parseArgs(TRANSFER, ['NOPE', 'USER_AUDIT_B', '1', 'ALPHA'], state).error, /アカウント "NOPE" が存在しません/);
+    assert.match(parseArgs(TRANSFER, ['CORE_BANK_A', 'USER_AUDIT_B', 'x', 'ALPHA'], state).error, /数値で指定/);
+    assert.match(parseArgs(TRANSFER, ['CORE_BANK_A', 'USER_AUDIT_B', '1', 'DELTA'], state).error, /未登録の通貨/);
+    assert.match(parseArgs(MODE, ['all', 'extra'], state).error, /引数が多すぎます/);
+    assert.equal(parseArgs(MODE, ['all'], state).args.mode, 'ALL');
+});
+
+// ====================================================================
+// レジストリ
+// ====================================================================
+
+test('parse: 複数語のコマンド名に最長一致し、text 型の引数は残りの入力をそのまま使う', () => {
+    const registry = createRegistry();
+    const { command, args } = registry.parse('/account create A1 監査用  アカウント', createInitialState(NOW));
+    assert.equal(command.name, 'account create');
+    assert.deepEqual(args, { id: 'A1', name: '監査用  アカウント' });
+    assert.equal(registry.parse('transfer', createInitialState(NOW)), null);
+    assert.match(registry.parse('/acount', createInitialState(NOW)).error, /未知のコマンドです: \/acount。.*候補: \/account create, \/account list/);
+});
+
+test('register: 未知の引数型と最後以外の text 型を拒否する', () => {
+    const registry = createCommandRegistry();
+    assert.throws(() => registry.register({ name: 'x', args: [{ name: 'a', type: 'date' }], execute: noop }), /未知の引数型/);
+    assert.throws(() => registry.register({ name: 'x', args: [{ name: 'a', type: 'text' }, { name: 'b', type: 'string' }], execute: noop }), /最後の引数のみ/);
+    assert.throws(() => registry.register({ name: 'x' }), /name と execute/);
+});
+
+test('complete: コマンド名と引数 (アカウント・通貨・列挙値) を補完する', () => {
+    const registry = createRegistry();
+    const state = createInitialState(NOW);
+    assert.deepEqual(registry.complete('/acc', state), { input: '/account ', candidates: ['account'] });
+    assert.deepEqual(registry.complete('/account ', state).candidates, ['create', 'list']);
+    assert.deepEqual(registry.complete('/transfer CORE_BANK_A U', state), { input: '/transfer CORE_BANK_A USER_AUDIT_B ', candidates: ['USER_AUDIT_B'] });
+    assert.deepEqual(registry.complete('/mode l', state).input, '/mode LEADER ');
+});
+
+test('help: コマンドごとの使い方と、一覧を返す', () => {
+    const registry = createRegistry();
+    assert.match(registry.help('/transfer'), /\*\*\/transfer <from> <to> <amount> <currency>\*\*\n送金します。/);
+    assert.match(registry.help('nope'), /未知のコマンドです/);
+    assert.equal(registry.help().split('\n').length, 4);
+});
+
+// ====================================================================
+// 入力履歴
+// ====================================================================
+
+test('createCommandHistory: 遡った後に最新を超えると入力中の文字列に戻り、連続する重複は記録しない', () => {
+    const history = createCommandHistory({ limit: 3 });
+    ['/a', '/b', '/b', '/c', '/d'].forEach(input => history.push(input));
+    assert.deepEqual(history.entries(), ['/b', '/c', '/d']);
+    assert.equal(history.previous('/dra'), '/d');
+    assert.equal(history.previous(), '/c');
+    assert.equal(history.next(), '/d');
+    assert.equal(history.next(), '/dra');
+});
@@ -0,0 +1,74 @@
+// test/currency_registry.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCurrencyDefinition, migrateAccount, migrateCurrencyState, BALANCE_UNIT, getDecimals } from '../currency_registry.js';
+import { registerCurrency, mint } from '../act_logic.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+const GOVERNOR = { userId: 'alice', role: 'governor' };
+const APPROVED = { actor: GOVERNOR, now: NOW, approval: { proposer: 'alice', approver: 'bob' } };
+
+// ====================================================================
+// 通貨定義の検証
+// ====================================================================
+
+test('validateCurrencyDefinition: コードを大文字に正規化し、既定の小数桁数を 2 とする', () => {
+    const { currency } = validateCurrencyDefinition({ code: 'delta', initial_rate: '4' }, createInitialState(NOW));
+    assert.deepEqual(currency, { code: 'DELTA', title: 'DELTA', purpose: '', decimals: 2, initial_rate: 4, supply_cap: null });
+});
+
+test('validateCurrencyDefinition: 不正なコード・登録済みのコード・不正な小数桁数とレートを拒否する', () => {
+    const state = createInitialState(NOW);
+    assert.match(validateCurrencyDefinition({ code: '1X', initial_rate: 1 }, state).error, /通貨コード/);
+    assert.match(validateCurrencyDefinition({ code: 'BETA', initial_rate: 1 }, state).error, /既に登録/);
+    assert.match(validateCurrencyDefinition({ code: 'DELTA', decimals: 9, initial_rate: 1 }, state).error, /小数桁数/);
+    assert.match(validateCurrencyDefinition({ code: 'DELTA', initial_rate: 0 }, state).error, /初期レート/);
+});
+
+test('validateCurrencyDefinition: 小数桁数で表せない供給上限を拒否する', () => {
+    const state = createInitialState(NOW);
+    assert.match(validateCurrencyDefinition({ code: 'DELTA', decimals: 0, initial_rate: 1, supply_cap: 10.5 }, state).error, /表せません/);
+    assert.match(validateCurrencyDefinition({ code: 'DELTA', decimals: 8, initial_rate: 1, supply_cap: 1e12 }, state).error, /表せません/);
+    assert.match(validateCurrencyDefinition({ code: 'DELTA', initial_rate: 1, supply_cap: -1 }, state).error, /正の数/);
+    assert.equal(validateCurrencyDefinition({ code: 'DELTA', decimals: 0, initial_rate: 1, supply_cap: 10 }, state).currency.supply_cap, 10);
+});
+
+// ====================================================================
+// 通貨の登録と供給上限
+// ====================================================================
+
+test('registerCurrency: 通貨と初期レートを登録し、メッセージ内の名称をエスケープする', () => {
+    const result = registerCurrency({ code: 'DELTA', title: '<b>x</b>', decimals: 0, initial_rate: 4 }, createInitialState(NOW), { actor: GOVERNOR, now: NOW });
+    assert.equal(result.ok, true);
+    assert.equal(result.stateDelta.currency_rates.DELTA, 4);
+    assert.equal(getDecimals(result.stateDelta, 'DELTA'), 0);
+    assert.ok(!result.message.includes('<b>'));
+});
+
+test('mint: 総供給量が供給上限を超える生成を拒否する', () => {
+    const state = createInitialState(NOW);
+    assert.match(mint({ to: 'USER_AUDIT_B', amount: 9901, currency: 'BETA' }, state, APPROVED).error, /上限 10000 を超過/);
+    assert.equal(mint({ to: 'USER_AUDIT_B', amount: 9500, currency: 'BETA' }, state, APPROVED).ok, true);
+});
+
+test('mint: 最小単位で表せない供給上限が保存されている場合は生成しない', () => {
+    const state = createInitialState(NOW);
+    const currencies = state.currencies.map(c => c.code === 'BETA' ? { ...c, supply_cap: 10000.005 } : c);
+    const result = mint({ to: 'USER_AUDIT_B', amount: 1, currency: 'BETA' }, { ...state, currencies }, APPROVED);
+    assert.equal(result.ok, false);
+    assert.match(result.error, /小数桁数で表せない/);
+});
+
+// ====================================================================
+// 旧形式からの移行
+// ====================================================================
+
+test('migrateAccount / migrateCurrencyState: 旧形式の残高を balances マップの最小単位に変換する', () => {
+    assert.deepEqual(migrateAccount({ id: 'A', ALPHA: 1.5 }, ['ALPHA']), { id: 'A', balances: { ALPHA: 1.5 } });
+    const migrated = migrateCurrencyState({ accounts: [{ id: 'A', name: 'a', ALPHA: 1.5, GAMMA: 2 }] });
+    assert.equal(migrated.balance_unit, BALANCE_UNIT);
+    assert.deepEqual(migrated.accounts[0].balances, { ALPHA: 150, GAMMA: 20000 });
+    assert.equal(migrateCurrencyState(createInitialState(NOW)), null);
+});
@@ -0,0 +1,85 @@
+// test/exchange_pricing.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_EXCHANGE_CONFIG, pairKey, getPairConfig, quoteExchange, formatQuote } from '../exchange_pricing.js';
+import { exchange } from '../act_logic.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+const GOVERNOR = { userId: 'alice', role: 'governor' };
+
+/** 初期状態に対する見積もりを返します。 */
+const quoteOf = (amount, fromCurrency = 'ALPHA', toCurrency = 'BETA', config = DEFAULT_EXCHANGE_CONFIG) =>
+    quoteExchange({ amount, fromCurrency, toCurrency }, createInitialState(NOW), config);
+
+// ====================================================================
+// 通貨ペアの設定
+// ====================================================================
+
+test('pairKey / getPairConfig: 交換の向きに依存せず、未設定のペアは既定値を使う', () => {
+    assert.equal(pairKey('GAMMA', 'ALPHA'), 'ALPHA/GAMMA');
+    assert.deepEqual(getPairConfig(DEFAULT_EXCHANGE_CONFIG, 'BETA', 'ALPHA'), { fee_rate: 0.002, spread: 0.001 });
+    assert.deepEqual(getPairConfig({ ...DEFAULT_EXCHANGE_CONFIG, pairs: {} }, 'BETA', 'ALPHA'), DEFAULT_EXCHANGE_CONFIG.default_pair);
+});
+
+// ====================================================================
+// 見積もり
+// ====================================================================
+
+test('quoteExchange: 受取額と手数料の合計は丸め後の gross と厳密に一致する', () => {
+    for (const amount of [1, 3.33, 1234.56]) {
+        const { quote } = quoteOf(amount, 'ALPHA', 'GAMMA');
+        assert.ok(Number.isInteger(quote.grossMinor));
+        assert.equal(quote.netMinor + quote.feeMinor, quote.grossMinor);
+    }
+});
+
+test('quoteExchange: スプレッドとスリッページで実効レートは仲値を下回る', () => {
+    const { quote } = quoteOf(100);
+    assert.equal(quote.midRate, 10);
+    assert.equal(quote.quotedRate, 10 * (1 - 0.001 / 2));
+    assert.ok(quote.effectiveRate < quote.quotedRate);
+    assert.ok(quoteOf(1000).quote.slippage > quote.slippage);
+});
+
+test('quoteExchange: スリッページは max_slippage で頭打ちとなる', () => {
+    const { quote } = quoteOf(1e6);
+    assert.equal(quote.slippage, DEFAULT_EXCHANGE_CONFIG.slippage.max_slippage);
+});
+
+test('quoteExchange: 無効な金額・同一通貨・未知の通貨・精度超過・受取額 0 を拒否する', () => {
+    assert.match(quoteOf(0).error, /金額が無効/);
+    assert.match(quoteOf(-1).error, /金額が無効/);
+    assert.match(quoteOf(1, 'ALPHA', 'ALPHA').error, /同じ/);
+    assert.match(quoteOf(1, 'ALPHA', 'DELTA').error, /無効な通貨/);
+    assert.match(quoteOf(1.001).error, /精度/);
+    assert.match(quoteOf(0.01, 'BETA', 'ALPHA').error, /最小単位に満たない/);
+});
+
+test('formatQuote: 受取額と手数料を交換先通貨の小数桁数で表示する', () => {
+    const text = formatQuote(quoteOf(100).quote, createInitialState(NOW));
+    assert.match(text, /手数料 [\d.]+ BETA \(0\.20%\)/);
+    assert.match(text, /受取額 [\d.]+ BETA$/);
+});
+
+// ====================================================================
+// 交換の作為
+// ====================================================================
+
+test('exchange: 交換者の残高を見積もりどおりに増減し、手数料を徴収先に加算する', () => {
+    const state = createInitialState(NOW);
+    const result = exchange({ account: 'USER_AUDIT_B', amount: 10, fromCurrency: 'ALPHA', toCurrency: 'BETA' }, state, { actor: GOVERNOR, now: NOW });
+    assert.equal(result.ok, true);
+    const { quote } = result.details;
+    const [bank, user] = result.stateDelta.accounts;
+    assert.equal(user.balances.ALPHA, 5000 - 1000);
+    assert.equal(user.balances.BETA, quote.netMinor);
+    assert.equal(bank.balances.BETA, 50000 + quote.feeMinor);
+});
+
+test('exchange: 徴収先のアカウントが存在しない場合は交換しない', () => {
+    const config = { ...DEFAULT_EXCHANGE_CONFIG, treasury_account: 'NOPE' };
+    const result = exchange({ account: 'USER_AUDIT_B', amount: 10, fromCurrency: 'ALPHA', toCurrency: 'BETA' }, createInitialState(NOW), { actor: GOVERNOR, now: NOW, exchangeConfig: config });
+    assert.match(result.error, /徴収先アカウント NOPE/);
+});
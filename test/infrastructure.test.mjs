@@ -0,0 +1,97 @@
+// test/infrastructure.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    INFRA_EVENT_TYPES,
+    DEFAULT_INFRASTRUCTURE_POLICY,
+    initialInfrastructureState,
+    getInfrastructure,
+    levelAt,
+    infrastructureAt,
+    setTargetLevel,
+    energyCostMultiplier,
+    netTransferCondition,
+    infrastructureHealth,
+    evaluateOutages,
+    applyInfraEvent
+} from '../infrastructure.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+
+/** ENERGY と NET のレベルを固定した状態を返します。 */
+function stateWith(energy = 100, net = 100) {
+    const channel = (value) => ({ value, target: value, last_change: NOW, outage: null });
+    return { infrastructure: { energy_supply: channel(energy), net_stability: channel(net), events: [] } };
+}
+
+// ====================================================================
+// レベル (遅延評価)
+// ====================================================================
+
+test('getInfrastructure: 未設定と目標を持たない旧形式を完全な形式に補う', () => {
+    assert.deepEqual(getInfrastructure({}), initialInfrastructureState(0));
+    const legacy = getInfrastructure({ infrastructure: { energy_supply: { value: 40, last_change: NOW } } });
+    assert.deepEqual(legacy.energy_supply, { value: 40, target: 40, last_change: NOW, outage: null });
+});
+
+test('levelAt: 目標へ ramp_per_s ずつ追従し、目標で止まる', () => {
+    const infra = setTargetLevel(initialInfrastructureState(NOW), 'ENERGY', 50, NOW);
+    assert.equal(levelAt(infra.energy_supply, NOW + 10000), 80);
+    assert.equal(levelAt(infra.energy_supply, NOW + 60000), 50);
+    assert.equal(infrastructureAt(infra, NOW + 5000).energy_supply.value, 90);
+});
+
+test('levelAt: 障害の間はレベルを固定し、終了後は障害のレベルから目標へ追従する', () => {
+    const outage = { target: 'NET', type: INFRA_EVENT_TYPES.OUTAGE, duration_s: 30, level: 10, cause: 'test' };
+    const infra = applyInfraEvent(initialInfrastructureState(NOW), outage, NOW);
+    assert.equal(levelAt(infra.net_stability, NOW + 29000), 10);
+    assert.equal(levelAt(infra.net_stability, NOW + 35000), 20);
+    assert.deepEqual(infra.events, [{ at: NOW, target: 'NET', type: 'OUTAGE', cause: 'test' }]);
+});
+
+// ====================================================================
+// 他の部分への影響
+// ====================================================================
+
+test('energyCostMultiplier: cost_threshold 未満で作為コストが増加する', () => {
+    assert.equal(energyCostMultiplier(stateWith(50), DEFAULT_INFRASTRUCTURE_POLICY, NOW), 1);
+    assert.equal(energyCostMultiplier(stateWith(25), DEFAULT_INFRASTRUCTURE_POLICY, NOW), 1.5);
+    assert.equal(energyCostMultiplier(stateWith(0), DEFAULT_INFRASTRUCTURE_POLICY, NOW), 2);
+});
+
+test('netTransferCondition: NET の低下で送金が遅延し、reject_below 未満で拒否される', () => {
+    assert.deepEqual(netTransferCondition(stateWith(100, 50), DEFAULT_INFRASTRUCTURE_POLICY, NOW), { rejected: null, delay_s: 0 });
+    assert.deepEqual(netTransferCondition(stateWith(100, 35), DEFAULT_INFRASTRUCTURE_POLICY, NOW), { rejected: null, delay_s: 15 });
+    assert.match(netTransferCondition(stateWith(100, 19), DEFAULT_INFRASTRUCTURE_POLICY, NOW).rejected, /実行できません/);
+    assert.equal(infrastructureHealth(stateWith(70, 40), DEFAULT_INFRASTRUCTURE_POLICY, NOW), 0.4);
+});
+
+// ====================================================================
+// 障害と復旧
+// ====================================================================
+
+test('evaluateOutages: 発生率 0 では障害を発生させず、終了時刻を過ぎた障害を RECOVERY とする', () => {
+    const noOutages = { ...DEFAULT_INFRASTRUCTURE_POLICY, outages: { ...DEFAULT_INFRASTRUCTURE_POLICY.outages, rate_per_hour: 0 } };
+    assert.deepEqual(evaluateOutages(stateWith(), NOW, 3600, noOutages, () => 0), []);
+
+    const outage = { target: 'ENERGY', type: INFRA_EVENT_TYPES.OUTAGE, duration_s: 30, level: 10, cause: 'test' };
+    const state = { infrastructure: applyInfraEvent(initialInfrastructureState(NOW), outage, NOW) };
+    assert.deepEqual(evaluateOutages(state, NOW + 1000, 1, noOutages).map(e => e.type), []);
+    assert.deepEqual(evaluateOutages(state, NOW + 30000, 1, noOutages).map(e => [e.target, e.type]), [['ENERGY', 'RECOVERY']]);
+});
+
+test('evaluateOutages: 経過時間に応じた確率で、障害中でない種別にランダム障害を発生させる', () => {
+    const events = evaluateOutages(stateWith(), NOW, 3600, DEFAULT_INFRASTRUCTURE_POLICY, () => 0);
+    assert.deepEqual(events.map(e => [e.target, e.type, e.duration_s]), [['ENERGY', 'OUTAGE', 30], ['NET', 'OUTAGE', 30]]);
+    assert.deepEqual(evaluateOutages(stateWith(), NOW, 0, DEFAULT_INFRASTRUCTURE_POLICY, () => 0), []);
+});
+
+test('applyInfraEvent: RECOVERY で障害を解除し、事象を history_limit 件まで保持する', () => {
+    const policy = { ...DEFAULT_INFRASTRUCTURE_POLICY, history_limit: 1 };
+    let infra = applyInfraEvent(initialInfrastructureState(NOW), { target: 'ENERGY', type: 'OUTAGE', duration_s: 30, level: 10, cause: 'a' }, NOW, policy);
+    infra = applyInfraEvent(infra, { target: 'ENERGY', type: 'RECOVERY', cause: 'b' }, NOW + 30000, policy);
+    assert.equal(infra.energy_supply.outage, null);
+    assert.equal(infra.energy_supply.value, 10);
+    assert.deepEqual(infra.events.map(e => e.cause), ['b']);
+});
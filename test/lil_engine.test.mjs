@@ -0,0 +1,176 @@
+// test/lil_engine.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveStatePath, computeTotalSupply, evaluateTrigger, evaluateRule, validateRules, createLILEngine } from '../lil_engine.js';
+import { LOGOS_LIL_RULES } from '../logos_lil.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+
+/** Vibrationを value にした初期状態を返します。 */
+const stateWithVibration = (value) => ({ ...createInitialState(NOW), vibration_level: { value, last_decay: NOW } });
+
+/** Vibrationが threshold を超えると発動するルールを返します。 */
+const vibrationRule = (id, threshold, extra = {}) => ({
+    id,
+    description: `${id} のテスト用ルール`,
+    triggers: [{ type: 'STATE_CHECK', param: 'vibration_level.value', operator: '>', value: threshold }],
+    actions: [{ type: 'LOG', message: id, level: 'info' }],
+    ...extra,
+});
+
+/** 注入した関数の呼び出しを記録するエンジンを生成します。 */
+function createRecordingEngine(rules, actionHandlers = {}) {
+    const logs = [];
+    const vibrations = [];
+    const engine = createLILEngine({
+        log: (message, className) => logs.push({ message, className }),
+        addVibration: (amount) => vibrations.push(amount),
+        actionHandlers,
+        rules,
+    });
+    return { engine, logs, vibrations };
+}
+
+// ====================================================================
+// トリガーの評価
+// ====================================================================
+
+test('resolveStatePath: ドット区切りのパスを解決し、存在しない途中のキーは undefined', () => {
+    const state = stateWithVibration(42);
+    assert.equal(resolveStatePath(state, 'vibration_level.value'), 42);
+    assert.equal(resolveStatePath(state, 'accounts.0.id'), 'CORE_BANK_A');
+    assert.equal(resolveStatePath(state, 'missing.value'), undefined);
+});
+
+test('computeTotalSupply: 全アカウントと着金待ちの送金の合計を主単位で返す', () => {
+    const state = createInitialState(NOW);
+    assert.equal(computeTotalSupply(state, 'ALPHA'), 1050);
+    state.pending_transfers = [{ currency: 'ALPHA', amountMinor: 250 }];
+    assert.equal(computeTotalSupply(state, 'ALPHA'), 1052.5);
+});
+
+test('evaluateTrigger: 未知の演算子・トリガー種別は例外とする', () => {
+    const state = stateWithVibration(0);
+    assert.throws(() => evaluateTrigger({ type: 'STATE_CHECK', param: 'isHalted', operator: '=>', value: true }, state), /未知の演算子です/);
+    assert.throws(() => evaluateTrigger({ type: 'UNKNOWN', param: 'isHalted', operator: '==', value: true }, state), /未知のトリガー種別です/);
+});
+
+test('evaluateRule: すべてのトリガーが成立した場合のみ成立する', () => {
+    const rule = {
+        ...vibrationRule('R1', 50),
+        triggers: [
+            { type: 'STATE_CHECK', param: 'vibration_level.value', operator: '>', value: 50 },
+            { type: 'SUPPLY_CHECK', param: 'GAMMA', operator: '<', value: 150 },
+        ],
+    };
+    assert.equal(evaluateRule(rule, stateWithVibration(60)), true);
+    assert.equal(evaluateRule(rule, stateWithVibration(40)), false);
+});
+
+test('evaluateTrigger: all / any / not の条件グループを入れ子で評価する', () => {
+    const state = stateWithVibration(95);
+    const high = { type: 'STATE_CHECK', param: 'vibration_level.value', operator: '>', value: 90 };
+    const halted = { type: 'STATE_CHECK', param: 'isHalted', operator: '==', value: true };
+    assert.equal(evaluateTrigger({ all: [high, { not: halted }] }, state), true);
+    assert.equal(evaluateTrigger({ any: [halted, { not: high }] }, state), false);
+});
+
+test('evaluateTrigger: 存在しない値との大小比較は成立しない', () => {
+    const state = createInitialState(NOW);
+    assert.equal(evaluateTrigger({ type: 'STATE_CHECK', param: 'missing', operator: '<', value: 1 }, state), false);
+    assert.equal(evaluateTrigger({ type: 'STATE_CHECK', param: 'missing', operator: '!=', value: 1 }, state), true);
+});
+
+test('validateRules: 既定のルールセットは有効で、不正なルールはIDとパス付きで報告する', () => {
+    assert.deepEqual(validateRules(LOGOS_LIL_RULES, { actionTypes: ['LOG', 'BLOCK_ACT', 'SET_RATE'] }), []);
+    const errors = validateRules([
+        vibrationRule('R1', 10),
+        { ...vibrationRule('R1', 10), triggers: [{ any: [{ type: 'STATE_CHECK', param: 'isHalted', operator: '=>', value: true }] }] },
+    ]);
+    assert.ok(errors.includes('R1: ルールIDが重複しています。'));
+    assert.ok(errors.some(error => error.startsWith('R1: triggers[0].any[0]: 未知の演算子です')));
+});
+
+// ====================================================================
+// エンジン (発動・優先度・クールダウン)
+// ====================================================================
+
+test('ルールは不成立から成立に変化した時点でのみ発動し、vibration_cost を加算する', async () => {
+    const { engine, logs, vibrations } = createRecordingEngine([vibrationRule('R1', 50, { vibration_cost: 0.5 })]);
+    assert.deepEqual(await engine.evaluate(stateWithVibration(60), { now: NOW }), ['R1']);
+    assert.deepEqual(await engine.evaluate(stateWithVibration(70), { now: NOW + 1000 }), []);
+    assert.deepEqual(await engine.evaluate(stateWithVibration(10), { now: NOW + 2000 }), []);
+    assert.deepEqual(await engine.evaluate(stateWithVibration(60), { now: NOW + 3000 }), ['R1']);
+    assert.deepEqual(logs.map(entry => entry.message), ['[LIL]: R1', '[LIL]: R1']);
+    assert.deepEqual(vibrations, [0.5, 0.5]);
+});
+
+test('priority の高い順に発動し、enabled が false のルールは評価しない', async () => {
+    const { engine } = createRecordingEngine([
+        vibrationRule('LOW', 50),
+        vibrationRule('HIGH', 50, { priority: 10 }),
+        vibrationRule('OFF', 50, { enabled: false, priority: 20 }),
+    ]);
+    assert.deepEqual(await engine.evaluate(stateWithVibration(60), { now: NOW }), ['HIGH', 'LOW']);
+});
+
+test('クールダウン中に成立したルールは、成立が続いていればクールダウンの終了後に発動する', async () => {
+    const { engine } = createRecordingEngine([vibrationRule('R1', 50, { cooldown_s: 10 })]);
+    assert.deepEqual(await engine.evaluate(stateWithVibration(60), { now: NOW }), ['R1']);
+    await engine.evaluate(stateWithVibration(10), { now: NOW + 1000 });
+    assert.deepEqual(await engine.evaluate(stateWithVibration(60), { now: NOW + 5000 }), []);
+    assert.deepEqual(await engine.evaluate(stateWithVibration(60), { now: NOW + 10000 }), ['R1']);
+});
+
+test('CHANGE トリガーは window_s 秒前からの変化量で成立する', async () => {
+    const rule = {
+        ...vibrationRule('SPIKE', 0),
+        triggers: [{ type: 'CHANGE', param: 'vibration_level.value', window_s: 10, operator: '>=', value: 20 }],
+    };
+    const { engine } = createRecordingEngine([rule]);
+    assert.deepEqual(await engine.evaluate(stateWithVibration(10), { now: NOW }), []);
+    assert.deepEqual(await engine.evaluate(stateWithVibration(25), { now: NOW + 5000 }), []);
+    assert.deepEqual(await engine.evaluate(stateWithVibration(35), { now: NOW + 9000 }), ['SPIKE']);
+});
+
+test('BLOCK_ACT は成立中だけ作為を抑制し、dispatch が false でも抑制は更新される', async () => {
+    const { engine, logs } = createRecordingEngine(LOGOS_LIL_RULES);
+    await engine.evaluate(stateWithVibration(95), { dispatch: false, now: NOW });
+    assert.equal(engine.findBlockingRule('MINT', 'ALPHA'), 'LIL_002');
+    assert.equal(engine.findBlockingRule('MINT', 'BETA'), null);
+    assert.deepEqual(logs, []);
+    await engine.evaluate(stateWithVibration(10), { now: NOW + 1000 });
+    assert.equal(engine.findBlockingRule('MINT', 'ALPHA'), null);
+});
+
+test('作為のアクションは (action, rule) で呼び出され、失敗と未知の種別はログに記録される', async () => {
+    const calls = [];
+    const rule = vibrationRule('R1', 50, {
+        actions: [{ type: 'MINT', to: 'USER_AUDIT_B', amount: 1, currency: 'ALPHA' }, { type: 'HALT' }, { type: 'UNKNOWN' }],
+    });
+    const { engine, logs } = createRecordingEngine([rule], {
+        MINT: (action, firedRule) => calls.push([action.type, firedRule.id]),
+        HALT: () => { throw new Error('承認が必要です'); },
+    });
+    await engine.evaluate(stateWithVibration(60), { now: NOW });
+    assert.deepEqual(calls, [['MINT', 'R1']]);
+    assert.equal(logs.filter(entry => entry.className === 'error-message').length, 2);
+});
+
+test('評価に失敗したルールと未知のアクション種別はログに記録し、他のルールの評価を続ける', async () => {
+    const broken = { ...vibrationRule('BROKEN', 0), triggers: [{ type: 'UNKNOWN', operator: '==', value: 1 }] };
+    const unknownAction = vibrationRule('R2', 50, { actions: [{ type: 'UNKNOWN' }] });
+    const { engine, logs } = createRecordingEngine([broken, unknownAction]);
+    assert.deepEqual(await engine.evaluate(stateWithVibration(60), { now: NOW }), ['R2']);
+    assert.equal(logs.filter(entry => entry.className === 'error-message').length, 2);
+});
+
+test('setRules: ルールセットを差し替え、配列でない場合は既定のルールセットに戻す', async () => {
+    const { engine } = createRecordingEngine([vibrationRule('R1', 50)]);
+    engine.setRules([vibrationRule('R2', 50)]);
+    assert.deepEqual(await engine.evaluate(stateWithVibration(60), { now: NOW }), ['R2']);
+    engine.setRules(null);
+    assert.equal(engine.getRules(), LOGOS_LIL_RULES);
+});
@@ -0,0 +1,73 @@
+// test/logos_act_parser.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNaturalAct, parseConfirmation } from '../logos_act_parser.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+
+/** 初期状態に対して指示を解析します。 */
+const parse = (prompt) => parseNaturalAct(prompt, createInitialState(NOW), NOW);
+
+// ====================================================================
+// 作為の解析
+// ====================================================================
+
+test('送金の指示を英語と日本語の標識から解析する', () => {
+    const expected = { from: 'CORE_BANK_A', to: 'USER_AUDIT_B', amount: 20, currency: 'ALPHA' };
+    assert.deepEqual(parse('transfer 20 ALPHA from CORE_BANK_A to USER_AUDIT_B').params, expected);
+    assert.deepEqual(parse('CORE_BANK_A から USER_AUDIT_B へ 20 ALPHA を送金').params, expected);
+    assert.deepEqual(parse('send 1,000 ALPHA from CORE_BANK_A to USER_AUDIT_B').params.amount, 1000);
+});
+
+test('生成の指示は理由を行末まで読み取り、理由の中の数値や語を解析しない', () => {
+    const result = parse('mint 50 GAMMA to USER_AUDIT_B because 2 transfers failed');
+    assert.equal(result.act, 'MINT');
+    assert.deepEqual(result.params, { to: 'USER_AUDIT_B', amount: 50, currency: 'GAMMA', reason: '2 transfers failed' });
+    assert.match(parse('mint 50 GAMMA from CORE_BANK_A').error, /送金元を指定できません/);
+});
+
+test('交換の指示は to で示された通貨を交換先とする', () => {
+    const result = parse('CORE_BANK_A の 10 ALPHA を BETA に交換');
+    assert.deepEqual(result.params, { account: 'CORE_BANK_A', amount: 10, fromCurrency: 'ALPHA', toCurrency: 'BETA' });
+    assert.match(parse('exchange 10 ALPHA BETA in CORE_BANK_A').error, /交換先の通貨を to/);
+});
+
+// ====================================================================
+// 推測しない (一意に定まらない指示の拒否)
+// ====================================================================
+
+test('質問と時間の言及は作為の指示として扱わない', () => {
+    assert.equal(parse('how much ALPHA did CORE_BANK_A transfer?'), null);
+    assert.equal(parse('直近1時間の生成'), null);
+    assert.equal(parse('USER_AUDIT_B の残高'), null);
+});
+
+test('作為の種別・金額・アカウントが一意に定まらない指示は理由とともに拒否する', () => {
+    assert.match(parse('transfer and mint 5 ALPHA to USER_AUDIT_B').error, /種別が一意に定まりません/);
+    assert.match(parse('transfer 5 10 ALPHA from CORE_BANK_A to USER_AUDIT_B').error, /金額が一意に定まりません/);
+    assert.match(parse('transfer ALPHA from CORE_BANK_A to USER_AUDIT_B').error, /金額が指定されていません/);
+    assert.match(parse('transfer 5 ALPHA from CORE_BANK_A to USER_NOBODY').error, /未登録のアカウント.*USER_NOBODY/);
+    assert.match(parse('transfer 5 ALPHA CORE_BANK_A USER_AUDIT_B').error, /from \/ to/);
+});
+
+test('負の金額と 0 は拒否し、逆方向の作為に読み替えない', () => {
+    for (const amount of ['-5', '−5', '0', '-0.5']) {
+        const result = parse(`transfer ${amount} ALPHA from CORE_BANK_A to USER_AUDIT_B`);
+        assert.equal(result.act, undefined);
+        assert.match(result.error, /正の数/);
+    }
+    assert.equal(parse('transfer +5 ALPHA from CORE_BANK_A to USER_AUDIT_B').params.amount, 5);
+});
+
+// ====================================================================
+// 確認の応答
+// ====================================================================
+
+test('parseConfirmation: 確認・取消の応答を判定し、それ以外は null を返す', () => {
+    assert.equal(parseConfirmation(' Yes '), 'confirm');
+    assert.equal(parseConfirmation('はい'), 'confirm');
+    assert.equal(parseConfirmation('キャンセル'), 'cancel');
+    assert.equal(parseConfirmation('yes please'), null);
+});
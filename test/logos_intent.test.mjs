@@ -0,0 +1,76 @@
+// test/logos_intent.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { INTENTS, extractTimeReference, extractEntities, classifyIntent, answerPrompt } from '../logos_intent.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1, 12);
+const HOUR = 60 * 60 * 1000;
+
+/** プロンプトの意図を返します。 */
+const intentOf = (prompt, state = createInitialState(NOW)) => classifyIntent(prompt, extractEntities(prompt, state, NOW)).intent;
+
+// ====================================================================
+// エンティティの抽出
+// ====================================================================
+
+test('extractTimeReference: 相対的な期間と日付の言及を抽出する', () => {
+    assert.deepEqual(extractTimeReference('直近2時間の生成', NOW), { label: '直近2時間', from: NOW - 2 * HOUR, to: NOW });
+    assert.deepEqual(extractTimeReference('mints in the past hour', NOW), { label: 'last 1 hour', from: NOW - HOUR, to: NOW });
+    assert.equal(extractTimeReference('今日の生成', NOW).to, NOW);
+    assert.equal(extractTimeReference('残高', NOW), null);
+});
+
+test('extractEntities: アカウントはIDと名前で、通貨は独立した語としてのみ抽出する', () => {
+    const state = createInitialState(NOW);
+    const entities = extractEntities('監査者B の BETA 残高と 10 ALPHABET', state, NOW);
+    assert.deepEqual(entities.accounts, ['USER_AUDIT_B']);
+    assert.deepEqual(entities.currencies, ['BETA']);
+    assert.deepEqual(entities.numbers, [10]);
+});
+
+test('extractEntities: アカウントIDに含まれる数字を数値として扱わない', () => {
+    const state = { ...createInitialState(NOW), accounts: [{ id: 'USER_42', name: 'u', balances: { ALPHA: 0 } }] };
+    assert.deepEqual(extractEntities('USER_42 に 5 ALPHA', state, NOW).numbers, [5]);
+});
+
+// ====================================================================
+// 意図の分類
+// ====================================================================
+
+test('classifyIntent: 手がかりの語とエンティティから意図を分類する', () => {
+    assert.equal(intentOf('USER_AUDIT_B の残高は?'), INTENTS.BALANCE);
+    assert.equal(intentOf('BETA を最も多く保有しているアカウントは?'), INTENTS.TOP_HOLDER);
+    assert.equal(intentOf('GAMMA の総供給量'), INTENTS.SUPPLY);
+    assert.equal(intentOf('what is the exchange rate of BETA'), INTENTS.RATE);
+    assert.equal(intentOf('直近1時間に生成された通貨'), INTENTS.MINT_HISTORY);
+    assert.equal(intentOf('Vibration はいくつ?'), INTENTS.VIBRATION);
+    assert.equal(intentOf('承認待ちの提案は?'), INTENTS.PROPOSALS);
+    assert.equal(intentOf('こんにちは'), INTENTS.GUIDELINE);
+});
+
+// ====================================================================
+// 応答
+// ====================================================================
+
+test('answerPrompt: 残高と保有者の問合せにシステム状態の値で応答する', () => {
+    const state = createInitialState(NOW);
+    assert.deepEqual(answerPrompt('USER_AUDIT_B の ALPHA 残高', state, { now: NOW }).lines, ['- **USER_AUDIT_B** (監査者B) の残高: 50.00 ALPHA']);
+    const [line] = answerPrompt('GAMMA を最も少なく保有しているのは?', state, { now: NOW }).lines;
+    assert.match(line, /最も少なく保有しているのは \*\*USER_AUDIT_B\*\*/);
+});
+
+test('answerPrompt: 指定された期間の通貨生成だけを集計する', () => {
+    const state = {
+        ...createInitialState(NOW),
+        recent_mints: [{ timestamp: NOW - 3 * HOUR, currency: 'BETA', amount: 100 }, { timestamp: NOW - 1000, currency: 'BETA', amount: 5 }],
+    };
+    assert.deepEqual(answerPrompt('直近1時間に生成された BETA', state, { now: NOW }).lines, ['- 直近1時間の通貨生成: 1 件', '  - BETA: 合計 5']);
+});
+
+test('answerPrompt: 該当する意図がない場合はガイドラインを引用する', () => {
+    const { intent, lines } = answerPrompt('こんにちは', createInitialState(NOW), { now: NOW, random: () => 0 });
+    assert.equal(intent, INTENTS.GUIDELINE);
+    assert.match(lines[0], /監査プロトコルは、常に次の原則を順守します/);
+});
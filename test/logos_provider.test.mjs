@@ -0,0 +1,78 @@
+// test/logos_provider.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROVIDER_TYPES, createInternalProvider, createHttpProvider, createProvider, runInference, isApiKeyAllowed } from '../logos_provider.js';
+
+const OPENAI_CONFIG = { type: PROVIDER_TYPES.OPENAI, endpoint: 'https://api.example.com/v1/', model: 'm', stream: false, max_tokens: 16, temperature: 0 };
+
+/** 送信した要求を記録し、json を返す fetch を返します。 */
+function recordingFetch(json, requests = []) {
+    return async (url, init) => {
+        requests.push({ url, init });
+        return { ok: true, status: 200, json: async () => json };
+    };
+}
+
+// ====================================================================
+// APIキーの送信先
+// ====================================================================
+
+test('isApiKeyAllowed: endpoint のオリジンが許可したオリジンと一致する場合のみ送信を許可する', () => {
+    assert.equal(isApiKeyAllowed('https://api.example.com/v1', 'https://api.example.com'), true);
+    assert.equal(isApiKeyAllowed('https://api.example.com.evil.test/v1', 'https://api.example.com'), false);
+    assert.equal(isApiKeyAllowed('http://api.example.com/v1', 'https://api.example.com'), false);
+    assert.equal(isApiKeyAllowed('https://api.example.com/v1', null), false);
+    assert.equal(isApiKeyAllowed('not a url', 'not a url'), false);
+    assert.equal(isApiKeyAllowed('data:text/plain,x', 'data:text/plain,x'), false);
+});
+
+// ====================================================================
+// プロバイダ
+// ====================================================================
+
+test('createHttpProvider: APIキーを Authorization ヘッダーに付与して endpoint に送信する', async () => {
+    const requests = [];
+    const provider = createHttpProvider(OPENAI_CONFIG, { fetch: recordingFetch({ choices: [{ message: { content: '応答' } }] }, requests), apiKey: 'secret' });
+    assert.equal(await provider.generate({ system: 's', query: 'q' }), '応答');
+    assert.equal(requests[0].url, 'https://api.example.com/v1/chat/completions');
+    assert.equal(requests[0].init.headers.Authorization, 'Bearer secret');
+
+    const withoutKey = createHttpProvider(OPENAI_CONFIG, { fetch: recordingFetch({ choices: [] }, requests) });
+    await withoutKey.generate({ system: 's', query: 'q' });
+    assert.equal('Authorization' in requests[1].init.headers, false);
+});
+
+test('createProvider: 内部エンジンの設定には内部プロバイダを返し、endpoint のない HTTP の設定を拒否する', () => {
+    const internal = createInternalProvider(() => '');
+    assert.equal(createProvider(null, { internal }), internal);
+    assert.throws(() => createProvider({ type: PROVIDER_TYPES.OPENAI }, { fetch: recordingFetch({}), internal }), /endpoint/);
+});
+
+// ====================================================================
+// 推論
+// ====================================================================
+
+test('runInference: 変換した質問をプロバイダに渡し、応答を変換して返す', async () => {
+    const provider = createInternalProvider((prompt, query) => `${prompt}/${query}`);
+    const result = await runInference({
+        prompt: 'p',
+        provider,
+        hooks: { transformQuery: p => p.toUpperCase(), transformResponse: text => `[${text}]` },
+    });
+    assert.deepEqual(result, { text: '[p/P]', provider: PROVIDER_TYPES.INTERNAL, fallback_reason: null });
+});
+
+test('runInference: プロバイダの失敗とタイムアウトでは fallback で応答する', async () => {
+    const fallback = createInternalProvider(() => '内部');
+    const failing = { name: 'openai', generate: async () => { throw new Error('HTTP 500'); } };
+    const reasons = [];
+    const result = await runInference({ prompt: 'p', provider: failing, fallback, onFallback: reason => reasons.push(reason) });
+    assert.equal(result.text, '内部');
+    assert.match(result.fallback_reason, /HTTP 500/);
+    assert.deepEqual(reasons, [result.fallback_reason]);
+
+    const hanging = { name: 'openai', generate: ({ signal }) => new Promise((_, reject) => signal.addEventListener('abort', () => reject(new Error('aborted')))) };
+    assert.match((await runInference({ prompt: 'p', provider: hanging, fallback, timeout_ms: 10 })).fallback_reason, /10 ms 以内に応答がありませんでした/);
+    await assert.rejects(runInference({ prompt: 'p', provider: failing }), /HTTP 500/);
+});
@@ -0,0 +1,42 @@
+// test/money.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toMinorUnits, fromMinorUnits, formatMinorUnits, roundHalfEven } from '../money.js';
+
+test('toMinorUnits: 小数桁数以内の金額を最小単位の整数に変換する', () => {
+    assert.equal(toMinorUnits(12.34, 2), 1234);
+    assert.equal(toMinorUnits('12.340', 2), 1234);
+    assert.equal(toMinorUnits(100, 0), 100);
+    assert.equal(toMinorUnits(-0.5, 2), -50);
+    assert.equal(toMinorUnits('1e3', 2), 100000);
+    assert.equal(toMinorUnits(1e-7, 8), 10);
+});
+
+test('toMinorUnits: 精度を超える端数は金額の大きさにかかわらず拒否する', () => {
+    assert.equal(toMinorUnits(12345.678, 2), null);
+    assert.equal(toMinorUnits(10000.005, 2), null);
+    assert.equal(toMinorUnits(0.001, 2), null);
+    assert.equal(toMinorUnits(0.1 + 0.2, 2), null);
+});
+
+test('toMinorUnits: 数値として不正な値と安全な整数の範囲を超える値は null', () => {
+    for (const amount of ['', 'abc', '1.2.3', NaN, Infinity, null, undefined, {}]) {
+        assert.equal(toMinorUnits(amount, 2), null, `amount: ${String(amount)}`);
+    }
+    assert.equal(toMinorUnits(Number.MAX_SAFE_INTEGER, 2), null);
+});
+
+test('roundHalfEven: ちょうど .5 の端数は偶数側に丸める', () => {
+    assert.equal(roundHalfEven(2.5), 2);
+    assert.equal(roundHalfEven(3.5), 4);
+    assert.equal(roundHalfEven(-2.5), -2);
+    assert.equal(roundHalfEven(2.4999), 2);
+    assert.equal(roundHalfEven(2.5000001), 2); // 浮動小数点の誤差の範囲は .5 とみなす
+});
+
+test('fromMinorUnits / formatMinorUnits: 主単位に戻して小数桁数どおりに整形する', () => {
+    assert.equal(fromMinorUnits(1234, 2), 12.34);
+    assert.equal(formatMinorUnits(1234, 2), '12.34');
+    assert.equal(formatMinorUnits(5, 4), '0.0005');
+});
@@ -0,0 +1,109 @@
+// test/rate_engine.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RATE_CURVES, applyCurve, sumRecentMints, resolveCurrencyCurves, computeRates, updateRates } from '../rate_engine.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+
+/** Vibrationと直近の生成量を指定した初期状態を返します。 */
+function stateWith({ vibration = 0, recentMints = [] } = {}) {
+    return { ...createInitialState(NOW), vibration_level: { value: vibration, last_decay: NOW }, recent_mints: recentMints };
+}
+
+// ====================================================================
+// カーブ
+// ====================================================================
+
+test('applyCurve: 乖離 0 では中立 (1) となり、下限は MIN_FACTOR とする', () => {
+    for (const curve of ['linear', 'exponential', 'power', 'none']) assert.equal(applyCurve({ curve, k: 1 }, 0), 1);
+    assert.equal(applyCurve({ curve: 'linear', k: 0.5 }, 1), 0.5);
+    assert.equal(applyCurve({ curve: 'exponential', k: 1 }, 1), Math.exp(-1));
+    assert.equal(applyCurve({ curve: 'power', k: 1 }, 1), 0.5);
+    assert.equal(applyCurve({ curve: 'linear', k: 10 }, 1), 0.01);
+    assert.equal(applyCurve(undefined, 5), 1);
+    assert.throws(() => applyCurve({ curve: 'cubic', k: 1 }, 1), /未知のレートカーブ/);
+});
+
+test('sumRecentMints: 集計期間内の生成量を通貨ごとに合計する', () => {
+    const mints = [
+        { timestamp: NOW - 70000, currency: 'GAMMA', amount: 100 },
+        { timestamp: NOW - 1000, currency: 'GAMMA', amount: 10 },
+        { timestamp: NOW, currency: 'BETA', amount: 5 },
+    ];
+    assert.deepEqual(sumRecentMints(mints, NOW, 60000), { GAMMA: 10, BETA: 5 });
+});
+
+// ====================================================================
+// レートの算出
+// ====================================================================
+
+test('computeRates: 初期状態では基準レートとなり、基軸通貨は常に 1.0 とする', () => {
+    const { rates } = computeRates(stateWith({ vibration: 80 }), DEFAULT_RATE_CURVES, NOW);
+    assert.equal(rates.ALPHA, 1);
+    assert.equal(rates.BETA, 10);
+    assert.ok(rates.GAMMA < 100);
+    assert.deepEqual(computeRates(stateWith(), DEFAULT_RATE_CURVES, NOW).rates, { ALPHA: 1, BETA: 10, GAMMA: 100 });
+});
+
+test('computeRates: 直近の大量生成でレートが下落し、min_rate で下げ止まる', () => {
+    const mints = [{ timestamp: NOW, currency: 'GAMMA', amount: 50 }];
+    assert.ok(computeRates(stateWith({ recentMints: mints }), DEFAULT_RATE_CURVES, NOW).rates.GAMMA < 100);
+    const flood = [{ timestamp: NOW, currency: 'GAMMA', amount: 100000 }];
+    assert.equal(computeRates(stateWith({ recentMints: flood }), DEFAULT_RATE_CURVES, NOW).rates.GAMMA, 10);
+});
+
+test('computeRates: SET_RATE による補正係数を乗じる', () => {
+    const state = { ...stateWith(), rate_corrections: { BETA: 1.5 } };
+    assert.equal(computeRates(state, DEFAULT_RATE_CURVES, NOW).rates.BETA, 15);
+});
+
+// ====================================================================
+// 登録された通貨の既定のカーブ
+// ====================================================================
+
+/** 登録通貨 DELTA (initial_rate 4) を持つ状態を返します。 */
+function stateWithDelta(options) {
+    const state = stateWith(options);
+    return {
+        ...state,
+        currencies: [...state.currencies, { code: 'DELTA', title: '地域通貨', purpose: '試験', decimals: 2, initial_rate: 4, supply_cap: null }],
+        currency_rates: { ...state.currency_rates, DELTA: 4 },
+    };
+}
+
+test('resolveCurrencyCurves: カーブのない登録通貨は initial_rate を基準に default_currency のカーブを使う', () => {
+    const curves = resolveCurrencyCurves(stateWithDelta(), DEFAULT_RATE_CURVES);
+    assert.deepEqual([curves.DELTA.base_rate, curves.DELTA.min_rate, curves.DELTA.max_rate], [4, 2, 8]);
+    assert.equal(curves.BETA, DEFAULT_RATE_CURVES.currencies.BETA);
+});
+
+test('computeRates: 登録通貨のレートも生成量に応じて変動し、範囲内に収まる', () => {
+    assert.equal(computeRates(stateWithDelta(), DEFAULT_RATE_CURVES, NOW).rates.DELTA, 4);
+    const mints = [{ timestamp: NOW, currency: 'DELTA', amount: 1000 }];
+    assert.equal(computeRates(stateWithDelta({ recentMints: mints }), DEFAULT_RATE_CURVES, NOW).rates.DELTA, 3.6);
+    const flood = [{ timestamp: NOW, currency: 'DELTA', amount: 1e6 }];
+    assert.equal(computeRates(stateWithDelta({ recentMints: flood }), DEFAULT_RATE_CURVES, NOW).rates.DELTA, 2);
+});
+
+// ====================================================================
+// 保存の判定
+// ====================================================================
+
+test('updateRates: 変化が min_relative_change 未満なら保存しない', () => {
+    assert.equal(updateRates(stateWith(), DEFAULT_RATE_CURVES, NOW), null);
+});
+
+test('updateRates: min_interval_ms 以内は significant_change 以上の変化のみ保存し、期間外の生成記録を取り除く', () => {
+    const lastPoint = { timestamp: NOW - 1000, rates: { ALPHA: 1, BETA: 10, GAMMA: 100 } };
+    const slight = { ...stateWith({ vibration: 2 }), rate_history: [lastPoint] };
+    assert.equal(updateRates(slight, DEFAULT_RATE_CURVES, NOW), null);
+    assert.notEqual(updateRates(slight, DEFAULT_RATE_CURVES, NOW + 10000), null);
+
+    const mints = [{ timestamp: NOW - 70000, currency: 'GAMMA', amount: 1 }, { timestamp: NOW, currency: 'GAMMA', amount: 50 }];
+    const delta = updateRates({ ...stateWith({ recentMints: mints }), rate_history: [lastPoint] }, DEFAULT_RATE_CURVES, NOW);
+    assert.ok(delta.currency_rates.GAMMA < 95);
+    assert.equal(delta.rate_history.length, 2);
+    assert.equal(delta.recent_mints.length, 1);
+});
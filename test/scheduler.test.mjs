@@ -0,0 +1,82 @@
+// test/scheduler.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decideLease, buildLease, createScheduler } from '../scheduler.js';
+import { createMemoryStorage } from '../storage_adapters.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+const LEASE_MS = 15000;
+
+// ====================================================================
+// リーダー選出
+// ====================================================================
+
+test('decideLease: 期限切れのリースは取得し、自分のリースは期限の半分を過ぎたら更新する', () => {
+    const lease = buildLease('tab-a', 'alice', NOW, LEASE_MS);
+    assert.deepEqual(lease, { holder: 'tab-a', user_id: 'alice', expires_at: NOW + LEASE_MS });
+    assert.equal(decideLease(null, 'tab-a', NOW, LEASE_MS), 'claim');
+    assert.equal(decideLease(lease, 'tab-b', NOW + LEASE_MS, LEASE_MS), 'claim');
+    assert.equal(decideLease(lease, 'tab-b', NOW, LEASE_MS), 'follow');
+    assert.equal(decideLease(lease, 'tab-a', NOW + 1000, LEASE_MS), 'lead');
+    assert.equal(decideLease(lease, 'tab-a', NOW + 8000, LEASE_MS), 'renew');
+});
+
+test('同時にリースを取得しようとしたクライアントのうち1つだけがリーダーになる', async () => {
+    const storage = createMemoryStorage({ appId: 'T' });
+    /** core_logic.js の electLeader と同じ手順でリースを取得します。 */
+    const claim = (clientId, now) => storage.updateConfig('scheduler_lease', current =>
+        ['claim', 'renew'].includes(decideLease(current, clientId, now, LEASE_MS)) ? buildLease(clientId, clientId, now, LEASE_MS) : null);
+
+    assert.deepEqual(await Promise.all([claim('tab-a', NOW), claim('tab-b', NOW)]), [true, false]);
+    assert.equal((await storage.loadConfig('scheduler_lease')).holder, 'tab-a');
+    assert.equal(await claim('tab-b', NOW + LEASE_MS), true);
+    assert.equal((await storage.loadConfig('scheduler_lease')).holder, 'tab-b');
+});
+
+// ====================================================================
+// スケジューラ
+// ====================================================================
+
+test('createScheduler: リーダーの場合のみ leaderTasks を実行し、tasks は常に実行する', async () => {
+    const calls = [];
+    let leader = false;
+    const scheduler = createScheduler({
+        tasks: [now => calls.push(`task@${now}`)],
+        leaderTasks: [now => calls.push(`leader@${now}`)],
+        elect: async () => leader,
+    });
+    await scheduler.tick(1);
+    leader = true;
+    await scheduler.tick(2);
+    assert.deepEqual(calls, ['task@1', 'leader@2', 'task@2']);
+    assert.equal(scheduler.isLeader(), true);
+});
+
+test('createScheduler: 処理のエラーは onError に渡して後続の処理を続け、選出の失敗はフォロワーとして扱う', async () => {
+    const errors = [];
+    const calls = [];
+    const scheduler = createScheduler({
+        leaderTasks: [() => { throw new Error('task failed'); }, () => calls.push('leader')],
+        tasks: [() => calls.push('task')],
+        elect: async (now) => { if (now === 2) throw new Error('elect failed'); return true; },
+        onError: e => errors.push(e.message),
+    });
+    await scheduler.tick(1);
+    await scheduler.tick(2);
+    assert.deepEqual(errors, ['task failed', 'elect failed']);
+    assert.deepEqual(calls, ['leader', 'task', 'task']);
+    assert.equal(scheduler.isLeader(), false);
+});
+
+test('createScheduler: 前回の処理が終わっていない tick はスキップする', async () => {
+    let release;
+    let count = 0;
+    const scheduler = createScheduler({ tasks: [() => { count++; return new Promise(resolve => { release = resolve; }); }] });
+    const first = scheduler.tick(1);
+    await new Promise(resolve => setImmediate(resolve));
+    await scheduler.tick(2);
+    release();
+    await first;
+    assert.equal(count, 1);
+});
@@ -0,0 +1,131 @@
+// test/snapshot.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SNAPSHOT_FORMAT, createSnapshot, snapshotIdFor, serializeSnapshot, parseSnapshot, validateSnapshot, snapshotStateDelta, diffStates } from '../snapshot.js';
+import { FAILURE_KINDS, restoreSnapshot } from '../act_logic.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+const GOVERNOR = { userId: 'alice', role: 'governor' };
+
+/** 別の利用者 bob による承認済みの作為の context を返します。 */
+const approvedBy = (actor) => ({ actor, now: NOW, approval: { proposer: actor.userId, approver: 'bob' } });
+
+/** 初期状態のスナップショットを返します。 */
+const genesisSnapshot = () => createSnapshot({ ...createInitialState(NOW), revision: 7 }, { id: 'SNAP-1', name: 'genesis', created_by: 'alice', now: NOW });
+
+// ====================================================================
+// 取得・エクスポート・読み込み
+// ====================================================================
+
+test('createSnapshot: 状態のうちスナップショットのキーだけを複製して記録する', () => {
+    const state = { ...createInitialState(NOW), revision: 7 };
+    const snapshot = createSnapshot(state, { id: 'SNAP-1', name: 'genesis', created_by: 'alice', now: NOW });
+    assert.equal(snapshot.format, SNAPSHOT_FORMAT);
+    assert.equal(snapshot.revision, 7);
+    assert.equal('proposals' in snapshot.state, false);
+    assert.equal('revision' in snapshot.state, false);
+    state.accounts[0].balances.ALPHA = 0;
+    assert.equal(snapshot.state.accounts[0].balances.ALPHA, 100000);
+});
+
+test('snapshotIdFor: 既存のIDと重複しないIDを返す', () => {
+    const base = snapshotIdFor(NOW);
+    assert.match(base, /^SNAP-[0-9A-Z]+$/);
+    assert.equal(snapshotIdFor(NOW, [base, `${base}-2`]), `${base}-3`);
+});
+
+test('parseSnapshot: エクスポートしたスナップショットを読み込み、不正な形式は理由を返す', () => {
+    const snapshot = genesisSnapshot();
+    assert.deepEqual(parseSnapshot(serializeSnapshot(snapshot)).snapshot, snapshot);
+    assert.match(parseSnapshot('{').error, /JSON として解析できません/);
+    assert.match(parseSnapshot(JSON.stringify({ ...snapshot, format: 'other' })).error, /形式が不明/);
+    assert.match(parseSnapshot(JSON.stringify({ ...snapshot, schema_version: 99 })).error, /新しいため/);
+});
+
+test('validateSnapshot: 状態のスキーマに適合しない残高を拒否する', () => {
+    const snapshot = genesisSnapshot();
+    assert.equal(validateSnapshot(snapshot), null);
+    snapshot.state.accounts[0].balances.ALPHA = 0.5;
+    assert.match(validateSnapshot(snapshot), /不正なアカウント/);
+});
+
+// ====================================================================
+// 復元する部分状態と差分
+// ====================================================================
+
+test('snapshotStateDelta: 時刻を含む値を復元時刻から再開する', () => {
+    const later = NOW + 60000;
+    const delta = snapshotStateDelta(genesisSnapshot(), createInitialState(later), later);
+    assert.equal(delta.vibration_level.last_decay, later);
+    assert.equal(delta.circuit_breaker.since, later);
+    assert.equal(delta.infrastructure.energy_supply.last_change, later);
+});
+
+test('diffStates: 残高・稼働状態・アカウントの増減を差分として返す', () => {
+    const before = createInitialState(NOW);
+    const after = structuredClone(before);
+    after.isHalted = true;
+    after.accounts[0].balances.ALPHA = 90000;
+    after.accounts.push({ id: 'NEW_ACC', name: '新規', balances: { ALPHA: 0, BETA: 0, GAMMA: 0 } });
+    assert.deepEqual(diffStates(before, after).map(change => change.path), ['isHalted', 'accounts.CORE_BANK_A.balances.ALPHA', 'accounts.NEW_ACC']);
+    assert.deepEqual(diffStates(before, before), []);
+});
+
+// ====================================================================
+// スナップショットの復元 (RESTORE)
+// ====================================================================
+
+/** 初期状態のスナップショットと、その内容を指すダイジェストを持つ復元の context を返します。 */
+function restoreFixture(mutate = () => {}) {
+    const snapshot = genesisSnapshot();
+    mutate(snapshot);
+    return { snapshot, snapshotDigest: 'digest-1' };
+}
+
+const RESTORE_PARAMS = { snapshot_id: 'SNAP-1', snapshot_digest: 'digest-1', reason: '障害からの復旧' };
+
+test('RESTORE は承認がなければ実行できない', () => {
+    const result = restoreSnapshot(RESTORE_PARAMS, createInitialState(NOW), { actor: GOVERNOR, now: NOW, ...restoreFixture() });
+    assert.equal(result.ok, false);
+    assert.equal(result.details.failure_kind, FAILURE_KINDS.UNAUTHORIZED);
+});
+
+test('承認された RESTORE はスナップショットの残高に戻す', () => {
+    const state = createInitialState(NOW);
+    state.accounts[0].balances.ALPHA = 1;
+    const result = restoreSnapshot(RESTORE_PARAMS, state, { ...approvedBy(GOVERNOR), ...restoreFixture() });
+    assert.equal(result.ok, true);
+    assert.equal(result.stateDelta.accounts[0].balances.ALPHA, 100000);
+});
+
+test('提案後に内容が変更されたスナップショットは復元しない', () => {
+    const context = { ...approvedBy(GOVERNOR), ...restoreFixture(), snapshotDigest: 'digest-2' };
+    const result = restoreSnapshot(RESTORE_PARAMS, createInitialState(NOW), context);
+    assert.equal(result.ok, false);
+    assert.match(result.error, /変更されています/);
+});
+
+test('状態のスキーマに適合しないスナップショット (端数のある残高・未登録の通貨) は復元しない', () => {
+    const fractional = restoreFixture(snapshot => { snapshot.state.accounts[0].balances.ALPHA = 0.5; });
+    const unknownCurrency = restoreFixture(snapshot => { snapshot.state.accounts[0].balances.DELTA = 1; });
+    for (const fixture of [fractional, unknownCurrency]) {
+        const result = restoreSnapshot(RESTORE_PARAMS, createInitialState(NOW), { ...approvedBy(GOVERNOR), ...fixture });
+        assert.equal(result.ok, false);
+        assert.equal(result.stateDelta, null);
+    }
+});
+
+test('スナップショットの名前に含まれる利用者の入力はメッセージでエスケープする', () => {
+    const result = restoreSnapshot(RESTORE_PARAMS, createInitialState(NOW), { ...approvedBy(GOVERNOR), ...restoreFixture(snapshot => { snapshot.name = '<img src=x>'; }) });
+    assert.equal(result.ok, true);
+    assert.ok(!result.message.includes('<img'));
+});
+
+test('強制停止中の RESTORE は force を指定した場合のみ実行できる', () => {
+    const state = { ...createInitialState(NOW), isHalted: true };
+    const context = { ...approvedBy(GOVERNOR), ...restoreFixture() };
+    assert.equal(restoreSnapshot(RESTORE_PARAMS, state, context).ok, false);
+    assert.equal(restoreSnapshot({ ...RESTORE_PARAMS, force: true }, state, context).ok, true);
+});
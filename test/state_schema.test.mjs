@@ -0,0 +1,40 @@
+// test/state_schema.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateState } from '../state_schema.js';
+import { createInitialState } from '../core_logic.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+
+test('validateState: 初期状態はスキーマに適合する', () => {
+    assert.deepEqual(validateState(createInitialState(NOW)), []);
+});
+
+test('validateState: オブジェクトでない状態は拒否する', () => {
+    assert.equal(validateState(null).length, 1);
+    assert.equal(validateState([]).length, 1);
+});
+
+test('validateState: 必須のフィールドの欠落と型の誤りを検出する', () => {
+    const { isHalted, ...state } = createInitialState(NOW);
+    assert.ok(validateState(state).some(error => error.startsWith('isHalted:')));
+    assert.ok(validateState({ ...createInitialState(NOW), revision: -1 }).some(error => error.startsWith('revision:')));
+});
+
+test('validateState: 最小単位の整数でない残高を拒否する', () => {
+    const state = createInitialState(NOW);
+    state.accounts[1].balances.ALPHA = 50.5;
+    assert.ok(validateState(state).some(error => error.startsWith('accounts[1].balances.ALPHA:')));
+});
+
+test('validateState: アカウントIDの重複、未登録の通貨の残高、レートのない通貨を検出する', () => {
+    const state = createInitialState(NOW);
+    state.accounts.push({ ...state.accounts[0], balances: { ALPHA: 0 } });
+    state.accounts[1].balances.DELTA = 100;
+    delete state.currency_rates.BETA;
+    const errors = validateState(state);
+    assert.ok(errors.some(error => error.startsWith('accounts[2].id:')));
+    assert.ok(errors.some(error => error.startsWith('accounts[1].balances.DELTA:')));
+    assert.ok(errors.some(error => error.startsWith('currency_rates.BETA:')));
+});
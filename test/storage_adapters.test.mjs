@@ -0,0 +1,154 @@
+// test/storage_adapters.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStorage, createLocalStorageStorage, StaleRevisionError } from '../storage_adapters.js';
+import { verifyLedgerChain } from '../audit_ledger.js';
+
+/**
+ * Map に保存する Web Storage 互換オブジェクトを返します。
+ * failWhen(key) が true を返すキーへの書き込みは容量超過として失敗する。
+ */
+function createWebStorage(failWhen = () => false) {
+    const items = new Map();
+    return {
+        items,
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem(key, value) {
+            if (failWhen(key)) throw new Error('QuotaExceededError');
+            items.set(key, String(value));
+        },
+        removeItem: (key) => items.delete(key),
+    };
+}
+
+// ====================================================================
+// 状態・設定・購読
+// ====================================================================
+
+test('memory: 状態の部分更新は既存のフィールドを保持する', async () => {
+    const storage = createMemoryStorage({ appId: 'T', userId: 'alice' });
+    assert.equal(await storage.authenticate(), 'alice');
+    await storage.setState({ isHalted: false, accounts: [] });
+    await storage.saveState({ isHalted: true });
+    assert.deepEqual(await storage.loadState(), { isHalted: true, accounts: [], revision: 1 });
+});
+
+test('memory: 購読は登録直後に現在値で呼び出され、以降の書き込みを通知する', async () => {
+    const storage = createMemoryStorage({ appId: 'T' });
+    const received = [];
+    const unsubscribe = storage.subscribeConfig('rate_curves', data => received.push(data));
+    await storage.saveConfig('rate_curves', { a: 1 });
+    unsubscribe();
+    await storage.saveConfig('rate_curves', { a: 2 });
+    assert.deepEqual(received, [null, { a: 1 }]);
+});
+
+test('memory: 読み込んだ値を変更しても保存済みの内容は変わらない', async () => {
+    const storage = createMemoryStorage({ appId: 'T' });
+    await storage.setState({ accounts: [{ id: 'A' }] });
+    (await storage.loadState()).accounts.push({ id: 'B' });
+    assert.equal((await storage.loadState()).accounts.length, 1);
+});
+
+test('localStorage: 同じ Storage を共有するアダプタ間で状態と設定が読める', async () => {
+    const webStorage = createWebStorage();
+    await createLocalStorageStorage({ storage: webStorage }).saveConfig('permissions', { users: { alice: 'governor' } });
+    const other = createLocalStorageStorage({ storage: webStorage });
+    assert.deepEqual(await other.loadConfig('permissions'), { users: { alice: 'governor' } });
+    assert.ok(webStorage.items.has('msgai-z/system_config/permissions'));
+});
+
+// ====================================================================
+// revision による排他制御
+// ====================================================================
+
+test('expectedRevision が保存済みの revision と異なる書き込みは StaleRevisionError で拒否される', async () => {
+    const storage = createMemoryStorage({ appId: 'T' });
+    await storage.setState({ isHalted: false, revision: 3 });
+    assert.equal(await storage.saveState({ isHalted: true }, { expectedRevision: 3 }), 4);
+    await assert.rejects(storage.saveState({ isHalted: false }, { expectedRevision: 3 }), StaleRevisionError);
+    assert.equal((await storage.loadState()).isHalted, true);
+});
+
+// ====================================================================
+// 監査台帳
+// ====================================================================
+
+test('台帳はエントリを1件ずつ別のキーに保存し、先頭には最後のエントリだけを記録する', async () => {
+    const webStorage = createWebStorage();
+    const storage = createLocalStorageStorage({ storage: webStorage, appId: 'T' });
+    for (const actType of ['A', 'B', 'C']) await storage.appendLedgerEntry({ actType });
+    const head = JSON.parse(webStorage.getItem('msgai-z/audit_ledger/T'));
+    const last = JSON.parse(webStorage.getItem('msgai-z/audit_ledger/T/entries/0000000002'));
+    assert.deepEqual(head, { last_entry: { seq: 2, hash: last.hash } });
+    assert.deepEqual((await storage.loadLedger()).map(entry => entry.actType), ['A', 'B', 'C']);
+});
+
+test('commitAct: 状態の更新と台帳への追記を同時に保存する', async () => {
+    const storage = createMemoryStorage({ appId: 'T' });
+    await storage.setState({ isHalted: false, revision: 0 });
+    const received = [];
+    storage.subscribeLedger(entries => received.push(entries.length));
+    const { revision, entry } = await storage.commitAct({ isHalted: true }, { expectedRevision: 0 }, { actType: 'HALT' });
+    assert.equal(revision, 1);
+    assert.equal(entry.seq, 0);
+    assert.equal((await storage.loadState()).isHalted, true);
+    assert.deepEqual(received, [0, 1]);
+});
+
+test('commitAct: revision が競合した場合は状態も台帳も書き込まない', async () => {
+    const storage = createMemoryStorage({ appId: 'T' });
+    await storage.setState({ isHalted: false, revision: 2 });
+    await assert.rejects(storage.commitAct({ isHalted: true }, { expectedRevision: 1 }, { actType: 'HALT' }), StaleRevisionError);
+    assert.equal((await storage.loadState()).isHalted, false);
+    assert.deepEqual(await storage.loadLedger(), []);
+});
+
+test('commitAct: 状態の書き込みが容量超過で失敗した場合は書き込み済みのエントリを取り消す', async () => {
+    let full = false;
+    const webStorage = createWebStorage(key => full && key.includes('system_state'));
+    const storage = createLocalStorageStorage({ storage: webStorage, appId: 'T' });
+    await storage.setState({ isHalted: false, revision: 0 });
+    await storage.appendLedgerEntry({ actType: 'A' });
+
+    full = true;
+    await assert.rejects(storage.commitAct({ isHalted: true }, { expectedRevision: 0 }, { actType: 'HALT' }), /QuotaExceededError/);
+    assert.equal((await storage.loadState()).isHalted, false);
+    assert.deepEqual((await storage.loadLedger()).map(entry => entry.actType), ['A']);
+    assert.equal(webStorage.getItem('msgai-z/audit_ledger/T/entries/0000000001'), null);
+
+    full = false;
+    await storage.commitAct({ isHalted: true }, { expectedRevision: 0 }, { actType: 'HALT' });
+    assert.equal((await verifyLedgerChain(await storage.loadLedger())).ok, true);
+});
+
+test('同時に追記したエントリは1本のハッシュ連鎖になる', async () => {
+    const storage = createMemoryStorage({ appId: 'T' });
+    await Promise.all(Array.from({ length: 10 }, (_, i) => storage.appendLedgerEntry({ actType: `A${i}` })));
+    const entries = await storage.loadLedger();
+    assert.deepEqual(entries.map(entry => entry.seq), [...Array(10).keys()]);
+    assert.equal((await verifyLedgerChain(entries)).ok, true);
+});
+
+// ====================================================================
+// 設定の作成・置き換え
+// ====================================================================
+
+test('createConfig: 存在しない場合のみ作成し、同時に作成しても一方のみ成功する', async () => {
+    const storage = createMemoryStorage({ appId: 'T' });
+    const results = await Promise.all([
+        storage.createConfig('permissions', { users: { alice: 'governor' } }),
+        storage.createConfig('permissions', { users: { bob: 'governor' } }),
+    ]);
+    assert.deepEqual(results, [true, false]);
+    assert.deepEqual(await storage.loadConfig('permissions'), { users: { alice: 'governor' } });
+});
+
+test('updateConfig: 現在の内容から次の内容を決め、null の場合は書き込まない', async () => {
+    const storage = createMemoryStorage({ appId: 'T' });
+    const claim = (holder) => storage.updateConfig('scheduler_lease', current => current ? null : { holder });
+    assert.equal(await claim('a'), true);
+    assert.equal(await claim('b'), false);
+    assert.deepEqual(await storage.loadConfig('scheduler_lease'), { holder: 'a' });
+});
@@ -0,0 +1,201 @@
+// js/vibration_policy.js
+
+/**
+ * Vibration予算ポリシー (段階的な作為の抑制)。
+ * DOM やバックエンドに依存しない純粋なモジュールで、act_logic.js (作為の可否とコスト)、
+ * core_logic.js (加算の上限と減衰)、dialogue_acts.js (推論の可否とコスト) が参照する。
+ *
+ * Vibration値は帯域 (band) に区分され、帯域ごとに次を定める:
+ * - allowed:         実行できる作為種別 ('*' はすべて)。LILルール (system ロール) は緊急対応のため制限を受けない
+ * - cost_multiplier: 作為コスト表 (act_costs) の値に乗じる係数
+ * - decay:           減衰カーブ { curve: 'linear', rate } (毎秒 rate 減少) または
+ *                    { curve: 'exponential', half_life_s } (半減期 half_life_s 秒)
+ *
+ * 帯域は min 以上 max 未満 (max が null の場合は上限なし) で、昇順に隙間なく並べる。
+ * ポリシーは system_config/vibration_policy で上書きできる。
+ */
+
+/** 既定のVibration予算ポリシー。 */
+export const DEFAULT_VIBRATION_POLICY = {
+    max_level: 200, // 加算の上限
+    // 作為ごとの基本コスト (帯域の cost_multiplier が乗じられる)
+    act_costs: {
+        HALT: 5,
+        RESTART: 5,
+        CREATE_ACCOUNT: 1,
+        TRANSFER: 2,
+        MINT: 3, // major act (インフレリスク)
+        EXCHANGE: 1,
+        SET_RATE: 2,
+        REGISTER_CURRENCY: 3,
+        ADJUST_SUPPLY: 1,
+        RESTORE: 10, // スナップショットへの復元 (snapshot.js)
+        PROPOSE: 0,
+        REJECT: 0,
+        EXPIRE: 0,
+        BREAKER: 0, // サーキットブレーカーの遷移 (circuit_breaker.js)
+        INFRA_EVENT: 0, // インフラの障害・復旧 (infrastructure.js)
+        SETTLE: 0, // 遅延した送金の着金
+        INFERENCE: 0.5, // 内部ロゴスエンジンによる推論 (dialogue_acts.js)
+    },
+    bands: [
+        {
+            name: 'normal',
+            min: 0,
+            max: 50,
+            allowed: ['*'],
+            cost_multiplier: 1.0,
+            decay: { curve: 'linear', rate: 0.5 },
+        },
+        {
+            // ガイドライン: Vibrationが50を超えた場合、重大な作為 (Mint, Halt) は避ける
+            name: 'restricted',
+            min: 50,
+            max: 80,
+            allowed: ['TRANSFER', 'EXCHANGE', 'CREATE_ACCOUNT', 'SET_RATE', 'ADJUST_SUPPLY', 'RESTART', 'RESTORE', 'TRANSACTION', 'INFERENCE'],
+            cost_multiplier: 1.5,
+            decay: { curve: 'linear', rate: 0.75 },
+        },
+        {
+            // 経済作為を止め、安定化のための作為のみ許可する
+            name: 'critical',
+            min: 80,
+            max: 100,
+            allowed: ['SET_RATE', 'ADJUST_SUPPLY', 'RESTART', 'RESTORE', 'TRANSACTION', 'INFERENCE'],
+            cost_multiplier: 2.0,
+            decay: { curve: 'exponential', half_life_s: 60 },
+        },
+        {
+            // 掌の縁を超過: 論理推論を含むほぼすべての作為を遮断する
+            name: 'locked',
+            min: 100,
+            max: null,
+            allowed: ['RESTART'],
+            cost_multiplier: 3.0,
+            decay: { curve: 'exponential', half_life_s: 45 },
+        },
+    ],
+};
+
+/** 帯域の境界として扱う誤差。 */
+const BOUNDARY_EPSILON = 1e-9;
+
+// ====================================================================
+// BANDS
+// ====================================================================
+
+/** Vibration値が属する帯域のインデックスを返します。 */
+function bandIndex(policy, value) {
+    const index = policy.bands.findIndex(band => value >= band.min && (band.max === null || value < band.max));
+    return index === -1 ? (value < policy.bands[0].min ? 0 : policy.bands.length - 1) : index;
+}
+
+/**
+ * Vibration値が属する帯域を返します。
+ * @param {number} value - Vibration値。
+ * @param {object} [policy] - Vibration予算ポリシー。
+ * @returns {object} - 帯域の定義。
+ */
+export function getBand(value, policy = DEFAULT_VIBRATION_POLICY) {
+    return policy.bands[bandIndex(policy, value)];
+}
+
+/**
+ * 現在の帯域で作為が許可されているか検証します。
+ * @param {string} actType - 作為種別 (または 'INFERENCE')。
+ * @param {number} value - 現在のVibration値。
+ * @param {object} [policy] - Vibration予算ポリシー。
+ * @returns {string|null} - 拒否の理由。許可される場合は null。
+ */
+export function checkBand(actType, value, policy = DEFAULT_VIBRATION_POLICY) {
+    const band = getBand(value, policy);
+    if (band.allowed.includes('*') || band.allowed.includes(actType)) return null;
+    return `Vibration ${value.toFixed(2)} は帯域 "${band.name}" にあり、${actType} は抑制されています。`;
+}
+
+/**
+ * 作為のVibrationコストを返します (コスト表の値 × 現在の帯域の係数)。
+ * @param {string} actType - 作為種別 (または 'INFERENCE')。
+ * @param {number} value - 現在のVibration値。
+ * @param {object} [policy] - Vibration予算ポリシー。
+ */
+export function actCost(actType, value, policy = DEFAULT_VIBRATION_POLICY) {
+    const base = policy.act_costs[actType] ?? 0;
+    return base * getBand(value, policy).cost_multiplier;
+}
+
+// ====================================================================
+// DECAY
+// ====================================================================
+
+/**
+ * 単一の減衰カーブを適用した値を返します。
+ * @param {object} decay - { curve, rate } または { curve, half_life_s }
+ * @param {number} value - 開始値。
+ * @param {number} seconds - 経過秒数。
+ */
+function applyDecayCurve(decay, value, seconds) {
+    switch (decay.curve) {
+        case 'linear':
+            return value - decay.rate * seconds;
+        case 'exponential':
+            return value * Math.pow(0.5, seconds / decay.half_life_s);
+        case 'none':
+            return value;
+        default:
+            throw new Error(`未知の減衰カーブです: ${decay.curve}`);
+    }
+}
+
+/** 減衰カーブで value から target まで下がるのに要する秒数を返します (到達しない場合は Infinity)。 */
+function secondsToReach(decay, value, target) {
+    switch (decay.curve) {
+        case 'linear':
+            return decay.rate > 0 ? (value - target) / decay.rate : Infinity;
+        case 'exponential':
+            return target > 0 ? decay.half_life_s * Math.log2(value / target) : Infinity;
+        default:
+            return Infinity;
+    }
+}
+
+/**
+ * 経過時間分の減衰を、帯域ごとの減衰カーブを順に適用して計算します。
+ * 帯域の下限を下回る場合は、下限に達するまでの時間を消費して下の帯域のカーブに切り替える。
+ * @param {number} value - 開始時のVibration値。
+ * @param {number} seconds - 経過秒数。
+ * @param {object} [policy] - Vibration予算ポリシー。
+ * @returns {number} - 減衰後の値 (0 以上)。
+ */
+export function decayVibrationValue(value, seconds, policy = DEFAULT_VIBRATION_POLICY) {
+    let current = value;
+    let remaining = seconds;
+    let index = bandIndex(policy, current);
+
+    while (remaining > 0 && current > 0) {
+        const band = policy.bands[index];
+        const next = applyDecayCurve(band.decay, current, remaining);
+        if (index === 0 || next >= band.min) {
+            current = next;
+            break;
+        }
+        // 帯域の下限に達した時点で下の帯域へ
+        remaining -= secondsToReach(band.decay, current, band.min);
+        current = band.min - BOUNDARY_EPSILON;
+        index -= 1;
+    }
+    return Math.max(0, current);
+}
+
+/**
+ * 保存されている vibration_level ({ value, last_decay }) から、時刻 now におけるVibrationを遅延評価します。
+ * 減衰は last_decay からの経過時間だけで決まるため、複数のクライアントが読んでも同じ値になる。
+ * @param {object} level - { value, last_decay }
+ * @param {number} now - 評価時刻。
+ * @param {object} [policy] - Vibration予算ポリシー。
+ * @returns {object} - 時刻 now 時点の { value, last_decay: now }
+ */
+export function vibrationAt(level, now, policy = DEFAULT_VIBRATION_POLICY) {
+    const elapsed = Math.max(0, (now - (level.last_decay ?? now)) / 1000);
+    return { value: decayVibrationValue(level.value, elapsed, policy), last_decay: now };
+}